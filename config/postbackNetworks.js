@@ -0,0 +1,166 @@
+// Built-in postback network adapters.
+// Each adapter maps our normalized postback fields to the query parameters a
+// network sends. A field can list several parameter names; the first one
+// present in the query wins. The sub ids we append to outbound links
+// (subIdParams) are mapped back here so a network only has to echo them,
+// without sending an email or our own field names. Admins can override any of these (or add new
+// networks) through /api/postback/networks without a deploy.
+const POSTBACK_FIELDS = [
+  "email",
+  "completionId",
+  "userId",
+  "username",
+  "offerId",
+  "offerName",
+  "payout",
+  "transactionId",
+  "status",
+  "reversalReason",
+  "ip",
+  "clickId",
+];
+
+// Values we append to outbound offer links (see utils/redirectService.js) so
+// the network can echo them back on its postback
+const SUB_ID_FIELDS = ["userId", "completionId", "clickId"];
+
+// Outbound parameter names for networks without their own
+const DEFAULT_SUB_ID_PARAMS = {
+  userId: "sub1",
+  completionId: "sub2",
+  clickId: "sub3",
+};
+
+// Catalog action providers (action.actionProvider) and the network each one
+// reports conversions through
+const PROVIDER_NETWORKS = {
+  og_ads: "ogads",
+  cpa_grip: "cpagrip",
+  cpa_lead: "cpalead",
+};
+
+// Values of the status parameter that mean the network reversed the lead.
+// Networks can replace this list with their own via reversalStatuses.
+const DEFAULT_REVERSAL_STATUSES = ["reversed", "reversal", "chargeback", "rejected"];
+
+const BUILT_IN_NETWORKS = {
+  ogads: {
+    displayName: "OGAds",
+    payoutCurrency: "USD",
+    subIdParams: {
+      userId: "aff_sub",
+      completionId: "aff_sub2",
+      clickId: "aff_sub3",
+    },
+    paramMap: {
+      completionId: ["aff_sub2"],
+      userId: ["aff_sub", "userid"],
+      username: ["username"],
+      offerId: ["id"],
+      offerName: ["offername"],
+      payout: ["payout"],
+      transactionId: ["transaction_id", "txid"],
+      status: ["status"],
+      reversalReason: ["reason"],
+      ip: ["ip"],
+      clickId: ["aff_sub3", "clickid"],
+    },
+  },
+  cpagrip: {
+    displayName: "CPAGrip",
+    payoutCurrency: "USD",
+    subIdParams: {
+      userId: "tracking_id",
+      completionId: "sub2",
+      clickId: "sub3",
+    },
+    paramMap: {
+      completionId: ["sub2"],
+      userId: ["tracking_id", "userid"],
+      username: ["username"],
+      offerId: ["id"],
+      offerName: ["offername"],
+      payout: ["payout"],
+      transactionId: ["transaction_id", "txid"],
+      status: ["status"],
+      reversalReason: ["reason"],
+      ip: ["ip"],
+      clickId: ["sub3", "clickid"],
+    },
+  },
+  cpalead: {
+    displayName: "CPALead",
+    payoutCurrency: "USD",
+    subIdParams: {
+      userId: "subid2",
+      completionId: "subid",
+      clickId: "subid3",
+    },
+    paramMap: {
+      completionId: ["subid"],
+      userId: ["subid2", "userid", "user_id"],
+      username: ["username", "user_name"],
+      offerId: ["offerid", "offer_id"],
+      offerName: ["offername", "offer_name"],
+      payout: ["payout", "amount"],
+      transactionId: ["transaction_id", "lead_id"],
+      status: ["status"],
+      reversalReason: ["reason"],
+      ip: ["ip"],
+      clickId: ["subid3", "clickid"],
+    },
+  },
+  goose: {
+    displayName: "Goose",
+    payoutCurrency: "USD",
+    subIdParams: {
+      userId: "userid",
+      completionId: "id",
+      clickId: "clickid",
+    },
+    paramMap: {
+      email: ["email"],
+      completionId: ["id"],
+      offerId: ["offerid", "offer_id"],
+      offerName: ["offername", "offer_name"],
+      payout: ["payout", "amount"],
+      transactionId: ["transactionid", "transaction_id", "txid"],
+      status: ["status"],
+      reversalReason: ["reason"],
+      ip: ["ip"],
+      clickId: ["clickid", "click_id"],
+    },
+  },
+};
+
+const parseList = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Verification settings from the environment, e.g.
+//   POSTBACK_SECRET_CPALEAD=...            shared secret for the HMAC signature
+//   POSTBACK_SIGNATURE_PARAM_CPALEAD=sig   query param carrying the signature
+//   POSTBACK_ALLOWED_IPS_OGADS=1.2.3.4,5.6.7.8
+// Values stored on a network config take precedence over these. Allowed IPs
+// are matched against req.ip, so set TRUST_PROXY when the app sits behind a
+// proxy outside the private network ranges trusted by default.
+const getEnvVerification = (network) => {
+  const key = network.toUpperCase();
+  return {
+    secret: process.env[`POSTBACK_SECRET_${key}`] || null,
+    signatureParam: process.env[`POSTBACK_SIGNATURE_PARAM_${key}`] || null,
+    allowedIps: parseList(process.env[`POSTBACK_ALLOWED_IPS_${key}`]),
+  };
+};
+
+module.exports = {
+  POSTBACK_FIELDS,
+  SUB_ID_FIELDS,
+  DEFAULT_SUB_ID_PARAMS,
+  PROVIDER_NETWORKS,
+  DEFAULT_REVERSAL_STATUSES,
+  BUILT_IN_NETWORKS,
+  getEnvVerification,
+};
@@ -0,0 +1,94 @@
+// config/roles.js
+// Permissions are "<resource>:<action>". A role grants a set of them;
+// "<resource>:*" grants every action on a resource and "*" grants everything.
+
+const RESOURCES = [
+  "offers",
+  "apps",
+  "coupons",
+  "games",
+  "giftcards",
+  "codes",
+  "links",
+  "subscribers",
+  "interactions",
+  "postbacks",
+  "wallet",
+  "redemptions",
+  "stats",
+  "users",
+  "apikeys",
+];
+
+const PERMISSIONS = [
+  ...RESOURCES.flatMap((resource) => [`${resource}:read`, `${resource}:write`]),
+  // Assigning roles is kept apart from users:write so support can't escalate
+  "users:roles",
+];
+
+const CATALOG_RESOURCES = ["offers", "apps", "coupons", "games", "giftcards", "codes", "links"];
+
+const ROLES = {
+  superadmin: {
+    description: "Full access, including assigning roles",
+    permissions: ["*"],
+  },
+  editor: {
+    description: "Manages the catalog: offers, apps, coupons, games, gift cards, codes and links",
+    permissions: [...CATALOG_RESOURCES.map((resource) => `${resource}:*`), "stats:read"],
+  },
+  analyst: {
+    description: "Read-only access to every dashboard and report",
+    permissions: RESOURCES.filter((resource) => !["users", "apikeys"].includes(resource)).map(
+      (resource) => `${resource}:read`
+    ),
+  },
+  support: {
+    description: "Helps users: wallets, redemptions, subscribers and interactions",
+    permissions: [
+      "users:read",
+      "wallet:*",
+      "redemptions:*",
+      "subscribers:*",
+      "interactions:*",
+      "postbacks:read",
+      "stats:read",
+    ],
+  },
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+// What a partner API key can be allowed to do. These are separate from staff
+// permissions: a key never acts as a user.
+const API_KEY_SCOPES = {
+  "catalog:import": "Batch-create apps, coupons and games",
+  "catalog:read": "Read catalog stats and click analytics",
+  "stats:read": "Read dashboard and reversal statistics",
+  "postbacks:read": "Read offer completions and postback events",
+};
+
+// Every permission granted by a list of roles, wildcards kept as-is
+const getPermissions = (roles = []) => [
+  ...new Set(roles.flatMap((role) => ROLES[role]?.permissions || [])),
+];
+
+const hasPermission = (roles, permission) => {
+  const granted = getPermissions(roles);
+  const [resource] = permission.split(":");
+
+  return (
+    granted.includes("*") ||
+    granted.includes(permission) ||
+    granted.includes(`${resource}:*`)
+  );
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_NAMES,
+  API_KEY_SCOPES,
+  getPermissions,
+  hasPermission,
+};
@@ -4,6 +4,17 @@ const Coupon = require('../model/Coupon');
 const Game = require('../model/Game');
 const GiftCard = require('../model/Giftcard');
 const User = require('../model/User');
+const PostbackTransaction = require('../model/PostbackTransaction');
+const { getClickLeaderboard: buildClickLeaderboard } = require('../utils/clickService');
+const { ATTRIBUTION_DIMENSIONS, getAttributionStats: buildAttributionStats } = require('../utils/attributionService');
+
+// Entity names used in admin URLs and the catalog kind each one maps to
+const ENTITY_KINDS = {
+  apps: 'App',
+  coupons: 'Coupon',
+  games: 'Game',
+  giftcards: 'GiftCard'
+};
 
 const getDashboardStats = async (req, res) => {
   try {
@@ -285,7 +296,208 @@ const getDetailedStats = async (req, res) => {
   }
 };
 
+// Get conversion reversal (chargeback) rates by network and by offer
+const getReversalStats = async (req, res) => {
+  try {
+    const { period = '30d' } = req.query;
+    const days = { '7d': 7, '30d': 30, '90d': 90, '1y': 365 }[period] || 30;
+
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+
+    // Derives the reversal rate from the grouped counts
+    const rateProjection = (extraFields = {}) => ({
+      $project: {
+        _id: 0,
+        ...extraFields,
+        conversions: 1,
+        reversals: 1,
+        payout: 1,
+        reversedPayout: 1,
+        reversalRate: {
+          $cond: {
+            if: { $gt: ['$conversions', 0] },
+            then: { $round: [{ $multiply: [{ $divide: ['$reversals', '$conversions'] }, 100] }, 2] },
+            else: 0
+          }
+        }
+      }
+    });
+
+    const groupCounts = {
+      conversions: { $sum: { $cond: [{ $eq: ['$type', 'conversion'] }, 1, 0] } },
+      reversals: { $sum: { $cond: [{ $eq: ['$type', 'reversal'] }, 1, 0] } },
+      payout: { $sum: { $cond: [{ $eq: ['$type', 'conversion'] }, '$payout', 0] } },
+      reversedPayout: { $sum: { $cond: [{ $eq: ['$type', 'reversal'] }, { $abs: '$payout' }, 0] } }
+    };
+
+    const [overall, byNetwork, byOffer] = await Promise.all([
+      PostbackTransaction.aggregate([
+        { $match: { createdAt: { $gte: startDate } } },
+        { $group: { _id: null, ...groupCounts } },
+        rateProjection()
+      ]),
+      PostbackTransaction.aggregate([
+        { $match: { createdAt: { $gte: startDate } } },
+        { $group: { _id: '$network', ...groupCounts } },
+        rateProjection({ network: '$_id' }),
+        { $sort: { reversalRate: -1, conversions: -1 } }
+      ]),
+      PostbackTransaction.aggregate([
+        { $match: { createdAt: { $gte: startDate } } },
+        {
+          $lookup: {
+            from: 'offercompletions',
+            localField: 'offerCompletion',
+            foreignField: '_id',
+            as: 'completion'
+          }
+        },
+        { $unwind: '$completion' },
+        { $group: { _id: { offer: '$completion.offer', network: '$network' }, ...groupCounts } },
+        rateProjection({ offer: '$_id.offer', network: '$_id.network' }),
+        { $sort: { reversals: -1, conversions: -1 } },
+        { $limit: 50 }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        overview: overall[0] || { conversions: 0, reversals: 0, payout: 0, reversedPayout: 0, reversalRate: 0 },
+        byNetwork,
+        byOffer,
+        period: {
+          start: startDate,
+          end: new Date()
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Reversal stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reversal statistics',
+      error: error.message
+    });
+  }
+};
+
+const getClickLeaderboard = async (req, res) => {
+  try {
+    const { period = '30d', type, sortBy = 'totalClicks' } = req.query;
+    const days = { '24h': 1, '7d': 7, '30d': 30, '90d': 90, '1y': 365, all: null }[period];
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    if (days === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid period. Use 24h, 7d, 30d, 90d, 1y or all'
+      });
+    }
+
+    if (!['totalClicks', 'uniqueClicks'].includes(sortBy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'sortBy must be totalClicks or uniqueClicks'
+      });
+    }
+
+    // ?type=coupons,games narrows the board to those catalog types
+    let itemTypes = null;
+    if (type) {
+      const entities = type.split(',').map((entity) => entity.trim().toLowerCase());
+      const unknown = entities.filter((entity) => !ENTITY_KINDS[entity]);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid entity type: ${unknown.join(', ')}`
+        });
+      }
+      itemTypes = entities.map((entity) => ENTITY_KINDS[entity]);
+    }
+
+    let startDate = null;
+    if (days) {
+      startDate = new Date();
+      startDate.setDate(startDate.getDate() - days);
+    }
+
+    const { leaderboard, byType } = await buildClickLeaderboard({ itemTypes, startDate, sortBy, limit });
+
+    res.json({
+      success: true,
+      data: {
+        leaderboard,
+        byType,
+        period: {
+          start: startDate,
+          end: new Date()
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Click leaderboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch click leaderboard',
+      error: error.message
+    });
+  }
+};
+
+const getAttributionStats = async (req, res) => {
+  try {
+    const { period = '30d', groupBy = 'item' } = req.query;
+    const days = { '24h': 1, '7d': 7, '30d': 30, '90d': 90, '1y': 365 }[period];
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    if (!days) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid period. Use 24h, 7d, 30d, 90d or 1y'
+      });
+    }
+
+    if (!ATTRIBUTION_DIMENSIONS.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `groupBy must be one of: ${ATTRIBUTION_DIMENSIONS.join(', ')}`
+      });
+    }
+
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - days);
+
+    const stats = await buildAttributionStats({ groupBy, startDate, limit });
+
+    res.json({
+      success: true,
+      data: {
+        ...stats,
+        period: {
+          start: startDate,
+          end: new Date()
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Attribution stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch attribution statistics',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getDashboardStats,
-  getDetailedStats
+  getDetailedStats,
+  getReversalStats,
+  getClickLeaderboard,
+  getAttributionStats
 };
\ No newline at end of file
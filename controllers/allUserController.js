@@ -1,7 +1,6 @@
 // controllers/allUserController.js
 const AllUser = require("../model/AllUser");
 const asyncHandler = require("express-async-handler");
-const geoip = require("geoip-lite");
 const { sanitizeInput } = require("../utils/sanitizeInput");
 
 // @desc    Record a new user interaction
@@ -18,16 +17,13 @@ const recordInteraction = asyncHandler(async (req, res) => {
       errorMessage = null
     } = req.body;
 
-    // Extract IP address with proper handling
-    const forwarded = req.headers["x-forwarded-for"];
-    const ipAddress = forwarded ? forwarded.split(",")[0] : req.connection.remoteAddress || req.socket.remoteAddress || "0.0.0.0";
-
-    // Get geolocation data
-    const geo = geoip.lookup(ipAddress);
-    const country = geo?.country || "Unknown";
-    const city = geo?.city || "Unknown";
-    const region = geo?.region || "Unknown";
-    const timezone = geo?.timezone || "Unknown";
+    // IP and geolocation from the geoLocate middleware
+    const geo = req.geo || {};
+    const ipAddress = geo.ip || "0.0.0.0";
+    const country = geo.country || "Unknown";
+    const city = geo.city || "Unknown";
+    const region = geo.region || "Unknown";
+    const timezone = geo.timezone || "Unknown";
 
     // Get user agent
     const userAgent = req.get("User-Agent") || "Unknown";
@@ -0,0 +1,173 @@
+// controllers/apiKeyController.js
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const ApiKey = require("../model/ApiKey");
+const { API_KEY_SCOPES } = require("../config/roles");
+const { generateKey } = require("../utils/apiKeyService");
+
+const EDITABLE_FIELDS = ["name", "scopes", "allowedIps", "rateLimit", "expiresAt"];
+
+const pickKeyFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+
+const toKeyResponse = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  allowedIps: apiKey.allowedIps,
+  rateLimit: apiKey.rateLimit,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  usageCount: apiKey.usageCount,
+  expiresAt: apiKey.expiresAt,
+  rotatedAt: apiKey.rotatedAt,
+  revokedAt: apiKey.revokedAt,
+  createdBy: apiKey.createdBy,
+  createdAt: apiKey.createdAt,
+});
+
+const validationResponse = (res, error) => {
+  const errors = Object.values(error.errors).map((val) => val.message);
+  return res.status(400).json({
+    success: false,
+    message: "Validation error",
+    errors,
+  });
+};
+
+const findKey = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: "Invalid API key ID" });
+    return null;
+  }
+
+  const apiKey = await ApiKey.findById(req.params.id);
+  if (!apiKey) {
+    res.status(404).json({ success: false, message: "API key not found" });
+    return null;
+  }
+  return apiKey;
+};
+
+// @desc    List API keys (never includes the secret)
+// @route   GET /api/admin/api-keys
+// @access  Private (apikeys:read)
+const getApiKeys = asyncHandler(async (req, res) => {
+  const { includeRevoked } = req.query;
+  const filter = includeRevoked === "true" ? {} : { revokedAt: null };
+
+  const apiKeys = await ApiKey.find(filter).sort({ createdAt: -1 }).lean();
+
+  res.json({
+    success: true,
+    data: apiKeys.map(toKeyResponse),
+    scopes: API_KEY_SCOPES,
+  });
+});
+
+// @desc    Create an API key; the full key is only returned here
+// @route   POST /api/admin/api-keys
+// @access  Private (apikeys:write)
+const createApiKey = asyncHandler(async (req, res) => {
+  const { key, prefix, keyHash } = generateKey();
+
+  try {
+    const apiKey = await ApiKey.create({
+      ...pickKeyFields(req.body),
+      prefix,
+      keyHash,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "API key created. Copy it now; it won't be shown again.",
+      data: { ...toKeyResponse(apiKey), key },
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") return validationResponse(res, error);
+    throw error;
+  }
+});
+
+// @desc    Update a key's name, scopes, IP allow-list, rate limit or expiry
+// @route   PATCH /api/admin/api-keys/:id
+// @access  Private (apikeys:write)
+const updateApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await findKey(req, res);
+  if (!apiKey) return;
+
+  if (apiKey.revokedAt) {
+    return res.status(409).json({ success: false, message: "API key has been revoked" });
+  }
+
+  apiKey.set(pickKeyFields(req.body));
+
+  try {
+    await apiKey.save();
+  } catch (error) {
+    if (error.name === "ValidationError") return validationResponse(res, error);
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    message: "API key updated successfully",
+    data: toKeyResponse(apiKey),
+  });
+});
+
+// @desc    Issue a new secret for a key; the old one stops working immediately
+// @route   POST /api/admin/api-keys/:id/rotate
+// @access  Private (apikeys:write)
+const rotateApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await findKey(req, res);
+  if (!apiKey) return;
+
+  if (apiKey.revokedAt) {
+    return res.status(409).json({ success: false, message: "API key has been revoked" });
+  }
+
+  const { key, prefix, keyHash } = generateKey();
+  apiKey.prefix = prefix;
+  apiKey.keyHash = keyHash;
+  apiKey.rotatedAt = new Date();
+  await apiKey.save();
+
+  res.json({
+    success: true,
+    message: "API key rotated. Copy the new key now; it won't be shown again.",
+    data: { ...toKeyResponse(apiKey), key },
+  });
+});
+
+// @desc    Revoke a key
+// @route   DELETE /api/admin/api-keys/:id
+// @access  Private (apikeys:write)
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await findKey(req, res);
+  if (!apiKey) return;
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+  }
+
+  res.json({
+    success: true,
+    message: "API key revoked",
+    data: toKeyResponse(apiKey),
+  });
+});
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  rotateApiKey,
+  revokeApiKey,
+};
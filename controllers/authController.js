@@ -1,7 +1,112 @@
 const User = require("../model/User");
+const Settings = require("../model/Settings");
 const asyncHandler = require("express-async-handler");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
+const { SessionError } = require("../utils/customErrors");
+const {
+  REFRESH_TOKEN_TTL_MS,
+  createSession,
+  rotateSession,
+  revokeSessionByToken,
+  getActiveSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+} = require("../utils/sessionService");
+const { getClientIp } = require("../utils/geoService");
+const {
+  TOKEN_TTL_MS,
+  createAuthToken,
+  consumeAuthToken,
+  buildClientLink,
+} = require("../utils/authTokenService");
+const { emailTemplates, sendEmail } = require("../utils/emailService");
+const {
+  TWO_FACTOR_SELECT,
+  beginEnrollment,
+  activateEnrollment,
+  verifySecondFactor,
+  generateRecoveryCodes,
+  disableTwoFactor,
+  isTwoFactorRequired,
+} = require("../utils/twoFactorService");
+const {
+  checkLogin,
+  registerLoginFailure,
+  registerLoginSuccess,
+} = require("../utils/bruteForceService");
+
+const REFRESH_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: true,
+  sameSite: "None",
+};
+
+// The session family rides along as "sid" so a user can tell which session
+// is theirs, and so revoking the session also ends its access tokens
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { userId: user._id, email: user.email, sid: sessionId },
+    process.env.ACCESS_TOKEN_SECRET,
+    { expiresIn: "15m" }
+  );
+
+const setRefreshCookie = (res, token) =>
+  res.cookie("jwt", token, { ...REFRESH_COOKIE_OPTIONS, maxAge: REFRESH_TOKEN_TTL_MS });
+
+const MIN_PASSWORD_LENGTH = 6;
+const TWO_FACTOR_CHALLENGE = "2fa_challenge";
+
+// Proves the password step passed; deliberately has no userId so verifyJWT rejects it
+const signTwoFactorChallenge = (user) =>
+  jwt.sign(
+    { sub: String(user._id), purpose: TWO_FACTOR_CHALLENGE },
+    process.env.ACCESS_TOKEN_SECRET,
+    { expiresIn: "5m" }
+  );
+
+// Open a session, set the refresh cookie and send the login response
+const startSession = async (user, req, res, extra = {}) => {
+  const { token, session } = await createSession(user._id, req);
+  setRefreshCookie(res, token);
+
+  res.json({
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      roles: user.roles,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+      twoFactorSetupRequired:
+        !user.twoFactor?.enabled && (await isTwoFactorRequired(user.roles)),
+    },
+    accessToken: signAccessToken(user, session.family),
+    ...extra,
+  });
+};
+
+const sendVerificationEmail = async (user, req) => {
+  try {
+    const token = await createAuthToken(user._id, "email_verification", {
+      ip: getClientIp(req),
+    });
+    const emailTemplate = emailTemplates.verifyEmail({
+      name: user.name,
+      link: buildClientLink("/verify-email", token),
+      expiresInHours: TOKEN_TTL_MS.email_verification / (60 * 60 * 1000),
+    });
+
+    await sendEmail({
+      to: user.email,
+      subject: emailTemplate.subject,
+      html: emailTemplate.html,
+      templateType: "verifyEmail",
+    });
+  } catch (error) {
+    console.error(`Failed to send verification email to ${user.email}:`, error.message);
+  }
+};
 
 // Signup
 const signup = asyncHandler(async (req, res) => {
@@ -24,6 +129,8 @@ const signup = asyncHandler(async (req, res) => {
     password: hashedPassword,
   });
 
+  await sendVerificationEmail(user, req);
+
   res.status(201).json({
     success: true,
     message: "User created successfully",
@@ -32,6 +139,7 @@ const signup = asyncHandler(async (req, res) => {
       name: user.name,
       email: user.email,
       isActive: user.isActive,
+      emailVerified: user.emailVerified,
     },
   });
 });
@@ -42,86 +150,406 @@ const login = asyncHandler(async (req, res) => {
   if (!email || !password)
     return res.status(400).json({ message: "All fields are required" });
 
+  const ip = getClientIp(req);
+
   const user = await User.findOne({ email }).select("+password").exec();
-  if (!user) return res.status(401).json({ message: "Invalid credentials" });
+  if (!user) {
+    await registerLoginFailure({ ip, email });
+    return res.status(401).json({ message: "Invalid credentials" });
+  }
 
   if (!user.isActive) {
     return res.status(403).json({ message: "Account deactivated" });
   }
 
   const match = await bcrypt.compare(password, user.password);
-  if (!match) return res.status(401).json({ message: "Invalid credentials" });
+  if (!match) {
+    await registerLoginFailure({ ip, email });
+    return res.status(401).json({ message: "Invalid credentials" });
+  }
 
-  const accessToken = jwt.sign(
-    { userId: user._id, email: user.email },
-    process.env.ACCESS_TOKEN_SECRET,
-    { expiresIn: "15m" }
-  );
+  if (!user.emailVerified) {
+    const settings = await Settings.findOne().select("requireEmailVerification").lean();
+    if (settings?.requireEmailVerification) {
+      return res.status(403).json({
+        message: "Please verify your email address before logging in",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
+  }
 
-  const refreshToken = jwt.sign(
-    { userId: user._id },
-    process.env.REFRESH_TOKEN_SECRET,
-    { expiresIn: "7d" }
-  );
+  // With 2FA on, the password only earns a short-lived challenge token.
+  // Failures are only cleared once the second step passes as well.
+  if (user.twoFactor?.enabled) {
+    return res.json({
+      twoFactorRequired: true,
+      challengeToken: signTwoFactorChallenge(user),
+    });
+  }
+
+  await registerLoginSuccess({ email });
+  await startSession(user, req, res);
+});
+
+// @desc    Second login step: trade the challenge token and a TOTP or recovery code for a session
+// @route   POST /api/auth/login/2fa
+// @access  Public
+const loginTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ message: "All fields are required" });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.ACCESS_TOKEN_SECRET);
+  } catch (error) {
+    return res.status(401).json({ message: "Login challenge expired, please log in again" });
+  }
 
-  user.refreshToken = refreshToken;
+  if (decoded.purpose !== TWO_FACTOR_CHALLENGE) {
+    return res.status(401).json({ message: "Unauthorized" });
+  }
+
+  const user = await User.findById(decoded.sub).select(TWO_FACTOR_SELECT).exec();
+  if (!user || !user.isActive) {
+    return res.status(401).json({ message: "Unauthorized" });
+  }
+
+  // The guard on /login only sees the password step, so check the lock here too
+  const ip = getClientIp(req);
+  const throttle = await checkLogin({ ip, email: user.email });
+  if (throttle.retryAfterMs > 0) {
+    res.set("Retry-After", String(Math.ceil(throttle.retryAfterMs / 1000)));
+    return res.status(429).json({ message: "Too many attempts. Please wait before trying again." });
+  }
+
+  if (!verifySecondFactor(user, { code, recoveryCode })) {
+    await registerLoginFailure({ ip, email: user.email });
+    return res.status(401).json({ message: "Invalid authentication code" });
+  }
   await user.save();
+  await registerLoginSuccess({ email: user.email });
 
-  res.cookie("jwt", refreshToken, {
-    httpOnly: true,
-    secure: true,
-    sameSite: "None",
-    maxAge: 7 * 24 * 60 * 60 * 1000,
+  await startSession(user, req, res, {
+    recoveryCodesRemaining: recoveryCode ? user.twoFactor.recoveryCodes.length : undefined,
   });
+});
+
+// @desc    Start 2FA enrollment; returns the otpauth URI for the authenticator app
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_SELECT).exec();
+
+  if (user.twoFactor.enabled) {
+    return res.status(409).json({ message: "Two-factor authentication is already enabled" });
+  }
+
+  const { secret, otpauthUri } = beginEnrollment(user);
+  await user.save();
 
   res.json({
-    user: {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-    },
-    accessToken,
+    success: true,
+    data: { secret, otpauthUri },
+  });
+});
+
+// @desc    Confirm enrollment with a code from the app and turn 2FA on
+// @route   POST /api/auth/2fa/activate
+// @access  Private
+const activateTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_SELECT).exec();
+
+  if (user.twoFactor.enabled) {
+    return res.status(409).json({ message: "Two-factor authentication is already enabled" });
+  }
+
+  const recoveryCodes = activateEnrollment(user, req.body.code);
+  if (!recoveryCodes) {
+    return res.status(400).json({ message: "Invalid authentication code" });
+  }
+  await user.save();
+
+  // Sessions opened with just a password shouldn't outlive turning 2FA on
+  await revokeAllUserSessions(user._id, { except: req.user.sessionId });
+
+  res.json({
+    success: true,
+    message: "Two-factor authentication enabled. Store these recovery codes somewhere safe.",
+    data: { recoveryCodes },
   });
 });
 
-// Refresh
+// @desc    Replace the recovery codes (requires a current TOTP code)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_SELECT).exec();
+
+  if (!verifySecondFactor(user, { code: req.body.code })) {
+    return res.status(400).json({ message: "Invalid authentication code" });
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = hashes;
+  await user.save();
+
+  res.json({
+    success: true,
+    data: { recoveryCodes: codes },
+  });
+});
+
+// @desc    Turn 2FA off (requires the password and a current code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactorAuth = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  const user = await User.findById(req.user.id)
+    .select(`+password ${TWO_FACTOR_SELECT}`)
+    .exec();
+
+  if (!password || !(await bcrypt.compare(password, user.password))) {
+    return res.status(401).json({ message: "Invalid credentials" });
+  }
+
+  if (!verifySecondFactor(user, { code, recoveryCode })) {
+    return res.status(400).json({ message: "Invalid authentication code" });
+  }
+
+  if (await isTwoFactorRequired(user.roles)) {
+    return res.status(403).json({
+      message: "Your role requires two-factor authentication",
+    });
+  }
+
+  disableTwoFactor(user);
+  await user.save();
+
+  res.json({ success: true, message: "Two-factor authentication disabled" });
+});
+
+// Refresh: rotates the refresh token on every call
 const refresh = asyncHandler(async (req, res) => {
   const cookies = req.cookies;
   if (!cookies?.jwt) return res.status(401).json({ message: "Unauthorized" });
 
-  const refreshToken = cookies.jwt;
-  jwt.verify(
-    refreshToken,
-    process.env.REFRESH_TOKEN_SECRET,
-    asyncHandler(async (err, decoded) => {
-      if (err) return res.status(403).json({ message: "Forbidden" });
-
-      const user = await User.findById(decoded.userId).exec();
-      if (!user) return res.status(401).json({ message: "Unauthorized" });
+  let rotated;
+  try {
+    rotated = await rotateSession(cookies.jwt, req);
+  } catch (error) {
+    if (error instanceof SessionError) {
+      res.clearCookie("jwt", REFRESH_COOKIE_OPTIONS);
+      return res.status(error.statusCode).json({ message: "Forbidden" });
+    }
+    throw error;
+  }
 
-      const accessToken = jwt.sign(
-        { userId: user._id, email: user.email },
-        process.env.ACCESS_TOKEN_SECRET,
-        { expiresIn: "15m" }
-      );
+  const user = await User.findById(rotated.session.user).lean();
+  if (!user || !user.isActive) {
+    await revokeSessionByToken(rotated.token, "logout");
+    res.clearCookie("jwt", REFRESH_COOKIE_OPTIONS);
+    return res.status(401).json({ message: "Unauthorized" });
+  }
 
-      res.json({ accessToken });
-    })
-  );
+  setRefreshCookie(res, rotated.token);
+  res.json({ accessToken: signAccessToken(user, rotated.session.family) });
 });
 
-// Logout
+// Logout: revokes the session server-side as well as clearing the cookie
 const logout = asyncHandler(async (req, res) => {
   const cookies = req.cookies;
   if (!cookies?.jwt) return res.sendStatus(204);
 
-  res.clearCookie("jwt", { httpOnly: true, secure: true, sameSite: "None" });
+  await revokeSessionByToken(cookies.jwt, "logout");
+
+  res.clearCookie("jwt", REFRESH_COOKIE_OPTIONS);
   res.json({ message: "Logged out successfully" });
 });
 
+// @desc    Confirm an email address with the token from the verification email
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = asyncHandler(async (req, res) => {
+  const authToken = await consumeAuthToken(req.body.token, "email_verification");
+  if (!authToken) {
+    return res.status(400).json({ message: "Invalid or expired verification link" });
+  }
+
+  await User.updateOne(
+    { _id: authToken.user },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+  );
+
+  res.json({ success: true, message: "Email verified successfully" });
+});
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/verify-email/resend
+// @access  Public
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  if (!email) return res.status(400).json({ message: "Email is required" });
+
+  const user = await User.findOne({ email: email.toLowerCase().trim() }).lean();
+  if (user && user.isActive && !user.emailVerified) {
+    await sendVerificationEmail(user, req);
+  }
+
+  // Same answer either way so this can't be used to probe for accounts
+  res.json({
+    success: true,
+    message: "If that account needs verifying, a new link is on its way",
+  });
+});
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  if (!email) return res.status(400).json({ message: "Email is required" });
+
+  const user = await User.findOne({ email: email.toLowerCase().trim() }).lean();
+
+  if (user && user.isActive) {
+    try {
+      const token = await createAuthToken(user._id, "password_reset", {
+        ip: getClientIp(req),
+      });
+      const emailTemplate = emailTemplates.passwordReset({
+        name: user.name,
+        link: buildClientLink("/reset-password", token),
+        expiresInMinutes: TOKEN_TTL_MS.password_reset / (60 * 1000),
+      });
+
+      await sendEmail({
+        to: user.email,
+        subject: emailTemplate.subject,
+        html: emailTemplate.html,
+        templateType: "passwordReset",
+      });
+    } catch (error) {
+      console.error(`Failed to send password reset email to ${user.email}:`, error.message);
+    }
+  }
+
+  res.json({
+    success: true,
+    message: "If an account exists for that email, a reset link is on its way",
+  });
+});
+
+// @desc    Set a new password with the token from the reset email
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  if (typeof token !== "string" || typeof password !== "string" || !token || !password) {
+    return res.status(400).json({ message: "All fields are required" });
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    });
+  }
+
+  const authToken = await consumeAuthToken(token, "password_reset");
+  if (!authToken) {
+    return res.status(400).json({ message: "Invalid or expired reset link" });
+  }
+
+  await User.updateOne(
+    { _id: authToken.user },
+    {
+      $set: {
+        password: await bcrypt.hash(password, 10),
+        passwordChangedAt: new Date(),
+      },
+    }
+  );
+
+  await revokeAllUserSessions(authToken.user, { reason: "password_changed" });
+
+  res.json({
+    success: true,
+    message: "Password reset successfully. Please log in with your new password.",
+  });
+});
+
+// @desc    List the signed-in user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await getActiveSessions(req.user.id);
+
+  res.json({
+    success: true,
+    data: sessions.map((session) => ({
+      id: session.family,
+      device: session.device,
+      ip: session.ip,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session.family === req.user.sessionId,
+    })),
+  });
+});
+
+// @desc    Revoke one of the signed-in user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = asyncHandler(async (req, res) => {
+  const revoked = await revokeUserSession(req.user.id, req.params.id);
+
+  if (revoked === 0) {
+    return res.status(404).json({
+      success: false,
+      message: "Session not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    message: "Session revoked",
+  });
+});
+
+// @desc    Revoke every session except the current one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const revoked = await revokeAllUserSessions(req.user.id, {
+    except: req.user.sessionId,
+  });
+
+  res.json({
+    success: true,
+    message: `${revoked} session(s) revoked`,
+    revokedCount: revoked,
+  });
+});
+
 module.exports = {
   signup,
   login,
+  loginTwoFactor,
   refresh,
   logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  setupTwoFactor,
+  activateTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactorAuth,
 };
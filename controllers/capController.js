@@ -0,0 +1,99 @@
+// controllers/capController.js
+const asyncHandler = require("express-async-handler");
+const { CapError } = require("../utils/customErrors");
+const {
+  getCapTimezone,
+  getCappedTargets,
+  getCapStatus,
+  setCaps,
+  releaseCaps,
+} = require("../utils/capService");
+
+const handleCapError = (res, error) => {
+  if (error instanceof CapError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  throw error;
+};
+
+// @desc    List offers and catalog items with a conversion cap in force
+// @route   GET /api/caps
+// @access  Private (stats:read)
+const getCapped = asyncHandler(async (req, res) => {
+  const [timeZone, targets] = await Promise.all([getCapTimezone(), getCappedTargets()]);
+
+  res.json({
+    success: true,
+    data: {
+      timeZone,
+      targets,
+    },
+  });
+});
+
+// @desc    A target's caps, today's and lifetime conversion counts and hits
+// @route   GET /api/caps/:targetType/:id
+// @access  Private (:targetType:read)
+const getTargetCaps = asyncHandler(async (req, res) => {
+  try {
+    const status = await getCapStatus(req.params.targetType, req.params.id);
+
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    handleCapError(res, error);
+  }
+});
+
+// @desc    Replace a target's caps (null clears them)
+// @route   PUT /api/caps/:targetType/:id
+// @access  Private (:targetType:write)
+const updateTargetCaps = asyncHandler(async (req, res) => {
+  try {
+    if (req.body?.caps === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Request body must include caps",
+      });
+    }
+
+    const result = await setCaps(req.params.targetType, req.params.id, req.body.caps);
+
+    res.json({
+      success: true,
+      message: result.resumed ? "Caps updated and target resumed" : "Caps updated",
+      data: result,
+    });
+  } catch (error) {
+    handleCapError(res, error);
+  }
+});
+
+// @desc    Waive the caps reached so far and resume a target they paused
+// @route   POST /api/caps/:targetType/:id/release
+// @access  Private (:targetType:write)
+const releaseTargetCaps = asyncHandler(async (req, res) => {
+  try {
+    const result = await releaseCaps(req.params.targetType, req.params.id);
+
+    res.json({
+      success: true,
+      message: `${result.released} cap(s) released`,
+      data: result,
+    });
+  } catch (error) {
+    handleCapError(res, error);
+  }
+});
+
+module.exports = {
+  getCapped,
+  getTargetCaps,
+  updateTargetCaps,
+  releaseTargetCaps,
+};
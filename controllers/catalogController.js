@@ -0,0 +1,1238 @@
+// controllers/catalogController.js
+// Builds the standard handler set for one catalog type (apps, coupons, games,
+// gift cards) so every type gets the same search, filters, click tracking,
+// rating, stats and batch import. Type controllers pick the handlers they
+// expose and add their own on top.
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const { sanitizeInput } = require("../utils/sanitizeInput");
+const { stripManagedStock } = require("../utils/codeInventoryService");
+const {
+  recordClick,
+  clickThroughRate,
+  getItemClickAnalytics,
+  getTypeClickStats,
+} = require("../utils/clickService");
+const {
+  recordUsage,
+  resolveRange,
+  getUsageSeries,
+  getTrendingByVelocity,
+} = require("../utils/usageService");
+const {
+  CATALOG_STATUSES,
+  canTransition,
+  reconcileStatus,
+  liveFilter,
+  isLive,
+  parseSchedule,
+  initialStatus,
+} = require("../utils/catalogLifecycle");
+const { overrideCapPause } = require("../utils/capService");
+
+const REQUIRED_FIELDS = ["title", "merchant", "image", "logo", "offer", "description"];
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const paginate = (page, limit, total) => ({
+  currentPage: parseInt(page),
+  totalPages: Math.ceil(total / limit),
+  totalItems: total,
+  itemsPerPage: parseInt(limit),
+});
+
+const validationErrors = (error) => Object.values(error.errors).map((val) => val.message);
+
+/**
+ * @param {Object} config
+ * @param {mongoose.Model} config.Model       Catalog discriminator model
+ * @param {string} config.key                 Singular camelCase name ("giftCard")
+ * @param {string} config.pluralKey           Plural camelCase name, also the batch body key ("giftCards")
+ * @param {string} config.label               Singular label for messages ("gift card")
+ * @param {string} config.pluralLabel         Plural label for messages ("gift cards")
+ * @param {"title"|"code"} [config.uniqueField] Field that must be unique per type
+ * @param {string[]} [config.fields]          Type-specific fields accepted on create
+ * @param {string[]} [config.searchFields]    Extra fields matched by ?search=
+ * @param {number} [config.trendingMinUsage]  Default average daily uses needed to trend
+ * @param {string} [config.stockStatKey]      Extra overview key summing itemsLeft
+ */
+const createCatalogController = ({
+  Model,
+  key,
+  pluralKey,
+  label,
+  pluralLabel,
+  uniqueField = "title",
+  fields = [],
+  searchFields = [],
+  trendingMinUsage = 50,
+  stockStatKey,
+}) => {
+  const Label = capitalize(label);
+  const StatsSuffix = capitalize(pluralKey);
+  const idsParam = `${key}Ids`;
+
+  const normalizeUnique = (value) => {
+    if (!value) return null;
+    const trimmed = String(value).trim();
+    return uniqueField === "code" ? trimmed.toUpperCase() : trimmed;
+  };
+
+  const missingFields = (data, { requireUnique }) =>
+    REQUIRED_FIELDS.some((field) => !data[field]) ||
+    !data.action ||
+    !data.action.actionLink ||
+    (requireUnique && uniqueField !== "title" && !data[uniqueField]);
+
+  const requiredMessage = () => {
+    const names = uniqueField === "title" ? REQUIRED_FIELDS : [...REQUIRED_FIELDS, uniqueField];
+    return `${capitalize(names.join(", "))}, action, and actionLink are required`;
+  };
+
+  // Range checks shared by single and batch create
+  const checkValues = ({ rating, totalRatings, itemsLeft }) => {
+    if (rating !== undefined && rating !== null && (rating < 0 || rating > 5)) {
+      return "Rating must be between 0 and 5";
+    }
+    if (totalRatings !== undefined && totalRatings < 0) {
+      return "Total ratings cannot be negative";
+    }
+    if (itemsLeft !== undefined && itemsLeft < 0) {
+      return "Items left cannot be negative";
+    }
+    return null;
+  };
+
+  // Everything create and batch import need beyond the raw fields: range
+  // checks, parsed dates and the starting status. Returns { error } or
+  // { schedule, status }.
+  const prepareNew = (data) => {
+    const invalid = checkValues(data);
+    if (invalid) return { error: invalid };
+
+    const { schedule, error } = parseSchedule(data);
+    if (error) return { error };
+
+    const initial = initialStatus(data.status, schedule);
+    if (initial.error) return { error: initial.error };
+
+    return { schedule, status: initial.status };
+  };
+
+  const buildItem = (data, { schedule, status }) => {
+    const item = {
+      title: data.title.trim(),
+      merchant: data.merchant.trim(),
+      image: data.image,
+      logo: data.logo,
+      offer: data.offer,
+      description: data.description,
+      rating: data.rating ?? 0,
+      totalRatings: data.totalRatings ?? 0,
+      itemsLeft: data.itemsLeft ?? 0,
+      status,
+      statusChangedAt: new Date(),
+      startsAt: schedule.startsAt || null,
+      expiresAt: schedule.expiresAt || null,
+      verified: data.verified ?? false,
+      details: data.details || data.description,
+      badge: data.badge || undefined,
+      action: data.action,
+    };
+
+    fields.forEach((field) => {
+      if (data[field] !== undefined) item[field] = data[field];
+    });
+
+    if (uniqueField !== "title" && data[uniqueField]) {
+      item[uniqueField] = normalizeUnique(data[uniqueField]);
+    }
+    return item;
+  };
+
+  const buildSearch = (search, searchOn) => ({
+    $or: [...searchOn, ...searchFields].map((field) => ({
+      [field]: { $regex: search, $options: "i" },
+    })),
+  });
+
+  const listResponse = async (res, filter, { page, limit, sort, extra = {} }) => {
+    const [items, total] = await Promise.all([
+      Model.find(filter)
+        .sort(sort)
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .exec(),
+      Model.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: items,
+      ...extra,
+      pagination: paginate(page, limit, total),
+    });
+  };
+
+  const sortFrom = (sortBy, sortOrder) => ({ [sortBy]: sortOrder === "desc" ? -1 : 1 });
+
+  // Search and filter query shared by the public and admin listings
+  const buildListFilter = ({
+    search,
+    merchant,
+    minRating,
+    maxRating,
+    minItemsLeft,
+    maxItemsLeft,
+    verified,
+    badge,
+  }) => {
+    const filter = search ? buildSearch(search, ["title", "description", "details"]) : {};
+
+    if (merchant) {
+      filter.merchant = { $regex: merchant, $options: "i" };
+    }
+
+    if (minRating !== undefined || maxRating !== undefined) {
+      filter.rating = {};
+      if (minRating !== undefined) filter.rating.$gte = Number(minRating);
+      if (maxRating !== undefined) filter.rating.$lte = Number(maxRating);
+    }
+
+    if (minItemsLeft !== undefined || maxItemsLeft !== undefined) {
+      filter.itemsLeft = {};
+      if (minItemsLeft !== undefined) filter.itemsLeft.$gte = Number(minItemsLeft);
+      if (maxItemsLeft !== undefined) filter.itemsLeft.$lte = Number(maxItemsLeft);
+    }
+
+    if (verified !== undefined) {
+      filter.verified = verified === "true";
+    }
+
+    if (badge) {
+      filter.badge = badge;
+    }
+
+    return filter;
+  };
+
+  // @desc    List live items with optional search and filters
+  // @route   GET /api/:type
+  // @access  Public
+  const getAll = asyncHandler(async (req, res) => {
+    try {
+      const { page = 1, limit = 10, sortBy = "createdAt", sortOrder = "desc" } = req.query;
+      const filter = { ...buildListFilter(req.query), ...liveFilter() };
+
+      await listResponse(res, filter, { page, limit, sort: sortFrom(sortBy, sortOrder) });
+    } catch (error) {
+      console.error(`Get all ${pluralLabel} error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Server error while fetching ${pluralLabel}`,
+      });
+    }
+  });
+
+  // @desc    List items in any status, optionally only some (?status=draft,paused)
+  // @route   GET /api/:type/manage
+  // @access  Private (:type:read)
+  const getAllForAdmin = asyncHandler(async (req, res) => {
+    try {
+      const { page = 1, limit = 10, status, sortBy = "createdAt", sortOrder = "desc" } = req.query;
+      const filter = buildListFilter(req.query);
+
+      if (status) {
+        const statuses = String(status).split(",");
+        const unknown = statuses.filter((value) => !CATALOG_STATUSES.includes(value));
+        if (unknown.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: `Unknown status(es): ${unknown.join(", ")}. Valid statuses: ${CATALOG_STATUSES.join(", ")}`,
+          });
+        }
+        filter.status = { $in: statuses };
+      }
+
+      await listResponse(res, filter, { page, limit, sort: sortFrom(sortBy, sortOrder) });
+    } catch (error) {
+      console.error(`Get all ${pluralLabel} for admin error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Server error while fetching ${pluralLabel}`,
+      });
+    }
+  });
+
+  // @desc    Get a single live item (drafts, scheduled and expired items 404)
+  // @route   GET /api/:type/:id
+  // @access  Public
+  const getOne = asyncHandler(async (req, res) => {
+    try {
+      const item = await Model.findById(req.params.id);
+
+      if (!item || !isLive(item)) {
+        return res.status(404).json({
+          success: false,
+          message: `${Label} not found`,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: item,
+      });
+    } catch (error) {
+      console.error(`Get ${label} error:`, error);
+      if (error.name === "CastError") {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${label} ID`,
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: `Server error while fetching ${label}`,
+      });
+    }
+  });
+
+  // @desc    Create an item
+  // @route   POST /api/:type
+  // @access  Private (:type:write)
+  const create = asyncHandler(async (req, res) => {
+    try {
+      const sanitizedBody = sanitizeInput(req.body);
+
+      if (missingFields(sanitizedBody, { requireUnique: true })) {
+        return res.status(400).json({
+          success: false,
+          message: requiredMessage(),
+        });
+      }
+
+      const uniqueValue = normalizeUnique(sanitizedBody[uniqueField]);
+      const existing = await Model.findOne({ [uniqueField]: uniqueValue });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: `${Label} with this ${uniqueField} already exists`,
+        });
+      }
+
+      const prepared = prepareNew(sanitizedBody);
+      if (prepared.error) {
+        return res.status(400).json({
+          success: false,
+          message: prepared.error,
+        });
+      }
+
+      const savedItem = await new Model(buildItem(sanitizedBody, prepared)).save();
+
+      res.status(201).json({
+        success: true,
+        message: `${Label} created successfully`,
+        data: savedItem,
+      });
+    } catch (error) {
+      console.error(`Create ${label} error:`, error);
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: validationErrors(error),
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: `Server error while creating ${label}`,
+      });
+    }
+  });
+
+  // @desc    Import many items at once; valid entries are saved even if others fail
+  // @route   POST /api/:type/batch
+  // @access  Private (:type:write or a catalog:import API key)
+  const batchCreate = asyncHandler(async (req, res) => {
+    const entries = req.body?.[pluralKey];
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Request body must include a non-empty '${pluralKey}' array`,
+      });
+    }
+
+    const uniqueValues = entries.map((entry) => normalizeUnique(entry?.[uniqueField])).filter(Boolean);
+    const existingValues = new Set();
+    if (uniqueValues.length > 0) {
+      const existing = await Model.find({ [uniqueField]: { $in: uniqueValues } }).select(uniqueField);
+      existing.forEach((item) => existingValues.add(item[uniqueField]));
+    }
+
+    const batchValues = new Set();
+    const validItems = [];
+    const positions = [];
+    const errors = [];
+
+    entries.forEach((entry, index) => {
+      const sanitized = sanitizeInput(entry) || {};
+      const uniqueValue = normalizeUnique(sanitized[uniqueField]);
+      const fail = (error, details) =>
+        errors.push({
+          index: index + 1,
+          [uniqueField]: uniqueValue || "N/A",
+          error,
+          ...(details && { details }),
+        });
+
+      if (missingFields(sanitized, { requireUnique: false })) {
+        return fail(requiredMessage());
+      }
+
+      if (uniqueValue) {
+        if (existingValues.has(uniqueValue)) {
+          return fail(`${Label} with this ${uniqueField} already exists in database`);
+        }
+        if (batchValues.has(uniqueValue)) {
+          return fail(`Duplicate ${uniqueField} within batch`);
+        }
+      }
+
+      const prepared = prepareNew(sanitized);
+      if (prepared.error) {
+        return fail(prepared.error);
+      }
+
+      const item = new Model(buildItem(sanitized, prepared));
+      const validationError = item.validateSync();
+      if (validationError) {
+        return fail("Validation error", validationErrors(validationError));
+      }
+
+      if (uniqueValue) batchValues.add(uniqueValue);
+      validItems.push(item);
+      positions.push(index);
+    });
+
+    const respond = (inserted) => {
+      const successful = inserted.length;
+      const failed = entries.length - successful;
+      const statusCode = successful === 0 ? 400 : failed === 0 ? 201 : 207;
+
+      res.status(statusCode).json({
+        success: successful > 0,
+        message: `Batch import complete: ${successful} ${pluralLabel} created, ${failed} failed`,
+        summary: {
+          total: entries.length,
+          successful,
+          failed,
+        },
+        data: inserted,
+        ...(errors.length > 0 && { errors }),
+      });
+    };
+
+    if (validItems.length === 0) {
+      return respond([]);
+    }
+
+    try {
+      const inserted = await Model.insertMany(validItems, { ordered: false });
+      respond(inserted);
+    } catch (error) {
+      if (error.name !== "MongoBulkWriteError") {
+        console.error(`Batch create ${pluralLabel} error:`, error);
+        return res.status(500).json({
+          success: false,
+          message: `Server error while batch creating ${pluralLabel}`,
+          error: error.message,
+        });
+      }
+
+      // Report database-level failures against the caller's original positions
+      (error.writeErrors || []).forEach((writeError) => {
+        errors.push({
+          index: positions[writeError.index] + 1,
+          [uniqueField]: validItems[writeError.index]?.[uniqueField] || "N/A",
+          error: writeError.errmsg,
+        });
+      });
+      respond(error.insertedDocs || []);
+    }
+  });
+
+  // @desc    Update an item
+  // @route   PUT /api/:type/:id
+  // @access  Private (:type:write)
+  const update = asyncHandler(async (req, res) => {
+    try {
+      const sanitizedBody = sanitizeInput(req.body);
+
+      const item = await Model.findById(req.params.id);
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: `${Label} not found`,
+        });
+      }
+
+      const uniqueValue = normalizeUnique(sanitizedBody[uniqueField]);
+      if (uniqueValue && uniqueValue !== item[uniqueField]) {
+        const existing = await Model.findOne({ [uniqueField]: uniqueValue });
+        if (existing) {
+          return res.status(409).json({
+            success: false,
+            message: `${Label} with this ${uniqueField} already exists`,
+          });
+        }
+        sanitizedBody[uniqueField] = uniqueValue;
+      }
+
+      if (
+        sanitizedBody.rating !== undefined &&
+        (sanitizedBody.rating < 0 || sanitizedBody.rating > 5)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Rating must be between 0 and 5",
+        });
+      }
+
+      // Click counters are only written by click tracking, usage by the usage
+      // service, status only through the status endpoint or the scheduler and
+      // caps through /api/caps
+      const {
+        totalClicks,
+        uniqueClicks,
+        kind,
+        status,
+        statusChangedAt,
+        usedToday,
+        usageDay,
+        startsAt,
+        expiresAt,
+        expiry,
+        caps,
+        capHits,
+        capPausedAt,
+        ...changes
+      } = sanitizedBody;
+
+      const { schedule, error: scheduleError } = parseSchedule({ startsAt, expiresAt, expiry });
+      if (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          message: scheduleError,
+        });
+      }
+
+      const dates = {
+        startsAt: schedule.startsAt !== undefined ? schedule.startsAt : item.startsAt,
+        expiresAt: schedule.expiresAt !== undefined ? schedule.expiresAt : item.expiresAt,
+      };
+      if (dates.startsAt && dates.expiresAt && dates.startsAt >= dates.expiresAt) {
+        return res.status(400).json({
+          success: false,
+          message: "startsAt must be before expiresAt",
+        });
+      }
+
+      // Moving the dates can publish, schedule or expire the item
+      Object.assign(changes, schedule);
+      const nextStatus = reconcileStatus({ status: item.status, ...dates });
+      if (nextStatus !== item.status) {
+        changes.status = nextStatus;
+        changes.statusChangedAt = new Date();
+      }
+
+      const updatedItem = await Model.findByIdAndUpdate(
+        req.params.id,
+        stripManagedStock(item, changes),
+        { new: true, runValidators: true }
+      );
+
+      res.json({
+        success: true,
+        message: `${Label} updated successfully`,
+        data: updatedItem,
+      });
+    } catch (error) {
+      console.error(`Update ${label} error:`, error);
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: validationErrors(error),
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: `Server error while updating ${label}`,
+      });
+    }
+  });
+
+  // @desc    Move an item through its lifecycle (publish, pause, archive...)
+  // @route   PATCH /api/:type/:id/status
+  // @access  Private (:type:write)
+  const setStatus = asyncHandler(async (req, res) => {
+    try {
+      const { status } = req.body || {};
+
+      if (!CATALOG_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Status must be one of: ${CATALOG_STATUSES.join(", ")}`,
+        });
+      }
+
+      const item = await Model.findById(req.params.id);
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: `${Label} not found`,
+        });
+      }
+
+      if (!canTransition(item.status, status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot move a ${label} from ${item.status} to ${status}`,
+        });
+      }
+
+      // Publishing defers to the dates: a future start schedules the item
+      // and a past expiry refuses
+      let nextStatus = status;
+      if (status === "live" || status === "scheduled") {
+        nextStatus = reconcileStatus({ status, startsAt: item.startsAt, expiresAt: item.expiresAt });
+        if (nextStatus === "expired") {
+          return res.status(409).json({
+            success: false,
+            message: `This ${label} has expired; move its expiresAt forward first`,
+          });
+        }
+        if (status === "scheduled" && nextStatus !== "scheduled") {
+          return res.status(400).json({
+            success: false,
+            message: "A scheduled item needs a future startsAt",
+          });
+        }
+      }
+
+      item.status = nextStatus;
+      item.statusChangedAt = new Date();
+      overrideCapPause(item, nextStatus === "live");
+      await item.save();
+
+      res.json({
+        success: true,
+        message: `${Label} is now ${nextStatus}`,
+        data: item,
+      });
+    } catch (error) {
+      console.error(`Set ${label} status error:`, error);
+      if (error.name === "CastError") {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${label} ID`,
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: `Server error while updating ${label} status`,
+      });
+    }
+  });
+
+  // @desc    Delete an item
+  // @route   DELETE /api/:type/:id
+  // @access  Private (:type:write)
+  const remove = asyncHandler(async (req, res) => {
+    try {
+      const item = await Model.findByIdAndDelete(req.params.id);
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: `${Label} not found`,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `${Label} deleted successfully`,
+      });
+    } catch (error) {
+      console.error(`Delete ${label} error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Server error while deleting ${label}`,
+      });
+    }
+  });
+
+  // @desc    Verified items above a rating floor
+  // @route   GET /api/:type/verified
+  // @access  Public
+  const getVerified = asyncHandler(async (req, res) => {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        search,
+        minRating = 4.0,
+        sortBy = "rating",
+        sortOrder = "desc",
+      } = req.query;
+
+      const filter = {
+        verified: true,
+        rating: { $gte: Number(minRating) },
+        ...(search && buildSearch(search, ["title", "description"])),
+        ...liveFilter(),
+      };
+
+      await listResponse(res, filter, { page, limit, sort: sortFrom(sortBy, sortOrder) });
+    } catch (error) {
+      console.error(`Get verified ${pluralLabel} error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Server error while fetching verified ${pluralLabel}`,
+      });
+    }
+  });
+
+  // @desc    Items with a given badge
+  // @route   GET /api/:type/category/:badge
+  // @access  Public
+  const getByBadge = asyncHandler(async (req, res) => {
+    try {
+      const { badge } = req.params;
+      const {
+        page = 1,
+        limit = 10,
+        verified = true,
+        sortBy = "rating",
+        sortOrder = "desc",
+      } = req.query;
+
+      const filter = { badge, ...liveFilter() };
+      if (verified) {
+        filter.verified = true;
+      }
+
+      await listResponse(res, filter, {
+        page,
+        limit,
+        sort: sortFrom(sortBy, sortOrder),
+        extra: { badge },
+      });
+    } catch (error) {
+      console.error(`Get ${pluralLabel} by badge error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Server error while fetching ${pluralLabel} by category`,
+      });
+    }
+  });
+
+  // @desc    Items from a merchant
+  // @route   GET /api/:type/merchant/:merchant
+  // @access  Public
+  const getByMerchant = asyncHandler(async (req, res) => {
+    try {
+      const { merchant } = req.params;
+      const {
+        page = 1,
+        limit = 10,
+        verified = true,
+        sortBy = "rating",
+        sortOrder = "desc",
+      } = req.query;
+
+      const filter = { merchant: { $regex: merchant, $options: "i" }, ...liveFilter() };
+      if (verified) {
+        filter.verified = true;
+      }
+
+      await listResponse(res, filter, {
+        page,
+        limit,
+        sort: sortFrom(sortBy, sortOrder),
+        extra: { merchant },
+      });
+    } catch (error) {
+      console.error(`Get ${pluralLabel} by merchant error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Server error while fetching ${pluralLabel} by merchant`,
+      });
+    }
+  });
+
+  // @desc    Verified live items ranked by uses over the last few days
+  // @route   GET /api/:type/trending
+  // @access  Public
+  const getTrending = asyncHandler(async (req, res) => {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        minRating = 4.5,
+        minUsage = trendingMinUsage,
+        days = 7,
+      } = req.query;
+
+      const windowDays = Math.min(Math.max(parseInt(days) || 7, 1), 90);
+      const { items, total } = await getTrendingByVelocity(Model.modelName, {
+        days: windowDays,
+        minDailyUses: Number(minUsage),
+        match: {
+          kind: Model.modelName,
+          verified: true,
+          rating: { $gte: Number(minRating) },
+          ...liveFilter(),
+        },
+        page: Number(page),
+        limit: Number(limit),
+      });
+
+      res.json({
+        success: true,
+        data: items.map(({ item, velocity }) => ({
+          ...Model.hydrate(item).toJSON(),
+          velocity,
+        })),
+        pagination: paginate(page, limit, total),
+      });
+    } catch (error) {
+      console.error(`Get trending ${pluralLabel} error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Server error while fetching trending ${pluralLabel}`,
+      });
+    }
+  });
+
+  // @desc    Record a use of an item
+  // @route   PATCH /api/:type/:id/use
+  // @access  Public
+  const incrementUsage = asyncHandler(async (req, res) => {
+    try {
+      const item = await Model.findById(req.params.id);
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: `${Label} not found`,
+        });
+      }
+
+      if (!isLive(item)) {
+        return res.status(400).json({
+          success: false,
+          message: `This ${label} is not available`,
+        });
+      }
+
+      // Pool-backed stock only moves with its codes; otherwise take one unit
+      // without letting concurrent uses push the stock below zero
+      const inStock = item.inventory?.codePool
+        ? item.itemsLeft > 0
+        : await Model.findOneAndUpdate(
+            { _id: item._id, itemsLeft: { $gt: 0 } },
+            { $inc: { itemsLeft: -1 } }
+          );
+
+      if (!inStock) {
+        return res.status(400).json({
+          success: false,
+          message: `No items left for this ${label}`,
+        });
+      }
+
+      const updatedItem = await recordUsage(item);
+
+      res.json({
+        success: true,
+        message: `${Label} usage incremented successfully`,
+        data: updatedItem,
+      });
+    } catch (error) {
+      console.error(`Increment ${label} usage error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Server error while updating ${label} usage`,
+      });
+    }
+  });
+
+  // @desc    Daily usage series for one item (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+  // @route   GET /api/:type/:id/usage
+  // @access  Private (:type:read or a catalog:read API key)
+  const getUsage = asyncHandler(async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${label} ID`,
+        });
+      }
+
+      const range = await resolveRange(req.query);
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error,
+        });
+      }
+
+      const item = await Model.findById(id).select("title usedToday usageDay");
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: `${Label} not found`,
+        });
+      }
+
+      const usage = await getUsageSeries(item._id, range);
+
+      res.json({
+        success: true,
+        data: {
+          [key]: {
+            _id: item._id,
+            title: item.title,
+            usedToday: item.usedToday,
+          },
+          timezone: range.timeZone,
+          period: { from: range.from, to: range.to },
+          ...usage,
+        },
+      });
+    } catch (error) {
+      console.error(`Get ${label} usage error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Server error while fetching ${label} usage`,
+      });
+    }
+  });
+
+  // @desc    Add a rating to an item's running average
+  // @route   PATCH /api/:type/:id/rate
+  // @access  Public
+  const rate = asyncHandler(async (req, res) => {
+    try {
+      const rating = Number(req.body?.rating);
+
+      if (!rating || rating < 0 || rating > 5) {
+        return res.status(400).json({
+          success: false,
+          message: "Rating must be between 0 and 5",
+        });
+      }
+
+      const item = await Model.findById(req.params.id);
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: `${Label} not found`,
+        });
+      }
+
+      const newTotalRatings = item.totalRatings + 1;
+      const newRating = (item.rating * item.totalRatings + rating) / newTotalRatings;
+
+      const updatedItem = await Model.findByIdAndUpdate(
+        req.params.id,
+        {
+          rating: parseFloat(newRating.toFixed(1)),
+          totalRatings: newTotalRatings,
+        },
+        { new: true, runValidators: true }
+      );
+
+      res.json({
+        success: true,
+        message: `${Label} rating updated successfully`,
+        data: updatedItem,
+      });
+    } catch (error) {
+      console.error(`Update ${label} rating error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Server error while updating ${label} rating`,
+      });
+    }
+  });
+
+  // @desc    Overview, merchant and badge statistics
+  // @route   GET /api/:type/stats/overview
+  // @access  Private (:type:read or a catalog:read API key)
+  const getStats = asyncHandler(async (req, res) => {
+    try {
+      const totalKey = `total${StatsSuffix}`;
+      const verifiedKey = `verified${StatsSuffix}`;
+
+      const [stats, merchantStats, badgeStats, statusStats] = await Promise.all([
+        Model.aggregate([
+          {
+            $group: {
+              _id: null,
+              [totalKey]: { $sum: 1 },
+              totalRatings: { $sum: "$totalRatings" },
+              avgRating: { $avg: "$rating" },
+              totalUsedToday: { $sum: "$usedToday" },
+              totalItemsLeft: { $sum: "$itemsLeft" },
+              totalClicks: { $sum: "$totalClicks" },
+              [verifiedKey]: { $sum: { $cond: ["$verified", 1, 0] } },
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              [totalKey]: 1,
+              totalRatings: 1,
+              avgRating: { $round: ["$avgRating", 1] },
+              totalUsedToday: 1,
+              totalItemsLeft: 1,
+              totalClicks: 1,
+              [verifiedKey]: 1,
+              [`unverified${StatsSuffix}`]: { $subtract: [`$${totalKey}`, `$${verifiedKey}`] },
+              ...(stockStatKey && { [stockStatKey]: "$totalItemsLeft" }),
+            },
+          },
+        ]),
+        Model.aggregate([
+          {
+            $group: {
+              _id: "$merchant",
+              count: { $sum: 1 },
+              avgRating: { $avg: "$rating" },
+              totalUsed: { $sum: "$usedToday" },
+              totalAvailable: { $sum: "$itemsLeft" },
+            },
+          },
+          {
+            $project: {
+              merchant: "$_id",
+              count: 1,
+              avgRating: { $round: ["$avgRating", 1] },
+              totalUsed: 1,
+              totalAvailable: 1,
+              _id: 0,
+            },
+          },
+          { $sort: { count: -1 } },
+          { $limit: 10 },
+        ]),
+        Model.aggregate([
+          { $match: { badge: { $ne: null } } },
+          {
+            $group: {
+              _id: "$badge",
+              count: { $sum: 1 },
+              avgRating: { $avg: "$rating" },
+              totalUsed: { $sum: "$usedToday" },
+            },
+          },
+          {
+            $project: {
+              badge: "$_id",
+              count: 1,
+              avgRating: { $round: ["$avgRating", 1] },
+              totalUsed: 1,
+              _id: 0,
+            },
+          },
+          { $sort: { count: -1 } },
+        ]),
+        Model.aggregate([
+          { $group: { _id: "$status", count: { $sum: 1 } } },
+          { $project: { status: "$_id", count: 1, _id: 0 } },
+          { $sort: { count: -1 } },
+        ]),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          overview: stats[0] || {},
+          merchants: merchantStats,
+          badges: badgeStats,
+          statuses: statusStats,
+        },
+      });
+    } catch (error) {
+      console.error(`Get ${label} stats error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Server error while fetching ${label} statistics`,
+      });
+    }
+  });
+
+  // @desc    Record a click on an item's action link
+  // @route   POST /api/:type/:id/track-click
+  // @access  Public
+  const trackClick = asyncHandler(async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${label} ID`,
+        });
+      }
+
+      const result = await recordClick(Model, id, req);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: `${Label} not found`,
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          [`${key}Id`]: result.item._id,
+          totalClicks: result.item.totalClicks,
+          uniqueClicks: result.item.uniqueClicks,
+          isUnique: result.isUnique,
+          // Pass on to the provider link (or createOfferCompletion) for attribution
+          clickId: result.clickId,
+        },
+      });
+    } catch (error) {
+      console.error(`${Label} click tracking error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to track ${label} click`,
+        error: error.message,
+      });
+    }
+  });
+
+  // @desc    Click breakdown for one item by day, country, device and referrer
+  // @route   GET /api/:type/:id/analytics/clicks
+  // @access  Private (:type:read or a catalog:read API key)
+  const getClickAnalytics = asyncHandler(async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { days = 30, groupBy = "day" } = req.query;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${label} ID`,
+        });
+      }
+
+      const item = await Model.findById(id).select("title totalClicks uniqueClicks lastClicked");
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: `${Label} not found`,
+        });
+      }
+
+      const startDate = new Date();
+      startDate.setDate(startDate.getDate() - parseInt(days));
+
+      const analytics = await getItemClickAnalytics(item._id, { startDate, groupBy });
+
+      res.json({
+        success: true,
+        data: {
+          [key]: {
+            _id: item._id,
+            title: item.title,
+            totalClicks: item.totalClicks,
+            uniqueClicks: item.uniqueClicks,
+            lastClicked: item.lastClicked,
+            clickThroughRate: clickThroughRate(item.uniqueClicks, item.totalClicks),
+          },
+          ...analytics,
+          period: {
+            start: startDate,
+            end: new Date(),
+            days: parseInt(days),
+          },
+        },
+      });
+    } catch (error) {
+      console.error(`${Label} click analytics error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to fetch ${label} click analytics`,
+        error: error.message,
+      });
+    }
+  });
+
+  // @desc    Click totals across items, most recently clicked first
+  // @route   GET /api/:type/analytics/clicks
+  // @access  Private (:type:read or a catalog:read API key)
+  const getClickStats = asyncHandler(async (req, res) => {
+    try {
+      const { days = 30 } = req.query;
+      const ids = req.query[idsParam] || req.query.ids;
+
+      const startDate = new Date();
+      startDate.setDate(startDate.getDate() - parseInt(days));
+
+      const itemStats = await getTypeClickStats(Model, {
+        ids: ids ? (Array.isArray(ids) ? ids : ids.split(",")) : null,
+        startDate,
+      });
+
+      res.json({
+        success: true,
+        data: itemStats,
+      });
+    } catch (error) {
+      console.error(`${Label} click stats error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to fetch ${pluralLabel} click statistics`,
+        error: error.message,
+      });
+    }
+  });
+
+  return {
+    getAll,
+    getAllForAdmin,
+    getOne,
+    create,
+    batchCreate,
+    update,
+    setStatus,
+    remove,
+    getVerified,
+    getByBadge,
+    getByMerchant,
+    getTrending,
+    incrementUsage,
+    getUsage,
+    rate,
+    getStats,
+    trackClick,
+    getClickAnalytics,
+    getClickStats,
+  };
+};
+
+module.exports = { createCatalogController };
@@ -0,0 +1,231 @@
+// controllers/codeInventoryController.js
+const asyncHandler = require("express-async-handler");
+const RewardCode = require("../model/RewardCode");
+const { InventoryError } = require("../utils/customErrors");
+const {
+  ITEM_MODELS,
+  resolveItemType,
+  findItem,
+  importCodes,
+  syncItemsLeft,
+  checkLowStock,
+  issueCode,
+  burnCode,
+  expireCodes,
+  getLowStockItems,
+} = require("../utils/codeInventoryService");
+
+const MAX_CODES_PER_IMPORT = 50000;
+
+const handleInventoryError = (res, error) => {
+  if (error instanceof InventoryError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  throw error;
+};
+
+// @desc    List an item's codes with counts per state
+// @route   GET /api/codes/:itemType/:itemId
+// @access  Private/Admin
+const getItemCodes = asyncHandler(async (req, res) => {
+  try {
+    const itemType = resolveItemType(req.params.itemType);
+    const item = await findItem(itemType, req.params.itemId);
+    const { page = 1, limit = 50, status, batch, search } = req.query;
+
+    const filter = { itemType, item: item._id };
+    if (status) filter.status = status;
+    if (batch) filter.batch = batch;
+    if (search) filter.code = { $regex: search, $options: "i" };
+
+    const [codes, total, counts] = await Promise.all([
+      RewardCode.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      RewardCode.countDocuments(filter),
+      RewardCode.countByStatus(itemType, item._id),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        item: {
+          _id: item._id,
+          title: item.title,
+          itemsLeft: item.itemsLeft,
+          inventory: item.inventory,
+        },
+        counts,
+        codes,
+      },
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: parseInt(limit),
+      },
+    });
+  } catch (error) {
+    handleInventoryError(res, error);
+  }
+});
+
+// @desc    Bulk import codes from a JSON array or a CSV upload
+// @route   POST /api/codes/:itemType/:itemId/import
+// @access  Private/Admin
+const importItemCodes = asyncHandler(async (req, res) => {
+  try {
+    const itemType = resolveItemType(req.params.itemType);
+
+    // text/csv bodies arrive as a string; JSON as { codes, expiresAt, batch }
+    const isCsv = typeof req.body === "string";
+    const codes = isCsv ? req.body : req.body?.codes;
+    const { expiresAt, batch } = isCsv ? req.query : req.body || {};
+
+    if (!codes || codes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide a codes array or a CSV body",
+      });
+    }
+
+    if (Array.isArray(codes) && codes.length > MAX_CODES_PER_IMPORT) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot import more than ${MAX_CODES_PER_IMPORT} codes at once`,
+      });
+    }
+
+    const result = await importCodes({
+      itemType,
+      itemId: req.params.itemId,
+      codes,
+      expiresAt,
+      batch,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${result.added} codes imported`,
+      data: result,
+    });
+  } catch (error) {
+    handleInventoryError(res, error);
+  }
+});
+
+// @desc    Issue a single code from an item's pool
+// @route   POST /api/codes/:itemType/:itemId/issue
+// @access  Private/Admin
+const issueItemCode = asyncHandler(async (req, res) => {
+  try {
+    const itemType = resolveItemType(req.params.itemType);
+    const rewardCode = await issueCode({
+      itemType,
+      itemId: req.params.itemId,
+      email: req.body?.email,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Code issued successfully",
+      data: rewardCode,
+    });
+  } catch (error) {
+    handleInventoryError(res, error);
+  }
+});
+
+// @desc    Update an item's low stock threshold
+// @route   PATCH /api/codes/:itemType/:itemId/settings
+// @access  Private/Admin
+const updateInventorySettings = asyncHandler(async (req, res) => {
+  try {
+    const itemType = resolveItemType(req.params.itemType);
+    const item = await findItem(itemType, req.params.itemId);
+    const { lowStockThreshold } = req.body || {};
+
+    if (!Number.isInteger(lowStockThreshold) || lowStockThreshold < 0) {
+      return res.status(400).json({
+        success: false,
+        message: "lowStockThreshold must be a non-negative whole number",
+      });
+    }
+
+    await ITEM_MODELS[itemType].updateOne(
+      { _id: item._id },
+      { $set: { "inventory.lowStockThreshold": lowStockThreshold } }
+    );
+    await syncItemsLeft(itemType, item._id);
+    await checkLowStock(itemType, item._id);
+
+    const updated = await ITEM_MODELS[itemType]
+      .findById(item._id)
+      .select("title itemsLeft inventory");
+
+    res.json({
+      success: true,
+      message: "Inventory settings updated",
+      data: updated,
+    });
+  } catch (error) {
+    handleInventoryError(res, error);
+  }
+});
+
+// @desc    Burn (revoke) a code that has not been issued
+// @route   PATCH /api/codes/:id/burn
+// @access  Private/Admin
+const burnRewardCode = asyncHandler(async (req, res) => {
+  try {
+    const rewardCode = await burnCode(req.params.id, { reason: req.body?.reason });
+
+    res.json({
+      success: true,
+      message: "Code burned successfully",
+      data: rewardCode,
+    });
+  } catch (error) {
+    handleInventoryError(res, error);
+  }
+});
+
+// @desc    Expire available codes past their expiry date
+// @route   POST /api/codes/expire
+// @access  Private/Admin
+const expireRewardCodes = asyncHandler(async (req, res) => {
+  const result = await expireCodes();
+
+  res.json({
+    success: true,
+    message: `${result.expired} codes expired across ${result.items} items`,
+    data: result,
+  });
+});
+
+// @desc    Pool-backed items at or below their low stock threshold
+// @route   GET /api/codes/low-stock
+// @access  Private/Admin
+const getLowStock = asyncHandler(async (req, res) => {
+  const items = await getLowStockItems();
+
+  res.json({
+    success: true,
+    count: items.length,
+    data: items,
+  });
+});
+
+module.exports = {
+  getItemCodes,
+  importItemCodes,
+  issueItemCode,
+  updateInventorySettings,
+  burnRewardCode,
+  expireRewardCodes,
+  getLowStock,
+};
@@ -0,0 +1,61 @@
+// controllers/lockoutController.js
+const asyncHandler = require("express-async-handler");
+const { listAttempts, clearAttempts, keyFor } = require("../utils/bruteForceService");
+
+// @desc    List failed-attempt counters and active lockouts
+// @route   GET /api/admin/lockouts
+// @access  Private (users:read)
+const getLockouts = asyncHandler(async (req, res) => {
+  const { lockedOnly = "true", limit = 100 } = req.query;
+
+  const attempts = await listAttempts({
+    lockedOnly: lockedOnly === "true",
+    limit: Math.min(parseInt(limit) || 100, 500),
+  });
+
+  const now = Date.now();
+  res.json({
+    success: true,
+    data: attempts.map((attempt) => ({
+      key: attempt.key,
+      scope: attempt.scope,
+      failures: attempt.failures,
+      lastFailureAt: attempt.lastFailureAt,
+      lockedUntil: attempt.lockedUntil,
+      locked: Boolean(attempt.lockedUntil && attempt.lockedUntil.getTime() > now),
+      lockCount: attempt.lockCount,
+    })),
+  });
+});
+
+// @desc    Clear a lockout by key, or by email / ip
+// @route   DELETE /api/admin/lockouts
+// @access  Private (users:write)
+const clearLockout = asyncHandler(async (req, res) => {
+  const { key, email, ip } = req.body;
+
+  const keys = [];
+  if (key) keys.push(key);
+  if (email) keys.push(keyFor("account", email));
+  if (ip) keys.push(keyFor("ip", ip), keyFor("signup", ip));
+
+  if (keys.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Provide a key, email or ip to clear",
+    });
+  }
+
+  const cleared = await Promise.all(keys.map(clearAttempts));
+
+  res.json({
+    success: true,
+    message: "Lockout cleared",
+    clearedCount: cleared.filter(Boolean).length,
+  });
+});
+
+module.exports = {
+  getLockouts,
+  clearLockout,
+};
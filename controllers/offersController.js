@@ -1,7 +1,37 @@
 const asyncHandler = require("express-async-handler");
 const Offers = require("../model/Offers");
+const Settings = require("../model/Settings");
 const { logOfferActivity } = require("../middleware/logEvents");
-const geoip = require("geoip-lite");
+const {
+  parseOfferTargeting,
+  isValidLink,
+  regionTarget,
+  describeTargeting,
+} = require("../utils/offerLinks");
+const {
+  parseTarget,
+  recordServe,
+  summarizeVariants,
+  collapseToWinner,
+} = require("../utils/offerVariants");
+const { getClickSessionId } = require("../utils/clickService");
+const { buildVisitorContext, targetOffer, parseRules } = require("../utils/offerTargeting");
+const { getCapState, overrideCapPause } = require("../utils/capService");
+const { lookupGeo, normalizeIp } = require("../utils/geoService");
+
+// Targeting fields from a request body: links, regions, defaultLink and rules
+const parseTargetingBody = (body) => {
+  const { targeting, error } = parseOfferTargeting(body);
+  if (error) return { error };
+
+  if (body.rules !== undefined) {
+    const parsed = parseRules(body.rules);
+    if (parsed.error) return parsed;
+    targeting.rules = parsed.rules;
+  }
+
+  return { targeting };
+};
 
 const {
   OfferNotFoundError,
@@ -12,31 +42,29 @@ const { default: mongoose } = require("mongoose");
 
 // Create offer
 const createOffer = asyncHandler(async (req, res) => {
-  const { title, active = true, links = {} } = req.body;
+  const { title, active = true, links = {}, regions = [], defaultLink = null, rules = [] } = req.body;
 
   if (!title) {
     throw new OfferValidationError("Title is required");
   }
 
+  const { targeting, error } = parseTargetingBody({ links, regions, defaultLink, rules });
+  if (error) {
+    throw new OfferValidationError(error);
+  }
+
   try {
     const offer = await Offers.create({
       title,
       active,
-      links: {
-        ghana: links.ghana || "",
-        kenya: links.kenya || "",
-        nigeria: links.nigeria || "",
-      },
+      ...targeting,
     });
 
     await logOfferActivity('offer_create', `New offer created: ${title}`, {
       offerId: offer._id,
       title: offer.title,
       active: offer.active,
-      hasGhanaLink: !!links.ghana,
-      hasKenyaLink: !!links.kenya,
-      hasNigeriaLink: !!links.nigeria,
-      totalLinks: Object.values(links).filter(link => link && link.trim()).length
+      ...describeTargeting(offer),
     });
 
     res.status(201).json({
@@ -102,44 +130,67 @@ const getOffer = asyncHandler(async (req, res) => {
   try {
     const { offerId } = req.params;
 
-    const ip = process.env.NODE_ENV === "production"
-      ? req.headers["x-forwarded-for"]?.split(",")[0] || req.socket.remoteAddress || "102.91.71.93"
-      : "102.91.71.93";
-
-    const geo = geoip.lookup(ip);
-    if (!geo) {
+    const { geo } = req;
+    if (!geo?.country) {
       return res.status(400).json({ error: "Could not determine location" });
     }
-    
-    const countryCode = geo.country.toLowerCase();
+
+    const { ip, country: countryCode } = geo;
 
     const offer = mongoose.Types.ObjectId.isValid(offerId) ? await Offers.findById(offerId) : await Offers.findOne().sort({ createdAt: -1 });
     if (!offer) {
       return res.status(404).json({ error: "Offer not found" });
     }
-    
-    let link;
-    if (countryCode === "gh") link = offer.links.ghana;
-    if (countryCode === "ke") link = offer.links.kenya;
-    if (countryCode === "ng") link = offer.links.nigeria;
+
+    // A reached conversion cap stops the offer or swaps in its fallback link
+    const cap = await getCapState(offer, countryCode);
+    if (cap?.blocked) {
+      return res.status(404).json({ error: "This offer is not available right now" });
+    }
+
+    const userAgent = req.headers["user-agent"] || "Unknown";
+    const visitor = buildVisitorContext({
+      geo,
+      userAgent,
+      acceptLanguage: req.headers["accept-language"],
+      referrer: req.headers["referer"],
+    });
+    const settings = await Settings.findOne().select("links defaultLink").lean();
+    const visitorId = getClickSessionId(req, ip, userAgent);
+    const { link, source, region, variant, rule } = cap
+      ? { link: cap.link, source: "cap_fallback" }
+      : targetOffer(offer, visitor, settings, visitorId);
     
     if (!link) {
       return res.status(404).json({ error: "No link available for your country" });
     }
 
+    if (variant) {
+      await recordServe(offer._id, variant._id);
+    }
+
     // Log offer access
-    await logOfferActivity('offer_access', `Offer accessed: ${offer.title} from ${countryCode.toUpperCase()}`, {
+    await logOfferActivity('offer_access', `Offer accessed: ${offer.title} from ${countryCode}`, {
       offerId: offer._id,
       title: offer.title,
-      country: countryCode.toUpperCase(),
+      country: countryCode,
       city: geo.city,
       ip: ip,
-      userAgent: req.headers["user-agent"]
+      userAgent: req.headers["user-agent"],
+      linkSource: source,
+      region: region || '',
+      variantId: variant?._id || null,
+      rule: rule?.name || (rule ? `#${rule.index + 1}` : ''),
     });
     
     res.json({
-      message: `Offer link for ${countryCode.toUpperCase()}`,
+      message: `Offer link for ${countryCode}`,
       link,
+      country: countryCode,
+      source,
+      region,
+      variant: variant ? { id: variant._id, name: variant.name } : null,
+      rule,
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -149,12 +200,7 @@ const getOffer = asyncHandler(async (req, res) => {
 // Update offer
 const updateOffer = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const updates = req.body;
-  
-  // Remove fields that shouldn't be updated directly
-  delete updates._id;
-  delete updates.createdAt;
-  delete updates.updatedAt;
+  const { title, active } = req.body;
 
   const offer = await Offers.findById(id);
 
@@ -162,17 +208,38 @@ const updateOffer = asyncHandler(async (req, res) => {
     throw new OfferNotFoundError();
   }
 
+  // links, regions, defaultLink and rules each replace the stored value when sent
+  const { targeting, error } = parseTargetingBody(req.body);
+  if (error) {
+    throw new OfferValidationError(error);
+  }
+
+  const updates = {
+    ...(title !== undefined && { title }),
+    ...(active !== undefined && { active }),
+    ...targeting,
+  };
+
   // Store original data for logging
   const originalData = {
     title: offer.title,
     active: offer.active,
-    links: { ...offer.links },
+    links: Object.fromEntries(offer.links || []),
+    regions: offer.regions.map((region) => region.name),
+    defaultLink: offer.defaultLink,
   };
 
+  // Variants of region groups that no longer exist would never be served
+  if (targeting.regions) {
+    const regionTargets = new Set(targeting.regions.map((region) => regionTarget(region.name)));
+    updates.variants = offer.variants.filter(
+      (variant) => !variant.target.startsWith("region:") || regionTargets.has(variant.target)
+    );
+  }
+
   try {
     // Apply updates
-    console.log(offer, updates);
-    Object.assign(offer, updates);
+    offer.set(updates);
     await offer.save();
 
     // Determine what was changed for logging
@@ -186,11 +253,12 @@ const updateOffer = asyncHandler(async (req, res) => {
     
     // Check link changes
     const linkChanges = {};
-    ["ghana", "kenya", "nigeria"].forEach(country => {
-      if (originalData.links[country] !== offer.links[country]) {
+    const currentLinks = Object.fromEntries(offer.links || []);
+    new Set([...Object.keys(originalData.links), ...Object.keys(currentLinks)]).forEach(country => {
+      if (originalData.links[country] !== currentLinks[country]) {
         linkChanges[country] = {
           from: originalData.links[country] || "",
-          to: offer.links[country] || "",
+          to: currentLinks[country] || "",
         };
       }
     });
@@ -198,13 +266,19 @@ const updateOffer = asyncHandler(async (req, res) => {
     if (Object.keys(linkChanges).length > 0) {
       changes.links = linkChanges;
     }
+    if (targeting.regions) {
+      changes.regions = { from: originalData.regions, to: offer.regions.map((region) => region.name) };
+    }
+    if (originalData.defaultLink !== offer.defaultLink) {
+      changes.defaultLink = { from: originalData.defaultLink || "", to: offer.defaultLink || "" };
+    }
 
     await logOfferActivity('offer_update', `Offer updated: ${offer.title}`, {
-      subscriberId: id,
       offerId: offer._id,
       title: offer.title,
       changes: changes,
-      updatedFields: Object.keys(updates)
+      updatedFields: Object.keys(updates),
+      ...describeTargeting(offer),
     });
 
     res.json({
@@ -233,11 +307,7 @@ const deleteOffer = asyncHandler(async (req, res) => {
       offerId: offer._id,
       title: offer.title,
       wasActive: offer.active,
-      hadLinks: {
-        ghana: !!offer.links.ghana,
-        kenya: !!offer.links.kenya,
-        nigeria: !!offer.links.nigeria,
-      }
+      ...describeTargeting(offer),
     })
   ]);
 
@@ -259,6 +329,7 @@ const toggleOfferStatus = asyncHandler(async (req, res) => {
 
   const previousStatus = offer.active;
   offer.active = !offer.active;
+  overrideCapPause(offer, offer.active);
 
   await Promise.all([
     offer.save(),
@@ -277,6 +348,205 @@ const toggleOfferStatus = asyncHandler(async (req, res) => {
   });
 });
 
+const findOfferById = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new OfferValidationError("Invalid offer ID");
+  }
+
+  const offer = await Offers.findById(id);
+  if (!offer) {
+    throw new OfferNotFoundError();
+  }
+  return offer;
+};
+
+const parseWeight = (value) => {
+  const weight = Number(value);
+  if (!Number.isInteger(weight) || weight < 0 || weight > 1000) {
+    throw new OfferValidationError("Weights must be whole numbers from 0 to 1000");
+  }
+  return weight;
+};
+
+// @desc    List an offer's link variants by target, with weight and serve shares
+// @route   GET /api/offers/:id/variants
+// @access  Private (offers:read)
+const getOfferVariants = asyncHandler(async (req, res) => {
+  const offer = await findOfferById(req.params.id);
+
+  res.json({
+    success: true,
+    data: {
+      offerId: offer._id,
+      title: offer.title,
+      targets: summarizeVariants(offer),
+    },
+  });
+});
+
+// @desc    Add a weighted link variant to one of an offer's targets
+// @route   POST /api/offers/:id/variants
+// @access  Private (offers:write)
+const addOfferVariant = asyncHandler(async (req, res) => {
+  const offer = await findOfferById(req.params.id);
+  const { name = null, link, weight = 1 } = req.body;
+
+  const { target, error } = parseTarget(offer, req.body.target);
+  if (error) {
+    throw new OfferValidationError(error);
+  }
+  if (!link || !isValidLink(String(link).trim())) {
+    throw new OfferValidationError("Variant link must be an http(s) URL");
+  }
+
+  offer.variants.push({ name, target, link: String(link).trim(), weight: parseWeight(weight) });
+  await offer.save();
+
+  const variant = offer.variants[offer.variants.length - 1];
+
+  await logOfferActivity('offer_variant_add', `Variant added to offer: ${offer.title}`, {
+    offerId: offer._id,
+    title: offer.title,
+    changes: { variant: { id: variant._id, target, weight: variant.weight } },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Variant added successfully",
+    data: summarizeVariants(offer).find((group) => group.target === target),
+  });
+});
+
+// @desc    Set variant weights, e.g. { "weights": { "<variantId>": 70, "<variantId>": 30 } }
+// @route   PATCH /api/offers/:id/variants
+// @access  Private (offers:write)
+const updateVariantWeights = asyncHandler(async (req, res) => {
+  const offer = await findOfferById(req.params.id);
+  const { weights } = req.body;
+
+  if (!weights || typeof weights !== "object" || Array.isArray(weights) || Object.keys(weights).length === 0) {
+    throw new OfferValidationError("weights must map variant IDs to weights");
+  }
+
+  const changes = {};
+  Object.entries(weights).forEach(([variantId, value]) => {
+    const variant = mongoose.Types.ObjectId.isValid(variantId) && offer.variants.id(variantId);
+    if (!variant) {
+      throw new OfferValidationError(`Unknown variant: ${variantId}`);
+    }
+    const weight = parseWeight(value);
+    changes[variantId] = { from: variant.weight, to: weight };
+    variant.weight = weight;
+  });
+
+  await offer.save();
+
+  await logOfferActivity('offer_variant_weights', `Variant weights changed: ${offer.title}`, {
+    offerId: offer._id,
+    title: offer.title,
+    changes,
+  });
+
+  res.json({
+    success: true,
+    message: "Variant weights updated successfully",
+    data: summarizeVariants(offer),
+  });
+});
+
+// @desc    Remove a variant
+// @route   DELETE /api/offers/:id/variants/:variantId
+// @access  Private (offers:write)
+const deleteOfferVariant = asyncHandler(async (req, res) => {
+  const offer = await findOfferById(req.params.id);
+  const variant = mongoose.Types.ObjectId.isValid(req.params.variantId) && offer.variants.id(req.params.variantId);
+
+  if (!variant) {
+    throw new OfferNotFoundError("Variant not found");
+  }
+
+  variant.deleteOne();
+  await offer.save();
+
+  res.json({
+    success: true,
+    message: "Variant removed successfully",
+    data: summarizeVariants(offer),
+  });
+});
+
+// @desc    Declare a variant the winner: its link becomes the target's only
+//          link and the target's other variants are retired
+// @route   POST /api/offers/:id/variants/:variantId/winner
+// @access  Private (offers:write)
+const declareVariantWinner = asyncHandler(async (req, res) => {
+  const offer = await findOfferById(req.params.id);
+  const variant = mongoose.Types.ObjectId.isValid(req.params.variantId) && offer.variants.id(req.params.variantId);
+
+  if (!variant) {
+    throw new OfferNotFoundError("Variant not found");
+  }
+
+  const winner = { id: variant._id, name: variant.name, target: variant.target, link: variant.link };
+  const retired = collapseToWinner(offer, variant);
+  await offer.save();
+
+  await logOfferActivity('offer_variant_winner', `Variant winner declared: ${offer.title}`, {
+    offerId: offer._id,
+    title: offer.title,
+    changes: { winner, retired },
+  });
+
+  res.json({
+    success: true,
+    message: `Variant declared the winner for ${winner.target}`,
+    data: {
+      winner,
+      retired,
+      offer,
+    },
+  });
+});
+
+// @desc    Work out which rule and link a made-up visitor would get. Nothing
+//          is logged or counted.
+// @route   POST /api/offers/:id/simulate
+// @access  Private (offers:read)
+const simulateOffer = asyncHandler(async (req, res) => {
+  const offer = await findOfferById(req.params.id);
+  const { ip, userAgent, acceptLanguage, referrer, at, visitorId } = req.body;
+
+  if (!ip || !userAgent) {
+    throw new OfferValidationError("ip and userAgent are required");
+  }
+  if (!normalizeIp(ip)) {
+    throw new OfferValidationError("ip must be an IPv4 or IPv6 address");
+  }
+
+  const now = at ? new Date(at) : new Date();
+  if (Number.isNaN(now.getTime())) {
+    throw new OfferValidationError("at must be a date");
+  }
+
+  const geo = await lookupGeo(ip);
+  const visitor = buildVisitorContext({ geo, userAgent, acceptLanguage, referrer, now });
+  const settings = await Settings.findOne().select("links defaultLink").lean();
+  const result = targetOffer(offer, visitor, settings, visitorId || `${ip}|${userAgent}`);
+
+  res.json({
+    success: true,
+    data: {
+      visitor,
+      link: result.link,
+      source: result.source,
+      rule: result.rule,
+      region: result.region,
+      variant: result.variant ? { id: result.variant._id, name: result.variant.name } : null,
+      trace: result.trace,
+    },
+  });
+});
+
 module.exports = {
   createOffer,
   getOffers,
@@ -284,4 +554,10 @@ module.exports = {
   updateOffer,
   deleteOffer,
   toggleOfferStatus,
+  getOfferVariants,
+  addOfferVariant,
+  updateVariantWeights,
+  deleteOfferVariant,
+  declareVariantWinner,
+  simulateOffer,
 };
\ No newline at end of file
@@ -1,152 +1,262 @@
 const asyncHandler = require("express-async-handler");
 const OfferCompletion = require("../model/offerCompletion");
+const RejectedPostback = require("../model/RejectedPostback");
+const PostbackEvent = require("../model/PostbackEvent");
 const { emailTemplates, sendEmail } = require("../utils/emailService");
+const {
+  buildPostbackInput,
+  processPostback,
+  reprocessEvent,
+} = require("../utils/postbackProcessor");
 const { default: mongoose } = require("mongoose");
 
-// Helper function to parse postback data from different CPA networks
-const parsePostbackData = (networkName, query) => {
-  const parsers = {
-    ogads: (q) => ({
-      userid: q.userid,
-      username: q.username,
-      offerid: q.id,
-      payout: q.payout,
-      ip: q.ip,
-      offername: q.offername,
-    }),
-
-    cpagrip: (q) => ({
-      userid: q.userid,
-      username: q.username,
-      offerid: q.id,
-      payout: q.payout,
-      ip: q.ip,
-      offername: q.offername,
-    }),
-
-    cpalead: (q) => ({
-      userid: q.subid2 || q.userid || q.user_id,
-      username: q.username || q.user_name,
-      offerid: q.offerid || q.offer_id,
-      payout: q.payout || q.amount,
-      ip: q.ip,
-      offername: q.offername || q.offer_name,
-    }),
-
-    goose: (q) => ({
-      email: q.email,
-      id: q.id,
-      offerid: q.offerid || q.offer_id,
-      payout: q.payout || q.amount,
-      ip: q.ip,
-      offername: q.offername || q.offer_name,
-    }),
-  };
+// Universal postback handler
+// Verification, parsing and the event ledger live in utils/postbackProcessor
+const universalPostback = asyncHandler(async (req, res) => {
+  const { status, body, event } = await processPostback(buildPostbackInput(req));
+
+  res.status(status).json({ ...body, eventId: event._id });
+});
+
+// @desc    Get rejected postbacks for fraud auditing
+// @route   GET /api/postback/rejected
+// @access  Private/Admin
+const getRejectedPostbacks = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, network, reason, ip, startDate, endDate } = req.query;
+
+  const filter = {};
+  if (network) filter.network = network.toLowerCase();
+  if (reason) filter.reason = reason;
+  if (ip) filter.ip = ip;
+
+  if (startDate || endDate) {
+    filter.createdAt = {};
+    if (startDate) filter.createdAt.$gte = new Date(startDate);
+    if (endDate) filter.createdAt.$lte = new Date(endDate);
+  }
+
+  const [rejected, total, byReason] = await Promise.all([
+    RejectedPostback.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit),
+    RejectedPostback.countDocuments(filter),
+    RejectedPostback.aggregate([
+      { $match: filter },
+      { $group: { _id: "$reason", count: { $sum: 1 } } },
+      { $project: { reason: "$_id", count: 1, _id: 0 } },
+      { $sort: { count: -1 } },
+    ]),
+  ]);
+
+  res.json({
+    success: true,
+    data: rejected,
+    byReason,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: parseInt(limit),
+    },
+  });
+});
+
+// "?outcome=a,b" and "?outcome=a&outcome=b" both mean a or b
+const toList = (value) => [].concat(value).join(",").split(",").filter(Boolean);
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Shared filter for event search and bulk reprocessing
+const buildEventFilter = (query) => {
+  const { network, outcome, reason, ip, transactionId, completion, from, to } = query;
+
+  const filter = {};
+  if (network) filter.network = String(network).toLowerCase();
+  if (outcome) filter.outcome = { $in: toList(outcome) };
+  if (reason) filter.reason = reason;
+  if (ip) filter.sourceIp = ip;
+  if (transactionId) filter.transactionId = transactionId;
+  if (completion && mongoose.Types.ObjectId.isValid(completion)) {
+    filter.offerCompletion = completion;
+  }
 
-  const parser = parsers[networkName.toLowerCase()];
-  if (!parser) {
-    throw new Error(`Unsupported network: ${networkName}`);
+  if (from || to) {
+    filter.receivedAt = {};
+    if (from) filter.receivedAt.$gte = new Date(from);
+    if (to) filter.receivedAt.$lte = new Date(to);
   }
 
-  return parser(query);
+  return filter;
 };
 
-// Universal postback handler
-const universalPostback = asyncHandler(async (req, res) => {
-  const { network } = req.params;
+// @desc    Search the postback event ledger
+// @route   GET /api/postback/events
+// @access  Private/Admin
+const getPostbackEvents = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, search } = req.query;
+  const filter = buildEventFilter(req.query);
 
-  try {
-    // Parse the postback data based on network
-    const { email, payout, offerid, id } = parsePostbackData(
-      network,
-      req.query
-    );
-
-    console.log(email, payout, offerid, id)
-
-    // Validate required fields
-    if (!email || !payout) {
-      return res.status(400).json({
-        success: false,
-        message: "Incomplete request: email and payout are required",
-      });
-    }
+  if (search) {
+    filter.rawQuery = { $regex: escapeRegex(search), $options: "i" };
+  }
 
-    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(201).json({
-        success: false,
-        message: "Invalid or missing offer completion ID",
-      });
-    }
+  const [events, total, byOutcome] = await Promise.all([
+    PostbackEvent.find(filter)
+      .sort({ receivedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select("-headers"),
+    PostbackEvent.countDocuments(filter),
+    PostbackEvent.aggregate([
+      { $match: filter },
+      { $group: { _id: "$outcome", count: { $sum: 1 } } },
+      { $project: { outcome: "$_id", count: 1, _id: 0 } },
+    ]),
+  ]);
 
-    // Find pending offer completions for this user (assuming email is email)
-    const pendingOffer = await OfferCompletion.findById(id).lean();
+  res.json({
+    success: true,
+    data: events,
+    byOutcome,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: parseInt(limit),
+    },
+  });
+});
 
-    if (!pendingOffer) {
-        return res.status(404).json({message: "Offer completion not found"});
-    }
+// @desc    Get a single postback event with its reprocessing history
+// @route   GET /api/postback/events/:id
+// @access  Private/Admin
+const getPostbackEvent = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid postback event ID",
+    });
+  }
 
-    if (pendingOffer.status === "pending") {
-      try {
-        const emailTemplate = emailTemplates.taskCompleted({
-          offer: pendingOffer.offer,
-          title: pendingOffer.title || "Task Completed",
-          code: code || "N/A",
-        });
-
-        await sendEmail({
-          to: email,
-          subject: emailTemplate.subject,
-          html: emailTemplate.html,
-          templateType: "taskCompleted",
-        });
-
-        // Update the offer completion status
-        await OfferCompletion.findByIdAndUpdate(id, {
-          status: "completed",
-          isEmailSent: true,
-        });
-
-        console.log(`Task review email sent to: ${email}`);
-      } catch (emailError) {
-        console.error(
-          `Failed to send task review email to ${email}:`,
-          emailError.message
-        );
-      }
-    }
+  const event = await PostbackEvent.findById(req.params.id).populate(
+    "offerCompletion",
+    "offer title email status"
+  );
 
-    // Send success response
-    return res.status(200).json({
-      success: true,
-      message: "Postback processed successfully",
-      data: {
-        offerid,
-        payout,
-        network,
-        offername: offername || `An offer from ${network}`,
-      },
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: "Postback event not found",
     });
-  } catch (error) {
-    console.error(`Postback error for ${network}:`, error);
+  }
 
-    if (error.message.includes("Unsupported network")) {
-      return res.status(400).json({
-        success: false,
-        message: error.message,
-      });
-    }
+  const reprocessings = await PostbackEvent.find({
+    reprocessOf: event.reprocessOf || event._id,
+  })
+    .sort({ receivedAt: 1 })
+    .select("outcome reason message httpStatus receivedAt");
 
-    res.status(500);
-    throw new Error("Failed to process postback");
+  res.json({
+    success: true,
+    data: event,
+    reprocessings,
+  });
+});
+
+// @desc    Re-run processing for a single stored postback
+// @route   POST /api/postback/events/:id/reprocess
+// @access  Private/Admin
+const reprocessPostbackEvent = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid postback event ID",
+    });
+  }
+
+  const event = await PostbackEvent.findById(req.params.id).lean();
+
+  if (!event) {
+    return res.status(404).json({
+      success: false,
+      message: "Postback event not found",
+    });
   }
+
+  const result = await reprocessEvent(event);
+
+  res.json({
+    success: true,
+    message: `Postback reprocessed: ${result.outcome}`,
+    data: {
+      originalEventId: event._id,
+      event: result.event,
+    },
+  });
+});
+
+const MAX_REPROCESS_BATCH = 500;
+
+// @desc    Re-run processing for every stored postback in a time range
+// @route   POST /api/postback/events/reprocess
+// @access  Private/Admin
+const reprocessPostbackEvents = asyncHandler(async (req, res) => {
+  const { from, to, outcome = "rejected,error" } = req.body;
+
+  if (!from || !to) {
+    return res.status(400).json({
+      success: false,
+      message: "from and to are required",
+    });
+  }
+
+  // Only original events; reprocessing a reprocessing would double count
+  const filter = {
+    ...buildEventFilter({ ...req.body, outcome }),
+    reprocessOf: null,
+  };
+
+  const total = await PostbackEvent.countDocuments(filter);
+  if (total > MAX_REPROCESS_BATCH) {
+    return res.status(400).json({
+      success: false,
+      message: `${total} events match; narrow the range to at most ${MAX_REPROCESS_BATCH}`,
+    });
+  }
+
+  const events = await PostbackEvent.find(filter).sort({ receivedAt: 1 }).lean();
+
+  // Sequential on purpose: events for the same completion must apply in order
+  const results = [];
+  for (const event of events) {
+    const result = await reprocessEvent(event);
+    results.push({
+      originalEventId: event._id,
+      eventId: result.event._id,
+      outcome: result.outcome,
+      reason: result.reason,
+    });
+  }
+
+  const summary = results.reduce((acc, { outcome: eventOutcome }) => {
+    acc[eventOutcome] = (acc[eventOutcome] || 0) + 1;
+    return acc;
+  }, {});
+
+  res.json({
+    success: true,
+    message: `Reprocessed ${results.length} postback event(s)`,
+    summary,
+    data: results,
+  });
 });
 
 // @desc    Create a new offer completion entry
 // @route   POST /api/offer-completions
 // @access  Public/Private (adjust as needed)
 const createOfferCompletion = asyncHandler(async (req, res) => {
-  const { offer, title, code, email } = req.body;
+  const { offer, title, code, email, clickId } = req.body;
 
   // Validate required fields
   if (!offer || !email) {
@@ -154,6 +264,11 @@ const createOfferCompletion = asyncHandler(async (req, res) => {
     throw new Error("Offer and email are required fields");
   }
 
+  if (clickId && !mongoose.Types.ObjectId.isValid(clickId)) {
+    res.status(400);
+    throw new Error("Invalid click ID");
+  }
+
   try {
     // Check if offer completion with same details already exists
     const existingCompletion = await OfferCompletion.findOne({
@@ -163,6 +278,12 @@ const createOfferCompletion = asyncHandler(async (req, res) => {
     });
 
     if (existingCompletion) {
+      // The latest click is the one a conversion gets attributed to
+      if (clickId) {
+        existingCompletion.click = clickId;
+        await existingCompletion.save();
+      }
+
       return res.status(200).json({
         success: true,
         message: "Offer completion already exists",
@@ -177,6 +298,7 @@ const createOfferCompletion = asyncHandler(async (req, res) => {
       code: code ? code.toUpperCase() : undefined,
       email: email.toLowerCase().trim(),
       isEmailSent: false,
+      click: clickId || null,
     });
 
     // try {
@@ -337,6 +459,11 @@ const deleteAllOfferCompletions = asyncHandler(async (req, res) => {
 
 module.exports = {
   universalPostback,
+  getRejectedPostbacks,
+  getPostbackEvents,
+  getPostbackEvent,
+  reprocessPostbackEvent,
+  reprocessPostbackEvents,
   createOfferCompletion,
   getOfferCompletions,
   getOfferCompletionById,
@@ -0,0 +1,338 @@
+// controllers/postbackNetworkController.js
+const asyncHandler = require("express-async-handler");
+const PostbackNetwork = require("../model/PostbackNetwork");
+const { sanitizeInput } = require("../utils/sanitizeInput");
+const { normalizeIp } = require("../utils/geoService");
+const { BUILT_IN_NETWORKS, POSTBACK_FIELDS, SUB_ID_FIELDS } = require("../config/postbackNetworks");
+const {
+  resolveNetwork,
+  parsePostback,
+  buildSignedPayload,
+  isValidSignature,
+  describeAdapter,
+} = require("../utils/postbackAdapters");
+
+const EDITABLE_FIELDS = [
+  "displayName",
+  "active",
+  "paramMap",
+  "subIdParams",
+  "reversalStatuses",
+  "secret",
+  "signatureParam",
+  "allowedIps",
+  "payoutCurrency",
+  "pointsRate",
+];
+
+// Only keep known fields, and only known postback and sub-id fields inside
+// paramMap and subIdParams
+const pickNetworkFields = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+
+  if (data.paramMap) {
+    data.paramMap = POSTBACK_FIELDS.reduce((map, field) => {
+      const value = data.paramMap[field];
+      if (value !== undefined) map[field] = Array.isArray(value) ? value : [value];
+      return map;
+    }, {});
+  }
+
+  if (data.subIdParams) {
+    data.subIdParams = SUB_ID_FIELDS.reduce((params, field) => {
+      const value = data.subIdParams[field];
+      if (value !== undefined) params[field] = value;
+      return params;
+    }, {});
+  }
+
+  return data;
+};
+
+// @desc    List postback networks (built-in adapters merged with stored configs)
+// @route   GET /api/postback/networks
+// @access  Private/Admin
+const getNetworks = asyncHandler(async (req, res) => {
+  const stored = await PostbackNetwork.find().select("name").lean();
+  const names = [
+    ...new Set([...Object.keys(BUILT_IN_NETWORKS), ...stored.map((n) => n.name)]),
+  ];
+
+  const storedNames = new Set(stored.map((n) => n.name));
+  const networks = await Promise.all(
+    names.map(async (name) => {
+      const adapter = await resolveNetwork(name);
+      return {
+        name,
+        active: !!adapter,
+        builtIn: !!BUILT_IN_NETWORKS[name],
+        customized: storedNames.has(name),
+        ...(adapter && describeAdapter(adapter)),
+      };
+    })
+  );
+
+  res.json({
+    success: true,
+    count: networks.length,
+    data: networks,
+  });
+});
+
+// @desc    Get a single postback network
+// @route   GET /api/postback/networks/:name
+// @access  Private/Admin
+const getNetwork = asyncHandler(async (req, res) => {
+  const name = req.params.name.toLowerCase();
+  const stored = await PostbackNetwork.findOne({ name });
+
+  if (!stored && !BUILT_IN_NETWORKS[name]) {
+    return res.status(404).json({
+      success: false,
+      message: "Postback network not found",
+    });
+  }
+
+  const adapter = await resolveNetwork(name);
+
+  res.json({
+    success: true,
+    data: {
+      config: stored,
+      resolved: adapter ? describeAdapter(adapter) : null,
+    },
+  });
+});
+
+// @desc    Create a postback network config (or override a built-in one)
+// @route   POST /api/postback/networks
+// @access  Private/Admin
+const createNetwork = asyncHandler(async (req, res) => {
+  const sanitizedBody = sanitizeInput(req.body);
+  const name = sanitizedBody.name?.toLowerCase().trim();
+
+  if (!name) {
+    return res.status(400).json({
+      success: false,
+      message: "Network name is required",
+    });
+  }
+
+  const existing = await PostbackNetwork.findOne({ name });
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      message: "Postback network already exists",
+    });
+  }
+
+  const data = pickNetworkFields(sanitizedBody);
+
+  // A brand new network needs at least enough mapping to find the completion
+  if (!BUILT_IN_NETWORKS[name]) {
+    const paramMap = data.paramMap || {};
+    if (!paramMap.completionId?.length || !paramMap.payout?.length) {
+      return res.status(400).json({
+        success: false,
+        message: "paramMap must map at least completionId and payout",
+      });
+    }
+  }
+
+  try {
+    const network = await PostbackNetwork.create({ name, ...data });
+    const adapter = await resolveNetwork(name);
+
+    res.status(201).json({
+      success: true,
+      message: "Postback network created successfully",
+      data: adapter ? describeAdapter(adapter) : network,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((val) => val.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors,
+      });
+    }
+    throw error;
+  }
+});
+
+// @desc    Update a postback network config
+// @route   PUT /api/postback/networks/:name
+// @access  Private/Admin
+const updateNetwork = asyncHandler(async (req, res) => {
+  const name = req.params.name.toLowerCase();
+  const data = pickNetworkFields(sanitizeInput(req.body));
+
+  let network = await PostbackNetwork.findOne({ name });
+
+  if (!network) {
+    // Editing a built-in adapter creates its override on first save
+    if (!BUILT_IN_NETWORKS[name]) {
+      return res.status(404).json({
+        success: false,
+        message: "Postback network not found",
+      });
+    }
+    network = new PostbackNetwork({ name });
+  }
+
+  if (data.paramMap) {
+    const current = network.toObject().paramMap || {};
+    data.paramMap = { ...current, ...data.paramMap };
+  }
+
+  if (data.subIdParams) {
+    const current = network.toObject().subIdParams || {};
+    data.subIdParams = { ...current, ...data.subIdParams };
+  }
+
+  Object.assign(network, data);
+
+  try {
+    await network.save();
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((val) => val.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors,
+      });
+    }
+    throw error;
+  }
+
+  const adapter = await resolveNetwork(name);
+
+  res.json({
+    success: true,
+    message: "Postback network updated successfully",
+    data: adapter ? describeAdapter(adapter) : network,
+  });
+});
+
+// @desc    Delete a postback network config (built-ins fall back to their defaults)
+// @route   DELETE /api/postback/networks/:name
+// @access  Private/Admin
+const deleteNetwork = asyncHandler(async (req, res) => {
+  const name = req.params.name.toLowerCase();
+  const network = await PostbackNetwork.findOneAndDelete({ name });
+
+  if (!network) {
+    return res.status(404).json({
+      success: false,
+      message: BUILT_IN_NETWORKS[name]
+        ? "Built-in networks have no stored config to delete"
+        : "Postback network not found",
+    });
+  }
+
+  res.json({
+    success: true,
+    message: BUILT_IN_NETWORKS[name]
+      ? "Network config reset to built-in defaults"
+      : "Postback network deleted successfully",
+  });
+});
+
+// @desc    Parse a sample postback URL without processing it
+// @route   POST /api/postback/networks/dry-run
+// @access  Private/Admin
+const dryRunPostback = asyncHandler(async (req, res) => {
+  const { url, network: networkName, sourceIp } = req.body;
+
+  if (!url) {
+    return res.status(400).json({
+      success: false,
+      message: "A sample postback url is required",
+    });
+  }
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url, "http://localhost");
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid url",
+    });
+  }
+
+  // Network can be given explicitly or read from /api/postback/:network
+  const name = networkName || parsedUrl.pathname.split("/").filter(Boolean).pop();
+  const adapter = await resolveNetwork(name);
+
+  if (!adapter) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown or inactive network: ${name}`,
+    });
+  }
+
+  const query = Object.fromEntries(parsedUrl.searchParams.entries());
+  const parsed = parsePostback(adapter, query);
+
+  // The completion can be found through either id; the email is optional
+  const missingFields = parsed.payout ? [] : ["payout"];
+  if (!parsed.completionId && !parsed.clickId) missingFields.push("completionId");
+
+  const verification = {
+    configured: !!adapter.secret || adapter.allowedIps.length > 0,
+    signature: null,
+    ip: null,
+  };
+
+  if (adapter.secret) {
+    const signature = query[adapter.signatureParam];
+    verification.signature = signature
+      ? isValidSignature(
+          buildSignedPayload(parsedUrl.search.slice(1), adapter.signatureParam),
+          signature,
+          adapter.secret
+        )
+        ? "valid"
+        : "invalid"
+      : "missing";
+  }
+
+  if (adapter.allowedIps.length > 0) {
+    verification.ip = sourceIp
+      ? adapter.allowedIps.map(normalizeIp).includes(normalizeIp(sourceIp))
+        ? "allowed"
+        : "not_allowed"
+      : "not_checked";
+  }
+
+  res.json({
+    success: true,
+    data: {
+      network: describeAdapter(adapter),
+      query,
+      parsed,
+      missingFields,
+      unmappedParams: Object.keys(query).filter(
+        (param) =>
+          param !== adapter.signatureParam &&
+          !Object.values(adapter.paramMap).some((params) => params.includes(param))
+      ),
+      verification,
+    },
+  });
+});
+
+module.exports = {
+  getNetworks,
+  getNetwork,
+  createNetwork,
+  updateNetwork,
+  deleteNetwork,
+  dryRunPostback,
+};
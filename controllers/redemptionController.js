@@ -0,0 +1,221 @@
+// controllers/redemptionController.js
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const Redemption = require("../model/Redemption");
+const { RedemptionError } = require("../utils/customErrors");
+const {
+  ITEM_MODELS,
+  redeemItem,
+  fulfillRedemption,
+  cancelRedemption,
+} = require("../utils/redemptionService");
+const { liveFilter } = require("../utils/catalogLifecycle");
+
+// Fields shown in the catalogue; never the item's code
+const CATALOGUE_FIELDS = "title merchant image logo offer description rating itemsLeft startsAt expiresAt badge redemption";
+
+// Answer expected redemption failures in the usual { success, message } shape
+const handleRedemptionError = (res, error) => {
+  if (error instanceof RedemptionError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  throw error;
+};
+
+const paginate = (page, limit, total) => ({
+  currentPage: parseInt(page),
+  totalPages: Math.ceil(total / limit),
+  totalItems: total,
+  itemsPerPage: parseInt(limit),
+});
+
+// @desc    List gift cards and coupons that can be bought with points
+// @route   GET /api/redemptions/catalogue
+// @access  Public
+const getCatalogue = asyncHandler(async (req, res) => {
+  const { itemType, maxPoints, inStock = "true" } = req.query;
+
+  const filter = { "redemption.pointsCost": { $ne: null }, ...liveFilter() };
+  if (maxPoints !== undefined) filter["redemption.pointsCost"].$lte = Number(maxPoints);
+  if (inStock === "true") filter.itemsLeft = { $gt: 0 };
+
+  const types = itemType ? [itemType] : Object.keys(ITEM_MODELS);
+  if (types.some((type) => !ITEM_MODELS[type])) {
+    return res.status(400).json({
+      success: false,
+      message: `Item type must be one of: ${Object.keys(ITEM_MODELS).join(", ")}`,
+    });
+  }
+
+  const results = await Promise.all(
+    types.map(async (type) => {
+      const items = await ITEM_MODELS[type]
+        .find(filter)
+        .select(CATALOGUE_FIELDS)
+        .sort({ "redemption.pointsCost": 1 })
+        .lean();
+      return items.map((item) => ({ ...item, itemType: type }));
+    })
+  );
+
+  const items = results
+    .flat()
+    .sort((a, b) => a.redemption.pointsCost - b.redemption.pointsCost);
+
+  res.json({
+    success: true,
+    count: items.length,
+    data: items,
+  });
+});
+
+// @desc    Spend points on a catalogue item
+// @route   POST /api/redemptions
+// @access  Private
+const createRedemption = asyncHandler(async (req, res) => {
+  const { itemType, itemId } = req.body;
+
+  if (!itemType || !itemId) {
+    return res.status(400).json({
+      success: false,
+      message: "itemType and itemId are required",
+    });
+  }
+
+  try {
+    const redemption = await redeemItem({ user: req.user, itemType, itemId });
+
+    res.status(201).json({
+      success: true,
+      message:
+        redemption.status === "fulfilled"
+          ? "Reward redeemed successfully. Your code has been emailed to you."
+          : "Reward redeemed successfully. It will be fulfilled shortly.",
+      data: redemption,
+    });
+  } catch (error) {
+    handleRedemptionError(res, error);
+  }
+});
+
+// @desc    List the signed-in user's redemptions
+// @route   GET /api/redemptions/mine
+// @access  Private
+const getMyRedemptions = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status } = req.query;
+
+  const filter = { email: req.user.email };
+  if (status) filter.status = status;
+
+  const [redemptions, total] = await Promise.all([
+    Redemption.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select("-walletEntry -rewardCode -fulfilledBy -note"),
+    Redemption.countDocuments(filter),
+  ]);
+
+  res.json({
+    success: true,
+    data: redemptions,
+    pagination: paginate(page, limit, total),
+  });
+});
+
+// @desc    Redemptions waiting for manual fulfillment, oldest first
+// @route   GET /api/redemptions/queue
+// @access  Private/Admin
+const getRedemptionQueue = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status = "pending", itemType, email } = req.query;
+
+  const filter = { status };
+  if (itemType) filter.itemType = itemType;
+  if (email) filter.email = email.toLowerCase().trim();
+
+  const [redemptions, total] = await Promise.all([
+    Redemption.find(filter)
+      .sort({ createdAt: status === "pending" ? 1 : -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate("user", "name email"),
+    Redemption.countDocuments(filter),
+  ]);
+
+  res.json({
+    success: true,
+    data: redemptions,
+    pagination: paginate(page, limit, total),
+  });
+});
+
+// @desc    Fulfill a pending redemption with a code
+// @route   PATCH /api/redemptions/:id/fulfill
+// @access  Private/Admin
+const fulfillPendingRedemption = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { code } = req.body || {};
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid redemption ID",
+    });
+  }
+
+  try {
+    const redemption = await fulfillRedemption(id, {
+      code: code ? String(code).trim() : null,
+      fulfilledBy: req.user.email,
+    });
+
+    res.json({
+      success: true,
+      message: "Redemption fulfilled successfully",
+      data: redemption,
+    });
+  } catch (error) {
+    handleRedemptionError(res, error);
+  }
+});
+
+// @desc    Cancel a pending redemption and refund its points
+// @route   PATCH /api/redemptions/:id/cancel
+// @access  Private/Admin
+const cancelPendingRedemption = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid redemption ID",
+    });
+  }
+
+  try {
+    const redemption = await cancelRedemption(id, {
+      reason: req.body?.reason,
+      cancelledBy: req.user.email,
+    });
+
+    res.json({
+      success: true,
+      message: "Redemption cancelled and points refunded",
+      data: redemption,
+    });
+  } catch (error) {
+    handleRedemptionError(res, error);
+  }
+});
+
+module.exports = {
+  getCatalogue,
+  createRedemption,
+  getMyRedemptions,
+  getRedemptionQueue,
+  fulfillPendingRedemption,
+  cancelPendingRedemption,
+};
@@ -8,6 +8,7 @@ const {
   SubscriberAuthorizationError,
   DuplicateSubscriberError,
 } = require("../utils/customErrors");
+const { hasPermission } = require("../config/roles");
 
 // Create subscriber
 const createSubscriber = asyncHandler(async (req, res) => {
@@ -255,8 +256,8 @@ const deleteSubscriber = asyncHandler(async (req, res) => {
 
 // Delete all subscribers (Admin only)
 const deleteAllSubscribers = asyncHandler(async (req, res) => {
-  // Check if user is admin
-  if (!req.user?.roles?.admin) {
+  // Wiping the whole list is reserved for superadmins
+  if (!hasPermission(req.user?.roles, "*")) {
     throw new SubscriberAuthorizationError(
       "Only administrators can delete all subscribers"
     );
@@ -0,0 +1,253 @@
+// controllers/trackedLinkController.js
+const asyncHandler = require("express-async-handler");
+const path = require("path");
+const mongoose = require("mongoose");
+const CatalogItem = require("../model/CatalogItem");
+const ClickEvent = require("../model/ClickEvent");
+const TrackedLink = require("../model/TrackedLink");
+const { RedirectError } = require("../utils/customErrors");
+const { isValidLink } = require("../utils/offerLinks");
+const {
+  generateSlug,
+  getDestination,
+  getNetworkName,
+  followLink,
+} = require("../utils/redirectService");
+
+const EDITABLE_FIELDS = ["destination", "network", "active"];
+
+const pickLinkFields = (body) =>
+  EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+
+// Absolute short URL; LINK_BASE_URL wins over the request's own host
+const shortUrl = (req, slug) =>
+  `${process.env.LINK_BASE_URL || `${req.protocol}://${req.get("host")}`}/go/${slug}`;
+
+const toLinkResponse = (req, link, item) => ({
+  ...link,
+  url: shortUrl(req, link.slug),
+  ...(item && {
+    resolvedDestination: getDestination(link, item),
+    resolvedNetwork: getNetworkName(link, item),
+  }),
+});
+
+const paginate = (page, limit, total) => ({
+  currentPage: parseInt(page),
+  totalPages: Math.ceil(total / limit),
+  totalItems: total,
+  itemsPerPage: parseInt(limit),
+});
+
+const validationResponse = (res, error) => {
+  const errors = Object.values(error.errors).map((val) => val.message);
+  return res.status(400).json({
+    success: false,
+    message: "Validation error",
+    errors,
+  });
+};
+
+const findLink = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: "Invalid link ID" });
+    return null;
+  }
+
+  const link = await TrackedLink.findById(req.params.id);
+  if (!link) {
+    res.status(404).json({ success: false, message: "Link not found" });
+    return null;
+  }
+  return link;
+};
+
+// @desc    Record the click and redirect to the provider link
+// @route   GET /go/:slug
+// @access  Public
+const redirectLink = asyncHandler(async (req, res) => {
+  try {
+    const { url } = await followLink(req.params.slug, req);
+
+    // Every visit has to reach us, or it isn't counted
+    res.set("Cache-Control", "no-store");
+    res.redirect(302, url);
+  } catch (error) {
+    if (!(error instanceof RedirectError)) throw error;
+
+    const accept = req.accepts(["html", "json"]);
+    if (accept === "json") {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    res.status(error.statusCode).sendFile(path.join(__dirname, "..", "views", "404.html"));
+  }
+});
+
+// @desc    List tracked links
+// @route   GET /api/links
+// @access  Private (links:read)
+const getLinks = asyncHandler(async (req, res) => {
+  const { item, itemType, active, page = 1, limit = 20 } = req.query;
+
+  const filter = {};
+  if (item) {
+    if (!mongoose.Types.ObjectId.isValid(item)) {
+      return res.status(400).json({ success: false, message: "Invalid item ID" });
+    }
+    filter.item = item;
+  }
+  if (itemType) filter.itemType = itemType;
+  if (active !== undefined) filter.active = active === "true";
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [links, total] = await Promise.all([
+    TrackedLink.find(filter)
+      .populate("item", "title merchant status")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    TrackedLink.countDocuments(filter),
+  ]);
+
+  res.json({
+    success: true,
+    data: links.map((link) => toLinkResponse(req, link)),
+    pagination: paginate(page, limit, total),
+  });
+});
+
+// @desc    Get a tracked link with its click history
+// @route   GET /api/links/:id
+// @access  Private (links:read)
+const getLink = asyncHandler(async (req, res) => {
+  const link = await findLink(req, res);
+  if (!link) return;
+
+  const { days = 30 } = req.query;
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - parseInt(days));
+
+  const item = await CatalogItem.findById(link.item).select("title merchant status action").lean();
+  const match = { "meta.item": link.item, link: link._id };
+
+  const [dailyClicks, totals] = await Promise.all([
+    ClickEvent.getDailyClicks(match, startDate),
+    ClickEvent.getItemTotals(match, null),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      ...toLinkResponse(req, link.toObject(), item),
+      item,
+      totalClicks: totals[0]?.totalClicks || 0,
+      uniqueClicks: totals[0]?.uniqueClicks || 0,
+      dailyClicks,
+    },
+  });
+});
+
+// @desc    Create a tracked link for a catalog item
+// @route   POST /api/links
+// @access  Private (links:write)
+const createLink = asyncHandler(async (req, res) => {
+  const { item: itemId, slug } = req.body;
+  const fields = pickLinkFields(req.body);
+
+  if (!itemId || !mongoose.Types.ObjectId.isValid(itemId)) {
+    return res.status(400).json({ success: false, message: "A valid item ID is required" });
+  }
+
+  const item = await CatalogItem.findById(itemId).select("kind title action").lean();
+  if (!item) {
+    return res.status(404).json({ success: false, message: "Catalog item not found" });
+  }
+
+  if (fields.destination && !isValidLink(fields.destination)) {
+    return res.status(400).json({ success: false, message: "Destination must be an http(s) URL" });
+  }
+
+  try {
+    const link = await TrackedLink.create({
+      ...fields,
+      slug: slug || generateSlug(),
+      item: item._id,
+      itemType: item.kind,
+      createdBy: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Tracked link created successfully",
+      data: toLinkResponse(req, link.toObject(), item),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") return validationResponse(res, error);
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: "Slug is already in use" });
+    }
+    throw error;
+  }
+});
+
+// @desc    Point a link at a new destination or network, or switch it off.
+//          The slug never changes, so the frontend keeps linking to it.
+// @route   PATCH /api/links/:id
+// @access  Private (links:write)
+const updateLink = asyncHandler(async (req, res) => {
+  const link = await findLink(req, res);
+  if (!link) return;
+
+  const fields = pickLinkFields(req.body);
+  if (fields.destination === "") fields.destination = null;
+
+  if (fields.destination && !isValidLink(fields.destination)) {
+    return res.status(400).json({ success: false, message: "Destination must be an http(s) URL" });
+  }
+
+  link.set(fields);
+
+  try {
+    await link.save();
+  } catch (error) {
+    if (error.name === "ValidationError") return validationResponse(res, error);
+    throw error;
+  }
+
+  const item = await CatalogItem.findById(link.item).select("title action").lean();
+
+  res.json({
+    success: true,
+    message: "Tracked link updated successfully",
+    data: toLinkResponse(req, link.toObject(), item),
+  });
+});
+
+// @desc    Delete a tracked link; its clicks are kept
+// @route   DELETE /api/links/:id
+// @access  Private (links:write)
+const deleteLink = asyncHandler(async (req, res) => {
+  const link = await findLink(req, res);
+  if (!link) return;
+
+  await link.deleteOne();
+
+  res.json({
+    success: true,
+    message: "Tracked link deleted successfully",
+  });
+});
+
+module.exports = {
+  redirectLink,
+  getLinks,
+  getLink,
+  createLink,
+  updateLink,
+  deleteLink,
+};
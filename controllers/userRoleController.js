@@ -0,0 +1,188 @@
+// controllers/userRoleController.js
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const User = require("../model/User");
+const { ROLES, ROLE_NAMES, PERMISSIONS, getPermissions } = require("../config/roles");
+const { disableTwoFactor } = require("../utils/twoFactorService");
+const { revokeAllUserSessions } = require("../utils/sessionService");
+
+const toUserResponse = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  isActive: user.isActive,
+  roles: user.roles || [],
+  permissions: getPermissions(user.roles),
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+  createdAt: user.createdAt,
+});
+
+// @desc    List the available roles and the permissions each grants
+// @route   GET /api/admin/roles
+// @access  Private (users:read)
+const getRoles = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      roles: ROLE_NAMES.map((name) => ({ name, ...ROLES[name] })),
+      permissions: PERMISSIONS,
+    },
+  });
+});
+
+// @desc    Get the signed-in user's roles and effective permissions
+// @route   GET /api/admin/me
+// @access  Private
+const getMyAccess = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      id: req.user.id,
+      email: req.user.email,
+      roles: req.user.roles,
+      permissions: getPermissions(req.user.roles),
+    },
+  });
+});
+
+// @desc    List users, optionally only staff or a given role
+// @route   GET /api/admin/users
+// @access  Private (users:read)
+const getUsers = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, role, staff, search } = req.query;
+
+  const filter = {};
+  if (role) {
+    filter.roles = role;
+  } else if (staff === "true") {
+    filter["roles.0"] = { $exists: true };
+  }
+  if (search) {
+    filter.$or = [
+      { name: { $regex: search, $options: "i" } },
+      { email: { $regex: search, $options: "i" } },
+    ];
+  }
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean(),
+    User.countDocuments(filter),
+  ]);
+
+  res.json({
+    success: true,
+    data: users.map(toUserResponse),
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: parseInt(limit),
+    },
+  });
+});
+
+// @desc    Replace a user's roles
+// @route   PUT /api/admin/users/:id/roles
+// @access  Private (users:roles)
+const updateUserRoles = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { roles } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid user ID",
+    });
+  }
+
+  if (!Array.isArray(roles)) {
+    return res.status(400).json({
+      success: false,
+      message: "Roles must be an array",
+    });
+  }
+
+  const unknown = roles.filter((role) => !ROLE_NAMES.includes(role));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Unknown role(s): ${unknown.join(", ")}. Valid roles: ${ROLE_NAMES.join(", ")}`,
+    });
+  }
+
+  const user = await User.findById(id);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: "User not found",
+    });
+  }
+
+  // Never leave the system without an active superadmin
+  const removesSuperadmin =
+    user.roles.includes("superadmin") && !roles.includes("superadmin");
+  if (removesSuperadmin) {
+    const superadmins = await User.countDocuments({
+      roles: "superadmin",
+      isActive: true,
+    });
+    if (superadmins <= 1) {
+      return res.status(409).json({
+        success: false,
+        message: "Cannot remove the last superadmin",
+      });
+    }
+  }
+
+  user.roles = [...new Set(roles)];
+  await user.save();
+
+  res.json({
+    success: true,
+    message: "Roles updated successfully",
+    data: toUserResponse(user),
+  });
+});
+
+// @desc    Clear a user's 2FA enrollment (lost device) and sign them out everywhere
+// @route   DELETE /api/admin/users/:id/two-factor
+// @access  Private (users:roles)
+const resetUserTwoFactor = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid user ID",
+    });
+  }
+
+  const user = await User.findById(id);
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: "User not found",
+    });
+  }
+
+  disableTwoFactor(user);
+  await user.save();
+  await revokeAllUserSessions(user._id, { reason: "admin" });
+
+  res.json({
+    success: true,
+    message: "Two-factor authentication reset. The user must enroll again.",
+  });
+});
+
+module.exports = {
+  getRoles,
+  getMyAccess,
+  getUsers,
+  updateUserRoles,
+  resetUserTwoFactor,
+};
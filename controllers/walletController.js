@@ -0,0 +1,230 @@
+// controllers/walletController.js
+const asyncHandler = require("express-async-handler");
+const { v4: uuidv4 } = require("uuid");
+const WalletEntry = require("../model/WalletEntry");
+const PostbackTransaction = require("../model/PostbackTransaction");
+const { appendEntry } = require("../utils/walletService");
+
+const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+const getHistoryPage = async (email, { page = 1, limit = 20, kind }) => {
+  const filter = { email: email.toLowerCase().trim() };
+  if (kind) filter.kind = kind;
+
+  const [entries, total] = await Promise.all([
+    WalletEntry.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select("-idempotencyKey -__v"),
+    WalletEntry.countDocuments(filter),
+  ]);
+
+  return {
+    entries,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: parseInt(limit),
+    },
+  };
+};
+
+// @desc    Get the signed-in user's wallet balance
+// @route   GET /api/wallet
+// @access  Private
+const getMyWallet = asyncHandler(async (req, res) => {
+  const balance = await WalletEntry.getBalance(req.user.email);
+
+  res.json({
+    success: true,
+    data: {
+      email: req.user.email,
+      ...balance,
+    },
+  });
+});
+
+// @desc    Get the signed-in user's points history
+// @route   GET /api/wallet/history
+// @access  Private
+const getMyHistory = asyncHandler(async (req, res) => {
+  const { entries, pagination } = await getHistoryPage(req.user.email, req.query);
+
+  res.json({
+    success: true,
+    data: entries,
+    pagination,
+  });
+});
+
+// @desc    Get any user's wallet balance and history
+// @route   GET /api/wallet/users/:email
+// @access  Private/Admin
+const getUserWallet = asyncHandler(async (req, res) => {
+  const { email } = req.params;
+
+  if (!isValidEmail(email)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid email format",
+    });
+  }
+
+  const [balance, history] = await Promise.all([
+    WalletEntry.getBalance(email),
+    getHistoryPage(email, req.query),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      email: email.toLowerCase(),
+      ...balance,
+      history: history.entries,
+    },
+    pagination: history.pagination,
+  });
+});
+
+// @desc    Manually credit or debit a user's wallet
+// @route   POST /api/wallet/adjustments
+// @access  Private/Admin
+const createAdjustment = asyncHandler(async (req, res) => {
+  const { email, points, description } = req.body;
+
+  if (!email || !isValidEmail(email)) {
+    return res.status(400).json({
+      success: false,
+      message: "A valid email is required",
+    });
+  }
+
+  if (!Number.isInteger(points) || points === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Points must be a non-zero whole number",
+    });
+  }
+
+  if (!description) {
+    return res.status(400).json({
+      success: false,
+      message: "A description is required for manual adjustments",
+    });
+  }
+
+  const entry = await appendEntry({
+    email: email.toLowerCase().trim(),
+    kind: "adjustment",
+    points,
+    idempotencyKey: `adjustment:${uuidv4()}`,
+    description: `${description} (by ${req.user.email})`,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Wallet adjusted successfully",
+    data: entry,
+    balance: (await WalletEntry.getBalance(email)).balance,
+  });
+});
+
+// @desc    Compare wallet credits against postback payouts per network
+// @route   GET /api/wallet/reconciliation
+// @access  Private/Admin
+const getReconciliation = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+
+  const createdAt = {};
+  if (from) createdAt.$gte = new Date(from);
+  if (to) createdAt.$lte = new Date(to);
+  const match = Object.keys(createdAt).length > 0 ? { createdAt } : {};
+
+  const [ledger, postbacks] = await Promise.all([
+    WalletEntry.aggregate([
+      { $match: { ...match, kind: { $in: ["conversion", "reversal"] } } },
+      {
+        $group: {
+          _id: { network: "$network", currency: "$payoutCurrency" },
+          points: { $sum: "$points" },
+          payout: { $sum: "$payout" },
+          conversions: { $sum: { $cond: [{ $eq: ["$kind", "conversion"] }, 1, 0] } },
+          reversals: { $sum: { $cond: [{ $eq: ["$kind", "reversal"] }, 1, 0] } },
+        },
+      },
+    ]),
+    PostbackTransaction.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$network",
+          payout: { $sum: "$payout" },
+          conversions: { $sum: { $cond: [{ $eq: ["$type", "conversion"] }, 1, 0] } },
+          reversals: { $sum: { $cond: [{ $eq: ["$type", "reversal"] }, 1, 0] } },
+        },
+      },
+    ]),
+  ]);
+
+  const postbacksByNetwork = new Map(postbacks.map((row) => [row._id, row]));
+
+  const networks = ledger.map((row) => {
+    const network = postbacksByNetwork.get(row._id.network) || {
+      payout: 0,
+      conversions: 0,
+      reversals: 0,
+    };
+    postbacksByNetwork.delete(row._id.network);
+
+    return {
+      network: row._id.network,
+      currency: row._id.currency,
+      ledger: {
+        points: row.points,
+        payout: row.payout,
+        conversions: row.conversions,
+        reversals: row.reversals,
+      },
+      postbacks: {
+        payout: network.payout,
+        conversions: network.conversions,
+        reversals: network.reversals,
+      },
+      payoutDifference: Number((network.payout - row.payout).toFixed(2)),
+    };
+  });
+
+  // Networks that paid out but never reached the ledger at all
+  postbacksByNetwork.forEach((network, name) => {
+    networks.push({
+      network: name,
+      currency: null,
+      ledger: { points: 0, payout: 0, conversions: 0, reversals: 0 },
+      postbacks: {
+        payout: network.payout,
+        conversions: network.conversions,
+        reversals: network.reversals,
+      },
+      payoutDifference: Number(network.payout.toFixed(2)),
+    });
+  });
+
+  res.json({
+    success: true,
+    data: {
+      networks,
+      balanced: networks.every((network) => network.payoutDifference === 0),
+      period: { from: from || null, to: to || null },
+    },
+  });
+});
+
+module.exports = {
+  getMyWallet,
+  getMyHistory,
+  getUserWallet,
+  createAdjustment,
+  getReconciliation,
+};
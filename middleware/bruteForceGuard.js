@@ -0,0 +1,41 @@
+const asyncHandler = require("express-async-handler");
+const { checkLogin, checkSignup, registerSignupAttempt } = require("../utils/bruteForceService");
+const { getClientIp } = require("../utils/geoService");
+
+const tooManyAttempts = (res, { retryAfterMs, locked }) => {
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  res.set("Retry-After", String(retryAfter));
+
+  return res.status(429).json({
+    message: locked
+      ? "Too many failed attempts. This account or network is temporarily locked."
+      : "Too many attempts. Please wait before trying again.",
+    code: locked ? "LOCKED_OUT" : "RATE_LIMITED",
+    retryAfter,
+  });
+};
+
+// Rejects login attempts from locked or backing-off IPs and accounts.
+// The controller reports the outcome through registerLoginFailure/Success.
+const loginGuard = asyncHandler(async (req, res, next) => {
+  const result = await checkLogin({ ip: getClientIp(req), email: req.body?.email });
+  if (result.retryAfterMs > 0) return tooManyAttempts(res, result);
+
+  next();
+});
+
+// Caps signups per IP; every attempt counts towards the limit
+const signupGuard = asyncHandler(async (req, res, next) => {
+  const ip = getClientIp(req);
+
+  const result = await checkSignup({ ip });
+  if (result.retryAfterMs > 0) return tooManyAttempts(res, result);
+
+  await registerSignupAttempt({ ip });
+  next();
+});
+
+module.exports = {
+  loginGuard,
+  signupGuard,
+};
@@ -0,0 +1,18 @@
+// middleware/geoLocate.js
+// Puts the client's IP and location on req.geo ({ ip, country, region, city,
+// timezone, ll, source }) for every request; see utils/geoService.js.
+// Controllers read req.geo rather than looking the IP up themselves. A failed
+// lookup leaves the location fields null instead of failing the request.
+const { resolveGeo, normalizeIp, unknownLocation } = require("../utils/geoService");
+
+const geoLocate = async (req, res, next) => {
+  try {
+    req.geo = await resolveGeo(req);
+  } catch (error) {
+    console.error("Geo lookup error:", error);
+    req.geo = unknownLocation(normalizeIp(req.ip));
+  }
+  next();
+};
+
+module.exports = geoLocate;
@@ -4,6 +4,7 @@ const fs = require("fs");
 const fsPromises = require("fs/promises");
 const { format } = require("date-fns");
 const Log = require('../model/Log');
+const RejectedPostback = require('../model/RejectedPostback');
 
 const logEvents = async (message, logFileName, type = 'system', level = 'info', details = {}) => {
     const dateTime = format(new Date(), 'yyyyMMdd\tHH:mm:ss');
@@ -154,12 +155,11 @@ const logOfferActivity = async (type, message, details = {}) => {
             offerId: details.offerId || null,
             title: details.title || '',
             active: details.active || false,
-            hasGhanaLink: details.hasGhanaLink || false,
-            hasKenyaLink: details.hasKenyaLink || false,
-            hasNigeriaLink: details.hasNigeriaLink || false,
+            countries: details.countries || [],
+            regions: details.regions || [],
+            hasDefaultLink: details.hasDefaultLink || false,
             totalLinks: details.totalLinks || 0,
             wasActive: details.wasActive || false,
-            hadLinks: details.hadLinks || {},
             previousStatus: details.previousStatus || '',
             country: details.country || '',
             city: details.city || '',
@@ -172,6 +172,48 @@ const logOfferActivity = async (type, message, details = {}) => {
     });
 };
 
+// Conversion cap helper - a cap being hit is logged as a warning, its
+// release as info
+const logCapActivity = async (type, message, details = {}) => {
+    const logId = uuidv4();
+
+    await Log.create({
+        logId,
+        type,
+        level: type === 'cap_reached' ? 'warn' : 'info',
+        message,
+        details: {
+            offerId: details.offerId || null,
+            itemId: details.itemId || null,
+            itemType: details.itemType || '',
+            title: details.title || '',
+            country: details.country || '',
+            ...details
+        }
+    });
+};
+
+// Postback rejection helper - keeps an audit trail of refused conversions
+// `postback` is the captured input from utils/postbackProcessor
+const logRejectedPostback = async (postback, reason, details = {}) => {
+    console.warn(`Postback rejected (${reason}) for ${postback.network} from ${postback.ip}`);
+
+    try {
+        await RejectedPostback.create({
+            network: postback.network,
+            reason,
+            message: details.message || null,
+            ip: postback.ip,
+            userAgent: postback.headers?.['user-agent'] || null,
+            query: postback.query,
+            transactionId: details.transactionId || null,
+            offerCompletion: details.offerCompletion || null
+        });
+    } catch (err) {
+        console.error('Error recording rejected postback:', err);
+    }
+};
+
 // Cleanup old logs periodically (keeps last 30 days)
 const cleanupOldLogs = async () => {
     const thirtyDaysAgo = new Date();
@@ -185,13 +227,15 @@ const cleanupOldLogs = async () => {
     }
 };
 
-// Run cleanup daily
-setInterval(cleanupOldLogs, 24 * 60 * 60 * 1000);
+// Run cleanup daily; the timer alone doesn't keep the process running
+setInterval(cleanupOldLogs, 24 * 60 * 60 * 1000).unref();
 
 module.exports = { 
     logEvents, 
     errorLogger, 
     requestLogger,
     logSubscriberActivity,
-    logOfferActivity
+    logOfferActivity,
+    logCapActivity,
+    logRejectedPostback
 };
\ No newline at end of file
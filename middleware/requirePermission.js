@@ -0,0 +1,36 @@
+const asyncHandler = require("express-async-handler");
+const { hasPermission } = require("../config/roles");
+const { isTwoFactorRequired } = require("../utils/twoFactorService");
+
+// Route guard: the signed-in user needs every listed permission.
+// Must run after verifyJWT. Requests already let in by verifyApiKey were
+// checked against the key's scope instead.
+const requirePermission = (...permissions) =>
+  asyncHandler(async (req, res, next) => {
+    if (req.apiKey) return next();
+
+    if (!req.user) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+
+    const missing = permissions.filter(
+      (permission) => !hasPermission(req.user.roles, permission)
+    );
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        message: `Requires permission: ${missing.join(", ")}`,
+      });
+    }
+
+    if (!req.user.twoFactorEnabled && (await isTwoFactorRequired(req.user.roles))) {
+      return res.status(403).json({
+        message: "Two-factor authentication must be enabled for your role",
+        code: "TWO_FACTOR_REQUIRED",
+      });
+    }
+
+    next();
+  });
+
+module.exports = requirePermission;
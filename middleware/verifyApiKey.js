@@ -0,0 +1,47 @@
+const asyncHandler = require("express-async-handler");
+const { findActiveKey, consumeRateLimit, getRetryAfter } = require("../utils/apiKeyService");
+const { getClientIp, normalizeIp } = require("../utils/geoService");
+
+// Authenticates partner requests carrying an X-API-Key header. Place it
+// before verifyJWT on routes that partners may call:
+//
+//   router.post('/batch', verifyApiKey('catalog:import'), verifyJWT, requirePermission('apps:write'), ...)
+//
+// A valid key with the scope sets req.apiKey, and verifyJWT/requirePermission
+// then let the request through. Without the header it does nothing, so
+// signed-in staff keep working as before.
+const verifyApiKey = (scope) =>
+  asyncHandler(async (req, res, next) => {
+    const key = req.get("X-API-Key");
+    if (!key) return next();
+
+    const apiKey = await findActiveKey(key);
+    if (!apiKey) {
+      return res.status(401).json({ message: "Invalid API key" });
+    }
+
+    const ip = getClientIp(req);
+    if (apiKey.allowedIps.length > 0 && !apiKey.allowedIps.map(normalizeIp).includes(ip)) {
+      return res.status(403).json({ message: "API key not allowed from this IP" });
+    }
+
+    if (!apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ message: `API key lacks scope: ${scope}` });
+    }
+
+    if (!(await consumeRateLimit(apiKey, ip))) {
+      res.set("Retry-After", String(getRetryAfter(apiKey)));
+      return res.status(429).json({ message: "API key rate limit exceeded" });
+    }
+
+    req.apiKey = {
+      id: apiKey._id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+    };
+
+    next();
+  });
+
+module.exports = verifyApiKey;
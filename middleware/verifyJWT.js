@@ -1,8 +1,12 @@
 const asyncHandler = require("express-async-handler");
 const jwt = require("jsonwebtoken");
 const User = require("../model/User.js");
+const { isSessionRevoked } = require("../utils/sessionService");
 
 const verifyJWT = asyncHandler(async (req, res, next) => {
+  // Already authenticated by verifyApiKey earlier in the chain
+  if (req.apiKey) return next();
+
   const authHeader =
     req.headers.authorization ||
     req.headers.Authorization ||
@@ -26,10 +30,26 @@ const verifyJWT = asyncHandler(async (req, res, next) => {
       return res.status(401).json({ message: "User not found" });
     }
     
+    if (!user.isActive) {
+      return res.status(403).json({ message: "Account deactivated" });
+    }
+
+    // Tokens issued before a password reset die with the old password
+    if (user.passwordChangedAt && decoded.iat < Math.floor(new Date(user.passwordChangedAt).getTime() / 1000)) {
+      return res.status(401).json({ message: "Password changed, please log in again" });
+    }
+
+    // Logged out or revoked sessions don't wait for their access tokens to expire
+    if (decoded.sid && (await isSessionRevoked(decoded.sid))) {
+      return res.status(401).json({ message: "Session has been revoked" });
+    }
+
     req.user = {
       id: user._id,
       email: user.email,
-      roles: user.roles,
+      roles: user.roles || [],
+      sessionId: decoded.sid || null,
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
     };
     
 
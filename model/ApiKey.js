@@ -0,0 +1,97 @@
+// model/ApiKey.js
+const mongoose = require("mongoose");
+const { API_KEY_SCOPES } = require("../config/roles");
+const { normalizeIp } = require("../utils/geoService");
+
+// Server-to-server credentials for partner scripts. The full key is shown
+// once at creation/rotation; only its SHA-256 is stored.
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Key name is required"],
+      trim: true,
+      maxlength: 100,
+    },
+    // First characters of the key, safe to display ("gg_3f9a1c0e")
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [{ type: String, enum: Object.keys(API_KEY_SCOPES) }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+    // Empty means any IP may use the key. Stored the way getClientIp reports
+    // request IPs ("::ffff:1.2.3.4" as "1.2.3.4", IPv6 lowercased).
+    allowedIps: {
+      type: [String],
+      default: [],
+      set: (values) => values?.map((value) => normalizeIp(String(value)) || String(value).trim()),
+      validate: {
+        validator: (values) => values.every((value) => normalizeIp(value) === value),
+        message: (props) => `Invalid IP address in allowedIps: ${props.value.find((value) => normalizeIp(value) !== value)}`,
+      },
+    },
+    rateLimit: {
+      requests: { type: Number, default: 60, min: 1 },
+      windowSeconds: { type: Number, default: 60, min: 1 },
+    },
+    // Fixed-window request counter backing rateLimit
+    rateWindowStart: {
+      type: Date,
+      default: null,
+    },
+    rateWindowCount: {
+      type: Number,
+      default: 0,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiKeySchema.index({ revokedAt: 1, createdAt: -1 });
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+module.exports = ApiKey;
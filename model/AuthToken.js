@@ -0,0 +1,46 @@
+// model/AuthToken.js
+const mongoose = require("mongoose");
+
+// Single-use tokens mailed to users (email verification, password reset).
+// Only the SHA-256 of the token is stored.
+const authTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    purpose: {
+      type: String,
+      required: true,
+      enum: ["email_verification", "password_reset"],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+authTokenSchema.index({ user: 1, purpose: 1, usedAt: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthToken = mongoose.model("AuthToken", authTokenSchema);
+
+module.exports = AuthToken;
@@ -0,0 +1,46 @@
+// model/CapCounter.js
+const mongoose = require("mongoose");
+
+// Completed postbacks for one offer or catalog item. `day` is a calendar date
+// ("YYYY-MM-DD") in the cap timezone or "lifetime"; `country` is an ISO code
+// or "*" for every country. A new day simply starts new counters.
+const capCounterSchema = new mongoose.Schema(
+  {
+    targetType: {
+      type: String,
+      enum: ["Offer", "CatalogItem"],
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    day: {
+      type: String,
+      required: true,
+    },
+    country: {
+      type: String,
+      required: true,
+      default: "*",
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastConvertedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+capCounterSchema.index({ target: 1, day: 1, country: 1 }, { unique: true });
+
+const CapCounter = mongoose.model("CapCounter", capCounterSchema);
+
+module.exports = CapCounter;
@@ -0,0 +1,157 @@
+// models/CatalogItem.js
+// Shared base for apps, coupons, games and gift cards. Every type lives in
+// one "catalogitems" collection and is told apart by `kind`, which is the
+// discriminator model name ("App", "Coupon", "Game" or "GiftCard").
+const mongoose = require("mongoose");
+const { caps, capHits, capPausedAt } = require("./capFields");
+
+const catalogItemSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    merchant: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    image: {
+      type: String,
+      required: true,
+    },
+    logo: {
+      type: String,
+      required: true,
+    },
+    offer: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 5,
+    },
+    totalRatings: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+    },
+    itemsLeft: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // draft -> scheduled -> live -> expired, with paused and archived set by
+    // hand. See utils/catalogLifecycle.js for the allowed moves.
+    status: {
+      type: String,
+      enum: ["draft", "scheduled", "live", "paused", "expired", "archived"],
+      default: "live",
+    },
+    statusChangedAt: {
+      type: Date,
+      default: null,
+    },
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    // Uses so far on usageDay, mirroring that day's UsageBucket. Only
+    // utils/usageService.js writes these; the scheduler zeroes them at
+    // midnight in the usage timezone.
+    usedToday: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+    },
+    usageDay: {
+      type: String,
+      default: null,
+    },
+    verified: {
+      type: Boolean,
+      required: true,
+      default: false,
+    },
+    details: {
+      type: String,
+      required: true,
+    },
+    action: {
+      actionLink: {
+        type: String,
+        required: true,
+      },
+      actionProvider: {
+        type: String,
+        enum: ["og_ads", "cpa_grip", "cpa_lead", "Other"],
+        default: "og_ads",
+      },
+    },
+    // Counters only; the clicks themselves live in ClickEvent
+    totalClicks: {
+      type: Number,
+      default: 0,
+    },
+    uniqueClicks: {
+      type: Number,
+      default: 0,
+    },
+    lastClicked: {
+      type: Date,
+      default: null,
+    },
+    // Conversion caps; reaching one pauses the item or swaps in a fallback link
+    caps,
+    capHits,
+    capPausedAt,
+  },
+  {
+    timestamps: true,
+    discriminatorKey: "kind",
+    collection: "catalogitems",
+    toJSON: { virtuals: true },
+    id: false,
+  }
+);
+
+// Read-only stand-in for the old free-form expiry string
+catalogItemSchema.virtual("expiry").get(function () {
+  return this.expiresAt ? this.expiresAt.toISOString() : "No expiration";
+});
+
+// Display string kept for clients that read the old usesToday field
+catalogItemSchema.virtual("usesToday").get(function () {
+  return String(this.usedToday || 0);
+});
+
+// Indexes for every type are declared here so they are built on the shared
+// collection; paths that only some types have are simply sparse.
+catalogItemSchema.index({ title: "text", description: "text", details: "text" });
+catalogItemSchema.index({ kind: 1, rating: -1 });
+catalogItemSchema.index({ kind: 1, badge: 1 });
+catalogItemSchema.index({ kind: 1, verified: 1 });
+catalogItemSchema.index({ kind: 1, merchant: 1 });
+catalogItemSchema.index({ kind: 1, totalRatings: -1 });
+catalogItemSchema.index({ kind: 1, status: 1, expiresAt: 1 });
+catalogItemSchema.index({ status: 1, startsAt: 1 });
+catalogItemSchema.index({ usageDay: 1, usedToday: 1 });
+catalogItemSchema.index({ "capHits.scope": 1 });
+catalogItemSchema.index({ kind: 1, code: 1 });
+catalogItemSchema.index({ kind: 1, "redemption.pointsCost": 1 });
+
+module.exports = mongoose.model("CatalogItem", catalogItemSchema);
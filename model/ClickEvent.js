@@ -0,0 +1,159 @@
+// model/ClickEvent.js
+const mongoose = require("mongoose");
+
+// One click on a catalog item's action link. Stored as a MongoDB time-series
+// collection keyed by `meta` (item type and id); the item itself only keeps
+// totalClicks/uniqueClicks counters. Set CLICK_RETENTION_DAYS to have old
+// clicks dropped automatically.
+const retentionDays = Number(process.env.CLICK_RETENTION_DAYS) || 0;
+
+const clickEventSchema = new mongoose.Schema(
+  {
+    meta: {
+      itemType: {
+        type: String,
+        enum: ["App", "Coupon", "Game", "GiftCard"],
+        required: true,
+      },
+      item: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+    },
+    date: {
+      type: Date,
+      default: Date.now,
+      required: true,
+    },
+    ip: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    country: {
+      type: String,
+      default: "Unknown",
+      trim: true,
+    },
+    city: {
+      type: String,
+      default: "Unknown",
+      trim: true,
+    },
+    region: {
+      type: String,
+      default: "Unknown",
+      trim: true,
+    },
+    userAgent: {
+      type: String,
+      default: "Unknown",
+      trim: true,
+    },
+    referrer: {
+      type: String,
+      default: "Direct",
+      trim: true,
+    },
+    deviceType: {
+      type: String,
+      enum: ["desktop", "mobile", "tablet", "bot", "unknown"],
+      default: "unknown",
+    },
+    browser: {
+      type: String,
+      default: "Unknown",
+    },
+    os: {
+      type: String,
+      default: "Unknown",
+    },
+    isUnique: {
+      type: Boolean,
+      default: true,
+    },
+    sessionId: {
+      type: String,
+      default: null,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // Postback network the item converts through, for attribution reports
+    network: {
+      type: String,
+      default: null,
+    },
+    // The tracked link (/go/:slug) the click came through, if any
+    link: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+  },
+  {
+    timeseries: {
+      timeField: "date",
+      metaField: "meta",
+      granularity: "minutes",
+    },
+    ...(retentionDays > 0 && { expireAfterSeconds: retentionDays * 24 * 60 * 60 }),
+    versionKey: false,
+  }
+);
+
+clickEventSchema.index({ "meta.item": 1, date: -1 });
+clickEventSchema.index({ "meta.itemType": 1, date: -1 });
+
+// Aggregations over a window of clicks. `match` narrows the clicks, e.g.
+// { "meta.item": id } or { "meta.itemType": "Coupon" }.
+const clicksSince = (match, startDate) => ({
+  $match: { ...match, ...(startDate && { date: { $gte: startDate } }) },
+});
+
+const countClicks = {
+  totalClicks: { $sum: 1 },
+  uniqueClicks: { $sum: { $cond: ["$isUnique", 1, 0] } },
+};
+
+clickEventSchema.statics.getDailyClicks = function (match, startDate, groupBy = "day") {
+  return this.aggregate([
+    clicksSince(match, startDate),
+    {
+      $group: {
+        _id: {
+          $dateToString: {
+            format: groupBy === "day" ? "%Y-%m-%d" : "%Y-%m-%d-%H",
+            date: "$date",
+          },
+        },
+        ...countClicks,
+      },
+    },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, date: "$_id", totalClicks: 1, uniqueClicks: 1 } },
+  ]);
+};
+
+// Clicks grouped by one field ("country", "deviceType", "referrer"...)
+clickEventSchema.statics.getBreakdown = function (match, startDate, field, limit) {
+  return this.aggregate([
+    clicksSince(match, startDate),
+    { $group: { _id: `$${field}`, ...countClicks } },
+    { $sort: { totalClicks: -1 } },
+    ...(limit ? [{ $limit: limit }] : []),
+    { $project: { _id: 0, [field]: "$_id", totalClicks: 1, uniqueClicks: 1 } },
+  ]);
+};
+
+// Per-item click counts, keyed by item id
+clickEventSchema.statics.getItemTotals = function (match, startDate) {
+  return this.aggregate([
+    clicksSince(match, startDate),
+    { $group: { _id: "$meta.item", itemType: { $first: "$meta.itemType" }, ...countClicks } },
+  ]);
+};
+
+const ClickEvent = mongoose.model("ClickEvent", clickEventSchema);
+
+module.exports = ClickEvent;
@@ -0,0 +1,94 @@
+// model/Conversion.js
+const mongoose = require("mongoose");
+
+// One accepted conversion joined back to the click and completion that led to
+// it. The click's item, country and device are copied in so attribution
+// reports don't have to reach into the click collection.
+const conversionSchema = new mongoose.Schema(
+  {
+    completion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "OfferCompletion",
+      required: true,
+      unique: true,
+    },
+    click: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CatalogItem",
+      default: null,
+    },
+    itemType: {
+      type: String,
+      default: null,
+    },
+    // The offer the completion was opened for, when it names one
+    offer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Offer",
+      default: null,
+    },
+    network: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    transactionId: {
+      type: String,
+      default: null,
+    },
+    payout: {
+      type: Number,
+      default: 0,
+    },
+    currency: {
+      type: String,
+      default: "USD",
+    },
+    country: {
+      type: String,
+      default: null,
+    },
+    deviceType: {
+      type: String,
+      default: null,
+    },
+    clickedAt: {
+      type: Date,
+      default: null,
+    },
+    convertedAt: {
+      type: Date,
+      required: true,
+    },
+    // convertedAt - clickedAt; null when the conversion has no click
+    timeToConvertMs: {
+      type: Number,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["converted", "reversed"],
+      default: "converted",
+    },
+    reversedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+conversionSchema.index({ convertedAt: -1 });
+conversionSchema.index({ network: 1, convertedAt: -1 });
+conversionSchema.index({ item: 1, convertedAt: -1 });
+
+const Conversion = mongoose.model("Conversion", conversionSchema);
+
+module.exports = Conversion;
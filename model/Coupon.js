@@ -1,118 +1,17 @@
 // models/Coupon.js
 const mongoose = require("mongoose");
-const clickSchema = require("./clickSchema");
+const CatalogItem = require("./CatalogItem");
+const { code, redemption, inventory } = require("./catalogFields");
 
-const couponSchema = new mongoose.Schema(
-  {
-    title: {
-      type: String,
-      required: true,
-      trim: true,
-    },
-    merchant: {
-      type: String,
-      required: true,
-      trim: true,
-    },
-    image: {
-      type: String,
-      required: true,
-    },
-    logo: {
-      type: String,
-      required: true,
-    },
-    offer: {
-      type: String,
-      required: true,
-    },
-    description: {
-      type: String,
-      required: true,
-    },
-    rating: {
-      type: Number,
-      required: true,
-      min: 0,
-      max: 5,
-    },
-    totalRatings: {
-      type: Number,
-      required: true,
-      default: 0,
-      min: 0,
-    },
-    itemsLeft: {
-      type: Number,
-      required: true,
-      min: 0,
-    },
-    expiry: {
-      type: String,
-      required: true,
-    },
-    usesToday: {
-      type: String,
-      required: true,
-    },
-    usedToday: {
-      type: Number,
-      required: true,
-      default: 0,
-      min: 0,
-    },
-    verified: {
-      type: Boolean,
-      required: true,
-      default: false,
-    },
-    details: {
-      type: String,
-      required: true,
-    },
-    code: {
-      type: String,
-      // required: true,
-      trim: true,
-    },
-    badge: {
-      type: String,
-      enum: ["Sale", "Deal", "Hot", null],
-      default: null,
-    },
-    action: {
-      actionLink: {
-        type: String,
-        required: true,
-      },
-      actionProvider: {
-        type: String,
-        enum: ["og_ads", "cpa_grip", "cpa_lead", "Other"],
-        default: "og_ads",
-      },
-    },
-    clicks: [clickSchema],
-    totalClicks: {
-      type: Number,
-      default: 0,
-    },
-    uniqueClicks: {
-      type: Number,
-      default: 0,
-    },
+const couponSchema = new mongoose.Schema({
+  code,
+  badge: {
+    type: String,
+    enum: ["Sale", "Deal", "Hot", null],
+    default: null,
   },
-  {
-    timestamps: true,
-  }
-);
+  redemption,
+  inventory,
+});
 
-// Indexes
-couponSchema.index({ title: "text", description: "text", details: "text" });
-couponSchema.index({ rating: -1 });
-couponSchema.index({ badge: 1 });
-couponSchema.index({ verified: 1 });
-couponSchema.index({ totalRatings: -1 });
-couponSchema.index({ expiry: 1 });
-couponSchema.index({ code: 1 });
-
-module.exports = mongoose.model("Coupon", couponSchema);
+module.exports = CatalogItem.discriminator("Coupon", couponSchema);
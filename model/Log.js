@@ -28,7 +28,12 @@ const logSchema = new mongoose.Schema({
             'offer_update',
             'offer_delete',
             'offer_status_toggle',
-            'offer_access'
+            'offer_access',
+            'offer_variant_add',
+            'offer_variant_weights',
+            'offer_variant_winner',
+            'cap_reached',
+            'cap_released'
         ],
         required: true
     },
@@ -63,21 +68,32 @@ const logSchema = new mongoose.Schema({
             ref: 'Offer'
         },
         active: Boolean,
-        hasGhanaLink: Boolean,
-        hasKenyaLink: Boolean,
-        hasNigeriaLink: Boolean,
+        countries: [String],
+        regions: [String],
+        hasDefaultLink: Boolean,
         totalLinks: Number,
         wasActive: Boolean,
-        hadLinks: {
-            ghana: Boolean,
-            kenya: Boolean,
-            nigeria: Boolean
-        },
+        linkSource: String,
+        variantId: mongoose.Schema.Types.ObjectId,
+        rule: String,
+        region: String,
         previousStatus: String,
         country: String,
         city: String,
         ip: String,
-        userAgent: String
+        userAgent: String,
+
+        // Conversion cap fields (offerId is set for offers, itemId for catalog items)
+        itemId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'CatalogItem'
+        },
+        itemType: String,
+        scope: String,
+        limit: Number,
+        count: Number,
+        capAction: String,
+        reason: String
     }
 }, {
     timestamps: true
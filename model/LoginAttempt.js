@@ -0,0 +1,54 @@
+// model/LoginAttempt.js
+const mongoose = require("mongoose");
+
+// Failed-attempt counters for the MongoDB attempt store (utils/attemptStore.js)
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // "ip:1.2.3.4", "account:someone@example.com" or "signup:1.2.3.4"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scope: {
+      type: String,
+      required: true,
+      enum: ["ip", "account", "signup"],
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    firstFailureAt: {
+      type: Date,
+      default: null,
+    },
+    lastFailureAt: {
+      type: Date,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // How many times this key has been locked; each lockout lasts twice as long
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+loginAttemptSchema.index({ lockedUntil: 1 });
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+
+module.exports = LoginAttempt;
@@ -1,5 +1,6 @@
 // models/offerModel.js
 const mongoose = require("mongoose");
+const { caps, capHits, capPausedAt } = require("./capFields");
 
 const offerSchema = new mongoose.Schema(
   {
@@ -12,11 +13,68 @@ const offerSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // ISO 3166-1 alpha-2 country code (upper case) -> link.
+    // See utils/offerLinks.js for how a visitor's link is picked.
     links: {
-      ghana: { type: String, required: false },
-      kenya: { type: String, required: false },
-      nigeria: { type: String, required: false },
+      type: Map,
+      of: String,
+      default: {},
     },
+    // Named groups of countries sharing one link, checked in order
+    regions: [
+      {
+        _id: false,
+        name: { type: String, required: true, trim: true },
+        countries: { type: [String], required: true },
+        link: { type: String, required: true, trim: true },
+      },
+    ],
+    defaultLink: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Checked in order before any country targeting; the first active rule
+    // whose conditions all hold picks the link. Empty conditions are ignored.
+    // See utils/offerTargeting.js.
+    rules: [
+      {
+        name: { type: String, trim: true, default: null },
+        active: { type: Boolean, default: true },
+        conditions: {
+          countries: [String],
+          deviceTypes: [String],
+          os: [String],
+          browsers: [String],
+          languages: [String],
+          referrers: [String],
+          // HH:MM in the visitor's timezone; days are sun..sat
+          timeWindow: {
+            start: String,
+            end: String,
+            days: [String],
+          },
+        },
+        link: { type: String, required: true, trim: true },
+      },
+    ],
+    // Weighted candidates for one target: a country code, "region:<name>" or
+    // "default". While a target has variants with weight they replace its
+    // single link; see utils/offerVariants.js.
+    variants: [
+      {
+        name: { type: String, trim: true, default: null },
+        target: { type: String, required: true, trim: true },
+        link: { type: String, required: true, trim: true },
+        weight: { type: Number, default: 1, min: 0, max: 1000 },
+        serves: { type: Number, default: 0, min: 0 },
+        lastServedAt: { type: Date, default: null },
+      },
+    ],
+    // Daily/lifetime conversion caps, overall and per country
+    caps,
+    capHits,
+    capPausedAt,
   },
   {
     timestamps: true,
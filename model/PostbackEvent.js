@@ -0,0 +1,105 @@
+// models/PostbackEvent.js
+const mongoose = require("mongoose");
+
+// Every inbound postback (and every reprocessing run) is stored as one event.
+// Events are write-once: reprocessing creates a new event pointing back at
+// the original instead of changing it.
+const postbackEventSchema = new mongoose.Schema(
+  {
+    network: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    rawQuery: {
+      type: String,
+      default: "",
+    },
+    query: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    headers: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    sourceIp: {
+      type: String,
+      default: null,
+    },
+    parsed: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    transactionId: {
+      type: String,
+      default: null,
+    },
+    action: {
+      type: String,
+      enum: ["conversion", "reversal"],
+      default: "conversion",
+    },
+    outcome: {
+      type: String,
+      enum: ["accepted", "rejected", "error"],
+      required: true,
+    },
+    reason: {
+      type: String,
+      default: null,
+    },
+    message: {
+      type: String,
+      default: null,
+    },
+    httpStatus: {
+      type: Number,
+      required: true,
+    },
+    offerCompletion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "OfferCompletion",
+      default: null,
+    },
+    reprocessOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PostbackEvent",
+      default: null,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+postbackEventSchema.index({ receivedAt: -1 });
+postbackEventSchema.index({ network: 1, receivedAt: -1 });
+postbackEventSchema.index({ outcome: 1, receivedAt: -1 });
+postbackEventSchema.index({ offerCompletion: 1 });
+postbackEventSchema.index({ transactionId: 1 });
+postbackEventSchema.index({ reprocessOf: 1 });
+
+const immutableError = () => new Error("Postback events are immutable");
+
+postbackEventSchema.pre("save", function (next) {
+  if (!this.isNew) return next(immutableError());
+  next();
+});
+
+["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"].forEach(
+  (operation) => {
+    postbackEventSchema.pre(operation, function (next) {
+      next(immutableError());
+    });
+  }
+);
+
+const PostbackEvent = mongoose.model("PostbackEvent", postbackEventSchema);
+
+module.exports = PostbackEvent;
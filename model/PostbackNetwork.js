@@ -0,0 +1,90 @@
+// models/PostbackNetwork.js
+const mongoose = require("mongoose");
+
+// A list of query parameter names; the first one present in a postback wins
+const paramNames = {
+  type: [String],
+  default: undefined,
+};
+
+const postbackNetworkSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9_-]+$/, "Network name may only contain letters, numbers, - and _"],
+    },
+    displayName: {
+      type: String,
+      trim: true,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    paramMap: {
+      email: paramNames,
+      completionId: paramNames,
+      userId: paramNames,
+      username: paramNames,
+      offerId: paramNames,
+      offerName: paramNames,
+      payout: paramNames,
+      transactionId: paramNames,
+      status: paramNames,
+      reversalReason: paramNames,
+      ip: paramNames,
+      clickId: paramNames,
+    },
+    // Outbound query parameter names for the sub-ids appended to offer links
+    subIdParams: {
+      userId: { type: String, trim: true },
+      completionId: { type: String, trim: true },
+      clickId: { type: String, trim: true },
+    },
+    // Status values that mark a postback as a reversal (lowercase)
+    reversalStatuses: {
+      type: [String],
+      default: undefined,
+      set: (values) => values?.map((value) => String(value).toLowerCase().trim()),
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false, // never returned unless explicitly asked for
+    },
+    // Unset falls back to POSTBACK_SIGNATURE_PARAM_<NETWORK>, then "signature"
+    signatureParam: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+    allowedIps: {
+      type: [String],
+      default: [],
+    },
+    // Wallet points per 1 unit of payout; falls back to Settings.pointsPerPayoutUnit
+    pointsRate: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+    payoutCurrency: {
+      type: String,
+      default: "USD",
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, "Payout currency must be a 3-letter ISO code"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const PostbackNetwork = mongoose.model("PostbackNetwork", postbackNetworkSchema);
+
+module.exports = PostbackNetwork;
@@ -0,0 +1,51 @@
+// models/PostbackTransaction.js
+const mongoose = require("mongoose");
+
+// One document per accepted conversion or reversal. The unique index on
+// network + transactionId is what rejects replayed postbacks; reversals are
+// stored with a "reversal:" prefixed id so they don't collide with the
+// conversion they undo.
+const postbackTransactionSchema = new mongoose.Schema(
+  {
+    network: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    transactionId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ["conversion", "reversal"],
+      default: "conversion",
+    },
+    offerCompletion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "OfferCompletion",
+      required: true,
+    },
+    payout: {
+      type: Number,
+      default: 0,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+postbackTransactionSchema.index({ network: 1, transactionId: 1 }, { unique: true });
+postbackTransactionSchema.index({ offerCompletion: 1 });
+postbackTransactionSchema.index({ type: 1, network: 1 });
+
+const PostbackTransaction = mongoose.model("PostbackTransaction", postbackTransactionSchema);
+
+module.exports = PostbackTransaction;
@@ -0,0 +1,107 @@
+// models/Redemption.js
+const mongoose = require("mongoose");
+
+const redemptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    itemType: {
+      type: String,
+      enum: ["GiftCard", "Coupon"],
+      required: true,
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "itemType",
+      required: true,
+    },
+    // Snapshot of the item at redemption time, in case it is edited later
+    title: {
+      type: String,
+      trim: true,
+    },
+    merchant: {
+      type: String,
+      trim: true,
+    },
+    pointsCost: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    fulfillment: {
+      type: String,
+      enum: ["code", "manual"],
+      required: true,
+    },
+    // pending: waiting in the admin queue (manual fulfillment)
+    // fulfilled: the user has their code
+    // cancelled: points refunded and stock restored
+    status: {
+      type: String,
+      enum: ["pending", "fulfilled", "cancelled"],
+      default: "pending",
+    },
+    code: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    rewardCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RewardCode",
+      default: null,
+    },
+    walletEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WalletEntry",
+      default: null,
+    },
+    fulfilledAt: {
+      type: Date,
+      default: null,
+    },
+    fulfilledBy: {
+      type: String,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancelReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    isEmailSent: {
+      type: Boolean,
+      default: false,
+    },
+    note: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+redemptionSchema.index({ email: 1, createdAt: -1 });
+redemptionSchema.index({ status: 1, createdAt: 1 });
+redemptionSchema.index({ item: 1 });
+
+const Redemption = mongoose.model("Redemption", redemptionSchema);
+
+module.exports = Redemption;
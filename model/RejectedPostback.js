@@ -0,0 +1,66 @@
+// models/RejectedPostback.js
+const mongoose = require("mongoose");
+
+const rejectedPostbackSchema = new mongoose.Schema(
+  {
+    network: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+      enum: [
+        "unsupported_network",
+        "verification_not_configured",
+        "missing_signature",
+        "invalid_signature",
+        "ip_not_allowed",
+        "missing_fields",
+        "invalid_completion_id",
+        "completion_not_found",
+        "email_mismatch",
+        "invalid_transition",
+        "replay",
+      ],
+    },
+    message: {
+      type: String,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    query: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    transactionId: {
+      type: String,
+      default: null,
+    },
+    offerCompletion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "OfferCompletion",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+rejectedPostbackSchema.index({ network: 1, createdAt: -1 });
+rejectedPostbackSchema.index({ reason: 1, createdAt: -1 });
+rejectedPostbackSchema.index({ ip: 1 });
+
+const RejectedPostback = mongoose.model("RejectedPostback", rejectedPostbackSchema);
+
+module.exports = RejectedPostback;
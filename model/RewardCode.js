@@ -0,0 +1,130 @@
+// models/RewardCode.js
+const mongoose = require("mongoose");
+
+// Single-use codes that back an item's stock. A code only ever moves forward:
+//   available -> reserved -> issued
+//   available -> issued
+//   available | reserved -> burned   (revoked by an admin)
+//   available -> expired             (past expiresAt)
+// Reserved codes can also be released back to available.
+const rewardCodeSchema = new mongoose.Schema(
+  {
+    itemType: {
+      type: String,
+      enum: ["GiftCard", "Coupon", "Game"],
+      required: true,
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "itemType",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["available", "reserved", "issued", "burned", "expired"],
+      default: "available",
+    },
+    // Import batch the code arrived in, for tracing a merchant's CSV
+    batch: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    redemption: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Redemption",
+      default: null,
+    },
+    issuedTo: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    reservedAt: {
+      type: Date,
+      default: null,
+    },
+    issuedAt: {
+      type: Date,
+      default: null,
+    },
+    burnedAt: {
+      type: Date,
+      default: null,
+    },
+    burnReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// The same code can never be loaded twice for one item
+rewardCodeSchema.index({ itemType: 1, item: 1, code: 1 }, { unique: true });
+rewardCodeSchema.index({ item: 1, status: 1, createdAt: 1 });
+rewardCodeSchema.index({ status: 1, expiresAt: 1 });
+
+// Filter for codes that can still be handed out
+rewardCodeSchema.statics.availableFilter = function (itemType, itemId, now = new Date()) {
+  return {
+    itemType,
+    item: itemId,
+    status: "available",
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+  };
+};
+
+// Atomically take the oldest available code for an item, either issuing it
+// outright or reserving it for a redemption that is fulfilled later
+rewardCodeSchema.statics.claim = function (
+  itemType,
+  itemId,
+  { status = "issued", redemption = null, email = null } = {},
+  options = {}
+) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    this.availableFilter(itemType, itemId, now),
+    {
+      $set: {
+        status,
+        redemption,
+        issuedTo: email,
+        ...(status === "reserved" ? { reservedAt: now } : { issuedAt: now }),
+      },
+    },
+    { sort: { createdAt: 1 }, new: true, ...options }
+  );
+};
+
+// Number of codes in each state for one item
+rewardCodeSchema.statics.countByStatus = async function (itemType, itemId) {
+  const rows = await this.aggregate([
+    { $match: { itemType, item: new mongoose.Types.ObjectId(String(itemId)) } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+
+  return rows.reduce(
+    (counts, row) => ({ ...counts, [row._id]: row.count }),
+    { available: 0, reserved: 0, issued: 0, burned: 0, expired: 0 }
+  );
+};
+
+const RewardCode = mongoose.model("RewardCode", rewardCodeSchema);
+
+module.exports = RewardCode;
@@ -0,0 +1,74 @@
+// model/Session.js
+const mongoose = require("mongoose");
+
+// One document per issued refresh token. Every rotation adds a new document
+// to the same family, so a reused (already rotated) token can take the
+// whole family down with it.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    family: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the refresh token; the raw token only ever lives in the cookie
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    device: {
+      type: String,
+      default: "Unknown device",
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "user_revoked", "reuse_detected", "password_changed", "admin", null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, rotatedAt: 1 });
+sessionSchema.index({ family: 1 });
+// Let MongoDB drop sessions once they can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && !this.rotatedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = Session;
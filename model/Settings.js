@@ -13,10 +13,45 @@ const settingsSchema = new mongoose.Schema(
       enum: ["resend", "mailerlite"],
       default: true,
     },
+    // Site-wide fallbacks for offers with no link for a visitor's country:
+    // country code -> link, then defaultLink
     links: {
-      ghana: { type: String, required: false },
-      kenya: { type: String, required: false },
-      nigeria: { type: String, required: false },
+      type: Map,
+      of: String,
+      default: {},
+    },
+    defaultLink: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Wallet points credited per 1 unit of postback payout currency
+    pointsPerPayoutUnit: {
+      type: Number,
+      default: 100,
+      min: 0,
+    },
+    // Block login until the account's email address has been confirmed
+    requireEmailVerification: {
+      type: Boolean,
+      default: false,
+    },
+    // IANA timezone whose midnight starts a new day for catalog usage counts
+    usageTimezone: {
+      type: String,
+      default: "UTC",
+      trim: true,
+    },
+    // IANA timezone whose midnight resets daily conversion caps
+    capTimezone: {
+      type: String,
+      default: "UTC",
+      trim: true,
+    },
+    // Staff whose roles can write anything must enroll in 2FA before using admin routes
+    requireTwoFactorForWriteRoles: {
+      type: Boolean,
+      default: true,
     },
   },
   {
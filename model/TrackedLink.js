@@ -0,0 +1,66 @@
+// model/TrackedLink.js
+const mongoose = require("mongoose");
+
+// A short, stable URL (/go/:slug) in front of a catalog item's provider link.
+// The frontend links to the slug; admins can point it somewhere else
+// (destination) or at another network's sub-id scheme without the frontend
+// changing.
+const trackedLinkSchema = new mongoose.Schema(
+  {
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9][a-z0-9_-]{2,63}$/, "Slug must be 3-64 letters, numbers, - or _"],
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CatalogItem",
+      required: true,
+    },
+    itemType: {
+      type: String,
+      enum: ["App", "Coupon", "Game", "GiftCard"],
+      required: true,
+    },
+    // Overrides the item's action.actionLink when set
+    destination: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Postback network whose sub-id parameters are appended. Falls back to
+    // the item's action.actionProvider.
+    network: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    lastRedirectAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+trackedLinkSchema.index({ item: 1 });
+trackedLinkSchema.index({ itemType: 1, active: 1 });
+
+const TrackedLink = mongoose.model("TrackedLink", trackedLinkSchema);
+
+module.exports = TrackedLink;
@@ -0,0 +1,48 @@
+// model/UsageBucket.js
+const mongoose = require("mongoose");
+
+// Uses of one catalog item on one calendar day. `day` is the date in the
+// usage timezone (Settings.usageTimezone) at the time of use, so a bucket
+// always lines up with the site's midnight rather than UTC's.
+const usageBucketSchema = new mongoose.Schema(
+  {
+    itemType: {
+      type: String,
+      enum: ["App", "Coupon", "Game", "GiftCard"],
+      required: true,
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "itemType",
+      required: true,
+    },
+    day: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    count: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    firstUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+usageBucketSchema.index({ item: 1, day: 1 }, { unique: true });
+usageBucketSchema.index({ itemType: 1, day: 1 });
+
+const UsageBucket = mongoose.model("UsageBucket", usageBucketSchema);
+
+module.exports = UsageBucket;
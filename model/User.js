@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { ROLE_NAMES } = require("../config/roles");
 
 const userSchema = new mongoose.Schema(
   {
@@ -24,10 +25,39 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+    passwordChangedAt: {
+      type: Date,
+      default: null,
+    },
+    // TOTP two-factor auth. Secrets are encrypted and recovery codes hashed
+    // (see utils/twoFactorService.js); none of it is selected by default.
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, default: null, select: false },
+      pendingSecret: { type: String, default: null, select: false },
+      recoveryCodes: { type: [String], default: [], select: false },
+      lastUsedStep: { type: Number, default: null, select: false },
+      enabledAt: { type: Date, default: null },
+    },
+    // Staff roles (see config/roles.js). Regular users have none.
+    roles: {
+      type: [{ type: String, enum: ROLE_NAMES }],
+      default: [],
+    },
   },
   { timestamps: true }
 );
 
+userSchema.index({ roles: 1 });
+
 const User = mongoose.model("User", userSchema);
 
 module.exports = User;
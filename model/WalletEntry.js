@@ -0,0 +1,133 @@
+// models/WalletEntry.js
+const mongoose = require("mongoose");
+
+// Append-only points ledger. A wallet balance is never stored; it is always
+// the sum of a user's entries, so it can be reconciled against network payouts.
+const walletEntrySchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    kind: {
+      type: String,
+      enum: ["conversion", "reversal", "redemption", "refund", "adjustment"],
+      required: true,
+    },
+    // Signed: credits are positive, debits negative
+    points: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: Number.isInteger,
+        message: "Points must be a whole number",
+      },
+    },
+    network: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null,
+    },
+    offer: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    offerCompletion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "OfferCompletion",
+      default: null,
+    },
+    payout: {
+      type: Number,
+      default: 0,
+    },
+    payoutCurrency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+    },
+    // Points per 1 unit of payout at the time of the entry
+    conversionRate: {
+      type: Number,
+      default: null,
+    },
+    transactionId: {
+      type: String,
+      default: null,
+    },
+    // Guards against crediting or debiting the same thing twice
+    idempotencyKey: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+walletEntrySchema.index({ idempotencyKey: 1 }, { unique: true });
+walletEntrySchema.index({ email: 1, createdAt: -1 });
+walletEntrySchema.index({ offerCompletion: 1 });
+walletEntrySchema.index({ network: 1, createdAt: -1 });
+
+const immutableError = () => new Error("Wallet entries are append-only");
+
+walletEntrySchema.pre("save", function (next) {
+  if (!this.isNew) return next(immutableError());
+  next();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => {
+  walletEntrySchema.pre(operation, function (next) {
+    next(immutableError());
+  });
+});
+
+// Balance and totals for one email, computed from the ledger
+walletEntrySchema.statics.getBalance = async function (email, { session = null } = {}) {
+  const [totals] = await this.aggregate([
+    { $match: { email: email.toLowerCase().trim() } },
+    {
+      $group: {
+        _id: null,
+        balance: { $sum: "$points" },
+        earned: { $sum: { $cond: [{ $gt: ["$points", 0] }, "$points", 0] } },
+        spent: { $sum: { $cond: [{ $lt: ["$points", 0] }, { $abs: "$points" }, 0] } },
+        entries: { $sum: 1 },
+        lastActivity: { $max: "$createdAt" },
+      },
+    },
+    { $project: { _id: 0 } },
+  ]).session(session);
+
+  return totals || { balance: 0, earned: 0, spent: 0, entries: 0, lastActivity: null };
+};
+
+const WalletEntry = mongoose.model("WalletEntry", walletEntrySchema);
+
+module.exports = WalletEntry;
@@ -0,0 +1,72 @@
+// models/capFields.js
+// Conversion cap fields shared by offers and catalog items. Counts live in
+// CapCounter; see utils/capService.js for how caps are enforced.
+
+const capLimit = {
+  type: Number,
+  min: 1,
+  default: null,
+  validate: {
+    validator: (value) => value === null || Number.isInteger(value),
+    message: "Caps must be whole numbers",
+  },
+};
+
+// Limits on completed postbacks. Daily caps reset at midnight in the cap
+// timezone (Settings.capTimezone). onCap decides what happens once one is hit:
+// "pause" stops serving (the whole offer, or just that country for a
+// country cap) and "fallback" sends visitors to fallbackLink instead.
+const caps = {
+  daily: capLimit,
+  lifetime: capLimit,
+  countries: [
+    {
+      _id: false,
+      country: { type: String, required: true, uppercase: true, trim: true },
+      daily: capLimit,
+      lifetime: capLimit,
+    },
+  ],
+  onCap: {
+    type: String,
+    enum: ["pause", "fallback"],
+    default: "pause",
+  },
+  fallbackLink: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+};
+
+// Caps reached so far. country is null for the overall caps; day is the cap
+// day a daily hit belongs to, and the scheduler clears it once that day is
+// over. A released hit stays on record but no longer applies, so the same
+// cap isn't hit again until it resets or changes. Only utils/capService.js
+// writes these.
+const capHits = [
+  {
+    _id: false,
+    country: { type: String, default: null },
+    scope: { type: String, enum: ["daily", "lifetime"], required: true },
+    day: { type: String, default: null },
+    limit: { type: Number, required: true },
+    count: { type: Number, required: true },
+    action: { type: String, enum: ["pause", "fallback"], required: true },
+    at: { type: Date, required: true },
+    releasedAt: { type: Date, default: null },
+  },
+];
+
+// Set when an overall cap paused the target, so it is only resumed
+// automatically if it was the caps that paused it
+const capPausedAt = {
+  type: Date,
+  default: null,
+};
+
+module.exports = {
+  caps,
+  capHits,
+  capPausedAt,
+};
@@ -0,0 +1,50 @@
+// models/catalogFields.js
+// Field definitions that only some catalog types carry. Each discriminator
+// picks the ones it needs.
+
+const code = {
+  type: String,
+  trim: true,
+};
+
+// Set pointsCost to make the item claimable with wallet points
+const redemption = {
+  pointsCost: {
+    type: Number,
+    min: 0,
+    default: null,
+    validate: {
+      validator: (value) => value === null || Number.isInteger(value),
+      message: "Points cost must be a whole number",
+    },
+  },
+  fulfillment: {
+    type: String,
+    enum: ["code", "manual"],
+    default: "code",
+  },
+};
+
+// Stock backed by single-use codes in the RewardCode pool. Once codePool
+// is on, itemsLeft mirrors the number of available codes.
+const inventory = {
+  codePool: {
+    type: Boolean,
+    default: false,
+  },
+  lowStockThreshold: {
+    type: Number,
+    min: 0,
+    default: 10,
+  },
+  lowStockAlertedAt: {
+    type: Date,
+    default: null,
+  },
+};
+
+module.exports = {
+  code,
+  redemption,
+  inventory,
+};
@@ -24,13 +24,42 @@ const offerCompletionSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'completed', 'expired', 'used'],
+      enum: ['pending', 'completed', 'expired', 'used', 'reversed'],
       default: 'pending',
     },
     isEmailSent: {
       type: Boolean,
       default: false,
     },
+    reversedAt: {
+      type: Date,
+      default: null,
+    },
+    reversalReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    codeRevokedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when the completion was opened by following a tracked link
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CatalogItem',
+      default: null,
+    },
+    // The last click that led here; networks echo it back as a sub-id
+    click: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -38,6 +67,39 @@ const offerCompletionSchema = new mongoose.Schema(
 );
 
 offerCompletionSchema.index({ code: 1 });
+offerCompletionSchema.index({ status: 1 });
+offerCompletionSchema.index({ user: 1, item: 1, status: 1 });
+offerCompletionSchema.index({ click: 1 }, { sparse: true });
+
+// Allowed status changes. Anything not listed here is refused.
+const STATUS_TRANSITIONS = {
+  pending: ['completed', 'expired'],
+  completed: ['used', 'reversed'],
+  expired: [],
+  used: [],
+  reversed: [],
+};
+
+offerCompletionSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+offerCompletionSchema.statics.canTransition = function (from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Atomically move a completion to `status` if its current status allows it.
+// Resolves to the updated document, or null when the transition isn't allowed
+// (including when another request already made it).
+offerCompletionSchema.statics.transition = function (id, status, updates = {}) {
+  const allowedFrom = Object.keys(STATUS_TRANSITIONS).filter((from) =>
+    STATUS_TRANSITIONS[from].includes(status)
+  );
+
+  return this.findOneAndUpdate(
+    { _id: id, status: { $in: allowedFrom } },
+    { ...updates, status },
+    { new: true }
+  );
+};
 
 const OfferCompletion = mongoose.model('OfferCompletion', offerCompletionSchema);
 
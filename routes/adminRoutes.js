@@ -2,21 +2,99 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
+const userRoleController = require('../controllers/userRoleController');
+const lockoutController = require('../controllers/lockoutController');
+const apiKeyController = require('../controllers/apiKeyController');
 const verifyJWT = require('../middleware/verifyJWT');
-const verifyAdmin = require('../middleware/verifyAdmin');
+const verifyApiKey = require('../middleware/verifyApiKey');
+const requirePermission = require('../middleware/requirePermission');
 
-// Apply JWT and Admin verification to all admin routes
-router.use(verifyJWT);
-// router.use(verifyAdmin);
+// Every admin route needs a signed-in user (or, for stats, a partner API key)
+// and checks its own permission
 
 // @route   GET /api/admin/dashboard/stats
 // @desc    Get comprehensive dashboard statistics
-// @access  Private/Admin
-router.get('/dashboard/stats', adminController.getDashboardStats);
+// @access  Private (stats:read)
+router.get('/dashboard/stats', verifyApiKey('stats:read'), verifyJWT, requirePermission('stats:read'), adminController.getDashboardStats);
+
+// @route   GET /api/admin/stats/reversals
+// @desc    Get postback reversal rates by network and offer
+// @access  Private (stats:read)
+router.get('/stats/reversals', verifyApiKey('stats:read'), verifyJWT, requirePermission('stats:read'), adminController.getReversalStats);
+
+// @route   GET /api/admin/stats/attribution
+// @desc    Clicks vs conversions by item, item type, network or country
+// @access  Private (stats:read)
+router.get('/stats/attribution', verifyApiKey('stats:read'), verifyJWT, requirePermission('stats:read'), adminController.getAttributionStats);
 
 // @route   GET /api/admin/stats/:entity
 // @desc    Get detailed statistics for specific entity (apps, coupons, games, giftcards)
-// @access  Private/Admin
-router.get('/stats/:entity', adminController.getDetailedStats);
+// @access  Private (stats:read)
+router.get('/stats/:entity', verifyApiKey('stats:read'), verifyJWT, requirePermission('stats:read'), adminController.getDetailedStats);
+
+// @route   GET /api/admin/clicks/leaderboard
+// @desc    Most clicked apps, coupons, games and gift cards over a period
+// @access  Private (stats:read)
+router.get('/clicks/leaderboard', verifyApiKey('stats:read'), verifyJWT, requirePermission('stats:read'), adminController.getClickLeaderboard);
+
+// @route   GET /api/admin/me
+// @desc    Get the signed-in user's roles and effective permissions
+// @access  Private
+router.get('/me', verifyJWT, userRoleController.getMyAccess);
+
+// @route   GET /api/admin/roles
+// @desc    List roles and the permissions they grant
+// @access  Private (users:read)
+router.get('/roles', verifyJWT, requirePermission('users:read'), userRoleController.getRoles);
+
+// @route   GET /api/admin/users
+// @desc    List users with their roles
+// @access  Private (users:read)
+router.get('/users', verifyJWT, requirePermission('users:read'), userRoleController.getUsers);
+
+// @route   PUT /api/admin/users/:id/roles
+// @desc    Replace a user's roles
+// @access  Private (users:roles)
+router.put('/users/:id/roles', verifyJWT, requirePermission('users:roles'), userRoleController.updateUserRoles);
+
+// @route   DELETE /api/admin/users/:id/two-factor
+// @desc    Reset a user's two-factor enrollment
+// @access  Private (users:roles)
+router.delete('/users/:id/two-factor', verifyJWT, requirePermission('users:roles'), userRoleController.resetUserTwoFactor);
+
+// @route   GET /api/admin/lockouts
+// @desc    List failed login counters and active lockouts
+// @access  Private (users:read)
+router.get('/lockouts', verifyJWT, requirePermission('users:read'), lockoutController.getLockouts);
+
+// @route   DELETE /api/admin/lockouts
+// @desc    Clear a lockout for an account or IP
+// @access  Private (users:write)
+router.delete('/lockouts', verifyJWT, requirePermission('users:write'), lockoutController.clearLockout);
+
+// @route   GET /api/admin/api-keys
+// @desc    List partner API keys
+// @access  Private (apikeys:read)
+router.get('/api-keys', verifyJWT, requirePermission('apikeys:read'), apiKeyController.getApiKeys);
+
+// @route   POST /api/admin/api-keys
+// @desc    Create a partner API key
+// @access  Private (apikeys:write)
+router.post('/api-keys', verifyJWT, requirePermission('apikeys:write'), apiKeyController.createApiKey);
+
+// @route   PATCH /api/admin/api-keys/:id
+// @desc    Update a key's scopes, IP allow-list or rate limit
+// @access  Private (apikeys:write)
+router.patch('/api-keys/:id', verifyJWT, requirePermission('apikeys:write'), apiKeyController.updateApiKey);
+
+// @route   POST /api/admin/api-keys/:id/rotate
+// @desc    Replace a key's secret
+// @access  Private (apikeys:write)
+router.post('/api-keys/:id/rotate', verifyJWT, requirePermission('apikeys:write'), apiKeyController.rotateApiKey);
+
+// @route   DELETE /api/admin/api-keys/:id
+// @desc    Revoke a key
+// @access  Private (apikeys:write)
+router.delete('/api-keys/:id', verifyJWT, requirePermission('apikeys:write'), apiKeyController.revokeApiKey);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -3,29 +3,34 @@ const express = require('express');
 const router = express.Router();
 const appController = require('../controllers/appController');
 const verifyJWT = require('../middleware/verifyJWT');
-const verifyAdmin = require('../middleware/verifyAdmin');
+const verifyApiKey = require('../middleware/verifyApiKey');
+const requirePermission = require('../middleware/requirePermission');
 
 // Public routes
 router.get('/', appController.getAllApps);
 router.get('/verified', appController.getVerifiedApps);
 router.get('/category/:badge', appController.getAppsByBadge);
+router.get('/merchant/:merchant', appController.getAppsByMerchant);
 router.get('/trending', appController.getTrendingApps);
-router.get('/:id', appController.getApp); // Click tracking middleware
+router.get('/manage', verifyJWT, requirePermission('apps:read'), appController.getAllAppsForAdmin); // Any status, for the admin catalog screens
+router.get('/:id', appController.getApp);
 
 // Click tracking routes
-router.post('/:id/track-click', appController.updateAppClicks); // Alternative explicit tracking
-router.get('/:id/analytics/clicks', verifyJWT, verifyAdmin, appController.getAppClickAnalytics);
-router.get('/analytics/clicks', verifyJWT, verifyAdmin, appController.getAppsClickStats);
+router.post('/:id/track-click', appController.updateAppClicks);
+router.get('/:id/analytics/clicks', verifyApiKey('catalog:read'), verifyJWT, requirePermission('apps:read'), appController.getAppClickAnalytics);
+router.get('/analytics/clicks', verifyApiKey('catalog:read'), verifyJWT, requirePermission('apps:read'), appController.getAppsClickStats);
 
-// Usage and rating routes (public but might want to protect later)
+// Usage and rating routes
 router.patch('/:id/use', appController.incrementAppUsage);
+router.get('/:id/usage', verifyApiKey('catalog:read'), verifyJWT, requirePermission('apps:read'), appController.getAppUsage);
 router.patch('/:id/rate', appController.updateAppRating);
 
 // Admin routes
-router.post('/batch', appController.batchCreateApps);
-router.post('/', verifyJWT, verifyAdmin, appController.createApp);
-router.put('/:id', verifyJWT, verifyAdmin, appController.updateApp);
-router.delete('/:id', verifyJWT, verifyAdmin, appController.deleteApp);
-router.get('/stats/overview', verifyJWT, verifyAdmin, appController.getAppStats);
+router.post('/batch', verifyApiKey('catalog:import'), verifyJWT, requirePermission('apps:write'), appController.batchCreateApps);
+router.post('/', verifyJWT, requirePermission('apps:write'), appController.createApp);
+router.put('/:id', verifyJWT, requirePermission('apps:write'), appController.updateApp);
+router.patch('/:id/status', verifyJWT, requirePermission('apps:write'), appController.setAppStatus);
+router.delete('/:id', verifyJWT, requirePermission('apps:write'), appController.deleteApp);
+router.get('/stats/overview', verifyApiKey('catalog:read'), verifyJWT, requirePermission('apps:read'), appController.getAppStats);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,21 +1,88 @@
 const express = require("express");
 const router = express.Router();
-const { signup, login, refresh, logout } = require("../controllers/authController");
+const {
+  signup,
+  login,
+  loginTwoFactor,
+  refresh,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  setupTwoFactor,
+  activateTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactorAuth,
+} = require("../controllers/authController");
+const verifyJWT = require("../middleware/verifyJWT");
+const { loginGuard, signupGuard } = require("../middleware/bruteForceGuard");
 
 // @route   POST /api/auth/signup
 // @desc    Register a new user
-router.post("/signup", signup);
+router.post("/signup", signupGuard, signup);
 
 // @route   POST /api/auth/login
 // @desc    Login and get access token
-router.post("/login", login);
+router.post("/login", loginGuard, login);
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a login that requires a two-factor code
+router.post("/login/2fa", loginTwoFactor);
 
 // @route   GET /api/auth/refresh
-// @desc    Refresh access token using refresh token cookie
+// @desc    Rotate the refresh token cookie and issue a new access token
 router.get("/refresh", refresh);
 
 // @route   POST /api/auth/logout
-// @desc    Logout user (clear refresh token cookie)
+// @desc    Logout user (revoke the session and clear the cookie)
 router.post("/logout", logout);
 
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address using the emailed token
+router.post("/verify-email", verifyEmail);
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send a fresh verification email
+router.post("/verify-email/resend", resendVerificationEmail);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+router.post("/forgot-password", forgotPassword);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using the emailed token
+router.post("/reset-password", resetPassword);
+
+// @route   GET /api/auth/sessions
+// @desc    List the signed-in user's active sessions
+router.get("/sessions", verifyJWT, getSessions);
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke every session except the current one
+router.delete("/sessions", verifyJWT, revokeOtherSessions);
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a single session
+router.delete("/sessions/:id", verifyJWT, revokeSession);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment (returns an otpauth URI)
+router.post("/2fa/setup", verifyJWT, setupTwoFactor);
+
+// @route   POST /api/auth/2fa/activate
+// @desc    Verify a code from the authenticator app and enable 2FA
+router.post("/2fa/activate", verifyJWT, activateTwoFactor);
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the one-time recovery codes
+router.post("/2fa/recovery-codes", verifyJWT, regenerateRecoveryCodes);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off
+router.post("/2fa/disable", verifyJWT, disableTwoFactorAuth);
+
 module.exports = router;
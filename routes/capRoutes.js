@@ -0,0 +1,38 @@
+// routes/capRoutes.js
+const express = require("express");
+const router = express.Router();
+const capController = require("../controllers/capController");
+const verifyJWT = require("../middleware/verifyJWT");
+const requirePermission = require("../middleware/requirePermission");
+const { CAP_TARGETS } = require("../utils/capService");
+
+// Caps on an offer need offers:*, caps on an app apps:*, and so on
+const requireTargetPermission = (action) => (req, res, next) => {
+  if (!CAP_TARGETS[req.params.targetType]) {
+    return res.status(400).json({
+      success: false,
+      message: `Target type must be one of: ${Object.keys(CAP_TARGETS).join(", ")}`,
+    });
+  }
+  return requirePermission(`${req.params.targetType}:${action}`)(req, res, next);
+};
+
+router.use(verifyJWT);
+
+// @route   GET /api/caps
+// @desc    Offers and catalog items with a conversion cap in force
+router.get("/", requirePermission("stats:read"), capController.getCapped);
+
+// @route   GET /api/caps/:targetType/:id
+// @desc    Caps, conversion counts and hits for one offer or item
+router.get("/:targetType/:id", requireTargetPermission("read"), capController.getTargetCaps);
+
+// @route   PUT /api/caps/:targetType/:id
+// @desc    Set daily, lifetime and per-country caps
+router.put("/:targetType/:id", requireTargetPermission("write"), capController.updateTargetCaps);
+
+// @route   POST /api/caps/:targetType/:id/release
+// @desc    Waive the caps reached so far and resume the target
+router.post("/:targetType/:id/release", requireTargetPermission("write"), capController.releaseTargetCaps);
+
+module.exports = router;
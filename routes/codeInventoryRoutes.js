@@ -0,0 +1,22 @@
+// routes/codeInventoryRoutes.js
+const express = require("express");
+const router = express.Router();
+const codeInventoryController = require("../controllers/codeInventoryController");
+const verifyJWT = require("../middleware/verifyJWT");
+const requirePermission = require("../middleware/requirePermission");
+
+// Merchant CSVs are uploaded as the raw request body
+const csvBody = express.text({ type: ["text/csv", "text/plain"], limit: "20mb" });
+
+router.use(verifyJWT);
+
+router.get("/low-stock", requirePermission("codes:read"), codeInventoryController.getLowStock);
+router.post("/expire", requirePermission("codes:write"), codeInventoryController.expireRewardCodes);
+router.patch("/:id/burn", requirePermission("codes:write"), codeInventoryController.burnRewardCode);
+
+router.get("/:itemType/:itemId", requirePermission("codes:read"), codeInventoryController.getItemCodes);
+router.post("/:itemType/:itemId/import", requirePermission("codes:write"), csvBody, codeInventoryController.importItemCodes);
+router.post("/:itemType/:itemId/issue", requirePermission("codes:write"), codeInventoryController.issueItemCode);
+router.patch("/:itemType/:itemId/settings", requirePermission("codes:write"), codeInventoryController.updateInventorySettings);
+
+module.exports = router;
@@ -3,24 +3,36 @@ const express = require('express');
 const router = express.Router();
 const couponController = require('../controllers/couponController');
 const verifyJWT = require('../middleware/verifyJWT');
-const verifyAdmin = require('../middleware/verifyAdmin');
+const verifyApiKey = require('../middleware/verifyApiKey');
+const requirePermission = require('../middleware/requirePermission');
 
 // Public routes
 router.get('/', couponController.getAllCoupons);
 router.get('/verified', couponController.getVerifiedCoupons);
+router.get('/category/:badge', couponController.getCouponsByBadge);
 router.get('/merchant/:merchant', couponController.getCouponsByMerchant);
+router.get('/trending', couponController.getTrendingCoupons);
 router.get('/code/:code', couponController.getCouponByCode);
 router.get('/validate/:code', couponController.validateCoupon);
+router.get('/manage', verifyJWT, requirePermission('coupons:read'), couponController.getAllCouponsForAdmin); // Any status, for the admin catalog screens
 router.get('/:id', couponController.getCoupon);
 
-// Usage routes
+// Click tracking routes
+router.post('/:id/track-click', couponController.updateCouponClicks);
+router.get('/:id/analytics/clicks', verifyApiKey('catalog:read'), verifyJWT, requirePermission('coupons:read'), couponController.getCouponClickAnalytics);
+router.get('/analytics/clicks', verifyApiKey('catalog:read'), verifyJWT, requirePermission('coupons:read'), couponController.getCouponsClickStats);
+
+// Usage and rating routes
 router.patch('/:id/use', couponController.incrementCouponUsage);
+router.get('/:id/usage', verifyApiKey('catalog:read'), verifyJWT, requirePermission('coupons:read'), couponController.getCouponUsage);
+router.patch('/:id/rate', couponController.updateCouponRating);
 
 // Admin routes
-router.post('/batch', couponController.batchCreateCoupons);
-router.post('/', couponController.createCoupon);
-router.put('/:id', verifyJWT, verifyAdmin, couponController.updateCoupon);
-router.delete('/:id', verifyJWT, verifyAdmin, couponController.deleteCoupon);
-router.get('/stats/overview', verifyJWT, verifyAdmin, couponController.getCouponStats);
+router.post('/batch', verifyApiKey('catalog:import'), verifyJWT, requirePermission('coupons:write'), couponController.batchCreateCoupons);
+router.post('/', verifyJWT, requirePermission('coupons:write'), couponController.createCoupon);
+router.put('/:id', verifyJWT, requirePermission('coupons:write'), couponController.updateCoupon);
+router.patch('/:id/status', verifyJWT, requirePermission('coupons:write'), couponController.setCouponStatus);
+router.delete('/:id', verifyJWT, requirePermission('coupons:write'), couponController.deleteCoupon);
+router.get('/stats/overview', verifyApiKey('catalog:read'), verifyJWT, requirePermission('coupons:read'), couponController.getCouponStats);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
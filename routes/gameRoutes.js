@@ -3,19 +3,35 @@ const express = require('express');
 const router = express.Router();
 const gameController = require('../controllers/gameController');
 const verifyJWT = require('../middleware/verifyJWT');
-const verifyAdmin = require('../middleware/verifyAdmin');
+const verifyApiKey = require('../middleware/verifyApiKey');
+const requirePermission = require('../middleware/requirePermission');
 
 // Public routes
 router.get('/', gameController.getAllGames);
+router.get('/verified', gameController.getVerifiedGames);
+router.get('/category/:badge', gameController.getGamesByBadge);
 router.get('/merchant/:merchant', gameController.getGamesByMerchant);
 router.get('/trending', gameController.getTrendingGames);
+router.get('/manage', verifyJWT, requirePermission('games:read'), gameController.getAllGamesForAdmin); // Any status, for the admin catalog screens
 router.get('/:id', gameController.getGame);
 
+// Click tracking routes
+router.post('/:id/track-click', gameController.updateGameClicks);
+router.get('/:id/analytics/clicks', verifyApiKey('catalog:read'), verifyJWT, requirePermission('games:read'), gameController.getGameClickAnalytics);
+router.get('/analytics/clicks', verifyApiKey('catalog:read'), verifyJWT, requirePermission('games:read'), gameController.getGamesClickStats);
+
+// Usage and rating routes
+router.patch('/:id/use', gameController.incrementGameUsage);
+router.get('/:id/usage', verifyApiKey('catalog:read'), verifyJWT, requirePermission('games:read'), gameController.getGameUsage);
+router.patch('/:id/rate', gameController.updateGameRating);
+
 // Admin routes
-router.post('/patch', gameController.batchCreateGames );
-router.post('/', verifyJWT, verifyAdmin, gameController.createGame);
-router.put('/:id', verifyJWT, verifyAdmin, gameController.updateGame);
-router.delete('/:id', verifyJWT, verifyAdmin, gameController.deleteGame);
-router.get('/stats/overview', verifyJWT, verifyAdmin, gameController.getGameStats);
+router.post('/batch', verifyApiKey('catalog:import'), verifyJWT, requirePermission('games:write'), gameController.batchCreateGames);
+router.post('/patch', verifyApiKey('catalog:import'), verifyJWT, requirePermission('games:write'), gameController.batchCreateGames); // Kept for existing importers
+router.post('/', verifyJWT, requirePermission('games:write'), gameController.createGame);
+router.put('/:id', verifyJWT, requirePermission('games:write'), gameController.updateGame);
+router.patch('/:id/status', verifyJWT, requirePermission('games:write'), gameController.setGameStatus);
+router.delete('/:id', verifyJWT, requirePermission('games:write'), gameController.deleteGame);
+router.get('/stats/overview', verifyApiKey('catalog:read'), verifyJWT, requirePermission('games:read'), gameController.getGameStats);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -3,18 +3,34 @@ const express = require('express');
 const router = express.Router();
 const giftcardController = require('../controllers/giftcardController');
 const verifyJWT = require('../middleware/verifyJWT');
-const verifyAdmin = require('../middleware/verifyAdmin');
+const verifyApiKey = require('../middleware/verifyApiKey');
+const requirePermission = require('../middleware/requirePermission');
 
 // Public routes
 router.get('/', giftcardController.getAllGiftCards);
+router.get('/verified', giftcardController.getVerifiedGiftCards);
+router.get('/category/:badge', giftcardController.getGiftCardsByBadge);
 router.get('/merchant/:merchant', giftcardController.getGiftCardsByMerchant);
 router.get('/popular', giftcardController.getPopularGiftCards);
+router.get('/manage', verifyJWT, requirePermission('giftcards:read'), giftcardController.getAllGiftCardsForAdmin); // Any status, for the admin catalog screens
 router.get('/:id', giftcardController.getGiftCard);
 
+// Click tracking routes
+router.post('/:id/track-click', giftcardController.updateGiftCardClicks);
+router.get('/:id/analytics/clicks', verifyApiKey('catalog:read'), verifyJWT, requirePermission('giftcards:read'), giftcardController.getGiftCardClickAnalytics);
+router.get('/analytics/clicks', verifyApiKey('catalog:read'), verifyJWT, requirePermission('giftcards:read'), giftcardController.getGiftCardsClickStats);
+
+// Usage and rating routes
+router.patch('/:id/use', giftcardController.incrementGiftCardUsage);
+router.get('/:id/usage', verifyApiKey('catalog:read'), verifyJWT, requirePermission('giftcards:read'), giftcardController.getGiftCardUsage);
+router.patch('/:id/rate', giftcardController.updateGiftCardRating);
+
 // Admin routes
-router.post('/', verifyJWT, verifyAdmin, giftcardController.createGiftCard);
-router.put('/:id', verifyJWT, verifyAdmin, giftcardController.updateGiftCard);
-router.delete('/:id', verifyJWT, verifyAdmin, giftcardController.deleteGiftCard);
-router.get('/stats/overview', verifyJWT, verifyAdmin, giftcardController.getGiftCardStats);
+router.post('/batch', verifyApiKey('catalog:import'), verifyJWT, requirePermission('giftcards:write'), giftcardController.batchCreateGiftCards);
+router.post('/', verifyJWT, requirePermission('giftcards:write'), giftcardController.createGiftCard);
+router.put('/:id', verifyJWT, requirePermission('giftcards:write'), giftcardController.updateGiftCard);
+router.patch('/:id/status', verifyJWT, requirePermission('giftcards:write'), giftcardController.setGiftCardStatus);
+router.delete('/:id', verifyJWT, requirePermission('giftcards:write'), giftcardController.deleteGiftCard);
+router.get('/stats/overview', verifyApiKey('catalog:read'), verifyJWT, requirePermission('giftcards:read'), giftcardController.getGiftCardStats);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
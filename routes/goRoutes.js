@@ -0,0 +1,11 @@
+// routes/goRoutes.js
+const express = require("express");
+const router = express.Router();
+const { redirectLink } = require("../controllers/trackedLinkController");
+
+// @route   GET /go/:slug
+// @desc    Record the click and redirect to the offer
+// @access  Public
+router.get("/:slug", redirectLink);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// routes/linkRoutes.js
+const express = require("express");
+const router = express.Router();
+const trackedLinkController = require("../controllers/trackedLinkController");
+const verifyJWT = require("../middleware/verifyJWT");
+const requirePermission = require("../middleware/requirePermission");
+
+router.use(verifyJWT);
+
+// @route   GET /api/links
+// @desc    List tracked links
+// @access  Private (links:read)
+router.get("/", requirePermission("links:read"), trackedLinkController.getLinks);
+
+// @route   GET /api/links/:id
+// @desc    Get a tracked link with its clicks
+// @access  Private (links:read)
+router.get("/:id", requirePermission("links:read"), trackedLinkController.getLink);
+
+// @route   POST /api/links
+// @desc    Create a tracked link for a catalog item
+// @access  Private (links:write)
+router.post("/", requirePermission("links:write"), trackedLinkController.createLink);
+
+// @route   PATCH /api/links/:id
+// @desc    Change a link's destination, network or active flag
+// @access  Private (links:write)
+router.patch("/:id", requirePermission("links:write"), trackedLinkController.updateLink);
+
+// @route   DELETE /api/links/:id
+// @desc    Delete a tracked link
+// @access  Private (links:write)
+router.delete("/:id", requirePermission("links:write"), trackedLinkController.deleteLink);
+
+module.exports = router;
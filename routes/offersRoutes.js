@@ -7,10 +7,16 @@ const {
   updateOffer,
   deleteOffer,
   toggleOfferStatus,
+  getOfferVariants,
+  addOfferVariant,
+  updateVariantWeights,
+  deleteOfferVariant,
+  declareVariantWinner,
+  simulateOffer,
 } = require("../controllers/offersController");
 
 const verifyJWT = require('../middleware/verifyJWT.js');
-const verifyAdmin = require('../middleware/verifyAdmin');
+const requirePermission = require('../middleware/requirePermission');
 
 // @route   GET /api/offers
 // @desc    Get all offers (with pagination, filters, etc.)
@@ -20,9 +26,16 @@ router.get("/", getOffers);
 // @desc    Get a single offer (with geolocation-based link resolution)
 router.get("/:offerId", getOffer);
 
+// @route   GET /api/offers/:id/variants
+// @desc    List link variants with weights and serve counts
+router.get("/:id/variants", verifyJWT, requirePermission('offers:read'), getOfferVariants);
 
-router.use(verifyJWT);
-// router.use(verifyAdmin);
+// @route   POST /api/offers/:id/simulate
+// @desc    Report which targeting rule and link a given IP and user agent get
+router.post("/:id/simulate", verifyJWT, requirePermission('offers:read'), simulateOffer);
+
+
+router.use(verifyJWT, requirePermission('offers:write'));
 
 // @route   POST /api/offers
 // @desc    Create a new offer
@@ -40,4 +53,20 @@ router.delete("/:id", deleteOffer);
 // @desc    Toggle offer active/inactive
 router.patch("/:id/toggle-status", toggleOfferStatus);
 
+// @route   POST /api/offers/:id/variants
+// @desc    Add a weighted link variant
+router.post("/:id/variants", addOfferVariant);
+
+// @route   PATCH /api/offers/:id/variants
+// @desc    Adjust variant weights
+router.patch("/:id/variants", updateVariantWeights);
+
+// @route   DELETE /api/offers/:id/variants/:variantId
+// @desc    Remove a variant
+router.delete("/:id/variants/:variantId", deleteOfferVariant);
+
+// @route   POST /api/offers/:id/variants/:variantId/winner
+// @desc    Keep one variant and collapse its target to that link
+router.post("/:id/variants/:variantId/winner", declareVariantWinner);
+
 module.exports = router;
@@ -1,10 +1,31 @@
 const express = require("express");
 const router = express.Router();
 const postbackController = require("../controllers/postbackController");
+const postbackNetworkController = require("../controllers/postbackNetworkController");
+const verifyJWT = require("../middleware/verifyJWT");
+const verifyApiKey = require("../middleware/verifyApiKey");
+const requirePermission = require("../middleware/requirePermission");
+
+router.get("/completions", verifyApiKey("postbacks:read"), verifyJWT, requirePermission("postbacks:read"), postbackController.getOfferCompletions);
+router.get("/rejected", verifyJWT, requirePermission("postbacks:read"), postbackController.getRejectedPostbacks);
+
+// Postback event ledger (admin)
+router.get("/events", verifyApiKey("postbacks:read"), verifyJWT, requirePermission("postbacks:read"), postbackController.getPostbackEvents);
+router.post("/events/reprocess", verifyJWT, requirePermission("postbacks:write"), postbackController.reprocessPostbackEvents);
+router.get("/events/:id", verifyApiKey("postbacks:read"), verifyJWT, requirePermission("postbacks:read"), postbackController.getPostbackEvent);
+router.post("/events/:id/reprocess", verifyJWT, requirePermission("postbacks:write"), postbackController.reprocessPostbackEvent);
+
+// Network adapter configs (admin)
+router.get("/networks", verifyJWT, requirePermission("postbacks:read"), postbackNetworkController.getNetworks);
+router.post("/networks", verifyJWT, requirePermission("postbacks:write"), postbackNetworkController.createNetwork);
+router.post("/networks/dry-run", verifyJWT, requirePermission("postbacks:write"), postbackNetworkController.dryRunPostback);
+router.get("/networks/:name", verifyJWT, requirePermission("postbacks:read"), postbackNetworkController.getNetwork);
+router.put("/networks/:name", verifyJWT, requirePermission("postbacks:write"), postbackNetworkController.updateNetwork);
+router.delete("/networks/:name", verifyJWT, requirePermission("postbacks:write"), postbackNetworkController.deleteNetwork);
 
-router.get("/completions", postbackController.getOfferCompletions);
 router.get("/:network", postbackController.universalPostback);
+// Opened by the public offer pages before the visitor leaves for the network
 router.post("/create-completion", postbackController.createOfferCompletion);
-router.delete("/delete-all-completion", postbackController.deleteAllOfferCompletions);
+router.delete("/delete-all-completion", verifyJWT, requirePermission("postbacks:write"), postbackController.deleteAllOfferCompletions);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
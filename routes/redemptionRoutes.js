@@ -0,0 +1,20 @@
+// routes/redemptionRoutes.js
+const express = require("express");
+const router = express.Router();
+const redemptionController = require("../controllers/redemptionController");
+const verifyJWT = require("../middleware/verifyJWT");
+const requirePermission = require("../middleware/requirePermission");
+
+// Public routes
+router.get("/catalogue", redemptionController.getCatalogue);
+
+// User routes
+router.post("/", verifyJWT, redemptionController.createRedemption);
+router.get("/mine", verifyJWT, redemptionController.getMyRedemptions);
+
+// Admin routes
+router.get("/queue", verifyJWT, requirePermission("redemptions:read"), redemptionController.getRedemptionQueue);
+router.patch("/:id/fulfill", verifyJWT, requirePermission("redemptions:write"), redemptionController.fulfillPendingRedemption);
+router.patch("/:id/cancel", verifyJWT, requirePermission("redemptions:write"), redemptionController.cancelPendingRedemption);
+
+module.exports = router;
@@ -11,41 +11,40 @@ const {
   getSubscriberStats,
 } = require("../controllers/subscribersController");
 const verifyJWT = require('../middleware/verifyJWT.js');
-const verifyAdmin = require('../middleware/verifyAdmin');
+const requirePermission = require('../middleware/requirePermission');
 
 // @route   POST /api/subscribers
 // @desc    Create a new subscriber
 router.post("/", createSubscriber);
 
 router.use(verifyJWT);
-// router.use(verifyAdmin);
 
 // @route   GET /api/subscribers
 // @desc    Get all subscribers (with filters, pagination, search, etc.)
-router.get("/", getSubscribers);
+router.get("/", requirePermission("subscribers:read"), getSubscribers);
 
 // @route   GET /api/subscribers/stats
 // @desc    Get subscriber statistics
-router.get("/stats", getSubscriberStats);
+router.get("/stats", requirePermission("subscribers:read"), getSubscriberStats);
 
 // @route   GET /api/subscribers/:id
 // @desc    Get single subscriber by ID
-router.get("/:id", getSubscriber);
+router.get("/:id", requirePermission("subscribers:read"), getSubscriber);
 
 // @route   PUT /api/subscribers/:id
 // @desc    Update subscriber
-router.put("/:id", updateSubscriber);
+router.put("/:id", requirePermission("subscribers:write"), updateSubscriber);
 
 // @route   DELETE /api/subscribers/:id
 // @desc    Delete subscriber
-router.delete("/", deleteSubscriber);
+router.delete("/:id", requirePermission("subscribers:write"), deleteSubscriber);
 
 // @route   DELETE /api/subscribers
-// @desc    Delete all subscribers (Admin only)
-router.delete("/", deleteAllSubscribers);
+// @desc    Delete all subscribers (superadmin only)
+router.delete("/", requirePermission("*"), deleteAllSubscribers);
 
 // @route   PATCH /api/subscribers/bulk-status
 // @desc    Bulk update subscribers status
-router.patch("/bulk-status", bulkUpdateStatus);
+router.patch("/bulk-status", requirePermission("subscribers:write"), bulkUpdateStatus);
 
 module.exports = router;
@@ -0,0 +1,23 @@
+// routes/walletRoutes.js
+const express = require("express");
+const router = express.Router();
+const walletController = require("../controllers/walletController");
+const verifyJWT = require("../middleware/verifyJWT");
+const requirePermission = require("../middleware/requirePermission");
+
+router.use(verifyJWT);
+
+// @route   GET /api/wallet
+// @desc    Current user's points balance
+router.get("/", walletController.getMyWallet);
+
+// @route   GET /api/wallet/history
+// @desc    Current user's points ledger
+router.get("/history", walletController.getMyHistory);
+
+// Admin routes
+router.get("/reconciliation", requirePermission("wallet:read"), walletController.getReconciliation);
+router.get("/users/:email", requirePermission("wallet:read"), walletController.getUserWallet);
+router.post("/adjustments", requirePermission("wallet:write"), walletController.createAdjustment);
+
+module.exports = router;
@@ -0,0 +1,89 @@
+// scripts/migrateCatalog.js
+// Copies apps, coupons, games and gift cards from their old per-type
+// collections into the shared "catalogitems" collection, tagging each
+// document with its kind. _ids are kept, so RewardCode and Redemption
+// references keep resolving.
+//
+//   npm run migrate:catalog            # copy, leaving the old collections alone
+//   npm run migrate:catalog -- --drop  # copy, then drop the old collections
+//
+// Safe to re-run: documents already copied are left as they are. Follow it
+// with `npm run migrate:expiry` to turn the old expiry strings into dates.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const CatalogItem = require("../model/CatalogItem");
+
+const LEGACY_COLLECTIONS = {
+  apps: "App",
+  coupons: "Coupon",
+  games: "Game",
+  giftcards: "GiftCard",
+};
+
+const BATCH_SIZE = 500;
+
+const copyCollection = async (db, name, kind) => {
+  const exists = await db.listCollections({ name }).hasNext();
+  if (!exists) {
+    console.log(`${name}: not found, skipping`);
+    return 0;
+  }
+
+  const target = CatalogItem.collection;
+  let copied = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const result = await target.bulkWrite(
+      batch.map((doc) => ({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: { $setOnInsert: { ...doc, kind } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+    copied += result.upsertedCount;
+    batch = [];
+  };
+
+  for await (const doc of db.collection(name).find()) {
+    batch.push(doc);
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`${name}: copied ${copied} document(s) as ${kind}`);
+  return copied;
+};
+
+const migrateCatalog = async () => {
+  const drop = process.argv.includes("--drop");
+
+  await mongoose.connect(process.env.DATABASE_URI);
+  const { db } = mongoose.connection;
+
+  for (const [name, kind] of Object.entries(LEGACY_COLLECTIONS)) {
+    await copyCollection(db, name, kind);
+  }
+
+  await CatalogItem.syncIndexes();
+
+  if (drop) {
+    for (const name of Object.keys(LEGACY_COLLECTIONS)) {
+      if (await db.listCollections({ name }).hasNext()) {
+        await db.dropCollection(name);
+        console.log(`${name}: dropped`);
+      }
+    }
+  }
+};
+
+migrateCatalog()
+  .catch((error) => {
+    console.error(`Catalog migration failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,83 @@
+// scripts/migrateCatalogExpiry.js
+// Converts the old free-form `expiry` strings on catalog items into
+// expiresAt dates and gives every item a lifecycle status.
+//
+//   npm run migrate:expiry
+//
+// "No expiration" and blank values become no expiry. Strings that don't
+// parse as a date are listed and left in place so they can be fixed by hand
+// and the script run again; those items still get a status.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const CatalogItem = require("../model/CatalogItem");
+const { statusForDates } = require("../utils/catalogLifecycle");
+
+const parseExpiry = (value) => {
+  if (value === undefined || value === null) return { expiresAt: null };
+  const text = String(value).trim();
+  if (!text || /^no expir/i.test(text)) return { expiresAt: null };
+
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? { unparsed: text } : { expiresAt: date };
+};
+
+const migrateCatalogExpiry = async () => {
+  await mongoose.connect(process.env.DATABASE_URI);
+
+  const collection = CatalogItem.collection;
+  const now = new Date();
+  const counts = { converted: 0, noExpiry: 0, unparsed: 0 };
+  const unparsed = [];
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await collection.bulkWrite(operations, { ordered: false });
+    operations = [];
+  };
+
+  const cursor = collection.find(
+    { $or: [{ expiry: { $exists: true } }, { status: { $exists: false } }] },
+    { projection: { title: 1, kind: 1, expiry: 1, expiresAt: 1, startsAt: 1, status: 1 } }
+  );
+
+  for await (const doc of cursor) {
+    const update = { $set: {} };
+
+    if (doc.expiry !== undefined) {
+      const parsed = parseExpiry(doc.expiry);
+      if (parsed.unparsed) {
+        counts.unparsed += 1;
+        unparsed.push(`${doc.kind} ${doc._id} "${doc.title}": ${parsed.unparsed}`);
+      } else {
+        update.$set.expiresAt = parsed.expiresAt;
+        update.$unset = { expiry: "" };
+        counts[parsed.expiresAt ? "converted" : "noExpiry"] += 1;
+      }
+    }
+
+    if (!doc.status) {
+      const expiresAt = update.$set.expiresAt !== undefined ? update.$set.expiresAt : doc.expiresAt;
+      update.$set.status = statusForDates({ startsAt: doc.startsAt, expiresAt }, now);
+      update.$set.statusChangedAt = now;
+    }
+
+    if (Object.keys(update.$set).length > 0 || update.$unset) {
+      operations.push({ updateOne: { filter: { _id: doc._id }, update } });
+    }
+    if (operations.length >= 500) await flush();
+  }
+  await flush();
+
+  console.log(
+    `Expiry migration: ${counts.converted} converted, ${counts.noExpiry} without expiry, ${counts.unparsed} left to fix`
+  );
+  unparsed.forEach((line) => console.log(`  unparsed: ${line}`));
+};
+
+migrateCatalogExpiry()
+  .catch((error) => {
+    console.error(`Expiry migration failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
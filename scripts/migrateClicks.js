@@ -0,0 +1,65 @@
+// scripts/migrateClicks.js
+// Moves the clicks embedded on catalog items into the ClickEvent time-series
+// collection, then removes the embedded arrays. totalClicks/uniqueClicks are
+// left as they are; they already count the clicks being moved.
+//
+//   npm run migrate:clicks
+//
+// Safe to re-run: an item's clicks are only unset once they have been copied,
+// so an interrupted run picks up where it stopped.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const CatalogItem = require("../model/CatalogItem");
+const ClickEvent = require("../model/ClickEvent");
+
+const BATCH_SIZE = 500;
+
+const toEvent = (item, click) => {
+  const { _id, date, ...fields } = click;
+  return {
+    ...fields,
+    ip: fields.ip || "0.0.0.0",
+    meta: { itemType: item.kind, item: item._id },
+    date: date || item.lastClicked || item.updatedAt || new Date(),
+  };
+};
+
+const migrateClicks = async () => {
+  await mongoose.connect(process.env.DATABASE_URI);
+
+  // A time-series collection has to exist before the first insert
+  await ClickEvent.createCollection();
+  await ClickEvent.syncIndexes();
+
+  const target = ClickEvent.collection;
+  const source = CatalogItem.collection;
+  let items = 0;
+  let moved = 0;
+
+  const cursor = source.find(
+    { "clicks.0": { $exists: true } },
+    { projection: { kind: 1, clicks: 1, lastClicked: 1, updatedAt: 1 } }
+  );
+
+  for await (const item of cursor) {
+    for (let i = 0; i < item.clicks.length; i += BATCH_SIZE) {
+      const events = item.clicks
+        .slice(i, i + BATCH_SIZE)
+        .map((click) => toEvent(item, click));
+      await target.insertMany(events, { ordered: false });
+      moved += events.length;
+    }
+
+    await source.updateOne({ _id: item._id }, { $unset: { clicks: "" } });
+    items += 1;
+  }
+
+  console.log(`Moved ${moved} click(s) from ${items} item(s) into clickevents`);
+};
+
+migrateClicks()
+  .catch((error) => {
+    console.error(`Click migration failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
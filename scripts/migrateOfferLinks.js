@@ -0,0 +1,48 @@
+// scripts/migrateOfferLinks.js
+// Rewrites the old fixed link fields ({ ghana, kenya, nigeria }) on offers
+// and settings into country-code maps ({ GH, KE, NG }). Empty links are
+// dropped; codes already in the new shape are left alone.
+//
+//   npm run migrate:offer-links
+//
+// Safe to re-run: documents without old keys are skipped.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Offers = require("../model/Offers");
+const Settings = require("../model/Settings");
+const { LEGACY_LINK_COUNTRIES } = require("../utils/offerLinks");
+
+const LEGACY_KEYS = Object.keys(LEGACY_LINK_COUNTRIES);
+
+const migrateCollection = async (Model) => {
+  const { collection } = Model;
+  const filter = { $or: LEGACY_KEYS.map((key) => ({ [`links.${key}`]: { $exists: true } })) };
+  let migrated = 0;
+
+  for await (const doc of collection.find(filter, { projection: { links: 1 } })) {
+    const links = {};
+    Object.entries(doc.links || {}).forEach(([key, value]) => {
+      const code = LEGACY_LINK_COUNTRIES[key] || key;
+      if (typeof value === "string" && value.trim()) links[code] = value.trim();
+    });
+
+    await collection.updateOne({ _id: doc._id }, { $set: { links } });
+    migrated += 1;
+  }
+
+  console.log(`${collection.collectionName}: migrated links on ${migrated} document(s)`);
+};
+
+const migrateOfferLinks = async () => {
+  await mongoose.connect(process.env.DATABASE_URI);
+
+  await migrateCollection(Offers);
+  await migrateCollection(Settings);
+};
+
+migrateOfferLinks()
+  .catch((error) => {
+    console.error(`Offer link migration failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
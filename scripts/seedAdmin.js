@@ -0,0 +1,67 @@
+// scripts/seedAdmin.js
+// Bootstraps the first superadmin. Signup never grants roles, so this is
+// the only way to create an admin on a fresh database.
+//
+//   npm run seed:admin -- --email admin@example.com --name "Site Admin"
+//
+// The password is read from ADMIN_PASSWORD. If the email already belongs to
+// a user, that user is promoted and their password is left untouched.
+// Superadmins must then enroll in 2FA (POST /api/auth/2fa/setup) before the
+// admin routes will let them in.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+const User = require("../model/User");
+
+const getArg = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const seedAdmin = async () => {
+  const email = (getArg("email") || process.env.ADMIN_EMAIL || "").toLowerCase().trim();
+  const name = getArg("name") || process.env.ADMIN_NAME || "Admin";
+  const password = process.env.ADMIN_PASSWORD;
+
+  if (!email) {
+    throw new Error("An email is required (--email or ADMIN_EMAIL)");
+  }
+
+  await mongoose.connect(process.env.DATABASE_URI);
+
+  const existing = await User.findOne({ email });
+  if (existing) {
+    if (!existing.roles.includes("superadmin")) {
+      existing.roles.push("superadmin");
+    }
+    existing.isActive = true;
+    if (!existing.emailVerified) {
+      existing.emailVerified = true;
+      existing.emailVerifiedAt = new Date();
+    }
+    await existing.save();
+    console.log(`Promoted ${email} to superadmin`);
+    return;
+  }
+
+  if (!password || password.length < 6) {
+    throw new Error("ADMIN_PASSWORD must be set to at least 6 characters");
+  }
+
+  await User.create({
+    name,
+    email,
+    password: await bcrypt.hash(password, 10),
+    roles: ["superadmin"],
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+  });
+  console.log(`Created superadmin ${email}`);
+};
+
+seedAdmin()
+  .catch((error) => {
+    console.error(`Admin seed failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -5,15 +5,22 @@ const corsOptions = require("./config/corsOptions");
 const cors = require("cors");
 const cookieParser = require("cookie-parser");
 const errorHandler = require("./middleware/errorHandler");
+const geoLocate = require("./middleware/geoLocate");
 const { mongoose } = require("mongoose");
 const dbConnect = require("./config/dbConnect.js");
+const { startLifecycleScheduler } = require("./utils/catalogLifecycle");
+const { getTrustProxy } = require("./utils/geoService");
 
 const PORT = process.env.PORT;
 const app = express();
 
+// req.ip follows X-Forwarded-For only through these proxies
+app.set("trust proxy", getTrustProxy());
+
 // Middleware to parse JSON
 dbConnect();
 app.use(cookieParser());
+app.use(geoLocate);
 app.use(cors(corsOptions));
 app.use(express.json({ limit: "50mb" }));
 app.use(express.urlencoded({ limit: "50mb", extended: true }));
@@ -33,6 +40,12 @@ app.use("/api/coupons", require("./routes/couponRoutes"));
 app.use('/api/admin', require('./routes/adminRoutes'));
 app.use('/api/all-users', require('./routes/allUserRoute'));
 app.use('/api/postback', require('./routes/postbackRoutes'));
+app.use('/api/wallet', require('./routes/walletRoutes'));
+app.use('/api/redemptions', require('./routes/redemptionRoutes'));
+app.use('/api/codes', require('./routes/codeInventoryRoutes'));
+app.use('/api/links', require('./routes/linkRoutes'));
+app.use('/api/caps', require('./routes/capRoutes'));
+app.use('/go', require('./routes/goRoutes'));
 
 // Then add the 404 handler LAST
 app.all(/(.*)/, (req, res) => {
@@ -51,6 +64,7 @@ app.use(errorHandler);
 
 mongoose.connection.once("open", () => {
   console.log("Successfully connected to Database ✅");
+  startLifecycleScheduler();
   app.listen(PORT, () => {
     console.log(`Server is running on http://localhost:${PORT}`);
   });
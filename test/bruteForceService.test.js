@@ -0,0 +1,114 @@
+// test/bruteForceService.test.js
+// Login and signup throttling on the in-memory attempt store
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+mongoose.set("bufferCommands", false);
+
+const User = require("../model/User");
+const { MemoryAttemptStore, setAttemptStore } = require("../utils/attemptStore");
+const {
+  POLICIES,
+  keyFor,
+  checkLogin,
+  registerLoginFailure,
+  registerLoginSuccess,
+  checkSignup,
+  registerSignupAttempt,
+  listAttempts,
+  clearAttempts,
+} = require("../utils/bruteForceService");
+
+const MINUTE = 60 * 1000;
+const ip = "203.0.113.7";
+const email = "User@Example.com";
+
+// No account behind the email, so lockouts don't try to send mail
+User.findOne = () => ({ select: () => ({ lean: async () => null }) });
+
+beforeEach(() => {
+  setAttemptStore(new MemoryAttemptStore());
+});
+
+const fail = async (times) => {
+  for (let i = 0; i < times; i += 1) {
+    await registerLoginFailure({ ip, email });
+  }
+};
+
+// Allow a little slack for the time the test itself takes
+const assertAbout = (actual, expected) =>
+  assert.ok(actual <= expected && actual > expected - 1000, `${actual} is not about ${expected}`);
+
+test("a first login attempt goes straight through", async () => {
+  assert.deepEqual(await checkLogin({ ip, email }), { retryAfterMs: 0, locked: false });
+});
+
+test("the wait between failed logins doubles with each failure", async () => {
+  await fail(1);
+  assertAbout((await checkLogin({ ip, email })).retryAfterMs, 1000);
+
+  await fail(1);
+  assertAbout((await checkLogin({ ip, email })).retryAfterMs, 2000);
+
+  await fail(1);
+  const result = await checkLogin({ ip, email });
+  assertAbout(result.retryAfterMs, 4000);
+  assert.equal(result.locked, false);
+});
+
+test("the account locks once it reaches its failure limit", async () => {
+  await fail(POLICIES.account.maxFailures - 1);
+  assert.equal((await checkLogin({ ip, email })).locked, false);
+
+  await fail(1);
+  const result = await checkLogin({ ip, email });
+  assert.equal(result.locked, true);
+  assertAbout(result.retryAfterMs, POLICIES.account.lockoutMs);
+
+  // Another account from the same IP is only held up by the IP's backoff
+  const other = await checkLogin({ ip, email: "someone@example.com" });
+  assert.equal(other.locked, false);
+});
+
+test("each lockout of the same account lasts twice as long", async () => {
+  await fail(POLICIES.account.maxFailures * 2);
+
+  const [record] = await listAttempts({ lockedOnly: true });
+  assert.equal(record.key, keyFor("account", email));
+  assert.equal(record.lockCount, 2);
+  assertAbout(record.lockedUntil.getTime() - Date.now(), POLICIES.account.lockoutMs * 2);
+});
+
+test("a successful login clears the account's counter but not the IP's", async () => {
+  await fail(POLICIES.account.maxFailures);
+  await registerLoginSuccess({ email });
+
+  const keys = (await listAttempts()).map((record) => record.key);
+  assert.deepEqual(keys, [keyFor("ip", ip)]);
+  assert.equal((await checkLogin({ ip, email })).locked, false);
+});
+
+test("an admin can clear a locked key", async () => {
+  await fail(POLICIES.account.maxFailures);
+  assert.equal((await listAttempts({ lockedOnly: true })).length, 1);
+
+  assert.equal(await clearAttempts(keyFor("account", email)), true);
+  await clearAttempts(keyFor("ip", ip));
+
+  assert.deepEqual(await listAttempts(), []);
+  assert.deepEqual(await checkLogin({ ip, email }), { retryAfterMs: 0, locked: false });
+});
+
+test("signups are capped per IP without backoff", async () => {
+  for (let i = 0; i < POLICIES.signup.maxFailures - 1; i += 1) {
+    await registerSignupAttempt({ ip });
+    assert.equal((await checkSignup({ ip })).retryAfterMs, 0);
+  }
+
+  await registerSignupAttempt({ ip });
+  const result = await checkSignup({ ip });
+  assert.equal(result.locked, true);
+  assertAbout(result.retryAfterMs, 60 * MINUTE);
+});
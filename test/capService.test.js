@@ -0,0 +1,163 @@
+// test/capService.test.js
+// Conversion counting, cap hits, pausing and the daily reset, against an
+// in-memory offer and counters standing in for the collections
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+mongoose.set("bufferCommands", false);
+process.env.ADMIN_ALERT_EMAIL = "alerts@example.com";
+
+const Offers = require("../model/Offers");
+const CatalogItem = require("../model/CatalogItem");
+const CapCounter = require("../model/CapCounter");
+const Settings = require("../model/Settings");
+const emailService = require("../utils/emailService");
+const logEvents = require("../middleware/logEvents");
+
+let offer;
+let counters;
+let emails;
+let logs;
+
+const copy = (value) => (value ? structuredClone(value) : null);
+const lean = (value) => ({ select: () => ({ lean: async () => copy(value) }), lean: async () => copy(value) });
+const sameHit = (a, b) => a.country === b.country && a.scope === b.scope && a.day === b.day;
+
+Settings.findOne = () => lean({ capTimezone: "Africa/Lagos" });
+CatalogItem.find = () => lean([]);
+Offers.findById = () => lean(offer);
+Offers.find = ({ capHits }) => {
+  const { day } = capHits.$elemMatch;
+  return lean(offer.capHits.some((hit) => hit.scope === "daily" && hit.day !== day.$ne) ? [offer] : []);
+};
+
+// Just the update shapes capService sends for an offer
+Offers.updateOne = async (filter, update) => {
+  const done = { modifiedCount: 1 };
+  const none = { modifiedCount: 0 };
+
+  if (update.$push) {
+    if (offer.capHits.some((hit) => sameHit(hit, update.$push.capHits))) return none;
+    offer.capHits.push({ ...update.$push.capHits });
+    return done;
+  }
+  if (update.$pull) {
+    const { day } = update.$pull.capHits;
+    offer.capHits = offer.capHits.filter((hit) => !(hit.scope === "daily" && hit.day !== day.$ne));
+    return done;
+  }
+  if (filter.active !== undefined && filter.active !== offer.active) return none;
+  if (filter.capPausedAt && !offer.capPausedAt) return none;
+  Object.assign(offer, update.$set);
+  return done;
+};
+
+CapCounter.findOneAndUpdate = (filter) => ({
+  lean: async () => {
+    const key = `${filter.day}|${filter.country}`;
+    counters[key] = (counters[key] || 0) + 1;
+    return { count: counters[key] };
+  },
+});
+
+// capService keeps its own references to these, so they're replaced first
+emailService.sendEmail = async (email) => emails.push(email);
+logEvents.logCapActivity = async (type) => logs.push(type);
+
+const { parseCaps, countConversion, getCapState, releaseExpiredCaps } = require("../utils/capService");
+
+const offerId = new mongoose.Types.ObjectId();
+
+beforeEach(() => {
+  offer = {
+    _id: offerId,
+    title: "Survey",
+    active: true,
+    caps: { daily: 2, lifetime: null, countries: [{ country: "NG", daily: 1, lifetime: null }], onCap: "pause", fallbackLink: null },
+    capHits: [],
+    capPausedAt: null,
+  };
+  counters = {};
+  emails = [];
+  logs = [];
+});
+
+// 10:00 in Lagos on 16 and 17 October
+const DAY_ONE = new Date("2026-10-16T09:00:00Z");
+const DAY_TWO = new Date("2026-10-17T09:00:00Z");
+
+const convert = (country, at = DAY_ONE) => countConversion({ offer: offerId, country, convertedAt: at });
+
+test("validates caps and their fallback link", () => {
+  assert.deepEqual(parseCaps({ daily: "5", countries: [{ country: "ng", lifetime: 10 }] }).caps, {
+    daily: 5,
+    lifetime: null,
+    countries: [{ country: "NG", daily: null, lifetime: 10 }],
+    onCap: "pause",
+    fallbackLink: null,
+  });
+  assert.match(parseCaps({ daily: 0 }).error, /at least 1/);
+  assert.match(parseCaps({ countries: [{ country: "NG" }] }).error, /needs a daily or lifetime cap/);
+  assert.match(parseCaps({ countries: [{ country: "NG", daily: 1 }, { country: "ng", daily: 2 }] }).error, /more than one/);
+  assert.match(parseCaps({ onCap: "fallback" }).error, /fallback link is required/);
+  assert.equal(parseCaps(null).caps.daily, null);
+});
+
+test("counts each conversion per day and for all time, overall and per country", async () => {
+  await convert("GH");
+
+  assert.deepEqual(counters, {
+    "2026-10-16|*": 1,
+    "lifetime|*": 1,
+    "2026-10-16|GH": 1,
+    "lifetime|GH": 1,
+  });
+});
+
+test("a country cap blocks only that country, once", async () => {
+  const [hit] = await convert("NG");
+
+  assert.equal(hit.country, "NG");
+  assert.equal(hit.scope, "daily");
+  assert.equal(offer.active, true);
+  assert.deepEqual(await getCapState(offer, "NG", DAY_ONE), { hit: offer.capHits[0], blocked: true });
+  assert.equal(await getCapState(offer, "GH", DAY_ONE), null);
+
+  // A later conversion past the same cap doesn't record it again
+  const again = await convert("NG");
+  assert.ok(again.every((later) => later.country !== "NG"));
+  assert.equal(offer.capHits.filter((later) => later.country === "NG").length, 1);
+});
+
+test("the overall daily cap pauses the offer and the next cap day resumes it", async () => {
+  await convert("GH");
+  const hits = await convert("KE");
+
+  assert.equal(hits.length, 1);
+  assert.equal(hits[0].country, null);
+  assert.equal(offer.active, false);
+  assert.ok(offer.capPausedAt);
+  assert.deepEqual(logs, ["cap_reached"]);
+  assert.equal(emails[0].to, "alerts@example.com");
+
+  const sameDay = await releaseExpiredCaps(new Date("2026-10-16T22:00:00Z"));
+  assert.deepEqual([sameDay.reset, offer.active], [0, false]);
+
+  const nextDay = await releaseExpiredCaps(DAY_TWO);
+  assert.deepEqual(nextDay, { day: "2026-10-17", reset: 1, resumed: 1 });
+  assert.equal(offer.active, true);
+  assert.equal(offer.capPausedAt, null);
+  assert.deepEqual(offer.capHits, []);
+});
+
+test("with onCap fallback the offer keeps serving through the fallback link", async () => {
+  offer.caps = { daily: 1, lifetime: null, countries: [], onCap: "fallback", fallbackLink: "https://example.com/other" };
+
+  const [hit] = await convert("GH");
+
+  assert.equal(hit.action, "fallback");
+  assert.equal(offer.active, true);
+  assert.deepEqual(await getCapState(offer, "GH", DAY_ONE), { hit: offer.capHits[0], link: "https://example.com/other" });
+  assert.equal(await getCapState(offer, "GH", DAY_TWO), null);
+});
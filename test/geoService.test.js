@@ -0,0 +1,131 @@
+// test/geoService.test.js
+// Client IPs, provider lookups through the cache, and the simulated country
+// header that stands in for a lookup outside production
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getTrustProxy,
+  normalizeIp,
+  getClientIp,
+  registerGeoProvider,
+  lookupGeo,
+  resolveGeo,
+  clearGeoCache,
+} = require("../utils/geoService");
+const geoLocate = require("../middleware/geoLocate");
+
+let lookups;
+registerGeoProvider("fake", async (ip) => {
+  lookups.push(ip);
+  return ip === "203.0.113.9" ? null : { country: "ng", region: "LA", city: "Lagos", timezone: "Africa/Lagos", ll: null };
+});
+registerGeoProvider("broken", async () => {
+  throw new Error("lookup timed out");
+});
+
+beforeEach(() => {
+  lookups = [];
+  clearGeoCache();
+  process.env.GEO_PROVIDER = "fake";
+  delete process.env.NODE_ENV;
+});
+
+const request = (ip, headers = {}) => ({
+  ip,
+  get: (name) => headers[name.toLowerCase()],
+});
+
+test("normalizes IPv4-mapped, bracketed and zoned addresses", () => {
+  assert.equal(normalizeIp("::ffff:102.91.71.93"), "102.91.71.93");
+  assert.equal(normalizeIp("[2001:DB8::1]"), "2001:db8::1");
+  assert.equal(normalizeIp("fe80::1%eth0"), "fe80::1");
+  assert.equal(normalizeIp(" 8.8.8.8 "), "8.8.8.8");
+  assert.equal(normalizeIp("::ffff:nope"), null);
+  assert.equal(normalizeIp("unknown"), null);
+  assert.equal(normalizeIp(undefined), null);
+});
+
+test("reads TRUST_PROXY as a boolean, a hop count or a list", () => {
+  assert.equal(getTrustProxy(""), "loopback, linklocal, uniquelocal");
+  assert.equal(getTrustProxy("true"), true);
+  assert.equal(getTrustProxy("false"), false);
+  assert.equal(getTrustProxy("2"), 2);
+  assert.equal(getTrustProxy("10.0.0.0/8, loopback"), "10.0.0.0/8, loopback");
+});
+
+test("the client IP prefers what geoLocate resolved, then req.ip", () => {
+  assert.equal(getClientIp({ geo: { ip: "8.8.8.8" }, ip: "::1" }), "8.8.8.8");
+  assert.equal(getClientIp({ ip: "::ffff:127.0.0.1" }), "127.0.0.1");
+  assert.equal(getClientIp({ socket: { remoteAddress: "10.0.0.2" } }), "10.0.0.2");
+});
+
+test("looks up through the provider once, then serves from the cache", async () => {
+  const first = await lookupGeo("::ffff:102.91.71.93");
+  const again = await lookupGeo("102.91.71.93");
+
+  assert.deepEqual(first, {
+    ip: "102.91.71.93",
+    country: "NG",
+    region: "LA",
+    city: "Lagos",
+    timezone: "Africa/Lagos",
+    ll: null,
+    source: "fake",
+  });
+  assert.deepEqual(again, first);
+  assert.deepEqual(lookups, ["102.91.71.93"]);
+});
+
+test("unknown and invalid IPs get empty locations", async () => {
+  assert.deepEqual(await lookupGeo("203.0.113.9"), {
+    ip: "203.0.113.9",
+    country: null,
+    region: null,
+    city: null,
+    timezone: null,
+    ll: null,
+    source: null,
+  });
+  assert.equal((await lookupGeo("not an ip")).ip, null);
+  assert.deepEqual(lookups, ["203.0.113.9"]);
+});
+
+test("a failing provider falls back to geoip-lite", async () => {
+  process.env.GEO_PROVIDER = "broken";
+
+  const location = await lookupGeo("8.8.8.8");
+
+  assert.equal(location.source, "geoip-lite");
+  assert.equal(location.country, "US");
+});
+
+test("X-Geo-Country stands in for the lookup outside production only", async () => {
+  const simulated = await resolveGeo(request("::ffff:127.0.0.1", { "x-geo-country": " gh " }));
+  assert.equal(simulated.ip, "127.0.0.1");
+  assert.equal(simulated.country, "GH");
+  assert.equal(simulated.source, "simulated");
+  assert.deepEqual(lookups, []);
+
+  assert.equal((await resolveGeo(request("102.91.71.93", { "x-geo-country": "Ghana" }))).source, "fake");
+
+  process.env.NODE_ENV = "production";
+  assert.equal((await resolveGeo(request("102.91.71.93", { "x-geo-country": "GH" }))).country, "NG");
+});
+
+test("geoLocate sets req.geo and never fails the request", async () => {
+  const req = request("102.91.71.93");
+  let calls = 0;
+  await geoLocate(req, {}, () => calls++);
+  assert.equal(req.geo.country, "NG");
+
+  const broken = {
+    ip: "102.91.71.94",
+    get: () => {
+      throw new Error("bad headers");
+    },
+  };
+  await geoLocate(broken, {}, () => calls++);
+  assert.equal(broken.geo.ip, "102.91.71.94");
+  assert.equal(broken.geo.country, null);
+  assert.equal(calls, 2);
+});
@@ -0,0 +1,123 @@
+// test/offerTargeting.test.js
+// Rule parsing and first-match evaluation against built visitor contexts
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseAcceptLanguage,
+  buildVisitorContext,
+  evaluateRules,
+  targetOffer,
+  parseRules,
+} = require("../utils/offerTargeting");
+
+const ANDROID_CHROME =
+  "Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36";
+
+// A Lagos visitor on a Friday at 22:30 local time, arriving from Facebook
+const visitor = (overrides = {}) =>
+  buildVisitorContext({
+    geo: { ip: "102.91.71.93", country: "NG", timezone: "Africa/Lagos" },
+    userAgent: ANDROID_CHROME,
+    acceptLanguage: "fr-CH, fr;q=0.9, en;q=0.8",
+    referrer: "https://m.facebook.com/groups/1",
+    now: new Date("2026-10-16T21:30:00Z"),
+    ...overrides,
+  });
+
+const rules = (input) => {
+  const parsed = parseRules(input);
+  assert.equal(parsed.error, undefined);
+  return parsed.rules;
+};
+
+test("reads the visitor's device, languages, referrer and local time", () => {
+  const context = visitor();
+
+  assert.equal(context.deviceType, "mobile");
+  assert.equal(context.os, "Android");
+  assert.deepEqual(context.languages, ["fr-ch", "fr", "en"]);
+  assert.equal(context.referrer, "m.facebook.com");
+  assert.deepEqual(context.localTime, { minutes: 22 * 60 + 30, day: "fri", time: "22:30" });
+});
+
+test("orders Accept-Language by quality and drops q=0 and *", () => {
+  assert.deepEqual(parseAcceptLanguage("en;q=0.5, de, *;q=0.1, fr;q=0"), ["de", "en"]);
+  assert.deepEqual(parseAcceptLanguage(undefined), []);
+});
+
+test("the first active rule whose conditions all hold wins", () => {
+  const parsed = rules([
+    { name: "paused", active: false, conditions: { countries: ["NG"] }, link: "https://example.com/paused" },
+    { name: "ghana", conditions: { countries: ["GH"] }, link: "https://example.com/gh" },
+    { name: "ng mobile", conditions: { countries: ["ng"], deviceTypes: ["Mobile"] }, link: "https://example.com/ng" },
+    { name: "catch-all", link: "https://example.com/all" },
+  ]);
+
+  const { rule, index, trace } = evaluateRules(parsed, visitor());
+
+  assert.equal(rule.name, "ng mobile");
+  assert.equal(index, 2);
+  assert.deepEqual(
+    trace.map(({ name, matched, failed, skipped }) => [name, matched, skipped || failed]),
+    [
+      ["paused", false, "inactive"],
+      ["ghana", false, ["countries"]],
+      ["ng mobile", true, []],
+    ]
+  );
+});
+
+test("language, OS, browser and referrer conditions match loosely", () => {
+  const match = (conditions) => evaluateRules(rules([{ conditions, link: "https://example.com" }]), visitor()).rule;
+
+  assert.ok(match({ languages: ["fr"] }));
+  assert.ok(!match({ languages: ["de"] }));
+  assert.ok(match({ os: ["android"], browsers: ["chrome"] }));
+  assert.ok(match({ referrers: ["facebook.com"] }));
+  assert.ok(!match({ referrers: ["direct"] }));
+  const direct = rules([{ conditions: { referrers: ["direct"] }, link: "https://example.com" }]);
+  assert.ok(evaluateRules(direct, visitor({ referrer: undefined })).rule);
+});
+
+test("overnight time windows belong to the day they started", () => {
+  const nightly = rules([
+    { conditions: { timeWindow: { start: "22:00", end: "06:00", days: ["friday"] } }, link: "https://example.com" },
+  ]);
+
+  assert.ok(evaluateRules(nightly, visitor()).rule);
+  // 02:00 on Saturday is still Friday night
+  assert.ok(evaluateRules(nightly, visitor({ now: new Date("2026-10-17T01:00:00Z") })).rule);
+  // 02:00 on Friday belongs to Thursday night
+  assert.equal(evaluateRules(nightly, visitor({ now: new Date("2026-10-16T01:00:00Z") })).rule, null);
+  assert.equal(evaluateRules(nightly, visitor({ now: new Date("2026-10-16T12:00:00Z") })).rule, null);
+});
+
+test("without a matching rule the offer's country targeting applies", () => {
+  const offer = {
+    _id: "offer-1",
+    links: { NG: "https://example.com/ng" },
+    regions: [],
+    defaultLink: null,
+    variants: [],
+    rules: rules([{ conditions: { deviceTypes: ["desktop"] }, link: "https://example.com/desktop" }]),
+  };
+
+  const result = targetOffer(offer, visitor(), null, "visitor-1");
+
+  assert.equal(result.source, "country");
+  assert.equal(result.link, "https://example.com/ng");
+  assert.equal(result.rule, null);
+  assert.equal(result.trace.length, 1);
+});
+
+test("rejects invalid rules with a message naming the rule", () => {
+  assert.match(parseRules([{ name: "x", link: "ftp://example.com" }]).error, /Rule "x" needs an http\(s\) link/);
+  assert.match(parseRules([{ link: "https://example.com", conditions: { planets: ["mars"] } }]).error, /unknown condition/);
+  assert.match(parseRules([{ link: "https://example.com", conditions: { countries: ["XX"] } }]).error, /invalid country/);
+  assert.match(parseRules([{ link: "https://example.com", conditions: { deviceTypes: ["fridge"] } }]).error, /device types/);
+  assert.match(
+    parseRules([{ link: "https://example.com", conditions: { timeWindow: { start: "09:00", end: "09:00" } } }]).error,
+    /time window/
+  );
+  assert.equal(parseRules({}).error, "rules must be an array");
+});
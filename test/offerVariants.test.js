@@ -0,0 +1,95 @@
+// test/offerVariants.test.js
+// Weighted, visitor-sticky link variants on top of country targeting
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+const Offers = require("../model/Offers");
+const { parseTarget, pickVariant, selectOfferLink, collapseToWinner } = require("../utils/offerVariants");
+
+const variant = (target, name, weight) => ({
+  _id: new mongoose.Types.ObjectId(),
+  target,
+  name,
+  link: `https://example.com/${target}/${name}`,
+  weight,
+  serves: 0,
+});
+
+const offer = {
+  _id: new mongoose.Types.ObjectId(),
+  links: { NG: "https://example.com/ng" },
+  regions: [{ name: "East Africa", countries: ["KE", "TZ"], link: "https://example.com/east" }],
+  defaultLink: "https://example.com/default",
+  variants: [
+    variant("NG", "a", 50),
+    variant("NG", "b", 50),
+    variant("region:East Africa", "a", 100),
+    variant("default", "off", 0),
+  ],
+};
+
+const visitors = Array.from({ length: 400 }, (_, i) => `visitor-${i}`);
+
+test("the same visitor always gets the same variant", () => {
+  visitors.slice(0, 20).forEach((visitorId) => {
+    const first = selectOfferLink(offer, "NG", null, visitorId);
+    const again = selectOfferLink(offer, "ng", null, visitorId);
+
+    assert.equal(again.variant.name, first.variant.name);
+    assert.equal(again.link, first.variant.link);
+  });
+});
+
+test("visitors spread across variants roughly by weight", () => {
+  const counts = { a: 0, b: 0 };
+  visitors.forEach((visitorId) => {
+    counts[selectOfferLink(offer, "NG", null, visitorId).variant.name] += 1;
+  });
+
+  assert.ok(counts.a > 140 && counts.b > 140, JSON.stringify(counts));
+});
+
+test("a zero-weight variant never serves, so the plain link does", () => {
+  const result = selectOfferLink(offer, "US", null, "visitor-1");
+
+  assert.equal(result.source, "default");
+  assert.equal(result.variant, null);
+  assert.equal(result.link, "https://example.com/default");
+});
+
+test("region variants take over the region's link", () => {
+  const result = selectOfferLink(offer, "KE", null, "visitor-1");
+
+  assert.equal(result.source, "region");
+  assert.equal(result.variant.target, "region:East Africa");
+  assert.equal(result.link, "https://example.com/region:East Africa/a");
+});
+
+test("nothing is picked when no candidate has any weight", () => {
+  assert.equal(pickVariant([variant("NG", "a", 0)], "seed"), null);
+  assert.equal(pickVariant([], "seed"), null);
+  assert.equal(pickVariant([variant("NG", "a", 0), variant("NG", "b", 3)], "seed").name, "b");
+});
+
+test("targets are validated against the offer", () => {
+  assert.deepEqual(parseTarget(offer, "ng"), { target: "NG" });
+  assert.deepEqual(parseTarget(offer, "Default"), { target: "default" });
+  assert.deepEqual(parseTarget(offer, "region:east africa"), { target: "region:East Africa" });
+  assert.ok(parseTarget(offer, "region:Nowhere").error);
+  assert.ok(parseTarget(offer, "XX").error);
+});
+
+test("declaring a winner makes it the target's only link", () => {
+  const doc = new Offers({
+    links: { NG: "https://example.com/ng" },
+    variants: [variant("NG", "a", 50), variant("NG", "b", 50), variant("default", "c", 10)],
+  });
+  const winner = doc.variants[1];
+
+  const retired = collapseToWinner(doc, winner);
+
+  assert.equal(doc.links.get("NG"), "https://example.com/NG/b");
+  assert.deepEqual(retired.map((candidate) => candidate.name), ["a", "b"]);
+  assert.deepEqual(doc.variants.map((candidate) => candidate.name), ["c"]);
+});
@@ -0,0 +1,259 @@
+// test/postbackProcessor.test.js
+// Runs postbacks through the processor with the models and services it
+// talks to stubbed out, so no database or mail server is needed.
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+mongoose.set("bufferCommands", false);
+
+const OfferCompletion = require("../model/offerCompletion");
+const PostbackTransaction = require("../model/PostbackTransaction");
+const PostbackEvent = require("../model/PostbackEvent");
+const PostbackNetwork = require("../model/PostbackNetwork");
+const walletService = require("../utils/walletService");
+const attributionService = require("../utils/attributionService");
+const capService = require("../utils/capService");
+const emailService = require("../utils/emailService");
+const logEvents = require("../middleware/logEvents");
+
+// Chainable stand-in for a mongoose query
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    lean: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  return chain;
+};
+
+// What the current test's database holds, and what the processor did to it
+let db;
+let calls;
+
+beforeEach(() => {
+  db = { completion: null, conversionRow: null, ledgerError: null, attributionError: null, transitioned: undefined };
+  calls = { ledger: [], deletedLedger: [], transitions: [], credits: [], debits: [], emails: [], rejected: [] };
+});
+
+PostbackNetwork.findOne = () => query(null);
+PostbackEvent.create = async (event) => event;
+OfferCompletion.findById = () => query(db.completion);
+OfferCompletion.findByIdAndUpdate = async () => null;
+OfferCompletion.transition = async (id, status, updates = {}) => {
+  calls.transitions.push(status);
+  if (db.transitioned !== undefined) return db.transitioned;
+  return { ...db.completion, status, ...updates };
+};
+PostbackTransaction.create = async (row) => {
+  if (db.ledgerError) throw db.ledgerError;
+  calls.ledger.push(row);
+  return row;
+};
+PostbackTransaction.findOne = () => query(db.conversionRow);
+PostbackTransaction.deleteOne = async (filter) => {
+  calls.deletedLedger.push(filter);
+  return { deletedCount: 1 };
+};
+
+// The processor keeps its own references to these, so they are replaced
+// before it is loaded
+walletService.creditConversion = async (args) => calls.credits.push(args);
+walletService.debitReversal = async (args) => calls.debits.push(args);
+attributionService.recordConversion = async () => null;
+attributionService.recordReversal = async () => {
+  if (db.attributionError) throw db.attributionError;
+  return null;
+};
+capService.countConversion = async () => null;
+emailService.sendEmail = async (email) => {
+  calls.emails.push(email);
+  return { success: true };
+};
+logEvents.logRejectedPostback = async (postback, reason) => calls.rejected.push(reason);
+
+const { processPostback } = require("../utils/postbackProcessor");
+
+const SOURCE_IP = "203.0.113.7";
+process.env.POSTBACK_ALLOWED_IPS_GOOSE = SOURCE_IP;
+process.env.POSTBACK_ALLOWED_IPS_OGADS = SOURCE_IP;
+process.env.POSTBACK_SECRET_CPAGRIP = "cpagrip-secret";
+
+const completionId = new mongoose.Types.ObjectId();
+
+const pendingCompletion = (overrides = {}) => ({
+  _id: completionId,
+  offer: "Survey",
+  title: "Survey",
+  email: "user@example.com",
+  status: "pending",
+  ...overrides,
+});
+
+const postback = (network, query, ip = SOURCE_IP) =>
+  processPostback({
+    network,
+    rawQuery: new URLSearchParams(query).toString(),
+    query,
+    headers: {},
+    ip,
+  });
+
+test("accepts a conversion, claims it in the ledger and emails the user", async () => {
+  db.completion = pendingCompletion();
+
+  const result = await postback("goose", {
+    id: String(completionId),
+    email: "User@Example.com",
+    payout: "2.50",
+    transactionid: "tx-1",
+  });
+
+  assert.equal(result.status, 200);
+  assert.equal(result.outcome, "accepted");
+  assert.deepEqual(calls.transitions, ["completed"]);
+  assert.equal(calls.ledger.length, 1);
+  assert.equal(calls.ledger[0].transactionId, "tx-1");
+  assert.equal(calls.ledger[0].payout, 2.5);
+  assert.equal(calls.credits.length, 1);
+  assert.equal(calls.emails[0].to, "user@example.com");
+});
+
+test("accepts a conversion without an email through a built-in network's sub-id", async () => {
+  db.completion = pendingCompletion();
+
+  const result = await postback("ogads", {
+    aff_sub2: String(completionId),
+    payout: "1.00",
+  });
+
+  assert.equal(result.outcome, "accepted");
+  assert.equal(calls.ledger[0].transactionId, `completion:${completionId}`);
+  assert.equal(calls.emails[0].to, "user@example.com");
+});
+
+test("rejects a replayed transaction without touching the completion", async () => {
+  db.completion = pendingCompletion();
+  db.ledgerError = Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+
+  const result = await postback("goose", {
+    id: String(completionId),
+    payout: "2.50",
+    transactionid: "tx-1",
+  });
+
+  assert.equal(result.status, 409);
+  assert.equal(result.reason, "replay");
+  assert.deepEqual(calls.transitions, []);
+  assert.equal(calls.credits.length, 0);
+  assert.deepEqual(calls.rejected, ["replay"]);
+});
+
+test("gives the ledger claim back when the completion is no longer pending", async () => {
+  db.completion = pendingCompletion();
+  db.transitioned = null;
+
+  const result = await postback("goose", {
+    id: String(completionId),
+    payout: "2.50",
+    transactionid: "tx-2",
+  });
+
+  assert.equal(result.status, 409);
+  assert.equal(result.outcome, "rejected");
+  assert.equal(result.reason, "invalid_transition");
+  assert.deepEqual(calls.deletedLedger, [{ network: "goose", transactionId: "tx-2" }]);
+  assert.equal(calls.credits.length, 0);
+  assert.equal(calls.emails.length, 0);
+});
+
+test("rejects a conversion whose email doesn't match the completion", async () => {
+  db.completion = pendingCompletion();
+
+  const result = await postback("goose", {
+    id: String(completionId),
+    email: "someone-else@example.com",
+    payout: "2.50",
+  });
+
+  assert.equal(result.status, 400);
+  assert.equal(result.reason, "email_mismatch");
+  assert.equal(calls.ledger.length, 0);
+  assert.deepEqual(calls.transitions, []);
+});
+
+test("reverses a completed conversion for the payout it was credited", async () => {
+  db.completion = pendingCompletion({ status: "completed", code: "ABC123" });
+  db.conversionRow = { payout: 2.5 };
+
+  const result = await postback("goose", {
+    id: String(completionId),
+    status: "chargeback",
+    transactionid: "tx-1",
+  });
+
+  assert.equal(result.status, 200);
+  assert.equal(result.outcome, "accepted");
+  assert.deepEqual(calls.transitions, ["reversed"]);
+  assert.equal(calls.ledger[0].type, "reversal");
+  assert.equal(calls.ledger[0].transactionId, "reversal:tx-1");
+  assert.equal(calls.ledger[0].payout, -2.5);
+  assert.equal(calls.debits.length, 1);
+  assert.equal(calls.emails[0].to, "user@example.com");
+});
+
+test("still accepts a reversal when its attribution can't be updated", async () => {
+  db.completion = pendingCompletion({ status: "completed" });
+  db.attributionError = new Error("Conversion update failed");
+
+  const result = await postback("goose", {
+    id: String(completionId),
+    status: "reversed",
+    transactionid: "tx-3",
+  });
+
+  assert.equal(result.status, 200);
+  assert.equal(result.outcome, "accepted");
+  assert.equal(calls.debits.length, 1);
+  assert.equal(calls.emails.length, 1);
+});
+
+test("rejects a postback from an IP outside the network's allow-list", async () => {
+  db.completion = pendingCompletion();
+
+  const result = await postback("goose", { id: String(completionId), payout: "2.50" }, "198.51.100.1");
+
+  assert.equal(result.status, 403);
+  assert.equal(result.reason, "ip_not_allowed");
+  assert.equal(calls.ledger.length, 0);
+});
+
+test("accepts a postback signed with the network's secret", async () => {
+  db.completion = pendingCompletion();
+  const rawQuery = `sub2=${completionId}&payout=1.00`;
+  const signature = crypto.createHmac("sha256", "cpagrip-secret").update(rawQuery).digest("hex");
+
+  const result = await processPostback({
+    network: "cpagrip",
+    rawQuery: `${rawQuery}&signature=${signature.toUpperCase()}`,
+    query: { sub2: String(completionId), payout: "1.00", signature: signature.toUpperCase() },
+    headers: {},
+    ip: SOURCE_IP,
+  });
+
+  assert.equal(result.outcome, "accepted");
+});
+
+test("rejects a malformed signature instead of failing", async () => {
+  db.completion = pendingCompletion();
+
+  for (const signature of [`é${"a".repeat(63)}`, "abc", "z".repeat(64)]) {
+    const result = await postback("cpagrip", { sub2: String(completionId), payout: "1.00", signature });
+
+    assert.equal(result.status, 401);
+    assert.equal(result.reason, "invalid_signature");
+  }
+  assert.equal(calls.ledger.length, 0);
+});
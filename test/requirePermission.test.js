@@ -0,0 +1,92 @@
+// test/requirePermission.test.js
+// Roles, wildcard permissions and the route guard built on them
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+mongoose.set("bufferCommands", false);
+
+const Settings = require("../model/Settings");
+const { ROLES, getPermissions, hasPermission } = require("../config/roles");
+const requirePermission = require("../middleware/requirePermission");
+
+let settings;
+Settings.findOne = () => ({ select: () => ({ lean: async () => settings }) });
+
+beforeEach(() => {
+  settings = null;
+});
+
+const guard = async (permissions, req) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let passed = false;
+  await requirePermission(...permissions)(req, res, () => {
+    passed = true;
+  });
+  return { passed, res };
+};
+
+const staff = (roles, twoFactorEnabled = true) => ({ user: { roles, twoFactorEnabled } });
+
+test("superadmin's * grants every permission", () => {
+  assert.equal(hasPermission(["superadmin"], "users:roles"), true);
+  assert.equal(hasPermission(["superadmin"], "apikeys:write"), true);
+});
+
+test("resource wildcards grant every action on that resource only", () => {
+  assert.equal(hasPermission(["editor"], "offers:write"), true);
+  assert.equal(hasPermission(["editor"], "links:read"), true);
+  assert.equal(hasPermission(["editor"], "wallet:read"), false);
+  assert.equal(hasPermission(["editor"], "stats:write"), false);
+});
+
+test("roles combine, and unknown roles grant nothing", () => {
+  assert.equal(hasPermission(["analyst"], "wallet:write"), false);
+  assert.equal(hasPermission(["analyst", "support"], "wallet:write"), true);
+  assert.deepEqual(getPermissions(["nobody"]), []);
+  assert.equal(hasPermission([], "offers:read"), false);
+});
+
+test("analysts can read everything but users and API keys, and write nothing", () => {
+  assert.ok(ROLES.analyst.permissions.every((permission) => permission.endsWith(":read")));
+  assert.equal(hasPermission(["analyst"], "users:read"), false);
+  assert.equal(hasPermission(["analyst"], "apikeys:read"), false);
+});
+
+test("the guard lets through users with every listed permission", async () => {
+  assert.equal((await guard(["offers:write", "stats:read"], staff(["editor"]))).passed, true);
+});
+
+test("the guard names the permissions a user is missing", async () => {
+  const { passed, res } = await guard(["offers:write", "wallet:write"], staff(["editor"]));
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.message, "Requires permission: wallet:write");
+});
+
+test("the guard needs a signed-in user, unless an API key already passed", async () => {
+  assert.equal((await guard(["offers:read"], {})).res.statusCode, 401);
+  assert.equal((await guard(["offers:read"], { apiKey: { scopes: ["catalog:read"] } })).passed, true);
+});
+
+test("roles that can write need 2FA turned on, unless settings say otherwise", async () => {
+  const { passed, res } = await guard(["offers:write"], staff(["editor"], false));
+  assert.equal(passed, false);
+  assert.equal(res.body.code, "TWO_FACTOR_REQUIRED");
+
+  assert.equal((await guard(["offers:read"], staff(["analyst"], false))).passed, true);
+
+  settings = { requireTwoFactorForWriteRoles: false };
+  assert.equal((await guard(["offers:write"], staff(["editor"], false))).passed, true);
+});
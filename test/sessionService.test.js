@@ -0,0 +1,90 @@
+// test/sessionService.test.js
+// Refresh token rotation against an in-memory stand-in for the Session model
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+mongoose.set("bufferCommands", false);
+
+const Session = require("../model/Session");
+const { SessionError } = require("../utils/customErrors");
+const {
+  createSession,
+  rotateSession,
+  revokeSessionByToken,
+  isSessionRevoked,
+} = require("../utils/sessionService");
+
+let rows;
+
+const matches = (row, filter) =>
+  Object.entries(filter).every(([key, value]) => {
+    if (value && typeof value === "object" && "$ne" in value) return row[key] !== value.$ne;
+    return String(row[key] ?? null) === String(value ?? null);
+  });
+
+const query = (result) => {
+  const chain = { select: () => chain, lean: async () => result, then: (resolve) => resolve(result) };
+  return chain;
+};
+
+Session.create = async (doc) => {
+  const row = { _id: new mongoose.Types.ObjectId(), rotatedAt: null, revokedAt: null, ...doc };
+  rows.push(row);
+  return row;
+};
+Session.findOne = (filter) => query(rows.find((row) => matches(row, filter)) || null);
+Session.findOneAndUpdate = async (filter, { $set }) => {
+  const row = rows.find((candidate) => matches(candidate, filter));
+  if (!row) return null;
+  return Object.assign(row, $set);
+};
+Session.updateMany = async (filter, { $set }) => {
+  const matched = rows.filter((row) => matches(row, filter));
+  matched.forEach((row) => Object.assign(row, $set));
+  return { modifiedCount: matched.length };
+};
+Session.exists = async (filter) => rows.find((row) => matches(row, filter)) || null;
+
+const req = { get: () => "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) Chrome/120.0", ip: "203.0.113.7" };
+const userId = new mongoose.Types.ObjectId();
+
+beforeEach(() => {
+  rows = [];
+});
+
+const rejectsWith = (promise, reason) =>
+  assert.rejects(promise, (error) => error instanceof SessionError && error.reason === reason);
+
+test("rotating a refresh token issues a new one in the same family", async () => {
+  const { token, session } = await createSession(userId, req);
+  const rotated = await rotateSession(token, req);
+
+  assert.notEqual(rotated.token, token);
+  assert.equal(rotated.session.family, session.family);
+  assert.equal(await isSessionRevoked(session.family), false);
+});
+
+test("reusing a rotated refresh token revokes the whole family", async () => {
+  const { token, session } = await createSession(userId, req);
+  const rotated = await rotateSession(token, req);
+
+  await rejectsWith(rotateSession(token, req), "reuse");
+  await rejectsWith(rotateSession(rotated.token, req), "revoked");
+  assert.equal(await isSessionRevoked(session.family), true);
+});
+
+test("logging out revokes the family its access tokens belong to", async () => {
+  const { token, session } = await createSession(userId, req);
+  const other = await createSession(userId, req);
+
+  await revokeSessionByToken(token);
+
+  assert.equal(await isSessionRevoked(session.family), true);
+  assert.equal(await isSessionRevoked(other.session.family), false);
+  await rejectsWith(rotateSession(token, req), "revoked");
+});
+
+test("an unknown refresh token is rejected", async () => {
+  await rejectsWith(rotateSession("not-a-token", req), "unknown");
+});
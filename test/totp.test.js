@@ -0,0 +1,54 @@
+// test/totp.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { generateSecret, generateCode, verifyCode, buildOtpauthUri } = require("../utils/totp");
+
+// The SHA-1 seed from RFC 6238 appendix B ("12345678901234567890"), base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const atSeconds = (seconds) => seconds * 1000;
+
+test("generates the RFC 6238 reference codes (last six digits)", () => {
+  assert.equal(generateCode(RFC_SECRET, Math.floor(59 / 30)), "287082");
+  assert.equal(generateCode(RFC_SECRET, Math.floor(1111111109 / 30)), "081804");
+  assert.equal(generateCode(RFC_SECRET, Math.floor(1111111111 / 30)), "050471");
+  assert.equal(generateCode(RFC_SECRET, Math.floor(1234567890 / 30)), "005924");
+  assert.equal(generateCode(RFC_SECRET, Math.floor(2000000000 / 30)), "279037");
+});
+
+test("accepts the current step and one either side, and returns the step", () => {
+  const now = atSeconds(1111111109);
+  const step = Math.floor(1111111109 / 30);
+
+  assert.equal(verifyCode(RFC_SECRET, "081804", { now }), step);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { now }), step - 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { now }), step + 1);
+  assert.equal(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { now }), null);
+});
+
+test("ignores spaces and rejects anything but six digits", () => {
+  const now = atSeconds(1111111109);
+
+  assert.notEqual(verifyCode(RFC_SECRET, "081 804", { now }), null);
+  assert.equal(verifyCode(RFC_SECRET, "81804", { now }), null);
+  assert.equal(verifyCode(RFC_SECRET, "08180a", { now }), null);
+  assert.equal(verifyCode(RFC_SECRET, undefined, { now }), null);
+});
+
+test("generated secrets are 32 base32 characters and round-trip", () => {
+  const secret = generateSecret();
+
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.notEqual(verifyCode(secret, generateCode(secret, Math.floor(Date.now() / 30000))), null);
+});
+
+test("builds an otpauth URI authenticator apps understand", () => {
+  const uri = new URL(buildOtpauthUri({ secret: RFC_SECRET, accountName: "user@example.com", issuer: "Modloot" }));
+
+  assert.equal(uri.protocol, "otpauth:");
+  assert.equal(uri.host, "totp");
+  assert.equal(decodeURIComponent(uri.pathname), "/Modloot:user@example.com");
+  assert.equal(uri.searchParams.get("secret"), RFC_SECRET);
+  assert.equal(uri.searchParams.get("issuer"), "Modloot");
+  assert.equal(uri.searchParams.get("digits"), "6");
+  assert.equal(uri.searchParams.get("period"), "30");
+});
@@ -0,0 +1,97 @@
+// test/twoFactorService.test.js
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+mongoose.set("bufferCommands", false);
+process.env.TWO_FACTOR_ENCRYPTION_KEY = "test-two-factor-key";
+
+const Settings = require("../model/Settings");
+const { generateCode } = require("../utils/totp");
+const {
+  beginEnrollment,
+  activateEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+  hasWritePermission,
+  isTwoFactorRequired,
+} = require("../utils/twoFactorService");
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+let settings;
+Settings.findOne = () => ({ select: () => ({ lean: async () => settings }) });
+
+// A user with 2FA turned on, plus the secret and recovery codes they were shown
+let user;
+let secret;
+let recoveryCodes;
+
+beforeEach(() => {
+  settings = null;
+  user = { email: "admin@example.com", twoFactor: {} };
+  ({ secret } = beginEnrollment(user));
+  // Enroll with the previous step so the current one is still usable
+  recoveryCodes = activateEnrollment(user, generateCode(secret, currentStep() - 1));
+});
+
+test("enrollment stores the secret encrypted and hands out recovery codes", () => {
+  assert.equal(user.twoFactor.enabled, true);
+  assert.equal(user.twoFactor.pendingSecret, null);
+  assert.ok(!user.twoFactor.secret.includes(secret));
+  assert.equal(recoveryCodes.length, 10);
+  assert.ok(recoveryCodes.every((code) => !user.twoFactor.recoveryCodes.includes(code)));
+});
+
+test("enrollment needs a valid code from the new secret", () => {
+  const other = { email: "admin@example.com", twoFactor: {} };
+  beginEnrollment(other);
+
+  assert.equal(activateEnrollment(other, "000000"), null);
+  assert.equal(other.twoFactor.enabled, undefined);
+});
+
+test("accepts a TOTP code once and refuses to replay it", () => {
+  const code = generateCode(secret, currentStep());
+
+  assert.equal(verifySecondFactor(user, { code }), true);
+  assert.equal(verifySecondFactor(user, { code }), false);
+});
+
+test("refuses codes from steps already used", () => {
+  assert.equal(verifySecondFactor(user, { code: generateCode(secret, currentStep() - 1) }), false);
+});
+
+test("spends a recovery code, whatever its case or dashes", () => {
+  const recoveryCode = recoveryCodes[0].toUpperCase().replace("-", "");
+
+  assert.equal(verifySecondFactor(user, { recoveryCode }), true);
+  assert.equal(user.twoFactor.recoveryCodes.length, 9);
+  assert.equal(verifySecondFactor(user, { recoveryCode: recoveryCodes[0] }), false);
+});
+
+test("rejects codes that aren't strings instead of throwing", () => {
+  assert.equal(verifySecondFactor(user, { recoveryCode: 123 }), false);
+  assert.equal(verifySecondFactor(user, { recoveryCode: ["abcde-12345"] }), false);
+  assert.equal(verifySecondFactor(user, { code: 123456 }), false);
+  assert.equal(verifySecondFactor(user, { code: { $gt: "" } }), false);
+  assert.equal(user.twoFactor.recoveryCodes.length, 10);
+});
+
+test("nothing passes once 2FA is disabled", () => {
+  disableTwoFactor(user);
+
+  assert.equal(verifySecondFactor(user, { code: generateCode(secret, currentStep()) }), false);
+  assert.equal(verifySecondFactor(user, { recoveryCode: recoveryCodes[1] }), false);
+});
+
+test("2FA is required for roles that can write, unless settings turn it off", async () => {
+  assert.equal(hasWritePermission(["analyst"]), false);
+  assert.equal(hasWritePermission(["editor"]), true);
+
+  assert.equal(await isTwoFactorRequired(["analyst"]), false);
+  assert.equal(await isTwoFactorRequired(["support"]), true);
+
+  settings = { requireTwoFactorForWriteRoles: false };
+  assert.equal(await isTwoFactorRequired(["superadmin"]), false);
+});
@@ -0,0 +1,123 @@
+// test/verifyApiKey.test.js
+// API key authentication, IP allow-lists and the fixed-window rate limit,
+// with a single in-memory key standing in for the ApiKey collection
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+
+mongoose.set("bufferCommands", false);
+
+const ApiKey = require("../model/ApiKey");
+const { generateKey } = require("../utils/apiKeyService");
+const verifyApiKey = require("../middleware/verifyApiKey");
+
+let stored;
+let rawKey;
+
+ApiKey.findOne = (filter) => ({
+  lean: async () => (stored && filter.keyHash === stored.keyHash && !stored.revokedAt ? { ...stored } : null),
+});
+
+// Just enough of updateOne for consumeRateLimit's two conditional updates
+ApiKey.updateOne = async (filter, update) => {
+  const windowStart = stored.rateWindowStart;
+  const inWindow = filter.rateWindowStart
+    ? windowStart && windowStart > filter.rateWindowStart.$gt && stored.rateWindowCount < filter.rateWindowCount.$lt
+    : !windowStart || windowStart <= filter.$or[1].rateWindowStart.$lte;
+  if (!inWindow) return { modifiedCount: 0 };
+
+  Object.assign(stored, update.$set);
+  Object.entries(update.$inc).forEach(([field, by]) => {
+    stored[field] += by;
+  });
+  return { modifiedCount: 1 };
+};
+
+beforeEach(() => {
+  const { key, prefix, keyHash } = generateKey();
+  rawKey = key;
+  stored = new ApiKey({
+    name: "Partner",
+    prefix,
+    keyHash,
+    scopes: ["catalog:import"],
+    allowedIps: [],
+    rateLimit: { requests: 2, windowSeconds: 60 },
+  }).toObject();
+});
+
+const call = async (scope, { key = rawKey, ip = "203.0.113.7" } = {}) => {
+  const req = { ip, get: (name) => (name === "X-API-Key" ? key : undefined), socket: {} };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let passed = false;
+  await verifyApiKey(scope)(req, res, () => {
+    passed = true;
+  });
+  return { passed, req, res };
+};
+
+test("lets requests without a key through to the JWT check", async () => {
+  const { passed, req } = await call("catalog:import", { key: null });
+
+  assert.equal(passed, true);
+  assert.equal(req.apiKey, undefined);
+});
+
+test("authenticates a valid key that has the scope", async () => {
+  const { passed, req } = await call("catalog:import");
+
+  assert.equal(passed, true);
+  assert.equal(req.apiKey.prefix, stored.prefix);
+  assert.equal(stored.usageCount, 1);
+});
+
+test("rejects unknown keys and keys without the scope", async () => {
+  assert.equal((await call("catalog:import", { key: "gg_nope" })).res.statusCode, 401);
+  assert.equal((await call("catalog:read")).res.statusCode, 403);
+});
+
+test("matches the IP allow-list however the address was written", async () => {
+  stored.allowedIps = new ApiKey({ allowedIps: ["::FFFF:203.0.113.7"] }).allowedIps.toObject();
+
+  assert.equal((await call("catalog:import", { ip: "::ffff:203.0.113.7" })).passed, true);
+  assert.equal((await call("catalog:import", { ip: "198.51.100.1" })).res.statusCode, 403);
+});
+
+test("rejects invalid IP allow-list entries", () => {
+  const error = new ApiKey({ ...stored, allowedIps: ["10.0.0.300"] }).validateSync();
+
+  assert.match(error.errors.allowedIps.message, /10\.0\.0\.300/);
+});
+
+test("answers 429 with Retry-After once the window's requests are used up", async () => {
+  assert.equal((await call("catalog:import")).passed, true);
+  assert.equal((await call("catalog:import")).passed, true);
+
+  const { passed, res } = await call("catalog:import");
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 429);
+  assert.ok(Number(res.headers["Retry-After"]) >= 1);
+});
+
+test("starts a new window once the old one has passed", async () => {
+  stored.rateWindowStart = new Date(Date.now() - 120 * 1000);
+  stored.rateWindowCount = 2;
+
+  assert.equal((await call("catalog:import")).passed, true);
+  assert.equal(stored.rateWindowCount, 1);
+});
@@ -0,0 +1,89 @@
+// test/verifyJWT.test.js
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+
+mongoose.set("bufferCommands", false);
+process.env.ACCESS_TOKEN_SECRET = "test-access-secret";
+
+const User = require("../model/User");
+const Session = require("../model/Session");
+const verifyJWT = require("../middleware/verifyJWT");
+
+const userId = new mongoose.Types.ObjectId();
+let user;
+let liveFamilies;
+
+User.findById = () => ({ lean: async () => user });
+Session.exists = async ({ family }) => (liveFamilies.includes(family) ? { _id: family } : null);
+
+beforeEach(() => {
+  user = { _id: userId, email: "user@example.com", roles: ["user"], isActive: true, passwordChangedAt: null };
+  liveFamilies = ["family-1"];
+});
+
+const signToken = (issuedAt, payload = {}) =>
+  jwt.sign({ userId: String(userId), iat: Math.floor(issuedAt / 1000), ...payload }, process.env.ACCESS_TOKEN_SECRET, {
+    expiresIn: "15m",
+  });
+
+// Run the middleware and report whether it let the request through
+const authenticate = async (token) => {
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let passed = false;
+  await verifyJWT(req, res, () => {
+    passed = true;
+  });
+  return { passed, req, res };
+};
+
+test("accepts a valid token and puts the user on the request", async () => {
+  const { passed, req } = await authenticate(signToken(Date.now()));
+
+  assert.equal(passed, true);
+  assert.equal(req.user.email, "user@example.com");
+  assert.deepEqual(req.user.roles, ["user"]);
+});
+
+test("rejects a token issued before the password was changed", async () => {
+  user.passwordChangedAt = new Date();
+  const { passed, res } = await authenticate(signToken(Date.now() - 60 * 1000));
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+});
+
+test("accepts a token issued after the password was changed", async () => {
+  user.passwordChangedAt = new Date(Date.now() - 60 * 1000);
+  const { passed } = await authenticate(signToken(Date.now()));
+
+  assert.equal(passed, true);
+});
+
+test("accepts a token whose session is still active", async () => {
+  const { passed, req } = await authenticate(signToken(Date.now(), { sid: "family-1" }));
+
+  assert.equal(passed, true);
+  assert.equal(req.user.sessionId, "family-1");
+});
+
+test("rejects a token whose session was logged out or revoked", async () => {
+  liveFamilies = [];
+  const { passed, res } = await authenticate(signToken(Date.now(), { sid: "family-1" }));
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+});
@@ -0,0 +1,69 @@
+// utils/apiKeyService.js
+const crypto = require("crypto");
+const ApiKey = require("../model/ApiKey");
+
+const KEY_PREFIX = "gg";
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+// "gg_<8 hex>_<43 chars>"; the first two parts double as the display prefix
+const generateKey = () => {
+  const id = crypto.randomBytes(4).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const key = `${KEY_PREFIX}_${id}_${secret}`;
+
+  return { key, prefix: `${KEY_PREFIX}_${id}`, keyHash: hashKey(key) };
+};
+
+const findActiveKey = (key) =>
+  ApiKey.findOne({
+    keyHash: hashKey(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+  }).lean();
+
+// Count one request against the key's window and record the use.
+// Returns false once the window's allowance is spent.
+const consumeRateLimit = async (apiKey, ip) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - apiKey.rateLimit.windowSeconds * 1000);
+  const usage = {
+    $set: { lastUsedAt: now, lastUsedIp: ip },
+    $inc: { usageCount: 1 },
+  };
+
+  const counted = await ApiKey.updateOne(
+    {
+      _id: apiKey._id,
+      rateWindowStart: { $gt: windowStart },
+      rateWindowCount: { $lt: apiKey.rateLimit.requests },
+    },
+    { ...usage, $inc: { ...usage.$inc, rateWindowCount: 1 } }
+  );
+  if (counted.modifiedCount > 0) return true;
+
+  // The current window has expired (or never started), so open a new one
+  const reset = await ApiKey.updateOne(
+    {
+      _id: apiKey._id,
+      $or: [{ rateWindowStart: null }, { rateWindowStart: { $lte: windowStart } }],
+    },
+    { ...usage, $set: { ...usage.$set, rateWindowStart: now, rateWindowCount: 1 } }
+  );
+  return reset.modifiedCount > 0;
+};
+
+// Seconds until the key's current window ends
+const getRetryAfter = (apiKey) => {
+  if (!apiKey.rateWindowStart) return 1;
+  const windowEnds =
+    new Date(apiKey.rateWindowStart).getTime() + apiKey.rateLimit.windowSeconds * 1000;
+  return Math.max(1, Math.ceil((windowEnds - Date.now()) / 1000));
+};
+
+module.exports = {
+  generateKey,
+  findActiveKey,
+  consumeRateLimit,
+  getRetryAfter,
+};
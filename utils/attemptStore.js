@@ -0,0 +1,166 @@
+// utils/attemptStore.js
+// Storage for failed-attempt counters. Both stores share one async interface:
+//
+//   get(key)                                   -> record | null
+//   recordFailure(key, { scope, windowMs, ttlMs }) -> record after the increment
+//   lock(key, { until, ttlMs })                -> record
+//   reset(key)
+//   list({ lockedOnly, limit })                -> records, most recent first
+//
+// A record looks like { key, scope, failures, firstFailureAt, lastFailureAt,
+// lockedUntil, lockCount }. Failures older than windowMs start a fresh count.
+const LoginAttempt = require("../model/LoginAttempt");
+
+const RECORD_FIELDS = "key scope failures firstFailureAt lastFailureAt lockedUntil lockCount";
+
+class MemoryAttemptStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(key) {
+    const record = this.records.get(key);
+    if (!record) return null;
+
+    if (record.expiresAt <= new Date()) {
+      this.records.delete(key);
+      return null;
+    }
+    return { ...record };
+  }
+
+  async recordFailure(key, { scope, windowMs, ttlMs }) {
+    const now = new Date();
+    const existing = await this.get(key);
+    const inWindow = existing?.lastFailureAt && now - existing.lastFailureAt < windowMs;
+
+    const record = {
+      key,
+      scope,
+      lockedUntil: existing?.lockedUntil || null,
+      lockCount: existing?.lockCount || 0,
+      failures: inWindow ? existing.failures + 1 : 1,
+      firstFailureAt: inWindow ? existing.firstFailureAt : now,
+      lastFailureAt: now,
+      expiresAt: new Date(now.getTime() + ttlMs),
+    };
+    this.records.set(key, record);
+    return { ...record };
+  }
+
+  async lock(key, { until, ttlMs }) {
+    const record = this.records.get(key);
+    if (!record) return null;
+
+    record.lockedUntil = until;
+    record.lockCount += 1;
+    record.failures = 0;
+    record.expiresAt = new Date(Math.max(until.getTime(), Date.now()) + ttlMs);
+    return { ...record };
+  }
+
+  async reset(key) {
+    return this.records.delete(key);
+  }
+
+  async list({ lockedOnly = false, limit = 100 } = {}) {
+    const now = new Date();
+    return [...this.records.values()]
+      .filter((record) => record.expiresAt > now)
+      .filter((record) => !lockedOnly || (record.lockedUntil && record.lockedUntil > now))
+      .sort((a, b) => b.lastFailureAt - a.lastFailureAt)
+      .slice(0, limit)
+      .map((record) => ({ ...record }));
+  }
+}
+
+class MongoAttemptStore {
+  async get(key) {
+    return LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } })
+      .select(RECORD_FIELDS)
+      .lean();
+  }
+
+  async recordFailure(key, { scope, windowMs, ttlMs }) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttlMs);
+
+    // Still inside the window: bump the counter atomically
+    const bumped = await LoginAttempt.findOneAndUpdate(
+      { key, lastFailureAt: { $gt: new Date(now.getTime() - windowMs) } },
+      { $inc: { failures: 1 }, $set: { lastFailureAt: now, expiresAt } },
+      { new: true }
+    )
+      .select(RECORD_FIELDS)
+      .lean();
+    if (bumped) return bumped;
+
+    // Otherwise start a fresh count, keeping any lock history
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $set: { scope, failures: 1, firstFailureAt: now, lastFailureAt: now, expiresAt },
+        $setOnInsert: { lockCount: 0, lockedUntil: null },
+      },
+      { new: true, upsert: true }
+    )
+      .select(RECORD_FIELDS)
+      .lean();
+  }
+
+  async lock(key, { until, ttlMs }) {
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $set: {
+          lockedUntil: until,
+          failures: 0,
+          expiresAt: new Date(Math.max(until.getTime(), Date.now()) + ttlMs),
+        },
+        $inc: { lockCount: 1 },
+      },
+      { new: true }
+    )
+      .select(RECORD_FIELDS)
+      .lean();
+  }
+
+  async reset(key) {
+    const result = await LoginAttempt.deleteOne({ key });
+    return result.deletedCount > 0;
+  }
+
+  async list({ lockedOnly = false, limit = 100 } = {}) {
+    const now = new Date();
+    const filter = { expiresAt: { $gt: now } };
+    if (lockedOnly) filter.lockedUntil = { $gt: now };
+
+    return LoginAttempt.find(filter)
+      .sort({ lastFailureAt: -1 })
+      .limit(limit)
+      .select(RECORD_FIELDS)
+      .lean();
+  }
+}
+
+// ATTEMPT_STORE=memory keeps counters in-process (single instance, dev, tests)
+let store = null;
+
+const getAttemptStore = () => {
+  if (!store) {
+    store =
+      process.env.ATTEMPT_STORE === "memory" ? new MemoryAttemptStore() : new MongoAttemptStore();
+  }
+  return store;
+};
+
+const setAttemptStore = (nextStore) => {
+  store = nextStore;
+};
+
+module.exports = {
+  MemoryAttemptStore,
+  MongoAttemptStore,
+  getAttemptStore,
+  setAttemptStore,
+};
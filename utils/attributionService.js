@@ -0,0 +1,198 @@
+// utils/attributionService.js
+// Joins postbacks back to the click that started them. A click id is minted
+// when a click is stored, sent to the network as a sub-id (see
+// redirectService) and echoed back on the postback; the completion also
+// remembers its last click for networks that only echo the completion id.
+const mongoose = require("mongoose");
+const ClickEvent = require("../model/ClickEvent");
+const Conversion = require("../model/Conversion");
+const OfferCompletion = require("../model/offerCompletion");
+const CatalogItem = require("../model/CatalogItem");
+const Offers = require("../model/Offers");
+const { findClick } = require("./clickService");
+const { lookupGeo } = require("./geoService");
+
+// Report dimensions: where each one lives on a click and on a conversion
+const DIMENSIONS = {
+  item: { click: "$meta.item", conversion: "$item" },
+  itemType: { click: "$meta.itemType", conversion: "$itemType" },
+  network: { click: "$network", conversion: "$network" },
+  country: { click: "$country", conversion: "$country" },
+};
+
+// The completion a postback is about: its completion id when it has a valid
+// one, otherwise the completion opened by its click. Returns an id or null.
+const resolveCompletionId = async ({ completionId, clickId }) => {
+  if (completionId && mongoose.Types.ObjectId.isValid(completionId)) return completionId;
+  if (!clickId || !mongoose.Types.ObjectId.isValid(clickId)) return null;
+
+  const completion = await OfferCompletion.findOne({ click: clickId })
+    .sort({ createdAt: -1 })
+    .select("_id")
+    .lean();
+  return completion?._id || null;
+};
+
+// Completions store the offer they were opened for as free text; it is only
+// linked up when it is the id of an existing offer
+const findCompletionOffer = async (completion) => {
+  if (!mongoose.Types.ObjectId.isValid(completion.offer)) return null;
+  const offer = await Offers.exists({ _id: completion.offer });
+  return offer?._id || null;
+};
+
+// Store the conversion for a completion that has just been completed. The
+// echoed click id wins over the completion's own click. Without a click the
+// country comes from the visitor IP the network reports, if it sends one.
+const recordConversion = async ({ adapter, parsed, completion, payout, transactionId }) => {
+  const convertedAt = new Date();
+  const click = (await findClick(parsed.clickId)) || (await findClick(completion.click));
+  const offer = await findCompletionOffer(completion);
+  const clickCountry = click?.country !== "Unknown" ? click?.country : null;
+  const country = clickCountry || (parsed.ip && (await lookupGeo(parsed.ip)).country) || null;
+
+  return Conversion.findOneAndUpdate(
+    { completion: completion._id },
+    {
+      $setOnInsert: {
+        click: click?._id || null,
+        item: click?.meta.item || completion.item || null,
+        itemType: click?.meta.itemType || null,
+        offer,
+        network: adapter.name,
+        transactionId,
+        payout: Number(payout) || 0,
+        currency: adapter.payoutCurrency,
+        country,
+        deviceType: click?.deviceType || null,
+        clickedAt: click?.date || null,
+        convertedAt,
+        timeToConvertMs: click ? convertedAt - click.date : null,
+      },
+    },
+    { upsert: true, new: true }
+  );
+};
+
+const recordReversal = (completionId) =>
+  Conversion.updateOne(
+    { completion: completionId, status: "converted" },
+    { $set: { status: "reversed", reversedAt: new Date() } }
+  );
+
+const percent = (part, whole) => (whole > 0 ? Number(((part / whole) * 100).toFixed(2)) : 0);
+
+// Clicks against conversions for one dimension over a window: conversion
+// rate, time to convert and payout per click. Conversions are counted by
+// when they converted, clicks by when they happened.
+const getAttributionStats = async ({ groupBy = "item", startDate, limit = 50 }) => {
+  const dimension = DIMENSIONS[groupBy];
+  if (!dimension) {
+    throw new Error(`Unknown attribution dimension: ${groupBy}`);
+  }
+
+  const [clicks, conversions] = await Promise.all([
+    ClickEvent.aggregate([
+      { $match: { date: { $gte: startDate } } },
+      {
+        $group: {
+          _id: dimension.click,
+          clicks: { $sum: 1 },
+          uniqueClicks: { $sum: { $cond: ["$isUnique", 1, 0] } },
+        },
+      },
+    ]),
+    Conversion.aggregate([
+      { $match: { convertedAt: { $gte: startDate } } },
+      {
+        $group: {
+          _id: dimension.conversion,
+          conversions: { $sum: 1 },
+          reversals: { $sum: { $cond: [{ $eq: ["$status", "reversed"] }, 1, 0] } },
+          payout: { $sum: { $cond: [{ $eq: ["$status", "converted"] }, "$payout", 0] } },
+          attributed: { $sum: { $cond: [{ $ne: ["$click", null] }, 1, 0] } },
+          avgTimeToConvertMs: { $avg: "$timeToConvertMs" },
+          minTimeToConvertMs: { $min: "$timeToConvertMs" },
+          maxTimeToConvertMs: { $max: "$timeToConvertMs" },
+        },
+      },
+    ]),
+  ]);
+
+  const rows = new Map();
+  const rowFor = (key) => {
+    const id = key == null ? null : String(key);
+    if (!rows.has(id)) {
+      rows.set(id, {
+        [groupBy]: key ?? null,
+        clicks: 0,
+        uniqueClicks: 0,
+        conversions: 0,
+        reversals: 0,
+        payout: 0,
+        attributed: 0,
+        avgTimeToConvertMs: null,
+        minTimeToConvertMs: null,
+        maxTimeToConvertMs: null,
+      });
+    }
+    return rows.get(id);
+  };
+
+  clicks.forEach(({ _id, ...counts }) => Object.assign(rowFor(_id), counts));
+  conversions.forEach(({ _id, ...counts }) => Object.assign(rowFor(_id), counts));
+
+  const stats = [...rows.values()]
+    .map((row) => ({
+      ...row,
+      payout: Number(row.payout.toFixed(2)),
+      avgTimeToConvertMs: row.avgTimeToConvertMs == null ? null : Math.round(row.avgTimeToConvertMs),
+      conversionRate: percent(row.conversions, row.clicks),
+      reversalRate: percent(row.reversals, row.conversions),
+      payoutPerClick: row.clicks > 0 ? Number((row.payout / row.clicks).toFixed(4)) : 0,
+    }))
+    .sort((a, b) => b.conversions - a.conversions || b.clicks - a.clicks)
+    .slice(0, limit);
+
+  if (groupBy === "item") {
+    const items = await CatalogItem.find({ _id: { $in: stats.map((row) => row.item).filter(Boolean) } })
+      .select("title merchant kind")
+      .lean();
+    const byId = new Map(items.map((item) => [String(item._id), item]));
+    stats.forEach((row) => {
+      const item = byId.get(String(row.item));
+      row.title = item?.title || null;
+      row.merchant = item?.merchant || null;
+      row.itemType = item?.kind || null;
+    });
+  }
+
+  const totals = [...rows.values()].reduce(
+    (sum, row) => ({
+      clicks: sum.clicks + row.clicks,
+      conversions: sum.conversions + row.conversions,
+      reversals: sum.reversals + row.reversals,
+      payout: sum.payout + row.payout,
+    }),
+    { clicks: 0, conversions: 0, reversals: 0, payout: 0 }
+  );
+
+  return {
+    overview: {
+      ...totals,
+      payout: Number(totals.payout.toFixed(2)),
+      conversionRate: percent(totals.conversions, totals.clicks),
+      payoutPerClick: totals.clicks > 0 ? Number((totals.payout / totals.clicks).toFixed(4)) : 0,
+    },
+    groupBy,
+    breakdown: stats,
+  };
+};
+
+module.exports = {
+  ATTRIBUTION_DIMENSIONS: Object.keys(DIMENSIONS),
+  resolveCompletionId,
+  recordConversion,
+  recordReversal,
+  getAttributionStats,
+};
@@ -0,0 +1,59 @@
+// utils/authTokenService.js
+const crypto = require("crypto");
+const AuthToken = require("../model/AuthToken");
+
+const TOKEN_TTL_MS = {
+  email_verification: 24 * 60 * 60 * 1000,
+  password_reset: 60 * 60 * 1000,
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Issue a fresh token, invalidating any unused ones for the same purpose
+const createAuthToken = async (userId, purpose, { ip = null } = {}) => {
+  await AuthToken.updateMany(
+    { user: userId, purpose, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await AuthToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose]),
+    ip,
+  });
+
+  return token;
+};
+
+// Mark a token used and return it, or null if it's unknown, used or expired
+const consumeAuthToken = (token, purpose) => {
+  if (typeof token !== "string" || !token) return null;
+
+  return AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  ).lean();
+};
+
+// Link the frontend page that handles a token
+const buildClientLink = (path, token) => {
+  const baseUrl = (process.env.CLIENT_URL || "https://modloot.xyz").replace(/\/$/, "");
+  return `${baseUrl}${path}?token=${token}`;
+};
+
+module.exports = {
+  TOKEN_TTL_MS,
+  createAuthToken,
+  consumeAuthToken,
+  buildClientLink,
+};
@@ -0,0 +1,142 @@
+// utils/bruteForceService.js
+const User = require("../model/User");
+const { getAttemptStore } = require("./attemptStore");
+const { emailTemplates, sendEmail } = require("./emailService");
+
+const MINUTE = 60 * 1000;
+
+const POLICIES = {
+  account: {
+    maxFailures: 5,
+    windowMs: 15 * MINUTE,
+    lockoutMs: 15 * MINUTE,
+  },
+  // One IP may be trying many accounts, so it gets more headroom
+  ip: {
+    maxFailures: 20,
+    windowMs: 15 * MINUTE,
+    lockoutMs: 15 * MINUTE,
+  },
+  // Every signup counts, successful or not
+  signup: {
+    maxFailures: 5,
+    windowMs: 60 * MINUTE,
+    lockoutMs: 60 * MINUTE,
+  },
+};
+
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * MINUTE;
+
+const keyFor = (scope, value) => `${scope}:${String(value).toLowerCase().trim()}`;
+
+// 1s, 2s, 4s... between consecutive failures, capped
+const backoffDelay = (failures) =>
+  failures > 0 ? Math.min(BACKOFF_BASE_MS * 2 ** (failures - 1), BACKOFF_MAX_MS) : 0;
+
+// Each lockout of the same key lasts twice as long as the last one
+const lockoutDuration = (policy, lockCount) =>
+  Math.min(policy.lockoutMs * 2 ** lockCount, MAX_LOCKOUT_MS);
+
+// How long the caller has to wait before this key may try again (0 = go ahead)
+const getRetryAfter = async (key, { backoff = true } = {}) => {
+  const record = await getAttemptStore().get(key);
+  if (!record) return { retryAfterMs: 0, locked: false };
+
+  const now = Date.now();
+  if (record.lockedUntil && record.lockedUntil.getTime() > now) {
+    return { retryAfterMs: record.lockedUntil.getTime() - now, locked: true };
+  }
+
+  if (backoff && record.lastFailureAt) {
+    const nextAllowed = record.lastFailureAt.getTime() + backoffDelay(record.failures);
+    if (nextAllowed > now) return { retryAfterMs: nextAllowed - now, locked: false };
+  }
+
+  return { retryAfterMs: 0, locked: false };
+};
+
+const sendLockoutEmail = async (email, { unlockAt, ip }) => {
+  try {
+    const user = await User.findOne({ email }).select("name email").lean();
+    if (!user) return;
+
+    const emailTemplate = emailTemplates.accountLocked({ name: user.name, unlockAt, ip });
+    await sendEmail({
+      to: user.email,
+      subject: emailTemplate.subject,
+      html: emailTemplate.html,
+      templateType: "accountLocked",
+    });
+  } catch (error) {
+    console.error(`Failed to send lockout email to ${email}:`, error.message);
+  }
+};
+
+// Count a failure and lock the key once it crosses its policy's limit
+const recordFailure = async (scope, value) => {
+  const policy = POLICIES[scope];
+  const key = keyFor(scope, value);
+  const store = getAttemptStore();
+
+  const record = await store.recordFailure(key, {
+    scope,
+    windowMs: policy.windowMs,
+    ttlMs: policy.windowMs,
+  });
+
+  if (record.failures < policy.maxFailures) return { record, locked: false };
+
+  const until = new Date(Date.now() + lockoutDuration(policy, record.lockCount));
+  const locked = await store.lock(key, { until, ttlMs: policy.windowMs });
+  return { record: locked, locked: true };
+};
+
+const checkLogin = async ({ ip, email }) => {
+  const checks = [getRetryAfter(keyFor("ip", ip))];
+  if (email) checks.push(getRetryAfter(keyFor("account", email)));
+
+  const results = await Promise.all(checks);
+  return results.reduce((worst, result) =>
+    result.retryAfterMs > worst.retryAfterMs ? result : worst
+  );
+};
+
+const registerLoginFailure = async ({ ip, email }) => {
+  const [, account] = await Promise.all([
+    recordFailure("ip", ip),
+    email ? recordFailure("account", email) : null,
+  ]);
+
+  if (account?.locked) {
+    await sendLockoutEmail(email.toLowerCase().trim(), {
+      unlockAt: account.record.lockedUntil,
+      ip,
+    });
+  }
+};
+
+// A good login clears the account's counter; the IP's is left to expire
+const registerLoginSuccess = ({ email }) => getAttemptStore().reset(keyFor("account", email));
+
+// Signups only get a hard limit per IP, no backoff between them
+const checkSignup = ({ ip }) => getRetryAfter(keyFor("signup", ip), { backoff: false });
+
+const registerSignupAttempt = ({ ip }) => recordFailure("signup", ip);
+
+const listAttempts = (options) => getAttemptStore().list(options);
+
+const clearAttempts = (key) => getAttemptStore().reset(key);
+
+module.exports = {
+  POLICIES,
+  keyFor,
+  checkLogin,
+  registerLoginFailure,
+  registerLoginSuccess,
+  checkSignup,
+  registerSignupAttempt,
+  listAttempts,
+  clearAttempts,
+};
@@ -0,0 +1,521 @@
+// utils/capService.js
+// Conversion caps for offers and catalog items. Every completed postback is
+// counted against its offer and item, per day in the cap timezone and for
+// all time, overall and for the visitor's country. Reaching a cap records a
+// hit on the target: "pause" stops serving it (the whole target, or just that
+// country) and "fallback" sends visitors to the fallback link instead. Daily
+// hits clear when the cap day ends; lifetime hits stay until released or the
+// cap is raised.
+const mongoose = require("mongoose");
+const Offers = require("../model/Offers");
+const CatalogItem = require("../model/CatalogItem");
+const CapCounter = require("../model/CapCounter");
+const Settings = require("../model/Settings");
+const { CapError } = require("./customErrors");
+const { isValidTimezone, dayKey } = require("./usageService");
+const { normalizeCountryCode, isValidCountryCode, isValidLink } = require("./offerLinks");
+const { emailTemplates, sendEmail } = require("./emailService");
+const { logCapActivity } = require("../middleware/logEvents");
+
+const DEFAULT_TIMEZONE = process.env.CAP_TIMEZONE || "UTC";
+const LIFETIME = "lifetime";
+const ALL_COUNTRIES = "*";
+
+const TARGET_MODELS = {
+  Offer: Offers,
+  CatalogItem,
+};
+
+// Names used in /api/caps URLs. Each is also the permission resource.
+const CAP_TARGETS = {
+  offers: { targetType: "Offer" },
+  apps: { targetType: "CatalogItem", kind: "App" },
+  coupons: { targetType: "CatalogItem", kind: "Coupon" },
+  games: { targetType: "CatalogItem", kind: "Game" },
+  giftcards: { targetType: "CatalogItem", kind: "GiftCard" },
+};
+
+const TARGET_FIELDS = "title kind active status caps capHits capPausedAt";
+
+const getCapTimezone = async () => {
+  const settings = await Settings.findOne().select("capTimezone").lean();
+  const timeZone = settings?.capTimezone || DEFAULT_TIMEZONE;
+  return isValidTimezone(timeZone) ? timeZone : "UTC";
+};
+
+const findTarget = async (type, id) => {
+  const config = CAP_TARGETS[type];
+  if (!config) {
+    throw new CapError(`Target type must be one of: ${Object.keys(CAP_TARGETS).join(", ")}`);
+  }
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new CapError("Invalid target ID");
+  }
+
+  const filter = { _id: id, ...(config.kind && { kind: config.kind }) };
+  const target = await TARGET_MODELS[config.targetType].findOne(filter).select(TARGET_FIELDS).lean();
+  if (!target) {
+    throw new CapError(`${config.kind || "Offer"} not found`, 404);
+  }
+  return { targetType: config.targetType, target };
+};
+
+const parseLimit = (value, label) => {
+  if (value === undefined || value === null || value === "") return { limit: null };
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return { error: `${label} must be a whole number of at least 1` };
+  }
+  return { limit };
+};
+
+// Validate a caps body. The result replaces the target's caps; null clears
+// them. Country caps are [{ country: "NG", daily: 50, lifetime: 500 }].
+// Returns { caps } or { error }.
+const parseCaps = (input) => {
+  if (input === null) {
+    return { caps: { daily: null, lifetime: null, countries: [], onCap: "pause", fallbackLink: null } };
+  }
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: "caps must be an object" };
+  }
+
+  const daily = parseLimit(input.daily, "Daily cap");
+  if (daily.error) return daily;
+  const lifetime = parseLimit(input.lifetime, "Lifetime cap");
+  if (lifetime.error) return lifetime;
+
+  const countryInput = input.countries ?? [];
+  if (!Array.isArray(countryInput)) {
+    return { error: "Country caps must be an array" };
+  }
+
+  const countries = [];
+  for (const entry of countryInput) {
+    const country = normalizeCountryCode(entry?.country);
+    if (!isValidCountryCode(country)) {
+      return { error: `Unknown country code: ${entry?.country}` };
+    }
+    if (countries.some((existing) => existing.country === country)) {
+      return { error: `${country} has more than one cap` };
+    }
+
+    const countryDaily = parseLimit(entry.daily, `Daily cap for ${country}`);
+    if (countryDaily.error) return countryDaily;
+    const countryLifetime = parseLimit(entry.lifetime, `Lifetime cap for ${country}`);
+    if (countryLifetime.error) return countryLifetime;
+    if (countryDaily.limit === null && countryLifetime.limit === null) {
+      return { error: `${country} needs a daily or lifetime cap` };
+    }
+
+    countries.push({ country, daily: countryDaily.limit, lifetime: countryLifetime.limit });
+  }
+
+  const onCap = input.onCap || "pause";
+  if (!["pause", "fallback"].includes(onCap)) {
+    return { error: "onCap must be pause or fallback" };
+  }
+
+  const fallbackLink = input.fallbackLink ? String(input.fallbackLink).trim() : null;
+  if (fallbackLink && !isValidLink(fallbackLink)) {
+    return { error: "Fallback link must be an http(s) URL" };
+  }
+  if (onCap === "fallback" && !fallbackLink) {
+    return { error: "A fallback link is required when onCap is fallback" };
+  }
+
+  return {
+    caps: { daily: daily.limit, lifetime: lifetime.limit, countries, onCap, fallbackLink },
+  };
+};
+
+// The limit a target's caps set for one country (null = overall) and scope
+const capLimit = (caps, country, scope) => {
+  if (!caps) return null;
+  if (!country) return caps[scope] ?? null;
+  return caps.countries?.find((entry) => entry.country === country)?.[scope] ?? null;
+};
+
+// Hits that still apply: not released, and for daily hits, from today
+const activeHits = (target, today) =>
+  (target.capHits || []).filter(
+    (hit) => !hit.releasedAt && (hit.scope === LIFETIME || hit.day === today)
+  );
+
+// Add one conversion to a target's daily and lifetime counters, overall and
+// for the country. Resolves to the new counts.
+const incrementCounters = async ({ targetType, target, country, day, at }) => {
+  const keys = [
+    { scope: "daily", country: null, day },
+    { scope: LIFETIME, country: null, day: LIFETIME },
+  ];
+  if (country) {
+    keys.push({ scope: "daily", country, day }, { scope: LIFETIME, country, day: LIFETIME });
+  }
+
+  const counters = await Promise.all(
+    keys.map((key) =>
+      CapCounter.findOneAndUpdate(
+        { target, day: key.day, country: key.country || ALL_COUNTRIES },
+        { $inc: { count: 1 }, $set: { lastConvertedAt: at }, $setOnInsert: { targetType } },
+        { upsert: true, new: true }
+      ).lean()
+    )
+  );
+
+  return keys.map((key, index) => ({
+    scope: key.scope,
+    country: key.country,
+    count: counters[index].count,
+  }));
+};
+
+const pauseTarget = async (targetType, id, at) => {
+  const result =
+    targetType === "Offer"
+      ? await Offers.updateOne({ _id: id, active: true }, { $set: { active: false, capPausedAt: at } })
+      : await CatalogItem.updateOne(
+          { _id: id, status: "live" },
+          { $set: { status: "paused", statusChangedAt: at, capPausedAt: at } }
+        );
+  return result.modifiedCount > 0;
+};
+
+// Resume a target the caps paused once no overall pause hit applies. An item
+// whose expiry passed in the meantime is expired by the next lifecycle run.
+const resumeIfClear = async (targetType, id, now = new Date()) => {
+  const Model = TARGET_MODELS[targetType];
+  const target = await Model.findById(id).select(TARGET_FIELDS).lean();
+  if (!target?.capPausedAt) return false;
+
+  const today = dayKey(now, await getCapTimezone());
+  const stillPaused = activeHits(target, today).some((hit) => !hit.country && hit.action === "pause");
+  if (stillPaused) return false;
+
+  const result =
+    targetType === "Offer"
+      ? await Offers.updateOne(
+          { _id: id, active: false, capPausedAt: { $ne: null } },
+          { $set: { active: true, capPausedAt: null } }
+        )
+      : await CatalogItem.updateOne(
+          { _id: id, status: "paused", capPausedAt: { $ne: null } },
+          { $set: { status: "live", statusChangedAt: now, capPausedAt: null } }
+        );
+  return result.modifiedCount > 0;
+};
+
+const describeTarget = (targetType, target) => ({
+  ...(targetType === "Offer" ? { offerId: target._id } : { itemId: target._id }),
+  itemType: target.kind || "Offer",
+  title: target.title,
+});
+
+const notifyCapReached = async (targetType, target, hit, timeZone) => {
+  const where = hit.country ? ` in ${hit.country}` : "";
+  const scope = hit.scope === "daily" ? "Daily" : "Lifetime";
+  const outcome = hit.action === "fallback" ? "serving fallback link" : "paused";
+
+  try {
+    await logCapActivity(
+      "cap_reached",
+      `${scope} cap of ${hit.limit} reached${where}: ${target.title} (${outcome})`,
+      {
+        ...describeTarget(targetType, target),
+        country: hit.country || "",
+        scope: hit.scope,
+        limit: hit.limit,
+        count: hit.count,
+        capAction: hit.action,
+      }
+    );
+  } catch (error) {
+    console.error(`Failed to log cap for ${target._id}:`, error.message);
+  }
+
+  if (!process.env.ADMIN_ALERT_EMAIL) {
+    console.warn("ADMIN_ALERT_EMAIL is not set; skipping conversion cap email");
+    return;
+  }
+
+  try {
+    const emailTemplate = emailTemplates.capReached({
+      title: target.title,
+      targetType: target.kind || "Offer",
+      scope: hit.scope,
+      limit: hit.limit,
+      country: hit.country,
+      action: hit.action,
+      fallbackLink: target.caps?.fallbackLink,
+      timeZone,
+    });
+
+    await sendEmail({
+      to: process.env.ADMIN_ALERT_EMAIL,
+      subject: emailTemplate.subject,
+      html: emailTemplate.html,
+      templateType: "capReached",
+    });
+  } catch (error) {
+    console.error(`Failed to send cap email for ${target._id}:`, error.message);
+  }
+};
+
+// Record that a cap was reached. Only the first conversion to reach it in a
+// cap day (or ever, for lifetime caps) gets here; the rest find the hit
+// already recorded. Returns the hit, or null if it was already recorded.
+const recordHit = async (targetType, target, reached, { day, at, timeZone }) => {
+  const Model = TARGET_MODELS[targetType];
+  const hit = {
+    country: reached.country,
+    scope: reached.scope,
+    day: reached.scope === "daily" ? day : null,
+    limit: reached.limit,
+    count: reached.count,
+    action: target.caps?.onCap === "fallback" && target.caps.fallbackLink ? "fallback" : "pause",
+    at,
+    releasedAt: null,
+  };
+
+  const pushed = await Model.updateOne(
+    {
+      _id: target._id,
+      capHits: { $not: { $elemMatch: { country: hit.country, scope: hit.scope, day: hit.day } } },
+    },
+    { $push: { capHits: hit } }
+  );
+  if (pushed.modifiedCount === 0) return null;
+
+  if (hit.action === "pause" && !hit.country) {
+    await pauseTarget(targetType, target._id, at);
+  }
+
+  await notifyCapReached(targetType, target, hit, timeZone);
+  return hit;
+};
+
+// Count a conversion against one target and act on any cap it reaches
+const countForTarget = async ({ targetType, target: targetId, country, at, day, timeZone }) => {
+  const counts = await incrementCounters({ targetType, target: targetId, country, day, at });
+
+  const target = await TARGET_MODELS[targetType].findById(targetId).select(TARGET_FIELDS).lean();
+  if (!target) return [];
+
+  const reached = counts
+    .map((entry) => ({ ...entry, limit: capLimit(target.caps, entry.country, entry.scope) }))
+    .filter((entry) => entry.limit !== null && entry.count >= entry.limit);
+
+  const hits = [];
+  for (const entry of reached) {
+    const hit = await recordHit(targetType, target, entry, { day, at, timeZone });
+    if (hit) hits.push(hit);
+  }
+  return hits;
+};
+
+// Count a stored conversion against its offer and its catalog item
+const countConversion = async (conversion) => {
+  const at = conversion.convertedAt || new Date();
+  const timeZone = await getCapTimezone();
+  const day = dayKey(at, timeZone);
+  const country = conversion.country || null;
+
+  const targets = [
+    conversion.offer && { targetType: "Offer", target: conversion.offer },
+    conversion.item && { targetType: "CatalogItem", target: conversion.item },
+  ].filter(Boolean);
+
+  const results = await Promise.all(
+    targets.map((target) => countForTarget({ ...target, country, at, day, timeZone }))
+  );
+  return results.flat();
+};
+
+// How caps affect serving a target to a visitor from `country`: null when
+// they don't, { blocked } when it must not be served and { link } when the
+// fallback link replaces it
+const getCapState = async (target, country, now = new Date()) => {
+  if (!target.capHits?.length) return null;
+
+  const today = dayKey(now, await getCapTimezone());
+  const hits = activeHits(target, today).filter((hit) => !hit.country || hit.country === country);
+  if (hits.length === 0) return null;
+
+  const fallbackLink = target.caps?.fallbackLink;
+  const blocking = hits.find((hit) => hit.action === "pause" || !fallbackLink);
+  return blocking ? { hit: blocking, blocked: true } : { hit: hits[0], link: fallbackLink };
+};
+
+// An admin changed a target's status by hand, so the caps no longer own its
+// pause. Turning it back on also waives the overall caps hit so far.
+// Mutates the document; the caller saves it.
+const overrideCapPause = (target, resumed, now = new Date()) => {
+  target.capPausedAt = null;
+  if (!resumed) return;
+  (target.capHits || []).forEach((hit) => {
+    if (!hit.country && !hit.releasedAt) hit.releasedAt = now;
+  });
+};
+
+// Waive every hit on a target and resume it if the caps paused it
+const releaseCaps = async (type, id, now = new Date()) => {
+  const { targetType, target } = await findTarget(type, id);
+  const Model = TARGET_MODELS[targetType];
+
+  const released = (target.capHits || []).filter((hit) => !hit.releasedAt);
+  if (released.length > 0) {
+    await Model.updateOne(
+      { _id: target._id },
+      { $set: { "capHits.$[hit].releasedAt": now } },
+      { arrayFilters: [{ "hit.releasedAt": null }] }
+    );
+  }
+  const resumed = await resumeIfClear(targetType, target._id, now);
+
+  if (released.length > 0 || resumed) {
+    await logCapActivity("cap_released", `Caps released by hand: ${target.title}`, {
+      ...describeTarget(targetType, target),
+      count: released.length,
+      reason: "manual",
+    });
+  }
+
+  return { released: released.length, resumed };
+};
+
+// Replace a target's caps. Hits on caps that were removed or raised past
+// their count no longer stand, and the rest take on the new onCap, which may
+// pause or resume the target.
+const setCaps = async (type, id, input, now = new Date()) => {
+  const { caps, error } = parseCaps(input);
+  if (error) {
+    throw new CapError(error);
+  }
+
+  const { targetType, target } = await findTarget(type, id);
+  const Model = TARGET_MODELS[targetType];
+
+  const stale = (target.capHits || []).filter((hit) => {
+    const limit = capLimit(caps, hit.country, hit.scope);
+    return limit === null || limit > hit.count;
+  });
+  if (stale.length > 0) {
+    await Model.updateOne(
+      { _id: target._id },
+      {
+        $pull: {
+          capHits: {
+            $or: stale.map((hit) => ({ country: hit.country, scope: hit.scope, day: hit.day })),
+          },
+        },
+      }
+    );
+  }
+
+  await Model.updateOne({ _id: target._id }, { $set: { caps, "capHits.$[].action": caps.onCap } });
+
+  const today = dayKey(now, await getCapTimezone());
+  const kept = (target.capHits || []).filter((hit) => !stale.includes(hit));
+  const pausing =
+    caps.onCap === "pause" && activeHits({ capHits: kept }, today).some((hit) => !hit.country);
+  const paused = pausing && (await pauseTarget(targetType, target._id, now));
+  const resumed = !pausing && (await resumeIfClear(targetType, target._id, now));
+
+  const updated = await Model.findById(target._id).select(TARGET_FIELDS).lean();
+  return { target: updated, cleared: stale.length, paused, resumed };
+};
+
+// A target's caps with today's and lifetime counts and the hits in force
+const getCapStatus = async (type, id, now = new Date()) => {
+  const { targetType, target } = await findTarget(type, id);
+  const timeZone = await getCapTimezone();
+  const day = dayKey(now, timeZone);
+
+  const counters = await CapCounter.find({ target: target._id, day: { $in: [day, LIFETIME] } })
+    .select("day country count lastConvertedAt")
+    .lean();
+
+  const counts = { daily: { overall: 0, countries: {} }, lifetime: { overall: 0, countries: {} } };
+  counters.forEach((counter) => {
+    const scope = counter.day === LIFETIME ? counts.lifetime : counts.daily;
+    if (counter.country === ALL_COUNTRIES) scope.overall = counter.count;
+    else scope.countries[counter.country] = counter.count;
+  });
+
+  return {
+    targetType,
+    target: { _id: target._id, title: target.title, kind: target.kind || "Offer" },
+    timeZone,
+    day,
+    caps: target.caps,
+    counts,
+    hits: activeHits(target, day),
+    pausedAt: target.capPausedAt,
+  };
+};
+
+// Every offer and catalog item with a cap in force right now
+const getCappedTargets = async (now = new Date()) => {
+  const today = dayKey(now, await getCapTimezone());
+  const filter = { capHits: { $elemMatch: { releasedAt: null } } };
+
+  const [offers, items] = await Promise.all([
+    Offers.find(filter).select(TARGET_FIELDS).lean(),
+    CatalogItem.find(filter).select(TARGET_FIELDS).lean(),
+  ]);
+
+  return [
+    ...offers.map((target) => ({ targetType: "Offer", target })),
+    ...items.map((target) => ({ targetType: "CatalogItem", target })),
+  ]
+    .map(({ targetType, target }) => ({
+      targetType,
+      ...describeTarget(targetType, target),
+      pausedAt: target.capPausedAt,
+      hits: activeHits(target, today),
+    }))
+    .filter((entry) => entry.hits.length > 0);
+};
+
+// Scheduler pass: drop daily hits from earlier cap days and resume anything
+// they paused
+const releaseExpiredCaps = async (now = new Date()) => {
+  const today = dayKey(now, await getCapTimezone());
+  const stale = { scope: "daily", day: { $ne: today } };
+  let reset = 0;
+  let resumed = 0;
+
+  for (const [targetType, Model] of Object.entries(TARGET_MODELS)) {
+    const targets = await Model.find({ capHits: { $elemMatch: stale } }).select(TARGET_FIELDS).lean();
+
+    for (const target of targets) {
+      await Model.updateOne({ _id: target._id }, { $pull: { capHits: stale } });
+      reset += 1;
+
+      if (await resumeIfClear(targetType, target._id, now)) {
+        resumed += 1;
+        await logCapActivity("cap_released", `Daily cap reset: ${target.title} resumed`, {
+          ...describeTarget(targetType, target),
+          scope: "daily",
+          reason: "reset",
+        });
+      }
+    }
+  }
+
+  return { day: today, reset, resumed };
+};
+
+module.exports = {
+  CAP_TARGETS,
+  getCapTimezone,
+  parseCaps,
+  countConversion,
+  getCapState,
+  overrideCapPause,
+  releaseCaps,
+  setCaps,
+  getCapStatus,
+  getCappedTargets,
+  releaseExpiredCaps,
+};
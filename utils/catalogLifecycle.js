@@ -0,0 +1,198 @@
+// utils/catalogLifecycle.js
+// Status lifecycle for catalog items. Only "live" items are shown publicly.
+// The scheduler publishes scheduled items once startsAt passes and expires
+// anything whose expiresAt has passed; everything else is a manual move.
+// Each scheduler tick also rolls the daily usage counters over, expires
+// reward codes past their expiry date and clears daily conversion caps once
+// their day is over.
+const CatalogItem = require("../model/CatalogItem");
+const { rolloverUsage } = require("./usageService");
+const { releaseExpiredCaps } = require("./capService");
+const { expireCodes } = require("./codeInventoryService");
+
+const SCHEDULER_INTERVAL_MS = Number(process.env.CATALOG_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+
+// Moves an admin may make by hand. Reaching "live" from scheduled or expired
+// still has to agree with the item's dates (see reconcileStatus).
+const TRANSITIONS = {
+  draft: ["scheduled", "live", "archived"],
+  scheduled: ["draft", "live", "paused", "archived"],
+  live: ["paused", "expired", "archived"],
+  paused: ["live", "archived"],
+  expired: ["live", "archived"],
+  archived: ["draft"],
+};
+
+const CATALOG_STATUSES = Object.keys(TRANSITIONS);
+
+// Statuses whose value follows from startsAt/expiresAt rather than a person
+const DATE_DRIVEN = ["scheduled", "live", "expired"];
+
+const canTransition = (from, to) => TRANSITIONS[from]?.includes(to) || false;
+
+// Work out what a date-driven item should be right now
+const statusForDates = ({ startsAt, expiresAt }, now = new Date()) => {
+  if (expiresAt && expiresAt <= now) return "expired";
+  if (startsAt && startsAt > now) return "scheduled";
+  return "live";
+};
+
+// Bring a date-driven status in line with the item's dates; leaves draft,
+// paused and archived alone
+const reconcileStatus = (item, now = new Date()) => {
+  if (!DATE_DRIVEN.includes(item.status)) return item.status;
+  return statusForDates(item, now);
+};
+
+// Publicly visible items. The date checks cover the gap between scheduler runs.
+const liveFilter = (now = new Date()) => ({
+  status: "live",
+  $and: [
+    { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+    { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+  ],
+});
+
+const isLive = (item, now = new Date()) =>
+  item.status === "live" && statusForDates(item, now) === "live";
+
+// Parse optional startsAt/expiresAt input. The legacy free-form `expiry`
+// string is accepted as expiresAt, with "No expiration" meaning none.
+// Returns { schedule } with only the keys that were supplied, or { error }.
+const parseSchedule = ({ startsAt, expiresAt, expiry }) => {
+  const schedule = {};
+  const parse = (value) => {
+    if (value === null || value === "" || value === "No expiration") return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  };
+
+  if (startsAt !== undefined) {
+    schedule.startsAt = parse(startsAt);
+    if (schedule.startsAt === undefined) return { error: "Invalid startsAt date" };
+  }
+
+  const expiryInput = expiresAt !== undefined ? expiresAt : expiry;
+  if (expiryInput !== undefined) {
+    schedule.expiresAt = parse(expiryInput);
+    if (schedule.expiresAt === undefined) return { error: "Invalid expiry date format" };
+  }
+
+  if (schedule.startsAt && schedule.expiresAt && schedule.startsAt >= schedule.expiresAt) {
+    return { error: "startsAt must be before expiresAt" };
+  }
+
+  return { schedule };
+};
+
+// Status for a newly created item. Items start as draft, scheduled or live
+// (the default); live with a future startsAt becomes scheduled.
+const initialStatus = (requested = "live", { startsAt, expiresAt }, now = new Date()) => {
+  if (!["draft", "scheduled", "live"].includes(requested)) {
+    return { error: "New items must start as draft, scheduled or live" };
+  }
+  if (requested === "draft") {
+    return { status: "draft" };
+  }
+  if (expiresAt && expiresAt <= now) {
+    return { error: "expiresAt must be in the future" };
+  }
+  if (requested === "scheduled" && !(startsAt && startsAt > now)) {
+    return { error: "A scheduled item needs a future startsAt" };
+  }
+  return { status: statusForDates({ startsAt, expiresAt }, now) };
+};
+
+// One scheduler pass over every catalog type
+const runLifecycle = async (now = new Date()) => {
+  const expired = await CatalogItem.updateMany(
+    { status: { $in: ["scheduled", "live", "paused"] }, expiresAt: { $ne: null, $lte: now } },
+    { $set: { status: "expired", statusChangedAt: now } }
+  );
+
+  const published = await CatalogItem.updateMany(
+    {
+      status: "scheduled",
+      startsAt: { $lte: now },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+    },
+    { $set: { status: "live", statusChangedAt: now } }
+  );
+
+  return { published: published.modifiedCount, expired: expired.modifiedCount };
+};
+
+let schedulerTimer = null;
+let running = false;
+
+const startLifecycleScheduler = (intervalMs = SCHEDULER_INTERVAL_MS) => {
+  if (schedulerTimer) return schedulerTimer;
+
+  const tick = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+    try {
+      const result = await runLifecycle();
+      if (result.published || result.expired) {
+        console.log(
+          `Catalog lifecycle: ${result.published} published, ${result.expired} expired`
+        );
+      }
+
+      // The same tick starts a new usage day once midnight passes
+      const rollover = await rolloverUsage();
+      if (rollover.reset) {
+        console.log(`Catalog usage: ${rollover.reset} counters reset for ${rollover.day}`);
+      }
+    } catch (error) {
+      console.error("Catalog lifecycle error:", error);
+    }
+
+    // Codes and caps run on their own so a failure there never holds up the catalog
+    try {
+      const codes = await expireCodes();
+      if (codes.expired) {
+        console.log(`Code inventory: ${codes.expired} code(s) expired across ${codes.items} item(s)`);
+      }
+    } catch (error) {
+      console.error("Code expiry error:", error);
+    }
+
+    try {
+      const caps = await releaseExpiredCaps();
+      if (caps.reset) {
+        console.log(`Conversion caps: ${caps.reset} daily cap(s) reset, ${caps.resumed} resumed`);
+      }
+    } catch (error) {
+      console.error("Conversion cap reset error:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  schedulerTimer = setInterval(tick, intervalMs);
+  schedulerTimer.unref();
+  return schedulerTimer;
+};
+
+const stopLifecycleScheduler = () => {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+};
+
+module.exports = {
+  CATALOG_STATUSES,
+  TRANSITIONS,
+  canTransition,
+  statusForDates,
+  reconcileStatus,
+  liveFilter,
+  isLive,
+  parseSchedule,
+  initialStatus,
+  runLifecycle,
+  startLifecycleScheduler,
+  stopLifecycleScheduler,
+};
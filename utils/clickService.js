@@ -0,0 +1,258 @@
+// utils/clickService.js
+// Records clicks on catalog items into the ClickEvent time-series collection
+// and keeps each item's totalClicks/uniqueClicks counters in step.
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const UAParser = require("ua-parser-js");
+const CatalogItem = require("../model/CatalogItem");
+const ClickEvent = require("../model/ClickEvent");
+const { getClientIp } = require("./geoService");
+const { PROVIDER_NETWORKS } = require("../config/postbackNetworks");
+
+const UNIQUE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const getDeviceType = (userAgent) => {
+  const mobileRegex =
+    /Mobile|Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i;
+  const tabletRegex = /Tablet|iPad|Android(?!.*Mobile)/i;
+  const botRegex = /bot|crawler|spider|crawling|preview/i;
+
+  if (botRegex.test(userAgent)) return "bot";
+  if (tabletRegex.test(userAgent)) return "tablet";
+  if (mobileRegex.test(userAgent)) return "mobile";
+  return "desktop";
+};
+
+// Device type plus browser and OS names/versions for a user agent
+const parseUserAgent = (userAgent) => {
+  const parser = new UAParser(userAgent);
+  const browser = parser.getBrowser();
+  const os = parser.getOS();
+
+  return {
+    deviceType: getDeviceType(userAgent),
+    browserName: browser.name || "Unknown",
+    browser: `${browser.name || "Unknown"} ${browser.version || ""}`.trim(),
+    osName: os.name || "Unknown",
+    os: `${os.name || "Unknown"} ${os.version || ""}`.trim(),
+  };
+};
+
+// A client-supplied session id when there is one, otherwise a stable hash of
+// IP and user agent so repeat clicks from one visitor are recognised
+const getClickSessionId = (req, ip, userAgent) => {
+  const supplied = req.get("X-Session-Id") || req.body?.sessionId;
+  if (supplied && typeof supplied === "string") return supplied.slice(0, 128);
+
+  return crypto.createHash("sha256").update(`${ip}|${userAgent}`).digest("hex").slice(0, 32);
+};
+
+// Geo, device, referrer and visitor details for one request
+const buildClickData = (req) => {
+  const ip = getClientIp(req) || "0.0.0.0";
+  const geo = req.geo || {};
+  const userAgent = req.get("User-Agent") || "Unknown";
+  const { deviceType, browser, os } = parseUserAgent(userAgent);
+
+  return {
+    ip,
+    country: geo.country || "Unknown",
+    city: geo.city || "Unknown",
+    region: geo.region || "Unknown",
+    userAgent,
+    referrer: req.get("Referer") || "Direct",
+    deviceType,
+    browser,
+    os,
+    sessionId: getClickSessionId(req, ip, userAgent),
+    userId: req.user?.id || null,
+  };
+};
+
+// Record a click on an item. Unique means no click from the same IP and
+// session on this item in the last 24 hours. `extra` is stored on the click
+// as-is (e.g. the tracked link). Returns null if the item does not exist.
+const recordClick = async (Model, itemId, req, extra = {}) => {
+  const item = await Model.findById(itemId).select("_id kind action.actionProvider");
+  if (!item) return null;
+
+  const now = new Date();
+  const clickData = buildClickData(req);
+  const seen = await ClickEvent.exists({
+    "meta.item": item._id,
+    ip: clickData.ip,
+    sessionId: clickData.sessionId,
+    date: { $gte: new Date(now.getTime() - UNIQUE_WINDOW_MS) },
+  });
+  const isUnique = !seen;
+
+  const event = await ClickEvent.create({
+    ...clickData,
+    network: PROVIDER_NETWORKS[item.action?.actionProvider] || null,
+    ...extra,
+    meta: { itemType: item.kind, item: item._id },
+    date: now,
+    isUnique,
+  });
+
+  const updatedItem = await CatalogItem.findByIdAndUpdate(
+    item._id,
+    {
+      $inc: { totalClicks: 1, ...(isUnique && { uniqueClicks: 1 }) },
+      $set: { lastClicked: now },
+    },
+    { new: true }
+  ).select("totalClicks uniqueClicks lastClicked");
+
+  return { item: updatedItem, isUnique, clickData, clickId: event._id };
+};
+
+// Look a click up by its id (the click id sent out as a sub-id). Click ids are
+// ObjectIds minted when the click is stored, so their timestamp lets the
+// lookup stay inside a few seconds of the time-series collection.
+const findClick = (clickId) => {
+  if (!mongoose.Types.ObjectId.isValid(clickId)) return null;
+
+  const id = new mongoose.Types.ObjectId(String(clickId));
+  const at = id.getTimestamp().getTime();
+
+  return ClickEvent.findOne({
+    _id: id,
+    date: { $gte: new Date(at - 5000), $lte: new Date(at + 5000) },
+  }).lean();
+};
+
+const clickThroughRate = (uniqueClicks, totalClicks) =>
+  totalClicks > 0 ? Number(((uniqueClicks / totalClicks) * 100).toFixed(2)) : 0;
+
+// Day/hour series plus country, device and referrer breakdowns for one item
+const getItemClickAnalytics = async (itemId, { startDate, groupBy = "day" }) => {
+  const match = { "meta.item": itemId };
+
+  const [dailyClicks, geoDistribution, deviceStats, referrerStats] = await Promise.all([
+    ClickEvent.getDailyClicks(match, startDate, groupBy),
+    ClickEvent.getBreakdown(match, startDate, "country"),
+    ClickEvent.getBreakdown(match, startDate, "deviceType"),
+    ClickEvent.getBreakdown(match, startDate, "referrer", 10),
+  ]);
+
+  return { dailyClicks, geoDistribution, deviceStats, referrerStats };
+};
+
+// Click totals for the items of one type, with recent clicks from the window
+const getTypeClickStats = async (Model, { ids, startDate }) => {
+  const filter = {};
+  if (ids) {
+    filter._id = {
+      $in: ids
+        .filter((value) => mongoose.Types.ObjectId.isValid(value))
+        .map((value) => new mongoose.Types.ObjectId(value)),
+    };
+  }
+
+  const [items, recent] = await Promise.all([
+    Model.find(filter).select("title merchant badge totalClicks uniqueClicks lastClicked").lean(),
+    ClickEvent.getItemTotals(
+      { "meta.itemType": Model.modelName, ...(filter._id && { "meta.item": filter._id }) },
+      startDate
+    ),
+  ]);
+
+  const recentById = new Map(recent.map((row) => [String(row._id), row]));
+
+  return items
+    .map((item) => {
+      const window = recentById.get(String(item._id));
+      return {
+        ...item,
+        recentClicks: window?.totalClicks || 0,
+        recentUniqueClicks: window?.uniqueClicks || 0,
+        clickThroughRate: clickThroughRate(item.uniqueClicks, item.totalClicks),
+      };
+    })
+    .sort((a, b) => b.recentClicks - a.recentClicks || b.totalClicks - a.totalClicks);
+};
+
+// Most clicked items across every catalog type (or the given types) in the
+// window, with each item's title and merchant joined from the catalog, plus
+// click totals per type
+const getClickLeaderboard = async ({ itemTypes, startDate, sortBy = "totalClicks", limit = 20 }) => {
+  const since = {
+    $match: {
+      ...(itemTypes && { "meta.itemType": { $in: itemTypes } }),
+      ...(startDate && { date: { $gte: startDate } }),
+    },
+  };
+  const counts = {
+    totalClicks: { $sum: 1 },
+    uniqueClicks: { $sum: { $cond: ["$isUnique", 1, 0] } },
+  };
+
+  const [leaderboard, byType] = await Promise.all([
+    ClickEvent.aggregate([
+      since,
+      {
+        $group: {
+          _id: "$meta.item",
+          itemType: { $first: "$meta.itemType" },
+          ...counts,
+          lastClicked: { $max: "$date" },
+        },
+      },
+      { $sort: { [sortBy]: -1, _id: 1 } },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: CatalogItem.collection.name,
+          localField: "_id",
+          foreignField: "_id",
+          pipeline: [{ $project: { title: 1, merchant: 1, status: 1 } }],
+          as: "item",
+        },
+      },
+      { $unwind: { path: "$item", preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: 0,
+          item: "$_id",
+          itemType: 1,
+          title: { $ifNull: ["$item.title", null] },
+          merchant: { $ifNull: ["$item.merchant", null] },
+          // Clicks outlive the items they were made on
+          status: { $ifNull: ["$item.status", "deleted"] },
+          totalClicks: 1,
+          uniqueClicks: 1,
+          lastClicked: 1,
+        },
+      },
+    ]),
+    ClickEvent.aggregate([
+      since,
+      { $group: { _id: "$meta.itemType", ...counts } },
+      { $sort: { totalClicks: -1 } },
+      { $project: { _id: 0, itemType: "$_id", totalClicks: 1, uniqueClicks: 1 } },
+    ]),
+  ]);
+
+  return {
+    leaderboard: leaderboard.map((entry, index) => ({
+      rank: index + 1,
+      ...entry,
+      clickThroughRate: clickThroughRate(entry.uniqueClicks, entry.totalClicks),
+    })),
+    byType,
+  };
+};
+
+module.exports = {
+  getDeviceType,
+  parseUserAgent,
+  getClickSessionId,
+  buildClickData,
+  recordClick,
+  findClick,
+  clickThroughRate,
+  getItemClickAnalytics,
+  getTypeClickStats,
+  getClickLeaderboard,
+};
@@ -0,0 +1,368 @@
+// utils/codeInventoryService.js
+// Pools of single-use codes behind Coupon, GiftCard and Game items. Once an
+// item has a pool, its itemsLeft is derived from the available codes here
+// rather than edited by hand.
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+const GiftCard = require("../model/Giftcard");
+const Coupon = require("../model/Coupon");
+const Game = require("../model/Game");
+const RewardCode = require("../model/RewardCode");
+const { emailTemplates, sendEmail } = require("./emailService");
+const { InventoryError } = require("./customErrors");
+
+const ITEM_MODELS = {
+  GiftCard,
+  Coupon,
+  Game,
+};
+
+// Accept "GiftCard", "giftcard" or "giftcards" for the same model
+const resolveItemType = (value = "") => {
+  const normalised = String(value).toLowerCase().replace(/s$/, "");
+  const itemType = Object.keys(ITEM_MODELS).find((type) => type.toLowerCase() === normalised);
+
+  if (!itemType) {
+    throw new InventoryError(
+      `Item type must be one of: ${Object.keys(ITEM_MODELS).join(", ")}`,
+      400
+    );
+  }
+  return itemType;
+};
+
+const findItem = async (itemType, itemId, { session = null } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(itemId)) {
+    throw new InventoryError("Invalid item ID", 400);
+  }
+
+  const item = await ITEM_MODELS[itemType].findById(itemId).session(session);
+  if (!item) {
+    throw new InventoryError(`${itemType} not found`, 404);
+  }
+  return item;
+};
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Split one CSV line, honouring double-quoted fields
+const splitCsvLine = (line) =>
+  (line.match(/("([^"]|"")*"|[^,]*)(,|$)/g) || [])
+    .map((field) => field.replace(/,$/, "").trim())
+    .map((field) => field.replace(/^"(.*)"$/, "$1").replace(/""/g, '"'))
+    .slice(0, -1);
+
+// CSV with an optional header row. Without a header the first column is the
+// code and the second, if present, is its expiry date.
+const parseCsv = (text) => {
+  const lines = String(text)
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  if (lines.length === 0) return [];
+
+  const header = splitCsvLine(lines[0]).map((field) => field.toLowerCase());
+  const hasHeader = header.includes("code");
+  const codeIndex = hasHeader ? header.indexOf("code") : 0;
+  const expiryIndex = hasHeader
+    ? header.findIndex((field) => ["expiresat", "expires_at", "expiry", "expires"].includes(field))
+    : 1;
+
+  return (hasHeader ? lines.slice(1) : lines).map((line) => {
+    const fields = splitCsvLine(line);
+    return {
+      code: fields[codeIndex],
+      expiresAt: expiryIndex >= 0 ? fields[expiryIndex] : undefined,
+    };
+  });
+};
+
+// Normalise a JSON array or CSV text into [{ code, expiresAt }]
+const parseCodes = (input) => {
+  const rows = typeof input === "string" ? parseCsv(input) : input;
+
+  if (!Array.isArray(rows)) {
+    throw new InventoryError("Codes must be a JSON array or CSV text", 400);
+  }
+
+  return rows.map((row) =>
+    typeof row === "object" && row !== null
+      ? { code: row.code, expiresAt: row.expiresAt ?? row.expiry }
+      : { code: row }
+  );
+};
+
+// Set itemsLeft to the number of available codes. Clears the low-stock flag
+// once the item is back above its threshold. Items without a pool are left
+// alone and null is returned.
+const syncItemsLeft = async (itemType, itemId, { session = null } = {}) => {
+  const Model = ITEM_MODELS[itemType];
+  const item = await Model.findById(itemId).select("inventory").session(session).lean();
+
+  if (!item?.inventory?.codePool) return null;
+
+  const available = await RewardCode.countDocuments(
+    RewardCode.availableFilter(itemType, item._id)
+  ).session(session);
+
+  const update = { itemsLeft: available };
+  if (available > item.inventory.lowStockThreshold) {
+    update["inventory.lowStockAlertedAt"] = null;
+  }
+
+  await Model.updateOne({ _id: itemId }, { $set: update }, { session });
+
+  return available;
+};
+
+// Email the stock alert once per dip below the threshold
+const checkLowStock = async (itemType, itemId) => {
+  try {
+    const Model = ITEM_MODELS[itemType];
+    const item = await Model.findOneAndUpdate(
+      {
+        _id: itemId,
+        "inventory.codePool": true,
+        "inventory.lowStockAlertedAt": null,
+        $expr: { $lte: ["$itemsLeft", "$inventory.lowStockThreshold"] },
+      },
+      { $set: { "inventory.lowStockAlertedAt": new Date() } },
+      { new: true }
+    ).lean();
+
+    if (!item) return false;
+
+    console.warn(`Low stock: ${itemType} ${item.title} has ${item.itemsLeft} codes left`);
+
+    if (!process.env.ADMIN_ALERT_EMAIL) {
+      console.warn("ADMIN_ALERT_EMAIL is not set; skipping low stock email");
+      return true;
+    }
+
+    const emailTemplate = emailTemplates.lowStockAlert({
+      title: item.title,
+      itemType,
+      available: item.itemsLeft,
+      threshold: item.inventory.lowStockThreshold,
+    });
+
+    await sendEmail({
+      to: process.env.ADMIN_ALERT_EMAIL,
+      subject: emailTemplate.subject,
+      html: emailTemplate.html,
+      templateType: "lowStockAlert",
+    });
+
+    return true;
+  } catch (error) {
+    console.error(`Failed to check low stock for ${itemType} ${itemId}:`, error.message);
+    return false;
+  }
+};
+
+// Generic item updates must not overwrite derived stock or the inventory
+// settings, which are managed through the code inventory endpoints
+const stripManagedStock = (item, body) => {
+  const { inventory, ...rest } = body;
+  if (item.inventory?.codePool) delete rest.itemsLeft;
+  return rest;
+};
+
+// Bulk-load codes into an item's pool and switch the item over to derived stock
+const importCodes = async ({ itemType, itemId, codes, expiresAt, batch }) => {
+  const item = await findItem(itemType, itemId);
+  const defaultExpiry = parseDate(expiresAt);
+
+  if (defaultExpiry === undefined) {
+    throw new InventoryError("Invalid expiresAt date", 400);
+  }
+
+  const rows = parseCodes(codes);
+  const batchId = batch || `import-${uuidv4()}`;
+  const seen = new Set();
+  const documents = [];
+  let invalid = 0;
+  let repeated = 0;
+
+  rows.forEach((row) => {
+    const code = row.code === undefined || row.code === null ? "" : String(row.code).trim();
+    const rowExpiry = parseDate(row.expiresAt);
+
+    if (!code || rowExpiry === undefined) {
+      invalid += 1;
+      return;
+    }
+    if (seen.has(code)) {
+      repeated += 1;
+      return;
+    }
+
+    seen.add(code);
+    documents.push({
+      itemType,
+      item: item._id,
+      code,
+      batch: batchId,
+      expiresAt: rowExpiry || defaultExpiry,
+    });
+  });
+
+  let added = documents.length;
+  if (documents.length > 0) {
+    try {
+      await RewardCode.insertMany(documents, { ordered: false });
+    } catch (error) {
+      // ordered:false keeps going past codes that are already in the pool
+      if (error.code !== 11000 && !error.writeErrors) throw error;
+      added = error.insertedDocs?.length ?? error.result?.insertedCount ?? 0;
+    }
+  }
+
+  if (!item.inventory?.codePool) {
+    await ITEM_MODELS[itemType].updateOne(
+      { _id: item._id },
+      { $set: { "inventory.codePool": true } }
+    );
+  }
+
+  const available = await syncItemsLeft(itemType, item._id);
+
+  return {
+    batch: batchId,
+    received: rows.length,
+    added,
+    duplicates: repeated + documents.length - added,
+    invalid,
+    available,
+  };
+};
+
+// Take one code from the pool and keep itemsLeft in step
+const claimCode = async (itemType, itemId, claim, { session = null } = {}) => {
+  const rewardCode = await RewardCode.claim(itemType, itemId, claim, { session });
+  if (rewardCode) await syncItemsLeft(itemType, itemId, { session });
+  return rewardCode;
+};
+
+// Issue one code directly, outside of a redemption
+const issueCode = async ({ itemType, itemId, email }) => {
+  const item = await findItem(itemType, itemId);
+
+  if (!item.inventory?.codePool) {
+    throw new InventoryError(`${itemType} has no code pool`, 400);
+  }
+
+  const rewardCode = await claimCode(itemType, item._id, {
+    status: "issued",
+    email: email || null,
+  });
+
+  if (!rewardCode) {
+    throw new InventoryError(`${itemType} is out of codes`, 409);
+  }
+
+  await checkLowStock(itemType, item._id);
+
+  return rewardCode;
+};
+
+// reserved -> issued, for a redemption that is being fulfilled
+const issueReservedCode = (rewardCodeId, { session = null } = {}) =>
+  RewardCode.findOneAndUpdate(
+    { _id: rewardCodeId, status: "reserved" },
+    { $set: { status: "issued", issuedAt: new Date() } },
+    { new: true, session }
+  );
+
+// reserved -> available, e.g. when its redemption is cancelled
+const releaseCode = async (rewardCodeId, { session = null } = {}) => {
+  const rewardCode = await RewardCode.findOneAndUpdate(
+    { _id: rewardCodeId, status: "reserved" },
+    { $set: { status: "available", redemption: null, issuedTo: null, reservedAt: null } },
+    { new: true, session }
+  );
+
+  if (rewardCode) await syncItemsLeft(rewardCode.itemType, rewardCode.item, { session });
+  return rewardCode;
+};
+
+// Revoke a code that must never be handed out (leaked, invalid at merchant)
+const burnCode = async (rewardCodeId, { reason }) => {
+  if (!mongoose.Types.ObjectId.isValid(rewardCodeId)) {
+    throw new InventoryError("Invalid code ID", 400);
+  }
+
+  const rewardCode = await RewardCode.findOneAndUpdate(
+    { _id: rewardCodeId, status: { $in: ["available", "reserved"] } },
+    { $set: { status: "burned", burnedAt: new Date(), burnReason: reason || null } },
+    { new: true }
+  );
+
+  if (!rewardCode) {
+    throw new InventoryError("Code not found or already issued", 404);
+  }
+
+  await syncItemsLeft(rewardCode.itemType, rewardCode.item);
+  await checkLowStock(rewardCode.itemType, rewardCode.item);
+
+  return rewardCode;
+};
+
+// Mark available codes past their expiry date as expired and resync stock
+const expireCodes = async (now = new Date()) => {
+  const filter = { status: "available", expiresAt: { $ne: null, $lte: now } };
+  const affected = await RewardCode.aggregate([
+    { $match: filter },
+    { $group: { _id: { itemType: "$itemType", item: "$item" } } },
+  ]);
+
+  const { modifiedCount } = await RewardCode.updateMany(filter, { $set: { status: "expired" } });
+
+  for (const { _id } of affected) {
+    await syncItemsLeft(_id.itemType, _id.item);
+    await checkLowStock(_id.itemType, _id.item);
+  }
+
+  return { expired: modifiedCount, items: affected.length };
+};
+
+// Pool-backed items at or below their alert threshold
+const getLowStockItems = async () => {
+  const results = await Promise.all(
+    Object.entries(ITEM_MODELS).map(async ([itemType, Model]) => {
+      const items = await Model.find({
+        "inventory.codePool": true,
+        $expr: { $lte: ["$itemsLeft", "$inventory.lowStockThreshold"] },
+      })
+        .select("title merchant itemsLeft inventory")
+        .sort({ itemsLeft: 1 })
+        .lean();
+      return items.map((item) => ({ ...item, itemType }));
+    })
+  );
+
+  return results.flat().sort((a, b) => a.itemsLeft - b.itemsLeft);
+};
+
+module.exports = {
+  ITEM_MODELS,
+  resolveItemType,
+  findItem,
+  parseCodes,
+  importCodes,
+  syncItemsLeft,
+  checkLowStock,
+  stripManagedStock,
+  claimCode,
+  issueCode,
+  issueReservedCode,
+  releaseCode,
+  burnCode,
+  expireCodes,
+  getLowStockItems,
+};
@@ -45,10 +45,67 @@ class DatabaseError extends BaseError {
     }
 }
 
+class RedemptionError extends BaseError {
+    constructor(message = 'Unable to redeem this reward', statusCode = 400) {
+        super(message, statusCode);
+    }
+}
+
+class InventoryError extends BaseError {
+    constructor(message = 'Code inventory operation failed', statusCode = 400) {
+        super(message, statusCode);
+    }
+}
+
+class SessionError extends BaseError {
+    constructor(message = 'Invalid session', reason = 'invalid', statusCode = 403) {
+        super(message, statusCode);
+        this.reason = reason;
+    }
+}
+
+class OfferNotFoundError extends BaseError {
+    constructor(message = 'Offer not found') {
+        super(message, 404);
+    }
+}
+
+class OfferValidationError extends BaseError {
+    constructor(message = 'Invalid offer data') {
+        super(message, 400);
+    }
+}
+
+class OfferAuthorizationError extends BaseError {
+    constructor(message = 'Not authorized to perform this action on the offer') {
+        super(message, 403);
+    }
+}
+
+class RedirectError extends BaseError {
+    constructor(message = 'Link not found', statusCode = 404) {
+        super(message, statusCode);
+    }
+}
+
+class CapError extends BaseError {
+    constructor(message = 'Invalid conversion caps', statusCode = 400) {
+        super(message, statusCode);
+    }
+}
+
 module.exports = {
     SubscriberNotFoundError,
     SubscriberValidationError,
     SubscriberAuthorizationError,
     DuplicateSubscriberError,
-    DatabaseError
+    DatabaseError,
+    RedemptionError,
+    InventoryError,
+    SessionError,
+    OfferNotFoundError,
+    OfferValidationError,
+    OfferAuthorizationError,
+    RedirectError,
+    CapError
 };
\ No newline at end of file
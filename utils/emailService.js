@@ -146,6 +146,448 @@ const emailTemplates = {
   `,
     };
   },
+
+  taskReversed: (data) => {
+    const { offer, title, code, reason } = data;
+
+    return {
+      subject: `Update on your ${offer} reward`,
+      html: `
+  <!DOCTYPE html>
+  <html>
+  <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Reward Reversed</title>
+  </head>
+  <body style="margin: 0; padding: 0; background-color: #f4f4f4;">
+      <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 20px;">
+          <tr>
+              <td align="center">
+                  <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                      <!-- Header -->
+                      <tr>
+                          <td style="padding: 40px 30px 20px; text-align: center;">
+                              <h1 style="color: #b45309; margin: 0; font-size: 26px; font-weight: bold;">
+                                  Your reward has been reversed
+                              </h1>
+                              <p style="color: #495057; font-size: 16px; margin: 10px 0 0;">
+                                  The offer provider did not confirm your completion of this task.
+                              </p>
+                          </td>
+                      </tr>
+
+                      <!-- Content -->
+                      <tr>
+                          <td style="padding: 30px;">
+                              <div style="background-color: #fffbeb; border: 2px solid #f59e0b; border-radius: 12px; padding: 25px;">
+                                  <h3 style="color: #92400e; font-size: 22px; font-weight: bold; margin: 0 0 8px; text-align: center;">
+                                      ${offer}
+                                  </h3>
+                                  <p style="color: #b45309; font-size: 16px; margin: 0; text-align: center;">
+                                      ${title}
+                                  </p>
+                                  ${
+                                    code
+                                      ? `
+                                  <p style="color: #6c757d; font-size: 14px; margin: 20px 0 0; text-align: center;">
+                                      The code <code style="font-family: 'Courier New', monospace; font-weight: bold;">${code}</code> has been revoked and can no longer be used.
+                                  </p>
+                                  `
+                                      : ""
+                                  }
+                                  ${
+                                    reason
+                                      ? `
+                                  <p style="color: #6c757d; font-size: 14px; margin: 15px 0 0; text-align: center;">
+                                      Reason given: ${reason}
+                                  </p>
+                                  `
+                                      : ""
+                                  }
+                              </div>
+
+                              <p style="color: #6c757d; font-size: 14px; line-height: 1.6; margin: 25px 0 0; text-align: center;">
+                                  If you believe this is a mistake, reply to this email and we'll look into it.
+                              </p>
+                          </td>
+                      </tr>
+
+                      <!-- Footer -->
+                      <tr>
+                          <td style="padding: 20px 30px; text-align: center; border-top: 1px solid #e9ecef; background-color: #f8f9fa;">
+                              <p style="color: #6c757d; font-size: 12px; margin: 0;">
+                                  © ${new Date().getFullYear()} ${
+        process.env.APP_NAME || "Majorgig"
+      }. All rights reserved.
+                              </p>
+                          </td>
+                      </tr>
+                  </table>
+              </td>
+          </tr>
+      </table>
+  </body>
+  </html>
+  `,
+    };
+  },
+
+  rewardRedeemed: (data) => {
+    const { title, merchant, code, pointsCost } = data;
+
+    return {
+      subject: `Your ${merchant} reward is ready`,
+      html: `
+  <!DOCTYPE html>
+  <html>
+  <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Reward Redeemed</title>
+  </head>
+  <body style="margin: 0; padding: 0; background-color: #f4f4f4;">
+      <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 20px;">
+          <tr>
+              <td align="center">
+                  <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                      <!-- Header -->
+                      <tr>
+                          <td style="padding: 40px 30px 20px; text-align: center;">
+                              <h1 style="color: #28a745; margin: 0; font-size: 26px; font-weight: bold;">
+                                  Enjoy your reward!
+                              </h1>
+                              <p style="color: #495057; font-size: 16px; margin: 10px 0 0;">
+                                  You spent ${pointsCost} points on this reward.
+                              </p>
+                          </td>
+                      </tr>
+
+                      <!-- Content -->
+                      <tr>
+                          <td style="padding: 30px;">
+                              <div style="background-color: #f8fff9; border: 2px solid #28a745; border-radius: 12px; padding: 25px; text-align: center;">
+                                  <h3 style="color: #155724; font-size: 22px; font-weight: bold; margin: 0 0 8px;">
+                                      ${merchant}
+                                  </h3>
+                                  <p style="color: #28a745; font-size: 16px; margin: 0 0 20px;">
+                                      ${title}
+                                  </p>
+                                  <p style="color: #6c757d; font-size: 14px; margin: 0 0 8px;">
+                                      Your code
+                                  </p>
+                                  <code style="display: inline-block; font-family: 'Courier New', monospace; font-size: 20px; font-weight: bold; color: #155724; background-color: #ffffff; border: 1px dashed #28a745; border-radius: 6px; padding: 10px 20px;">${code}</code>
+                              </div>
+
+                              <p style="color: #6c757d; font-size: 14px; line-height: 1.6; margin: 25px 0 0; text-align: center;">
+                                  This code is yours alone. Keep it safe and don't share it.
+                              </p>
+                          </td>
+                      </tr>
+
+                      <!-- Footer -->
+                      <tr>
+                          <td style="padding: 20px 30px; text-align: center; border-top: 1px solid #e9ecef; background-color: #f8f9fa;">
+                              <p style="color: #6c757d; font-size: 12px; margin: 0;">
+                                  © ${new Date().getFullYear()} ${
+        process.env.APP_NAME || "Majorgig"
+      }. All rights reserved.
+                              </p>
+                          </td>
+                      </tr>
+                  </table>
+              </td>
+          </tr>
+      </table>
+  </body>
+  </html>
+  `,
+    };
+  },
+
+  lowStockAlert: (data) => {
+    const { title, itemType, available, threshold } = data;
+
+    return {
+      subject: `Low stock: ${title} has ${available} codes left`,
+      html: `
+  <!DOCTYPE html>
+  <html>
+  <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Low Stock Alert</title>
+  </head>
+  <body style="margin: 0; padding: 0; background-color: #f4f4f4;">
+      <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 20px;">
+          <tr>
+              <td align="center">
+                  <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                      <tr>
+                          <td style="padding: 30px;">
+                              <h2 style="color: #b45309; margin: 0 0 15px; font-size: 22px;">
+                                  Code inventory running low
+                              </h2>
+                              <p style="color: #495057; font-size: 15px; line-height: 1.6; margin: 0;">
+                                  <strong>${title}</strong> (${itemType}) has
+                                  <strong>${available}</strong> available codes left, at or below
+                                  its alert threshold of ${threshold}.
+                              </p>
+                              <p style="color: #6c757d; font-size: 14px; line-height: 1.6; margin: 15px 0 0;">
+                                  Import more codes to keep this item in stock. You won't be
+                                  alerted again until it has been restocked above the threshold.
+                              </p>
+                          </td>
+                      </tr>
+                      <tr>
+                          <td style="padding: 20px 30px; text-align: center; border-top: 1px solid #e9ecef; background-color: #f8f9fa;">
+                              <p style="color: #6c757d; font-size: 12px; margin: 0;">
+                                  © ${new Date().getFullYear()} ${
+        process.env.APP_NAME || "Majorgig"
+      }. All rights reserved.
+                              </p>
+                          </td>
+                      </tr>
+                  </table>
+              </td>
+          </tr>
+      </table>
+  </body>
+  </html>
+  `,
+    };
+  },
+
+  capReached: (data) => {
+    const { title, targetType, scope, limit, country, action, fallbackLink, timeZone } = data;
+    const where = country ? ` in ${country}` : "";
+    const outcome =
+      action === "fallback"
+        ? `Visitors${where} are now being sent to the fallback link ${fallbackLink}.`
+        : country
+        ? `It has stopped being served to visitors in ${country}.`
+        : `It has been paused.`;
+    const resumes =
+      scope === "daily"
+        ? `It resumes automatically when the daily cap resets at midnight (${timeZone}).`
+        : "Lifetime caps don't reset; raise the cap or release it to resume.";
+
+    return {
+      subject: `Conversion cap reached: ${title}${where}`,
+      html: `
+  <!DOCTYPE html>
+  <html>
+  <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Conversion Cap Reached</title>
+  </head>
+  <body style="margin: 0; padding: 0; background-color: #f4f4f4;">
+      <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 20px;">
+          <tr>
+              <td align="center">
+                  <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                      <tr>
+                          <td style="padding: 30px;">
+                              <h2 style="color: #b45309; margin: 0 0 15px; font-size: 22px;">
+                                  Conversion cap reached
+                              </h2>
+                              <p style="color: #495057; font-size: 15px; line-height: 1.6; margin: 0;">
+                                  <strong>${title}</strong> (${targetType}) has reached its
+                                  ${scope} cap of <strong>${limit}</strong> conversions${where}.
+                                  ${outcome}
+                              </p>
+                              <p style="color: #6c757d; font-size: 14px; line-height: 1.6; margin: 15px 0 0;">
+                                  ${resumes}
+                              </p>
+                          </td>
+                      </tr>
+                      <tr>
+                          <td style="padding: 20px 30px; text-align: center; border-top: 1px solid #e9ecef; background-color: #f8f9fa;">
+                              <p style="color: #6c757d; font-size: 12px; margin: 0;">
+                                  © ${new Date().getFullYear()} ${
+        process.env.APP_NAME || "Majorgig"
+      }. All rights reserved.
+                              </p>
+                          </td>
+                      </tr>
+                  </table>
+              </td>
+          </tr>
+      </table>
+  </body>
+  </html>
+  `,
+    };
+  },
+
+  verifyEmail: (data) => {
+    const { name, link, expiresInHours } = data;
+
+    return {
+      subject: "Confirm your email address",
+      html: `
+  <!DOCTYPE html>
+  <html>
+  <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Confirm Your Email</title>
+  </head>
+  <body style="margin: 0; padding: 0; background-color: #f4f4f4;">
+      <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 20px;">
+          <tr>
+              <td align="center">
+                  <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                      <tr>
+                          <td style="padding: 40px 30px 20px; text-align: center;">
+                              <h1 style="color: #10b981; margin: 0; font-size: 26px; font-weight: bold;">
+                                  Welcome${name ? `, ${name}` : ""}!
+                              </h1>
+                              <p style="color: #495057; font-size: 16px; margin: 10px 0 0;">
+                                  Please confirm your email address to finish setting up your account.
+                              </p>
+                          </td>
+                      </tr>
+                      <tr>
+                          <td style="padding: 10px 30px 30px; text-align: center;">
+                              <a href="${link}" style="display: inline-block; background-color: #10b981; color: #ffffff; font-size: 16px; font-weight: bold; text-decoration: none; border-radius: 8px; padding: 14px 32px;">
+                                  Confirm email
+                              </a>
+                              <p style="color: #6c757d; font-size: 13px; line-height: 1.6; margin: 25px 0 0;">
+                                  This link expires in ${expiresInHours} hours. If you didn't create an account, you can ignore this email.
+                              </p>
+                          </td>
+                      </tr>
+                      <tr>
+                          <td style="padding: 20px 30px; text-align: center; border-top: 1px solid #e9ecef; background-color: #f8f9fa;">
+                              <p style="color: #6c757d; font-size: 12px; margin: 0;">
+                                  © ${new Date().getFullYear()} ${
+        process.env.APP_NAME || "Majorgig"
+      }. All rights reserved.
+                              </p>
+                          </td>
+                      </tr>
+                  </table>
+              </td>
+          </tr>
+      </table>
+  </body>
+  </html>
+  `,
+    };
+  },
+
+  passwordReset: (data) => {
+    const { name, link, expiresInMinutes } = data;
+
+    return {
+      subject: "Reset your password",
+      html: `
+  <!DOCTYPE html>
+  <html>
+  <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Reset Your Password</title>
+  </head>
+  <body style="margin: 0; padding: 0; background-color: #f4f4f4;">
+      <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 20px;">
+          <tr>
+              <td align="center">
+                  <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                      <tr>
+                          <td style="padding: 40px 30px 20px; text-align: center;">
+                              <h1 style="color: #343a40; margin: 0; font-size: 26px; font-weight: bold;">
+                                  Reset your password
+                              </h1>
+                              <p style="color: #495057; font-size: 16px; margin: 10px 0 0;">
+                                  Hi${name ? ` ${name}` : ""}, we received a request to reset the password on your account.
+                              </p>
+                          </td>
+                      </tr>
+                      <tr>
+                          <td style="padding: 10px 30px 30px; text-align: center;">
+                              <a href="${link}" style="display: inline-block; background-color: #343a40; color: #ffffff; font-size: 16px; font-weight: bold; text-decoration: none; border-radius: 8px; padding: 14px 32px;">
+                                  Choose a new password
+                              </a>
+                              <p style="color: #6c757d; font-size: 13px; line-height: 1.6; margin: 25px 0 0;">
+                                  This link expires in ${expiresInMinutes} minutes and can only be used once.
+                                  If you didn't ask for a reset, you can ignore this email; your password won't change.
+                              </p>
+                          </td>
+                      </tr>
+                      <tr>
+                          <td style="padding: 20px 30px; text-align: center; border-top: 1px solid #e9ecef; background-color: #f8f9fa;">
+                              <p style="color: #6c757d; font-size: 12px; margin: 0;">
+                                  © ${new Date().getFullYear()} ${
+        process.env.APP_NAME || "Majorgig"
+      }. All rights reserved.
+                              </p>
+                          </td>
+                      </tr>
+                  </table>
+              </td>
+          </tr>
+      </table>
+  </body>
+  </html>
+  `,
+    };
+  },
+
+  accountLocked: (data) => {
+    const { name, unlockAt, ip } = data;
+
+    return {
+      subject: "Your account has been temporarily locked",
+      html: `
+  <!DOCTYPE html>
+  <html>
+  <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Account Locked</title>
+  </head>
+  <body style="margin: 0; padding: 0; background-color: #f4f4f4;">
+      <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4; padding: 20px;">
+          <tr>
+              <td align="center">
+                  <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                      <tr>
+                          <td style="padding: 30px;">
+                              <h2 style="color: #b45309; margin: 0 0 15px; font-size: 22px;">
+                                  Too many failed sign-in attempts
+                              </h2>
+                              <p style="color: #495057; font-size: 15px; line-height: 1.6; margin: 0;">
+                                  Hi${name ? ` ${name}` : ""}, we've locked sign-ins to your account after several
+                                  wrong passwords${ip ? ` from <strong>${ip}</strong>` : ""}.
+                                  You can try again after <strong>${new Date(unlockAt).toUTCString()}</strong>.
+                              </p>
+                              <p style="color: #6c757d; font-size: 14px; line-height: 1.6; margin: 15px 0 0;">
+                                  If this wasn't you, someone may be guessing your password.
+                                  Consider resetting it once the lock expires.
+                              </p>
+                          </td>
+                      </tr>
+                      <tr>
+                          <td style="padding: 20px 30px; text-align: center; border-top: 1px solid #e9ecef; background-color: #f8f9fa;">
+                              <p style="color: #6c757d; font-size: 12px; margin: 0;">
+                                  © ${new Date().getFullYear()} ${
+        process.env.APP_NAME || "Majorgig"
+      }. All rights reserved.
+                              </p>
+                          </td>
+                      </tr>
+                  </table>
+              </td>
+          </tr>
+      </table>
+  </body>
+  </html>
+  `,
+    };
+  },
 };
 
 module.exports = {
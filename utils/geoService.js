@@ -0,0 +1,172 @@
+// utils/geoService.js
+// Client IP and location for a request. The IP is Express's req.ip, which
+// only follows X-Forwarded-For through proxies trusted by TRUST_PROXY, with
+// IPv4-mapped IPv6 addresses read as plain IPv4. Locations come from the
+// GEO_PROVIDER lookup ("geoip-lite", offline and the default, or "ipinfo")
+// through an in-memory LRU cache; a failed remote lookup falls back to
+// geoip-lite. Outside production the X-Geo-Country header stands in for the
+// visitor's country.
+const net = require("net");
+const geoip = require("geoip-lite");
+const { IPinfoWrapper } = require("node-ipinfo");
+
+const DEFAULT_PROVIDER = "geoip-lite";
+const DEFAULT_TRUST_PROXY = "loopback, linklocal, uniquelocal";
+const SIMULATED_COUNTRY_HEADER = "X-Geo-Country";
+const CACHE_SIZE = Number(process.env.GEO_CACHE_SIZE) || 5000;
+const CACHE_TTL_MS = Number(process.env.GEO_CACHE_TTL_MS) || 6 * 60 * 60 * 1000;
+const IPINFO_TIMEOUT_MS = Number(process.env.IPINFO_TIMEOUT_MS) || 2000;
+
+// Express "trust proxy" value from TRUST_PROXY: true/false, a hop count, or
+// a comma-separated list of addresses, CIDR ranges and names like loopback.
+// By default only proxies on private networks are trusted.
+const getTrustProxy = (value = process.env.TRUST_PROXY) => {
+  if (!value) return DEFAULT_TRUST_PROXY;
+  if (value === "true" || value === "false") return value === "true";
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+};
+
+// "::ffff:1.2.3.4" -> "1.2.3.4", "fe80::1%eth0" -> "fe80::1"; null when the
+// value is not an IP address
+const normalizeIp = (value) => {
+  if (!value || typeof value !== "string") return null;
+
+  let ip = value.trim().replace(/^\[(.*)\]$/, "$1").split("%")[0];
+  if (/^::ffff:/i.test(ip) && net.isIPv4(ip.slice(7))) ip = ip.slice(7);
+  return net.isIP(ip) ? ip.toLowerCase() : null;
+};
+
+const getClientIp = (req) => req.geo?.ip || normalizeIp(req.ip || req.socket?.remoteAddress);
+
+const unknownLocation = (ip = null, source = null) => ({
+  ip,
+  country: null,
+  region: null,
+  city: null,
+  timezone: null,
+  ll: null,
+  source,
+});
+
+// Lookups by provider name. Each resolves to { country, region, city,
+// timezone, ll } or null when the IP is not found.
+const providers = {
+  "geoip-lite": async (ip) => {
+    const geo = geoip.lookup(ip);
+    if (!geo) return null;
+    return {
+      country: geo.country || null,
+      region: geo.region || null,
+      city: geo.city || null,
+      timezone: geo.timezone || null,
+      ll: geo.ll || null,
+    };
+  },
+};
+
+let ipinfoClient = null;
+
+providers.ipinfo = async (ip) => {
+  if (!process.env.IPINFO_TOKEN) {
+    throw new Error("IPINFO_TOKEN is not set");
+  }
+  ipinfoClient = ipinfoClient || new IPinfoWrapper(process.env.IPINFO_TOKEN, undefined, IPINFO_TIMEOUT_MS);
+
+  const info = await ipinfoClient.lookupIp(ip);
+  if (!info || info.bogon || !info.countryCode) return null;
+  return {
+    country: info.countryCode,
+    region: info.region || null,
+    city: info.city || null,
+    timezone: info.timezone || null,
+    ll: info.loc ? info.loc.split(",").map(Number) : null,
+  };
+};
+
+const registerGeoProvider = (name, lookup) => {
+  providers[name] = lookup;
+};
+
+// A Map keeps insertion order, so re-inserting on every hit leaves the least
+// recently used entry first
+const cache = new Map();
+
+const cacheGet = (ip) => {
+  const entry = cache.get(ip);
+  if (!entry) return null;
+
+  cache.delete(ip);
+  if (entry.expiresAt <= Date.now()) return null;
+  cache.set(ip, entry);
+  return entry.location;
+};
+
+const cacheSet = (ip, location) => {
+  cache.delete(ip);
+  cache.set(ip, { location, expiresAt: Date.now() + CACHE_TTL_MS });
+  if (cache.size > CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+};
+
+const clearGeoCache = () => cache.clear();
+
+// Location of an IP. Never throws: unknown or invalid IPs get null fields.
+const lookupGeo = async (value) => {
+  const ip = normalizeIp(value);
+  if (!ip) return unknownLocation();
+
+  const cached = cacheGet(ip);
+  if (cached) return { ...cached };
+
+  const providerName = process.env.GEO_PROVIDER || DEFAULT_PROVIDER;
+  let source = providerName;
+  let location = null;
+  try {
+    const provider = providers[providerName];
+    if (!provider) {
+      throw new Error(`Unknown geo provider: ${providerName}`);
+    }
+    location = await provider(ip);
+  } catch (error) {
+    console.error(`Geo lookup via ${providerName} failed for ${ip}:`, error.message);
+    if (providerName !== DEFAULT_PROVIDER) {
+      source = DEFAULT_PROVIDER;
+      location = await providers[DEFAULT_PROVIDER](ip);
+    }
+  }
+
+  const result = location
+    ? { ...unknownLocation(ip, source), ...location, country: location.country?.toUpperCase() || null }
+    : unknownLocation(ip);
+  cacheSet(ip, result);
+  return { ...result };
+};
+
+// X-Geo-Country: NG outside production
+const simulatedLocation = (req, ip) => {
+  if (process.env.NODE_ENV === "production") return null;
+
+  const country = String(req.get(SIMULATED_COUNTRY_HEADER) || "").trim().toUpperCase();
+  if (!/^[A-Z]{2}$/.test(country)) return null;
+  return { ...unknownLocation(ip, "simulated"), country };
+};
+
+// The requesting client's IP and location
+const resolveGeo = async (req) => {
+  const ip = normalizeIp(req.ip || req.socket?.remoteAddress);
+  return simulatedLocation(req, ip) || lookupGeo(ip);
+};
+
+module.exports = {
+  SIMULATED_COUNTRY_HEADER,
+  getTrustProxy,
+  normalizeIp,
+  getClientIp,
+  unknownLocation,
+  registerGeoProvider,
+  lookupGeo,
+  resolveGeo,
+  clearGeoCache,
+};
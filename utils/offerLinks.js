@@ -0,0 +1,190 @@
+// utils/offerLinks.js
+// Country targeting for offers. An offer carries links keyed by ISO 3166-1
+// alpha-2 country code, named region groups (e.g. "West Africa") covering
+// several countries, and a default link. A visitor gets, in order:
+//   1. the offer's link for their country
+//   2. the link of the first region group listing their country
+//   3. the offer's default link
+//   4. the site-wide link for their country, then site-wide default (Settings)
+
+const regionNames = new Intl.DisplayNames(["en"], { type: "region", fallback: "none" });
+
+// Codes Intl knows that are not countries (or not ISO assignments)
+const NON_COUNTRY_CODES = new Set(["EU", "EZ", "UN", "QO", "ZZ", "UK"]);
+
+// The three countries the old fixed link fields covered
+const LEGACY_LINK_COUNTRIES = {
+  ghana: "GH",
+  kenya: "KE",
+  nigeria: "NG",
+};
+
+const normalizeCountryCode = (code) => String(code || "").trim().toUpperCase();
+
+const isValidCountryCode = (code) =>
+  /^[A-Z]{2}$/.test(code) && !NON_COUNTRY_CODES.has(code) && !!regionNames.of(code);
+
+const countryName = (code) => (isValidCountryCode(code) ? regionNames.of(code) : null);
+
+// Absolute http(s) URL; used for every outbound link we store or redirect to
+const isValidLink = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// { GH: url, ke: url } -> { GH: url, KE: url }. Old { ghana: url } style
+// keys are accepted too. Empty values drop the country.
+const parseCountryLinks = (input) => {
+  if (input instanceof Map) input = Object.fromEntries(input);
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { error: "links must be an object of country code to URL" };
+  }
+
+  const links = {};
+  const invalidCodes = [];
+  const invalidLinks = [];
+
+  Object.entries(input).forEach(([key, value]) => {
+    const code = LEGACY_LINK_COUNTRIES[key.toLowerCase()] || normalizeCountryCode(key);
+    if (!isValidCountryCode(code)) return invalidCodes.push(key);
+    if (value === null || value === undefined || String(value).trim() === "") return;
+    if (!isValidLink(String(value).trim())) return invalidLinks.push(code);
+    links[code] = String(value).trim();
+  });
+
+  if (invalidCodes.length > 0) {
+    return { error: `Invalid country code(s): ${invalidCodes.join(", ")}` };
+  }
+  if (invalidLinks.length > 0) {
+    return { error: `Links must be http(s) URLs (check ${invalidLinks.join(", ")})` };
+  }
+  return { links };
+};
+
+// [{ name, countries: ["GH", "NG"], link }]; names are unique per offer
+const parseRegions = (input) => {
+  if (!Array.isArray(input)) {
+    return { error: "regions must be an array" };
+  }
+
+  const regions = [];
+  const seen = new Set();
+
+  for (const region of input) {
+    const name = String(region?.name || "").trim();
+    if (!name) return { error: "Every region needs a name" };
+    if (seen.has(name.toLowerCase())) return { error: `Duplicate region name: ${name}` };
+    seen.add(name.toLowerCase());
+
+    const countries = [...new Set((region.countries || []).map(normalizeCountryCode))];
+    if (countries.length === 0) return { error: `Region "${name}" needs at least one country` };
+
+    const invalid = countries.filter((code) => !isValidCountryCode(code));
+    if (invalid.length > 0) {
+      return { error: `Invalid country code(s) in region "${name}": ${invalid.join(", ")}` };
+    }
+
+    const link = String(region.link || "").trim();
+    if (!isValidLink(link)) return { error: `Region "${name}" needs an http(s) link` };
+
+    regions.push({ name, countries, link });
+  }
+
+  return { regions };
+};
+
+// Validate whichever of links, regions and defaultLink are present in a
+// request body. Returns { targeting } with only those keys, or { error }.
+const parseOfferTargeting = ({ links, regions, defaultLink }) => {
+  const targeting = {};
+
+  if (links !== undefined) {
+    const parsed = parseCountryLinks(links);
+    if (parsed.error) return parsed;
+    targeting.links = parsed.links;
+  }
+
+  if (regions !== undefined) {
+    const parsed = parseRegions(regions);
+    if (parsed.error) return parsed;
+    targeting.regions = parsed.regions;
+  }
+
+  if (defaultLink !== undefined) {
+    const value = defaultLink === null ? "" : String(defaultLink).trim();
+    if (value && !isValidLink(value)) return { error: "defaultLink must be an http(s) URL" };
+    targeting.defaultLink = value || null;
+  }
+
+  return { targeting };
+};
+
+const getLink = (links, code) => (links instanceof Map ? links.get(code) : links?.[code]) || null;
+
+// Variant target names for a region group and the default link
+const regionTarget = (name) => `region:${name}`;
+const DEFAULT_TARGET = "default";
+
+// Pick the link for a visitor from `country`. Returns { link, source,
+// region, target } with source one of country, region, default,
+// site-country, site-default. `target` names the offer slot that matched so
+// weighted variants for it can take over (null for site-wide fallbacks).
+// link is null when nothing matches, or when only variants cover the slot.
+const resolveOfferLink = (offer, country, settings = null) => {
+  const code = normalizeCountryCode(country);
+  const variantTargets = new Set(
+    (offer.variants || []).filter((variant) => variant.weight > 0).map((variant) => variant.target)
+  );
+
+  const countryLink = getLink(offer.links, code);
+  if (countryLink || variantTargets.has(code)) {
+    return { link: countryLink, source: "country", region: null, target: code };
+  }
+
+  const region = (offer.regions || []).find((group) => group.countries.includes(code));
+  if (region) {
+    return { link: region.link, source: "region", region: region.name, target: regionTarget(region.name) };
+  }
+
+  if (offer.defaultLink || variantTargets.has(DEFAULT_TARGET)) {
+    return { link: offer.defaultLink, source: "default", region: null, target: DEFAULT_TARGET };
+  }
+
+  const siteLink = getLink(settings?.links, code);
+  if (siteLink) return { link: siteLink, source: "site-country", region: null, target: null };
+
+  if (settings?.defaultLink) {
+    return { link: settings.defaultLink, source: "site-default", region: null, target: null };
+  }
+
+  return { link: null, source: null, region: null, target: null };
+};
+
+// Summary for the activity log
+const describeTargeting = (offer) => {
+  const links = offer.links instanceof Map ? Object.fromEntries(offer.links) : offer.links || {};
+  return {
+    countries: Object.keys(links),
+    regions: (offer.regions || []).map((region) => region.name),
+    hasDefaultLink: !!offer.defaultLink,
+    totalLinks: Object.keys(links).length + (offer.regions || []).length + (offer.defaultLink ? 1 : 0),
+  };
+};
+
+module.exports = {
+  LEGACY_LINK_COUNTRIES,
+  DEFAULT_TARGET,
+  regionTarget,
+  isValidLink,
+  normalizeCountryCode,
+  isValidCountryCode,
+  countryName,
+  parseCountryLinks,
+  parseRegions,
+  parseOfferTargeting,
+  resolveOfferLink,
+  describeTargeting,
+};
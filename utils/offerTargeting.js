@@ -0,0 +1,225 @@
+// utils/offerTargeting.js
+// Ordered targeting rules for offers. Each rule lists conditions on the
+// visitor (country, device type, OS, browser, language, local time window,
+// referrer) and a link; the first active rule whose conditions all hold picks
+// the link. When no rule matches, the country/region/default links and their
+// variants apply as before (utils/offerLinks.js, utils/offerVariants.js).
+const { parseUserAgent } = require("./clickService");
+const { isValidTimezone } = require("./usageService");
+const { normalizeCountryCode, isValidCountryCode, isValidLink } = require("./offerLinks");
+const { selectOfferLink } = require("./offerVariants");
+
+const DEVICE_TYPES = ["desktop", "mobile", "tablet", "bot"];
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const lowerList = (values) =>
+  [...new Set((Array.isArray(values) ? values : [values]).map((value) => String(value).trim().toLowerCase()))].filter(Boolean);
+
+// "fr-CH, fr;q=0.9, en;q=0.8" -> ["fr-ch", "fr", "en"], best first
+const parseAcceptLanguage = (header) =>
+  String(header || "")
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.find((param) => param.trim().startsWith("q="));
+      return { tag: tag.trim().toLowerCase(), q: q ? Number(q.trim().slice(2)) || 0 : 1 };
+    })
+    .filter(({ tag, q }) => tag && tag !== "*" && q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map(({ tag }) => tag);
+
+const referrerHost = (referrer) => {
+  if (!referrer || referrer === "Direct") return null;
+  try {
+    return new URL(referrer).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+};
+
+// Hour, minute and weekday at `now` in the visitor's timezone
+const localTime = (now, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hour: "2-digit",
+    minute: "2-digit",
+    weekday: "short",
+    hourCycle: "h23",
+  }).formatToParts(now);
+  const get = (type) => parts.find((part) => part.type === type)?.value;
+
+  return {
+    minutes: Number(get("hour")) * 60 + Number(get("minute")),
+    day: get("weekday").toLowerCase(),
+    time: `${get("hour")}:${get("minute")}`,
+  };
+};
+
+// Everything rules can look at, from the visitor's location (req.geo or a
+// geoService lookup) and raw request headers
+const buildVisitorContext = ({ geo, userAgent, acceptLanguage, referrer, now = new Date() }) => {
+  const timezone = geo?.timezone && isValidTimezone(geo.timezone) ? geo.timezone : "UTC";
+  const agent = parseUserAgent(userAgent || "Unknown");
+
+  return {
+    ip: geo?.ip || null,
+    country: geo?.country || null,
+    city: geo?.city || null,
+    timezone,
+    deviceType: agent.deviceType,
+    os: agent.osName,
+    browser: agent.browserName,
+    languages: parseAcceptLanguage(acceptLanguage),
+    referrer: referrerHost(referrer),
+    localTime: localTime(now, timezone),
+  };
+};
+
+const inWindow = ({ start, end, days }, { minutes, day }) => {
+  const toMinutes = (value) => Number(value.slice(0, 2)) * 60 + Number(value.slice(3));
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+
+  // A window like 22:00-06:00 runs past midnight; it belongs to the day it started
+  const overnight = from > to;
+  const inside = overnight ? minutes >= from || minutes < to : minutes >= from && minutes < to;
+  if (!inside || !days?.length) return inside;
+
+  const startDay = overnight && minutes < to ? WEEKDAYS[(WEEKDAYS.indexOf(day) + 6) % 7] : day;
+  return days.includes(startDay);
+};
+
+// One checker per condition; each gets the rule's value and the visitor
+const CONDITIONS = {
+  countries: (codes, visitor) => !!visitor.country && codes.includes(visitor.country),
+  deviceTypes: (types, visitor) => types.includes(visitor.deviceType),
+  os: (names, visitor) => names.some((name) => visitor.os.toLowerCase().includes(name)),
+  browsers: (names, visitor) => names.some((name) => visitor.browser.toLowerCase().includes(name)),
+  languages: (tags, visitor) =>
+    visitor.languages.some((language) => tags.includes(language) || tags.includes(language.split("-")[0])),
+  timeWindow: (window, visitor) => inWindow(window, visitor.localTime),
+  referrers: (hosts, visitor) =>
+    hosts.some((host) =>
+      host === "direct"
+        ? !visitor.referrer
+        : !!visitor.referrer && (visitor.referrer === host || visitor.referrer.endsWith(`.${host}`))
+    ),
+};
+
+const CONDITION_NAMES = Object.keys(CONDITIONS);
+
+// Conditions a visitor fails for a rule (empty means the rule matches)
+const failedConditions = (rule, visitor) =>
+  CONDITION_NAMES.filter((name) => {
+    const value = rule.conditions?.[name];
+    const set = Array.isArray(value) ? value.length > 0 : !!value?.start;
+    return set && !CONDITIONS[name](value, visitor);
+  });
+
+// Walk the rules in order. Returns { rule, index, trace } where trace lists
+// every rule looked at and why it did or didn't fire.
+const evaluateRules = (rules = [], visitor) => {
+  const trace = [];
+
+  for (const [index, rule] of rules.entries()) {
+    if (!rule.active) {
+      trace.push({ index, name: rule.name, matched: false, skipped: "inactive" });
+      continue;
+    }
+
+    const failed = failedConditions(rule, visitor);
+    trace.push({ index, name: rule.name, matched: failed.length === 0, failed });
+    if (failed.length === 0) return { rule, index, trace };
+  }
+
+  return { rule: null, index: null, trace };
+};
+
+// Full link decision for an offer: rules first, then country targeting.
+// Returns the selectOfferLink fields plus { rule, trace }.
+const targetOffer = (offer, visitor, settings, visitorId) => {
+  const { rule, index, trace } = evaluateRules(offer.rules, visitor);
+
+  if (rule) {
+    return {
+      link: rule.link,
+      source: "rule",
+      region: null,
+      target: null,
+      variant: null,
+      rule: { index, id: rule._id, name: rule.name },
+      trace,
+    };
+  }
+
+  return { ...selectOfferLink(offer, visitor.country, settings, visitorId), rule: null, trace };
+};
+
+// Validate rules from a request body. Returns { rules } or { error }.
+const parseRules = (input) => {
+  if (!Array.isArray(input)) return { error: "rules must be an array" };
+
+  const rules = [];
+  for (const [index, rule] of input.entries()) {
+    const label = rule?.name ? `Rule "${rule.name}"` : `Rule ${index + 1}`;
+    const link = String(rule?.link || "").trim();
+    if (!isValidLink(link)) return { error: `${label} needs an http(s) link` };
+
+    const given = rule.conditions || {};
+    const unknown = Object.keys(given).filter((name) => !CONDITION_NAMES.includes(name));
+    if (unknown.length > 0) return { error: `${label} has unknown condition(s): ${unknown.join(", ")}` };
+
+    const conditions = {};
+
+    if (given.countries !== undefined) {
+      conditions.countries = [...new Set([].concat(given.countries).map(normalizeCountryCode))];
+      const invalid = conditions.countries.filter((code) => !isValidCountryCode(code));
+      if (invalid.length > 0) return { error: `${label} has invalid country code(s): ${invalid.join(", ")}` };
+    }
+
+    if (given.deviceTypes !== undefined) {
+      conditions.deviceTypes = lowerList(given.deviceTypes);
+      const invalid = conditions.deviceTypes.filter((type) => !DEVICE_TYPES.includes(type));
+      if (invalid.length > 0) {
+        return { error: `${label} device types must be ${DEVICE_TYPES.join(", ")}` };
+      }
+    }
+
+    ["os", "browsers", "languages", "referrers"].forEach((name) => {
+      if (given[name] !== undefined) conditions[name] = lowerList(given[name]);
+    });
+
+    if (given.timeWindow !== undefined && given.timeWindow !== null) {
+      const { start, end, days } = given.timeWindow;
+      if (!TIME_PATTERN.test(start || "") || !TIME_PATTERN.test(end || "") || start === end) {
+        return { error: `${label} time window needs different start and end times as HH:MM` };
+      }
+      const dayList = days === undefined ? [] : lowerList(days).map((day) => day.slice(0, 3));
+      if (dayList.some((day) => !WEEKDAYS.includes(day))) {
+        return { error: `${label} time window days must be ${WEEKDAYS.join(", ")}` };
+      }
+      conditions.timeWindow = { start, end, days: dayList };
+    }
+
+    rules.push({
+      ...(rule._id && { _id: rule._id }),
+      name: rule.name ? String(rule.name).trim() : null,
+      active: rule.active !== false,
+      conditions,
+      link,
+    });
+  }
+
+  return { rules };
+};
+
+module.exports = {
+  DEVICE_TYPES,
+  CONDITION_NAMES,
+  parseAcceptLanguage,
+  buildVisitorContext,
+  evaluateRules,
+  targetOffer,
+  parseRules,
+};
@@ -0,0 +1,140 @@
+// utils/offerVariants.js
+// Weighted A/B rotation of offer links. A target (country code,
+// "region:<name>" or "default") can hold several variants; each visitor is
+// hashed onto one of them, so the same visitor keeps seeing the same variant
+// until the weights change. Serves are counted per variant.
+const crypto = require("crypto");
+const Offers = require("../model/Offers");
+const {
+  DEFAULT_TARGET,
+  regionTarget,
+  normalizeCountryCode,
+  isValidCountryCode,
+  resolveOfferLink,
+} = require("./offerLinks");
+
+// Check a target against the offer: a valid country code, one of the offer's
+// region groups, or "default". Returns { target } or { error }.
+const parseTarget = (offer, value) => {
+  const raw = String(value || "").trim();
+
+  if (raw.toLowerCase() === DEFAULT_TARGET) return { target: DEFAULT_TARGET };
+
+  if (raw.toLowerCase().startsWith("region:")) {
+    const name = raw.slice("region:".length).trim().toLowerCase();
+    const region = (offer.regions || []).find((group) => group.name.toLowerCase() === name);
+    if (!region) return { error: `Offer has no region named "${raw.slice(7).trim()}"` };
+    return { target: regionTarget(region.name) };
+  }
+
+  const code = normalizeCountryCode(raw);
+  if (!isValidCountryCode(code)) {
+    return { error: 'Target must be a country code, "region:<name>" or "default"' };
+  }
+  return { target: code };
+};
+
+// Deterministic point in [0, 1) for a visitor on one offer target
+const stickyPoint = (seed) =>
+  parseInt(crypto.createHash("sha256").update(seed).digest("hex").slice(0, 8), 16) / 0x100000000;
+
+// Walk the weights in stored order and take the variant the point lands in
+const pickVariant = (candidates, seed) => {
+  const total = candidates.reduce((sum, variant) => sum + variant.weight, 0);
+  if (total <= 0) return null;
+
+  let remaining = stickyPoint(seed) * total;
+  for (const variant of candidates) {
+    remaining -= variant.weight;
+    if (remaining < 0) return variant;
+  }
+  return candidates[candidates.length - 1];
+};
+
+// resolveOfferLink plus variant selection. `visitorId` keeps the choice
+// sticky. Returns the resolved fields with `variant` set when one was picked.
+const selectOfferLink = (offer, country, settings, visitorId) => {
+  const resolved = resolveOfferLink(offer, country, settings);
+  const candidates = resolved.target
+    ? (offer.variants || []).filter((variant) => variant.target === resolved.target && variant.weight > 0)
+    : [];
+
+  const variant = pickVariant(candidates, `${visitorId}:${offer._id}:${resolved.target}`);
+  if (!variant) return { ...resolved, variant: null };
+
+  return { ...resolved, link: variant.link, variant };
+};
+
+const recordServe = (offerId, variantId) =>
+  Offers.updateOne(
+    { _id: offerId, "variants._id": variantId },
+    { $inc: { "variants.$.serves": 1 }, $set: { "variants.$.lastServedAt": new Date() } }
+  );
+
+const share = (part, whole) => (whole > 0 ? Number(((part / whole) * 100).toFixed(2)) : 0);
+
+// Variants grouped by target, with each one's share of weight and serves
+const summarizeVariants = (offer) => {
+  const groups = new Map();
+  (offer.variants || []).forEach((variant) => {
+    if (!groups.has(variant.target)) groups.set(variant.target, []);
+    groups.get(variant.target).push(variant);
+  });
+
+  return [...groups.entries()].map(([target, variants]) => {
+    const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+    const totalServes = variants.reduce((sum, variant) => sum + variant.serves, 0);
+
+    return {
+      target,
+      totalWeight,
+      totalServes,
+      variants: variants.map((variant) => ({
+        id: variant._id,
+        name: variant.name,
+        link: variant.link,
+        weight: variant.weight,
+        weightShare: share(variant.weight, totalWeight),
+        serves: variant.serves,
+        serveShare: share(variant.serves, totalServes),
+        lastServedAt: variant.lastServedAt,
+      })),
+    };
+  });
+};
+
+// Make the variant the only link for its target: its link becomes the
+// target's single link and every variant for the target is removed. Changes
+// the (unsaved) offer document and returns what was retired.
+const collapseToWinner = (offer, variant) => {
+  const { target, link } = variant;
+
+  if (target === DEFAULT_TARGET) {
+    offer.defaultLink = link;
+  } else if (target.startsWith("region:")) {
+    const region = offer.regions.find((group) => regionTarget(group.name) === target);
+    if (region) region.link = link;
+  } else {
+    offer.links.set(target, link);
+  }
+
+  const retired = offer.variants.filter((candidate) => candidate.target === target);
+  offer.variants = offer.variants.filter((candidate) => candidate.target !== target);
+
+  return retired.map((candidate) => ({
+    id: candidate._id,
+    name: candidate.name,
+    link: candidate.link,
+    weight: candidate.weight,
+    serves: candidate.serves,
+  }));
+};
+
+module.exports = {
+  parseTarget,
+  pickVariant,
+  selectOfferLink,
+  recordServe,
+  summarizeVariants,
+  collapseToWinner,
+};
@@ -0,0 +1,121 @@
+// utils/postbackAdapters.js
+const crypto = require("crypto");
+const PostbackNetwork = require("../model/PostbackNetwork");
+const {
+  POSTBACK_FIELDS,
+  SUB_ID_FIELDS,
+  DEFAULT_SUB_ID_PARAMS,
+  DEFAULT_REVERSAL_STATUSES,
+  BUILT_IN_NETWORKS,
+  getEnvVerification,
+} = require("../config/postbackNetworks");
+
+const toParamList = (value) => {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).filter(Boolean);
+};
+
+// Stored mappings override built-in ones field by field
+const mergeParamMaps = (builtIn = {}, stored = {}) =>
+  POSTBACK_FIELDS.reduce((map, field) => {
+    const params = toParamList(stored[field]);
+    map[field] = params.length > 0 ? params : toParamList(builtIn[field]);
+    return map;
+  }, {});
+
+// Stored sub-id names override built-in ones, which override the defaults
+const mergeSubIdParams = (builtIn = {}, stored = {}) =>
+  SUB_ID_FIELDS.reduce((params, field) => {
+    params[field] = stored[field] || builtIn[field] || DEFAULT_SUB_ID_PARAMS[field];
+    return params;
+  }, {});
+
+// Resolve a network name to its adapter: stored config merged over the
+// built-in adapter of the same name. Returns null for unknown or disabled networks.
+const resolveNetwork = async (name) => {
+  const networkName = name?.toLowerCase();
+  if (!networkName) return null;
+
+  const builtIn = BUILT_IN_NETWORKS[networkName];
+  const stored = await PostbackNetwork.findOne({ name: networkName })
+    .select("+secret")
+    .lean();
+
+  if (!builtIn && !stored) return null;
+  if (stored && !stored.active) return null;
+
+  const env = getEnvVerification(networkName);
+
+  return {
+    name: networkName,
+    displayName: stored?.displayName || builtIn?.displayName || networkName,
+    builtIn: !!builtIn,
+    paramMap: mergeParamMaps(builtIn?.paramMap, stored?.paramMap),
+    subIdParams: mergeSubIdParams(builtIn?.subIdParams, stored?.subIdParams),
+    reversalStatuses: stored?.reversalStatuses?.length
+      ? stored.reversalStatuses
+      : DEFAULT_REVERSAL_STATUSES,
+    secret: stored?.secret || env.secret,
+    signatureParam: stored?.signatureParam || env.signatureParam || "signature",
+    allowedIps: stored?.allowedIps?.length ? stored.allowedIps : env.allowedIps,
+    payoutCurrency: stored?.payoutCurrency || builtIn?.payoutCurrency || "USD",
+    pointsRate: stored?.pointsRate ?? null,
+  };
+};
+
+// Parameter names a field is read from. The sub-ids we append to outbound
+// links come back under the same names, so those are always read too.
+const getFieldParams = (adapter, field) => {
+  const params = adapter.paramMap[field] || [];
+  const subIdParam = adapter.subIdParams?.[field];
+  return subIdParam && !params.includes(subIdParam) ? [...params, subIdParam] : params;
+};
+
+// Pull our normalized fields out of a postback query using the adapter's mapping
+const parsePostback = (adapter, query) =>
+  POSTBACK_FIELDS.reduce((parsed, field) => {
+    const param = getFieldParams(adapter, field).find(
+      (name) => query[name] !== undefined && query[name] !== ""
+    );
+    parsed[field] = param ? query[param] : undefined;
+    return parsed;
+  }, {});
+
+// Does the parsed status parameter mark this postback as a reversal?
+const isReversal = (adapter, parsed) =>
+  !!parsed.status &&
+  adapter.reversalStatuses.includes(String(parsed.status).toLowerCase().trim());
+
+// Signature is an HMAC-SHA256 (hex) of the raw query string with the
+// signature parameter itself removed, in the order the network sent it
+const buildSignedPayload = (rawQuery, signatureParam) =>
+  (rawQuery || "")
+    .split("&")
+    .filter((pair) => pair && pair.split("=")[0] !== signatureParam)
+    .join("&");
+
+const isValidSignature = (payload, signature, secret) => {
+  // Anything but 64 hex characters can't be a SHA-256 HMAC, and would give
+  // timingSafeEqual buffers of different lengths
+  if (typeof signature !== "string" || !/^[0-9a-f]{64}$/i.test(signature)) return false;
+
+  const expected = crypto.createHmac("sha256", secret).update(payload).digest();
+  return crypto.timingSafeEqual(Buffer.from(signature, "hex"), expected);
+};
+
+// Adapter as it is safe to show to admins
+const describeAdapter = (adapter) => {
+  const { secret, ...rest } = adapter;
+  return { ...rest, hasSecret: !!secret };
+};
+
+module.exports = {
+  resolveNetwork,
+  parsePostback,
+  isReversal,
+  mergeParamMaps,
+  mergeSubIdParams,
+  buildSignedPayload,
+  isValidSignature,
+  describeAdapter,
+};
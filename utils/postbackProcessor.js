@@ -0,0 +1,421 @@
+// utils/postbackProcessor.js
+// Verifies, parses and applies a single postback. Used by the live postback
+// route and by admin reprocessing, so both go through exactly the same path
+// and both leave a PostbackEvent behind.
+const OfferCompletion = require("../model/offerCompletion");
+const PostbackTransaction = require("../model/PostbackTransaction");
+const PostbackEvent = require("../model/PostbackEvent");
+const { emailTemplates, sendEmail } = require("./emailService");
+const { logRejectedPostback } = require("../middleware/logEvents");
+const { creditConversion, debitReversal } = require("./walletService");
+const { resolveCompletionId, recordConversion, recordReversal } = require("./attributionService");
+const { countConversion } = require("./capService");
+const { getClientIp, normalizeIp } = require("./geoService");
+const {
+  resolveNetwork,
+  parsePostback,
+  isReversal,
+  buildSignedPayload,
+  isValidSignature,
+} = require("./postbackAdapters");
+
+// Headers we never want sitting in the event ledger
+const REDACTED_HEADERS = ["authorization", "cookie", "x-api-key"];
+
+// Everything we need to (re)process a postback, captured from the request
+const buildPostbackInput = (req) => {
+  const headers = { ...req.headers };
+  REDACTED_HEADERS.forEach((header) => delete headers[header]);
+
+  return {
+    network: req.params.network,
+    rawQuery: req.originalUrl.split("?")[1] || "",
+    query: { ...req.query },
+    headers,
+    ip: getClientIp(req),
+  };
+};
+
+const rejected = (status, reason, message, extra = {}) => ({
+  status,
+  outcome: "rejected",
+  reason,
+  message,
+  body: { success: false, message },
+  ...extra,
+});
+
+// Is this postback really from the network it claims to be from?
+const verifySource = (adapter, input) => {
+  if (!adapter.secret && adapter.allowedIps.length === 0) {
+    return rejected(403, "verification_not_configured", "Postback verification is not configured for this network");
+  }
+
+  // input.ip is req.ip, which only follows X-Forwarded-For through the
+  // proxies trusted by TRUST_PROXY, so a network can't claim an allowed IP
+  if (adapter.allowedIps.length > 0 && !adapter.allowedIps.map(normalizeIp).includes(normalizeIp(input.ip))) {
+    return rejected(403, "ip_not_allowed", "Postback source not allowed");
+  }
+
+  if (adapter.secret) {
+    const signature = input.query[adapter.signatureParam];
+    if (!signature) {
+      return rejected(401, "missing_signature", "Postback signature is required");
+    }
+
+    const payload = buildSignedPayload(input.rawQuery, adapter.signatureParam);
+    if (!isValidSignature(payload, signature, adapter.secret)) {
+      return rejected(401, "invalid_signature", "Invalid postback signature");
+    }
+  }
+
+  return null;
+};
+
+const sendCompletionEmail = async (completion) => {
+  try {
+    const emailTemplate = emailTemplates.taskCompleted({
+      offer: completion.offer,
+      title: completion.title || "Task Completed",
+      code: completion.code || "N/A",
+    });
+
+    const result = await sendEmail({
+      to: completion.email,
+      subject: emailTemplate.subject,
+      html: emailTemplate.html,
+      templateType: "taskCompleted",
+    });
+
+    if (result.success) {
+      await OfferCompletion.findByIdAndUpdate(completion._id, {
+        isEmailSent: true,
+      });
+      console.log(`Task completed email sent to: ${completion.email}`);
+    }
+  } catch (emailError) {
+    console.error(
+      `Failed to send task completed email to ${completion.email}:`,
+      emailError.message
+    );
+  }
+};
+
+const sendReversalEmail = async (completion) => {
+  try {
+    const emailTemplate = emailTemplates.taskReversed({
+      offer: completion.offer,
+      title: completion.title || "Task Reversed",
+      code: completion.codeRevokedAt ? completion.code : null,
+      reason: completion.reversalReason,
+    });
+
+    await sendEmail({
+      to: completion.email,
+      subject: emailTemplate.subject,
+      html: emailTemplate.html,
+      templateType: "taskReversed",
+    });
+    console.log(`Task reversed email sent to: ${completion.email}`);
+  } catch (emailError) {
+    console.error(
+      `Failed to send task reversed email to ${completion.email}:`,
+      emailError.message
+    );
+  }
+};
+
+// Apply a verified postback to its OfferCompletion
+const applyPostback = async (adapter, input, parsed) => {
+  const { email, payout, offerId, offerName } = parsed;
+
+  // Networks echo the completion id or our click id; either one identifies
+  // the completion, and with it the user's email
+  const completionId = await resolveCompletionId(parsed);
+
+  // 201 kept from the original handler so networks don't retry these forever
+  if (!completionId) {
+    return rejected(201, "invalid_completion_id", "Invalid or missing offer completion ID");
+  }
+
+  const pendingOffer = await OfferCompletion.findById(completionId).lean();
+
+  if (!pendingOffer) {
+    return rejected(404, "completion_not_found", "Offer completion not found");
+  }
+
+  if (!payout) {
+    return rejected(400, "missing_fields", "Incomplete request: payout is required", {
+      offerCompletion: pendingOffer._id,
+    });
+  }
+
+  // Not every network sends the email, but when one does it must match
+  if (email && pendingOffer.email !== email.toLowerCase().trim()) {
+    return rejected(400, "email_mismatch", "Email does not match the offer completion", {
+      offerCompletion: pendingOffer._id,
+    });
+  }
+
+  // Claim the conversion in the ledger. Networks that don't send a
+  // transaction id are keyed on the completion itself, so each completion
+  // can only ever be paid out once.
+  const transactionId = parsed.transactionId || `completion:${pendingOffer._id}`;
+  try {
+    await PostbackTransaction.create({
+      network: adapter.name,
+      transactionId,
+      offerCompletion: pendingOffer._id,
+      payout: Number(payout) || 0,
+      ip: input.ip,
+    });
+  } catch (ledgerError) {
+    if (ledgerError.code === 11000) {
+      return rejected(409, "replay", "Duplicate postback: conversion already processed", {
+        transactionId,
+        offerCompletion: pendingOffer._id,
+      });
+    }
+    throw ledgerError;
+  }
+
+  // Only move pending -> completed, atomically, so the reward email goes out once.
+  // A completion that is no longer pending gives its ledger claim back.
+  const completedOffer = await OfferCompletion.transition(pendingOffer._id, "completed");
+
+  if (!completedOffer) {
+    await PostbackTransaction.deleteOne({ network: adapter.name, transactionId });
+    return rejected(409, "invalid_transition", "Offer completion is no longer pending", {
+      transactionId,
+      offerCompletion: pendingOffer._id,
+    });
+  }
+
+  try {
+    await creditConversion({ completion: completedOffer, adapter, payout, transactionId });
+  } catch (walletError) {
+    // The conversion stands; a missing credit shows up in wallet reconciliation
+    console.error(`Failed to credit wallet for completion ${completedOffer._id}:`, walletError);
+  }
+  let conversion = null;
+  try {
+    conversion = await recordConversion({ adapter, parsed, completion: completedOffer, payout, transactionId });
+  } catch (attributionError) {
+    console.error(`Failed to attribute completion ${completedOffer._id}:`, attributionError);
+  }
+  if (conversion) {
+    try {
+      await countConversion(conversion);
+    } catch (capError) {
+      console.error(`Failed to count completion ${completedOffer._id} towards caps:`, capError);
+    }
+  }
+  await sendCompletionEmail(completedOffer);
+
+  return {
+    status: 200,
+    outcome: "accepted",
+    reason: null,
+    message: "Postback processed successfully",
+    transactionId,
+    offerCompletion: pendingOffer._id,
+    body: {
+      success: true,
+      message: "Postback processed successfully",
+      data: {
+        offerid: offerId,
+        payout,
+        network: adapter.name,
+        currency: adapter.payoutCurrency,
+        offername: offerName || `An offer from ${adapter.displayName}`,
+      },
+    },
+  };
+};
+
+// Apply a verified reversal (chargeback) postback: completed -> reversed,
+// revoke the issued code and let the user know
+const applyReversal = async (adapter, input, parsed) => {
+  const { email, reversalReason } = parsed;
+  const completionId = await resolveCompletionId(parsed);
+
+  if (!completionId) {
+    return rejected(201, "invalid_completion_id", "Invalid or missing offer completion ID");
+  }
+
+  const completion = await OfferCompletion.findById(completionId).lean();
+
+  if (!completion) {
+    return rejected(404, "completion_not_found", "Offer completion not found");
+  }
+
+  // Reversals don't always carry the email, but when they do it must match
+  if (email && completion.email !== email.toLowerCase().trim()) {
+    return rejected(400, "email_mismatch", "Email does not match the offer completion", {
+      offerCompletion: completion._id,
+    });
+  }
+
+  if (!OfferCompletion.canTransition(completion.status, "reversed")) {
+    return rejected(409, "invalid_transition", `Cannot reverse a ${completion.status} offer completion`, {
+      offerCompletion: completion._id,
+    });
+  }
+
+  // A reversal takes back what the conversion paid, which is also what the
+  // wallet debits, so reconciliation nets out; networks often send no payout
+  const conversion = await PostbackTransaction.findOne({
+    offerCompletion: completion._id,
+    type: "conversion",
+  })
+    .select("payout")
+    .lean();
+
+  const transactionId = `reversal:${parsed.transactionId || `completion:${completion._id}`}`;
+  try {
+    await PostbackTransaction.create({
+      network: adapter.name,
+      transactionId,
+      type: "reversal",
+      offerCompletion: completion._id,
+      payout: -(conversion ? conversion.payout : Number(parsed.payout) || 0),
+      ip: input.ip,
+    });
+  } catch (ledgerError) {
+    if (ledgerError.code === 11000) {
+      return rejected(409, "replay", "Duplicate postback: reversal already processed", {
+        transactionId,
+        offerCompletion: completion._id,
+      });
+    }
+    throw ledgerError;
+  }
+
+  const now = new Date();
+  const reversedOffer = await OfferCompletion.transition(completion._id, "reversed", {
+    reversedAt: now,
+    reversalReason: reversalReason || `Reversed by ${adapter.displayName} (${parsed.status})`,
+    ...(completion.code && { codeRevokedAt: now }),
+  });
+
+  // Another postback may have moved it since the check above
+  if (!reversedOffer) {
+    await PostbackTransaction.deleteOne({ network: adapter.name, transactionId });
+    return rejected(409, "invalid_transition", "Offer completion can no longer be reversed", {
+      transactionId,
+      offerCompletion: completion._id,
+    });
+  }
+
+  try {
+    await debitReversal({ completion: reversedOffer, adapter, transactionId });
+  } catch (walletError) {
+    console.error(`Failed to debit wallet for completion ${reversedOffer._id}:`, walletError);
+  }
+  try {
+    await recordReversal(reversedOffer._id);
+  } catch (attributionError) {
+    console.error(`Failed to reverse attribution for completion ${reversedOffer._id}:`, attributionError);
+  }
+  await sendReversalEmail(reversedOffer);
+
+  return {
+    status: 200,
+    outcome: "accepted",
+    reason: null,
+    message: "Reversal processed successfully",
+    transactionId,
+    offerCompletion: completion._id,
+    body: {
+      success: true,
+      message: "Reversal processed successfully",
+      data: {
+        network: adapter.name,
+        status: parsed.status,
+      },
+    },
+  };
+};
+
+// Process one postback end to end and record it as a PostbackEvent.
+// Returns the HTTP status/body to answer the network with, plus the event.
+const processPostback = async (input, { reprocessOf = null } = {}) => {
+  const network = input.network?.toLowerCase();
+  let parsed = null;
+  let action = "conversion";
+  let result;
+
+  try {
+    const adapter = await resolveNetwork(network);
+
+    if (!adapter) {
+      result = rejected(400, "unsupported_network", `Unsupported network: ${input.network}`);
+    } else {
+      result = verifySource(adapter, input);
+      if (!result) {
+        parsed = parsePostback(adapter, input.query);
+        if (isReversal(adapter, parsed)) {
+          action = "reversal";
+          result = await applyReversal(adapter, input, parsed);
+        } else {
+          result = await applyPostback(adapter, input, parsed);
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`Postback error for ${network}:`, error);
+    result = {
+      status: 500,
+      outcome: "error",
+      reason: "processing_error",
+      message: error.message,
+      body: { success: false, message: "Failed to process postback" },
+    };
+  }
+
+  if (result.outcome === "rejected") {
+    await logRejectedPostback(input, result.reason, {
+      message: result.message,
+      transactionId: result.transactionId || parsed?.transactionId,
+      offerCompletion: result.offerCompletion,
+    });
+  }
+
+  const event = await PostbackEvent.create({
+    network,
+    rawQuery: input.rawQuery,
+    query: input.query,
+    headers: input.headers,
+    sourceIp: input.ip,
+    parsed,
+    transactionId: result.transactionId || parsed?.transactionId || null,
+    action,
+    outcome: result.outcome,
+    reason: result.reason,
+    message: result.message,
+    httpStatus: result.status,
+    offerCompletion: result.offerCompletion || null,
+    reprocessOf,
+  });
+
+  return { ...result, event };
+};
+
+// Run a stored event through processing again, e.g. after fixing an adapter
+const reprocessEvent = async (event) =>
+  processPostback(
+    {
+      network: event.network,
+      rawQuery: event.rawQuery,
+      query: event.query || {},
+      headers: event.headers || {},
+      ip: event.sourceIp,
+    },
+    { reprocessOf: event.reprocessOf || event._id }
+  );
+
+module.exports = {
+  buildPostbackInput,
+  processPostback,
+  reprocessEvent,
+};
@@ -0,0 +1,284 @@
+// utils/redemptionService.js
+// Spending wallet points on catalogue items. Every redemption runs in a
+// transaction: stock, the code pool and the wallet ledger either all change
+// or none of them do.
+const mongoose = require("mongoose");
+const GiftCard = require("../model/Giftcard");
+const Coupon = require("../model/Coupon");
+const User = require("../model/User");
+const Redemption = require("../model/Redemption");
+const WalletEntry = require("../model/WalletEntry");
+const { appendEntry } = require("./walletService");
+const {
+  claimCode,
+  issueReservedCode,
+  releaseCode,
+  syncItemsLeft,
+  checkLowStock,
+} = require("./codeInventoryService");
+const { liveFilter, isLive } = require("./catalogLifecycle");
+const { emailTemplates, sendEmail } = require("./emailService");
+const { RedemptionError } = require("./customErrors");
+
+const ITEM_MODELS = {
+  GiftCard,
+  Coupon,
+};
+
+const getItemModel = (itemType) => {
+  const Model = ITEM_MODELS[itemType];
+  if (!Model) {
+    throw new RedemptionError(`Unsupported item type: ${itemType}`, 400);
+  }
+  return Model;
+};
+
+// Explain why the stock decrement matched nothing
+const assertRedeemable = async (Model, itemId, session) => {
+  const item = await Model.findById(itemId)
+    .select("redemption itemsLeft status startsAt expiresAt")
+    .session(session)
+    .lean();
+
+  if (!item) {
+    throw new RedemptionError("Item not found", 404);
+  }
+  if (item.redemption?.pointsCost == null) {
+    throw new RedemptionError("This item cannot be redeemed with points", 400);
+  }
+  if (!isLive(item)) {
+    throw new RedemptionError("This reward is not available", 409);
+  }
+  throw new RedemptionError("This reward is out of stock", 409);
+};
+
+const sendRedemptionEmail = async (redemption) => {
+  try {
+    const emailTemplate = emailTemplates.rewardRedeemed({
+      title: redemption.title,
+      merchant: redemption.merchant,
+      code: redemption.code,
+      pointsCost: redemption.pointsCost,
+    });
+
+    const result = await sendEmail({
+      to: redemption.email,
+      subject: emailTemplate.subject,
+      html: emailTemplate.html,
+      templateType: "rewardRedeemed",
+    });
+
+    if (result.success) {
+      await Redemption.findByIdAndUpdate(redemption._id, { isEmailSent: true });
+      console.log(`Reward redeemed email sent to: ${redemption.email}`);
+    }
+  } catch (emailError) {
+    console.error(
+      `Failed to send reward redeemed email to ${redemption.email}:`,
+      emailError.message
+    );
+  }
+};
+
+// Spend a user's points on one unit of an item
+const redeemItem = async ({ user, itemType, itemId }) => {
+  const Model = getItemModel(itemType);
+
+  if (!mongoose.Types.ObjectId.isValid(itemId)) {
+    throw new RedemptionError("Invalid item ID", 400);
+  }
+
+  const redemption = await mongoose.connection.transaction(async (session) => {
+    // Touching the user document makes concurrent redemptions by the same
+    // user conflict, so the loser is retried against the updated balance
+    await User.updateOne({ _id: user.id }, { $currentDate: { updatedAt: true } }, { session });
+
+    const item = await Model.findOneAndUpdate(
+      {
+        _id: itemId,
+        "redemption.pointsCost": { $ne: null },
+        itemsLeft: { $gt: 0 },
+        ...liveFilter(),
+      },
+      { $inc: { itemsLeft: -1 } },
+      { new: true, session }
+    );
+
+    if (!item) await assertRedeemable(Model, itemId, session);
+
+    const { pointsCost, fulfillment } = item.redemption;
+    const { balance } = await WalletEntry.getBalance(user.email, { session });
+
+    if (balance < pointsCost) {
+      throw new RedemptionError(
+        `Insufficient points: this reward costs ${pointsCost} and your balance is ${balance}`,
+        402
+      );
+    }
+
+    const pending = new Redemption({
+      user: user.id,
+      email: user.email,
+      itemType,
+      item: item._id,
+      title: item.title,
+      merchant: item.merchant,
+      pointsCost,
+      fulfillment,
+    });
+
+    // Instant rewards take a code now; manual ones backed by a pool hold
+    // one in reserve so the queue can never promise more than is in stock
+    if (fulfillment === "code" || item.inventory?.codePool) {
+      const rewardCode = await claimCode(
+        itemType,
+        item._id,
+        {
+          status: fulfillment === "code" ? "issued" : "reserved",
+          redemption: pending._id,
+          email: user.email,
+        },
+        { session }
+      );
+
+      if (!rewardCode) {
+        throw new RedemptionError("This reward is out of stock", 409);
+      }
+
+      pending.rewardCode = rewardCode._id;
+
+      if (fulfillment === "code") {
+        pending.set({
+          status: "fulfilled",
+          code: rewardCode.code,
+          fulfilledAt: new Date(),
+          fulfilledBy: "system",
+        });
+      }
+    }
+
+    const entry = await appendEntry(
+      {
+        email: user.email,
+        user: user.id,
+        kind: "redemption",
+        points: -pointsCost,
+        idempotencyKey: `redemption:${pending._id}`,
+        description: `Redeemed ${item.title}`,
+      },
+      { session }
+    );
+
+    pending.walletEntry = entry._id;
+    await pending.save({ session });
+
+    return pending;
+  });
+
+  await checkLowStock(itemType, redemption.item);
+
+  if (redemption.status === "fulfilled") {
+    await sendRedemptionEmail(redemption);
+  }
+
+  return redemption;
+};
+
+// Hand a code to a redemption waiting in the manual queue. Uses the code
+// reserved for it, an explicit code from the admin (releasing the reserved
+// one), or failing both the next code in the item's pool.
+const fulfillRedemption = async (redemptionId, { code, fulfilledBy }) => {
+  const redemption = await mongoose.connection.transaction(async (session) => {
+    const pending = await Redemption.findOne({ _id: redemptionId, status: "pending" }).session(
+      session
+    );
+
+    if (!pending) {
+      throw new RedemptionError("Pending redemption not found", 404);
+    }
+
+    if (code) {
+      if (pending.rewardCode) await releaseCode(pending.rewardCode, { session });
+      pending.set({ code, rewardCode: null });
+    } else {
+      const rewardCode = pending.rewardCode
+        ? await issueReservedCode(pending.rewardCode, { session })
+        : await claimCode(
+            pending.itemType,
+            pending.item,
+            { redemption: pending._id, email: pending.email },
+            { session }
+          );
+
+      if (!rewardCode) {
+        throw new RedemptionError("No codes available for this item; provide one manually", 409);
+      }
+
+      pending.code = rewardCode.code;
+      pending.rewardCode = rewardCode._id;
+    }
+
+    pending.set({ status: "fulfilled", fulfilledAt: new Date(), fulfilledBy });
+    await pending.save({ session });
+
+    return pending;
+  });
+
+  await sendRedemptionEmail(redemption);
+
+  return redemption;
+};
+
+// Refund a redemption that has not been fulfilled yet and put the stock back
+const cancelRedemption = async (redemptionId, { reason, cancelledBy }) =>
+  mongoose.connection.transaction(async (session) => {
+    const redemption = await Redemption.findOneAndUpdate(
+      { _id: redemptionId, status: "pending" },
+      {
+        $set: {
+          status: "cancelled",
+          cancelledAt: new Date(),
+          cancelReason: reason || null,
+          note: cancelledBy ? `Cancelled by ${cancelledBy}` : null,
+        },
+      },
+      { new: true, session }
+    );
+
+    if (!redemption) {
+      throw new RedemptionError("Pending redemption not found", 404);
+    }
+
+    await appendEntry(
+      {
+        email: redemption.email,
+        user: redemption.user,
+        kind: "refund",
+        points: redemption.pointsCost,
+        idempotencyKey: `refund:${redemption._id}`,
+        description: `Refund for ${redemption.title}${reason ? `: ${reason}` : ""}`,
+      },
+      { session }
+    );
+
+    if (redemption.rewardCode) await releaseCode(redemption.rewardCode, { session });
+
+    // Pool-backed stock follows the released code; otherwise put the unit back
+    const available = await syncItemsLeft(redemption.itemType, redemption.item, { session });
+    if (available === null) {
+      await getItemModel(redemption.itemType).updateOne(
+        { _id: redemption.item },
+        { $inc: { itemsLeft: 1 } },
+        { session }
+      );
+    }
+
+    return redemption;
+  });
+
+module.exports = {
+  ITEM_MODELS,
+  redeemItem,
+  fulfillRedemption,
+  cancelRedemption,
+};
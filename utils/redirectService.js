@@ -0,0 +1,159 @@
+// utils/redirectService.js
+// Resolves /go/:slug links: records the click, opens a pending OfferCompletion
+// for signed-in users and builds the provider URL with the network's sub-id
+// parameters (user id, completion id, click id) appended, so the postback
+// that comes back can be attributed.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const CatalogItem = require("../model/CatalogItem");
+const TrackedLink = require("../model/TrackedLink");
+const OfferCompletion = require("../model/offerCompletion");
+const User = require("../model/User");
+const { DEFAULT_SUB_ID_PARAMS, PROVIDER_NETWORKS } = require("../config/postbackNetworks");
+const { RedirectError } = require("./customErrors");
+const { resolveNetwork } = require("./postbackAdapters");
+const { findActiveSession } = require("./sessionService");
+const { recordClick } = require("./clickService");
+const { isLive } = require("./catalogLifecycle");
+const { getCapState } = require("./capService");
+const { isValidLink } = require("./offerLinks");
+
+const SLUG_ALPHABET = "abcdefghijkmnpqrstuvwxyz23456789";
+
+// Short random slug without look-alike characters
+const generateSlug = (length = 8) =>
+  Array.from(crypto.randomBytes(length), (byte) => SLUG_ALPHABET[byte % SLUG_ALPHABET.length]).join("");
+
+// Where a link currently points: its own destination, else the item's link
+const getDestination = (link, item) => link.destination || item.action?.actionLink || null;
+
+const getNetworkName = (link, item) =>
+  link.network || PROVIDER_NETWORKS[item.action?.actionProvider] || null;
+
+// Add the sub-id values we have to the URL, replacing any the link already
+// carries under the same names
+const appendSubIds = (destination, subIdParams, values) => {
+  const url = new URL(destination);
+  Object.entries(values).forEach(([field, value]) => {
+    const param = subIdParams[field];
+    if (param && value) url.searchParams.set(param, String(value));
+  });
+  return url.toString();
+};
+
+// The signed-in user behind a browser navigation, if any: a bearer access
+// token when the client sends one, otherwise the refresh cookie's session
+const identifyUser = async (req) => {
+  let userId = null;
+
+  const authHeader = req.headers.authorization;
+  if (authHeader?.startsWith("Bearer ")) {
+    try {
+      userId = jwt.verify(authHeader.split(" ")[1], process.env.ACCESS_TOKEN_SECRET).userId;
+    } catch {
+      userId = null;
+    }
+  }
+
+  if (!userId && req.cookies?.jwt) {
+    const session = await findActiveSession(req.cookies.jwt);
+    userId = session?.user || null;
+  }
+
+  if (!userId) return null;
+
+  const user = await User.findById(userId).select("email isActive").lean();
+  return user?.isActive ? user : null;
+};
+
+// Reuse the user's open completion for this item so repeat clicks don't pile
+// up pending entries; it is re-pointed at the latest click
+const openCompletion = async (user, item, clickId) => {
+  const existing = await OfferCompletion.findOneAndUpdate(
+    { user: user._id, item: item._id, status: "pending" },
+    { $set: { click: clickId || null } },
+    { new: true }
+  );
+  if (existing) return existing;
+
+  return OfferCompletion.create({
+    offer: item.title,
+    title: item.title,
+    email: user.email,
+    user: user._id,
+    item: item._id,
+    click: clickId || null,
+  });
+};
+
+// Resolve a slug to the URL to redirect to. Tracking problems are logged and
+// never stop the redirect; a missing link or unavailable item throws
+// RedirectError. Once the item's conversion cap is reached visitors go to its
+// fallback link, which belongs to another offer and so gets no sub-ids.
+const followLink = async (slug, req) => {
+  const link = await TrackedLink.findOne({ slug: String(slug).toLowerCase(), active: true }).lean();
+  if (!link) {
+    throw new RedirectError("Link not found", 404);
+  }
+
+  const item = await CatalogItem.findById(link.item)
+    .select("kind title status startsAt expiresAt action caps capHits")
+    .lean();
+  if (!item) {
+    throw new RedirectError("This offer no longer exists", 410);
+  }
+  if (!isLive(item)) {
+    throw new RedirectError("This offer is not available right now", 410);
+  }
+
+  const cap = await getCapState(item, req.geo?.country);
+  if (cap?.blocked) {
+    throw new RedirectError("This offer is not available right now", 410);
+  }
+
+  const destination = cap?.link || getDestination(link, item);
+  if (!destination || !isValidLink(destination)) {
+    console.error(`Tracked link ${link.slug} has no usable destination`);
+    throw new RedirectError("This offer is not available right now", 410);
+  }
+
+  const networkName = getNetworkName(link, item);
+
+  const values = {};
+  try {
+    const user = await identifyUser(req);
+
+    const click = await recordClick(CatalogItem, item._id, req, {
+      link: link._id,
+      network: networkName,
+      ...(user && { userId: user._id }),
+    });
+    values.clickId = click?.clickId;
+
+    if (user && !cap) {
+      values.userId = user._id;
+      values.completionId = (await openCompletion(user, item, values.clickId))._id;
+    }
+  } catch (error) {
+    console.error(`Click tracking failed for link ${link.slug}:`, error);
+  }
+
+  let url = destination;
+  if (!cap) {
+    const adapter = networkName ? await resolveNetwork(networkName) : null;
+    url = appendSubIds(destination, adapter?.subIdParams || DEFAULT_SUB_ID_PARAMS, values);
+  }
+
+  await TrackedLink.updateOne({ _id: link._id }, { $set: { lastRedirectAt: new Date() } });
+
+  return { url, link, item, ...values };
+};
+
+module.exports = {
+  generateSlug,
+  getDestination,
+  getNetworkName,
+  appendSubIds,
+  identifyUser,
+  followLink,
+};
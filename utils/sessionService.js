@@ -0,0 +1,149 @@
+// utils/sessionService.js
+const crypto = require("crypto");
+const UAParser = require("ua-parser-js");
+const Session = require("../model/Session");
+const { SessionError } = require("./customErrors");
+const { getClientIp } = require("./geoService");
+
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// "Chrome on macOS" style label for the sessions list
+const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const parser = new UAParser(userAgent);
+  const browser = parser.getBrowser().name;
+  const os = parser.getOS().name;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || "Unknown device";
+};
+
+const issueToken = async ({ userId, family, req }) => {
+  const token = crypto.randomBytes(48).toString("base64url");
+  const userAgent = req.get("User-Agent") || null;
+
+  const session = await Session.create({
+    user: userId,
+    family,
+    tokenHash: hashToken(token),
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: getClientIp(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+
+  return { token, session };
+};
+
+// Start a new session family at login
+const createSession = (userId, req) =>
+  issueToken({ userId, family: crypto.randomUUID(), req });
+
+const revokeFamily = (family, reason) =>
+  Session.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+// Swap a refresh token for a new one in the same family. Presenting a token
+// that was already rotated means it leaked, so the whole family is revoked.
+const rotateSession = async (token, req) => {
+  const session = await Session.findOne({ tokenHash: hashToken(token) });
+
+  if (!session) {
+    throw new SessionError("Unknown refresh token", "unknown");
+  }
+
+  if (session.revokedAt) {
+    throw new SessionError("Session has been revoked", "revoked");
+  }
+
+  if (session.expiresAt <= new Date()) {
+    throw new SessionError("Session has expired", "expired");
+  }
+
+  // Claim the token atomically so two concurrent refreshes can't both rotate it
+  const claimed = await Session.findOneAndUpdate(
+    { _id: session._id, rotatedAt: null, revokedAt: null },
+    { $set: { rotatedAt: new Date(), lastUsedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    await revokeFamily(session.family, "reuse_detected");
+    throw new SessionError("Refresh token reuse detected", "reuse");
+  }
+
+  return issueToken({ userId: session.user, family: session.family, req });
+};
+
+const revokeSessionByToken = async (token, reason = "logout") => {
+  const session = await Session.findOne({ tokenHash: hashToken(token) }).select("family").lean();
+  if (!session) return null;
+
+  await revokeFamily(session.family, reason);
+  return session;
+};
+
+// The live session behind a refresh token, without rotating it. Used to
+// recognise signed-in users on plain browser navigations (e.g. /go links).
+const findActiveSession = (token) =>
+  Session.findOne({
+    tokenHash: hashToken(token),
+    rotatedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("user family")
+    .lean();
+
+// Has the session family an access token belongs to been revoked? Logout,
+// session revocation and reuse detection revoke every row of the family.
+const isSessionRevoked = async (family) =>
+  !(await Session.exists({ family, revokedAt: null }));
+
+// Active sessions are the current (unrotated, unrevoked, unexpired) token of each family
+const getActiveSessions = (userId) =>
+  Session.find({
+    user: userId,
+    revokedAt: null,
+    rotatedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .sort({ lastUsedAt: -1 })
+    .select("family device ip lastUsedAt expiresAt createdAt")
+    .lean();
+
+const revokeUserSession = async (userId, family, reason = "user_revoked") => {
+  const result = await Session.updateMany(
+    { user: userId, family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+// Revoke every session for a user, optionally keeping one family alive
+const revokeAllUserSessions = async (userId, { except = null, reason = "user_revoked" } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter.family = { $ne: except };
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  REFRESH_TOKEN_TTL_MS,
+  createSession,
+  rotateSession,
+  revokeSessionByToken,
+  findActiveSession,
+  isSessionRevoked,
+  getActiveSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
+};
@@ -0,0 +1,143 @@
+// utils/twoFactorService.js
+const crypto = require("crypto");
+const Settings = require("../model/Settings");
+const { PERMISSIONS, hasPermission } = require("../config/roles");
+const { generateSecret, verifyCode, buildOtpauthUri } = require("./totp");
+
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_SELECT =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+// TOTP secrets have to be readable to check codes, so they're encrypted at rest
+const getEncryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.ACCESS_TOKEN_SECRET || "")
+    .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64")).join(".");
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split(".").map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.toLowerCase().replace(/[^a-z0-9]/g, ""))
+    .digest("hex");
+
+// Returns the plain codes to show once, and the hashes to store
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Start enrollment: store a pending secret and hand back the otpauth URI
+const beginEnrollment = (user) => {
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: process.env.APP_NAME || "Modloot",
+    }),
+  };
+};
+
+// Finish enrollment once the user proves their app produces valid codes
+const activateEnrollment = (user, code) => {
+  if (!user.twoFactor.pendingSecret) return null;
+
+  const step = verifyCode(decryptSecret(user.twoFactor.pendingSecret), code);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = null;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.recoveryCodes = hashes;
+  user.twoFactor.lastUsedStep = step;
+
+  return codes;
+};
+
+// Check a TOTP code, or failing that a recovery code (which is then spent).
+// A TOTP step is only accepted once, so a shoulder-surfed code can't be replayed.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (!user.twoFactor?.enabled || !user.twoFactor.secret) return false;
+
+  // Codes come straight from the request body, which may hold anything
+  if ((code && typeof code !== "string") || (recoveryCode && typeof recoveryCode !== "string")) {
+    return false;
+  }
+
+  if (code) {
+    const step = verifyCode(decryptSecret(user.twoFactor.secret), code);
+    if (step === null || step <= (user.twoFactor.lastUsedStep ?? -1)) return false;
+
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = user.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) return false;
+
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+const disableTwoFactor = (user) => {
+  user.twoFactor = {
+    enabled: false,
+    secret: null,
+    pendingSecret: null,
+    recoveryCodes: [],
+    lastUsedStep: null,
+    enabledAt: null,
+  };
+};
+
+const WRITE_PERMISSIONS = PERMISSIONS.filter((permission) => !permission.endsWith(":read"));
+
+const hasWritePermission = (roles) =>
+  WRITE_PERMISSIONS.some((permission) => hasPermission(roles, permission));
+
+// Policy: roles that can change anything must have 2FA turned on
+const isTwoFactorRequired = async (roles) => {
+  if (!hasWritePermission(roles)) return false;
+
+  const settings = await Settings.findOne().select("requireTwoFactorForWriteRoles").lean();
+  return settings?.requireTwoFactorForWriteRoles ?? true;
+};
+
+module.exports = {
+  TWO_FACTOR_SELECT,
+  beginEnrollment,
+  activateEnrollment,
+  verifySecondFactor,
+  generateRecoveryCodes,
+  disableTwoFactor,
+  hasWritePermission,
+  isTwoFactorRequired,
+};
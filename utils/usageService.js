@@ -0,0 +1,182 @@
+// utils/usageService.js
+// Daily usage counts for catalog items. Every use lands in a per-item bucket
+// for the current day in the usage timezone; the item's usedToday mirrors
+// today's bucket and is zeroed at that timezone's midnight.
+const CatalogItem = require("../model/CatalogItem");
+const UsageBucket = require("../model/UsageBucket");
+const Settings = require("../model/Settings");
+
+const DEFAULT_TIMEZONE = process.env.USAGE_TIMEZONE || "UTC";
+const MAX_SERIES_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const getUsageTimezone = async () => {
+  const settings = await Settings.findOne().select("usageTimezone").lean();
+  const timeZone = settings?.usageTimezone || DEFAULT_TIMEZONE;
+  return isValidTimezone(timeZone) ? timeZone : "UTC";
+};
+
+// Calendar date ("YYYY-MM-DD") of an instant in the given timezone
+const dayKey = (date, timeZone) =>
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+
+// Day keys are plain calendar dates, so step through them in UTC
+const shiftDay = (day, offset) =>
+  new Date(Date.parse(`${day}T00:00:00Z`) + offset * DAY_MS).toISOString().slice(0, 10);
+
+const daysBetween = (from, to) =>
+  Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+// Record `count` uses of an item and keep its usedToday in step with the bucket
+const recordUsage = async (item, { count = 1, at = new Date() } = {}) => {
+  const timeZone = await getUsageTimezone();
+  const day = dayKey(at, timeZone);
+
+  await UsageBucket.updateOne(
+    { item: item._id, day },
+    {
+      $inc: { count },
+      $setOnInsert: { itemType: item.kind, firstUsedAt: at },
+      $set: { lastUsedAt: at },
+    },
+    { upsert: true }
+  );
+
+  // Same day: add to the counter. New day: this use starts it afresh.
+  const sameDay = await CatalogItem.findOneAndUpdate(
+    { _id: item._id, usageDay: day },
+    { $inc: { usedToday: count } },
+    { new: true }
+  );
+  if (sameDay) return sameDay;
+
+  const newDay = await CatalogItem.findOneAndUpdate(
+    { _id: item._id, usageDay: { $ne: day } },
+    { $set: { usageDay: day, usedToday: count } },
+    { new: true }
+  );
+  if (newDay) return newDay;
+
+  // Another request started the day between the two updates
+  return CatalogItem.findOneAndUpdate(
+    { _id: item._id },
+    { $inc: { usedToday: count } },
+    { new: true }
+  );
+};
+
+// Zero usedToday on every item whose counter belongs to an earlier day
+const rolloverUsage = async (now = new Date()) => {
+  const day = dayKey(now, await getUsageTimezone());
+  const { modifiedCount } = await CatalogItem.updateMany(
+    { usageDay: { $ne: day }, usedToday: { $ne: 0 } },
+    { $set: { usedToday: 0, usageDay: day } }
+  );
+  return { day, reset: modifiedCount };
+};
+
+// Resolve ?from&to into a bounded, inclusive day range. Defaults to the
+// last 30 days ending today.
+const resolveRange = async ({ from, to } = {}) => {
+  const timeZone = await getUsageTimezone();
+  const pattern = /^\d{4}-\d{2}-\d{2}$/;
+  const toDay = to || dayKey(new Date(), timeZone);
+  const fromDay = from || shiftDay(toDay, -29);
+
+  if (!pattern.test(fromDay) || !pattern.test(toDay) || Number.isNaN(Date.parse(fromDay)) || Number.isNaN(Date.parse(toDay))) {
+    return { error: "from and to must be dates in YYYY-MM-DD format" };
+  }
+  if (fromDay > toDay) {
+    return { error: "from must not be after to" };
+  }
+  if (daysBetween(fromDay, toDay) >= MAX_SERIES_DAYS) {
+    return { error: `A usage series can cover at most ${MAX_SERIES_DAYS} days` };
+  }
+  return { from: fromDay, to: toDay, timeZone };
+};
+
+// Daily series for one item with empty days filled in as zero
+const getUsageSeries = async (itemId, { from, to }) => {
+  const buckets = await UsageBucket.find({ item: itemId, day: { $gte: from, $lte: to } })
+    .select("day count")
+    .lean();
+  const counts = new Map(buckets.map((bucket) => [bucket.day, bucket.count]));
+
+  const series = [];
+  for (let day = from; day <= to; day = shiftDay(day, 1)) {
+    series.push({ date: day, uses: counts.get(day) || 0 });
+  }
+
+  const total = series.reduce((sum, point) => sum + point.uses, 0);
+  return {
+    series,
+    total,
+    averagePerDay: Number((total / series.length).toFixed(2)),
+  };
+};
+
+// Items of one type ranked by uses over the last `days` days, including today.
+// `match` filters the items themselves (live, verified, rating...).
+const getTrendingByVelocity = async (
+  itemType,
+  { days = 7, minDailyUses = 0, match = {}, page = 1, limit = 10 } = {}
+) => {
+  const timeZone = await getUsageTimezone();
+  const today = dayKey(new Date(), timeZone);
+  const from = shiftDay(today, -(days - 1));
+
+  const [result] = await UsageBucket.aggregate([
+    { $match: { itemType, day: { $gte: from, $lte: today } } },
+    { $group: { _id: "$item", uses: { $sum: "$count" } } },
+    { $match: { uses: { $gte: minDailyUses * days } } },
+    {
+      $lookup: {
+        from: CatalogItem.collection.name,
+        let: { itemId: "$_id" },
+        pipeline: [{ $match: { $expr: { $eq: ["$_id", "$$itemId"] } } }, { $match: match }],
+        as: "item",
+      },
+    },
+    { $unwind: "$item" },
+    { $sort: { uses: -1, "item.rating": -1 } },
+    {
+      $facet: {
+        items: [{ $skip: (page - 1) * limit }, { $limit: limit * 1 }],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  return {
+    items: result.items.map(({ item, uses }) => ({
+      item,
+      velocity: { days, uses, averagePerDay: Number((uses / days).toFixed(2)) },
+    })),
+    total: result.total[0]?.count || 0,
+  };
+};
+
+module.exports = {
+  getUsageTimezone,
+  isValidTimezone,
+  dayKey,
+  recordUsage,
+  rolloverUsage,
+  resolveRange,
+  getUsageSeries,
+  getTrendingByVelocity,
+};
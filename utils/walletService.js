@@ -0,0 +1,90 @@
+// utils/walletService.js
+const WalletEntry = require("../model/WalletEntry");
+const Settings = require("../model/Settings");
+const User = require("../model/User");
+
+const DEFAULT_POINTS_PER_UNIT = 100;
+
+const getPointsRate = async (adapter) => {
+  if (adapter?.pointsRate != null) return adapter.pointsRate;
+
+  const settings = await Settings.findOne().select("pointsPerPayoutUnit").lean();
+  return settings?.pointsPerPayoutUnit ?? DEFAULT_POINTS_PER_UNIT;
+};
+
+// Append an entry, treating a duplicate idempotency key as "already done".
+// Pass a session to make the entry part of a wider transaction.
+const appendEntry = async (entry, { session = null } = {}) => {
+  const user = entry.user
+    ? { _id: entry.user }
+    : await User.findOne({ email: entry.email }).select("_id").session(session).lean();
+
+  try {
+    const [created] = await WalletEntry.create([{ ...entry, user: user?._id || null }], {
+      session,
+    });
+    return created;
+  } catch (error) {
+    // Inside a transaction the duplicate has already aborted it, so rethrow
+    if (error.code === 11000 && !session) {
+      return WalletEntry.findOne({ idempotencyKey: entry.idempotencyKey });
+    }
+    throw error;
+  }
+};
+
+// Credit points for a completed conversion
+const creditConversion = async ({ completion, adapter, payout, transactionId }) => {
+  const payoutAmount = Number(payout) || 0;
+  const rate = await getPointsRate(adapter);
+  const points = Math.round(payoutAmount * rate);
+
+  if (points <= 0) return null;
+
+  return appendEntry({
+    email: completion.email,
+    kind: "conversion",
+    points,
+    network: adapter.name,
+    offer: completion.offer,
+    offerCompletion: completion._id,
+    payout: payoutAmount,
+    payoutCurrency: adapter.payoutCurrency,
+    conversionRate: rate,
+    transactionId,
+    idempotencyKey: `conversion:${completion._id}`,
+    description: `Completed ${completion.title || completion.offer}`,
+  });
+};
+
+// Debit exactly what the conversion credited, whatever the rate is today
+const debitReversal = async ({ completion, adapter, transactionId }) => {
+  const credit = await WalletEntry.findOne({
+    offerCompletion: completion._id,
+    kind: "conversion",
+  }).lean();
+
+  if (!credit) return null;
+
+  return appendEntry({
+    email: credit.email,
+    kind: "reversal",
+    points: -credit.points,
+    network: adapter?.name || credit.network,
+    offer: credit.offer,
+    offerCompletion: completion._id,
+    payout: -credit.payout,
+    payoutCurrency: credit.payoutCurrency,
+    conversionRate: credit.conversionRate,
+    transactionId,
+    idempotencyKey: `reversal:${completion._id}`,
+    description: `Reversed ${completion.title || completion.offer}`,
+  });
+};
+
+module.exports = {
+  getPointsRate,
+  appendEntry,
+  creditConversion,
+  debitReversal,
+};